@@ -10,6 +10,8 @@ import Upload from './pages/Upload';
 import Workflows from './pages/Workflows';
 import Workflow from './pages/Workflow';
 import Documents from './pages/Documents';
+import Library from './pages/Library';
+import KnowledgeBase from './pages/KnowledgeBase';
 import Results from './pages/Results';
 import Settings from './pages/Settings';
 
@@ -39,6 +41,8 @@ function App() {
               <Route path="/workflows" element={<Workflows />} />
               <Route path="/workflow/:workflowId" element={<Workflow />} />
               <Route path="/documents" element={<Documents />} />
+              <Route path="/library" element={<Library />} />
+              <Route path="/knowledge-base" element={<KnowledgeBase />} />
               <Route path="/results/:workflowId" element={<Results />} />
               <Route path="/settings" element={<Settings />} />
             </Routes>
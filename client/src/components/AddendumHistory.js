@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import { FileText, Upload } from 'lucide-react';
+
+const ADDENDUM_EXTENSIONS = '.pdf,.docx,.pptx,.txt,.md,.markdown,.html,.htm,.rtf,.csv,.xlsx,.xls,.png,.jpg,.jpeg,.tif,.tiff,.eml,.msg,.zip';
+
+const changeTypes = {
+  added: { label: 'Added', className: 'bg-green-100 text-green-800' },
+  updated: { label: 'Updated', className: 'bg-blue-100 text-blue-800' },
+  superseded: { label: 'Superseded', className: 'bg-red-100 text-red-800' },
+  affected: { label: 'Section changed', className: 'bg-yellow-100 text-yellow-800' },
+  deadline: { label: 'Deadline', className: 'bg-purple-100 text-purple-800' }
+};
+
+// Upload RFP addenda and amendments, and the changes each one made
+const AddendumHistory = ({ workflowId, onApplied }) => {
+  const [files, setFiles] = useState([]);
+  const [jobId, setJobId] = useState(null);
+
+  const { data, isLoading, refetch } = useQuery(
+    ['addenda', workflowId],
+    () => fetch(`/api/rfp/workflow/${workflowId}/addenda`).then(res => res.json())
+  );
+
+  // The addendum is applied by a queued job; its outcome shows up in the jobs list
+  useQuery(
+    ['addendumJob', jobId],
+    () => fetch('/api/workflow/jobs').then(res => res.json()),
+    {
+      enabled: !!jobId,
+      refetchInterval: 2000,
+      onSuccess: async (jobs) => {
+        const job = jobs.jobs?.find(candidate => candidate.id === jobId);
+        if (!job || !['completed', 'failed'].includes(job.status)) return;
+
+        setJobId(null);
+        if (job.status === 'failed') {
+          window.alert(`Failed to apply addendum: ${job.lastError || 'unknown error'}`);
+          return;
+        }
+
+        const { data: updated } = await refetch();
+        if (onApplied) onApplied();
+        const latest = updated?.addenda?.[updated.addenda.length - 1];
+        const staleQuestions = new Set((latest?.changes || []).flatMap(change => change.staleQuestions));
+        if (staleQuestions.size > 0) {
+          window.alert(
+            `${staleQuestions.size} question${staleQuestions.size !== 1 ? 's' : ''} and their answers ` +
+            'depend on changed requirements and were marked stale.'
+          );
+        }
+      }
+    }
+  );
+
+  const request = (url, options) => fetch(url, options).then(async res => {
+    const result = await res.json();
+    if (!res.ok) {
+      throw new Error(result.error || 'Request failed');
+    }
+    return result;
+  });
+
+  const uploadMutation = useMutation(
+    () => {
+      const formData = new FormData();
+      files.forEach(file => formData.append('documents', file));
+      return request(`/api/rfp/workflow/${workflowId}/addenda`, { method: 'POST', body: formData });
+    },
+    {
+      onSuccess: (result) => {
+        setFiles([]);
+        setJobId(result.jobId);
+      },
+      onError: (error) => window.alert(`Failed to apply addendum: ${error.message}`)
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const addenda = data?.addenda || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-2">
+        <p className="text-sm text-gray-500">
+          Upload an addendum or amendment to compare it with the original RFP documents. Requirements it changes are
+          updated or superseded, new ones are added, and questions and answers that depend on them are marked stale.
+        </p>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="file"
+            multiple
+            accept={ADDENDUM_EXTENSIONS}
+            onChange={(e) => setFiles(Array.from(e.target.files))}
+            className="text-sm"
+          />
+          <button
+            onClick={() => uploadMutation.mutate()}
+            disabled={files.length === 0 || uploadMutation.isLoading || !!jobId}
+            className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Upload className="h-4 w-4 mr-1" />
+            {uploadMutation.isLoading || jobId ? 'Applying...' : 'Apply Addendum'}
+          </button>
+        </div>
+      </div>
+
+      {addenda.length === 0 ? (
+        <div className="text-center py-12">
+          <FileText className="mx-auto h-12 w-12 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-500">No addenda have been applied to this workflow.</p>
+        </div>
+      ) : (
+        addenda.slice().reverse().map(addendum => (
+          <div key={addendum.id} className="border border-gray-200 rounded-lg">
+            <div className="px-4 py-3 border-b border-gray-200">
+              <div className="flex items-center justify-between">
+                <h4 className="text-sm font-medium text-gray-900">{addendum.fileNames.join(', ')}</h4>
+                <span className="text-xs text-gray-500">{new Date(addendum.createdAt).toLocaleString()}</span>
+              </div>
+              {addendum.summary && <p className="mt-1 text-sm text-gray-600">{addendum.summary}</p>}
+            </div>
+            {addendum.changes.length === 0 ? (
+              <p className="px-4 py-3 text-sm text-gray-500">No requirement or deadline changes.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Change', 'Requirement', 'Section', 'Before', 'After', 'Stale'].map(header => (
+                        <th key={header} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {addendum.changes.map((change, index) => {
+                      const type = changeTypes[change.type] || { label: change.type, className: 'bg-gray-100 text-gray-700' };
+                      return (
+                        <tr key={index} className="align-top">
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${type.className}`}>{type.label}</span>
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap font-mono text-xs text-gray-700">{change.requirementId || '—'}</td>
+                          <td className="px-3 py-2 text-xs text-gray-600">{change.section || '—'}</td>
+                          <td className="px-3 py-2 text-xs text-gray-500">{change.previousText || '—'}</td>
+                          <td className="px-3 py-2 text-xs text-gray-900">
+                            {change.newText}
+                            {change.reason && <span className="block text-gray-500">{change.reason}</span>}
+                          </td>
+                          <td className="px-3 py-2 text-xs text-gray-600">
+                            {change.staleQuestions.length > 0 ? change.staleQuestions.join(', ') : '—'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default AddendumHistory;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { ShieldCheck, AlertTriangle } from 'lucide-react';
+
+// Link to the cited location: the PDF page, or the highlighted span of other files
+export const citationUrl = (source, workflowId) => {
+  if (source.knowledgeBaseDocumentId) {
+    return `/api/knowledge-base/${source.knowledgeBaseDocumentId}/download`;
+  }
+  if (!source.fileId) {
+    return null;
+  }
+
+  const url = `/api/documents/view/${encodeURIComponent(source.fileId)}`;
+  if (source.fileId.toLowerCase().endsWith('.pdf')) {
+    return source.pageNumber ? `${url}#page=${source.pageNumber}` : url;
+  }
+  if (workflowId && source.startOffset !== null && source.startOffset !== undefined && source.endOffset) {
+    return `${url}?workflowId=${encodeURIComponent(workflowId)}&start=${source.startOffset}&end=${source.endOffset}#citation`;
+  }
+  return url;
+};
+
+// Answer text with per-sentence citations, unsupported claims marked, and the numbered sources
+const AnswerCitations = ({ answer, sources = [], grounding, workflowId }) => {
+  const citedSources = Array.isArray(sources) ? sources : [];
+
+  const renderMarker = (sourceIndex) => {
+    const source = citedSources[sourceIndex];
+    const url = source && citationUrl(source, workflowId);
+    const label = `[${sourceIndex + 1}]`;
+
+    return url ? (
+      <a href={url} target="_blank" rel="noopener noreferrer" className="ml-0.5 text-xs align-super text-blue-600 hover:text-blue-800">
+        {label}
+      </a>
+    ) : (
+      <span className="ml-0.5 text-xs align-super text-gray-500">{label}</span>
+    );
+  };
+
+  return (
+    <div>
+      {grounding?.sentences?.length > 0 ? (
+        <p className="text-sm text-gray-700">
+          {grounding.sentences.map((sentence, index) => (
+            <React.Fragment key={index}>
+              {index > 0 && ' '}
+              <span
+                className={sentence.checked && !sentence.supported ? 'bg-red-50 underline decoration-wavy decoration-red-400' : ''}
+                title={sentence.checked && !sentence.supported ? 'Not supported by the cited sources' : undefined}
+              >
+                {sentence.text}
+              </span>
+              {sentence.sourceIndex !== null && sentence.sourceIndex !== undefined && renderMarker(sentence.sourceIndex)}
+            </React.Fragment>
+          ))}
+        </p>
+      ) : (
+        <p className="text-sm text-gray-700">{answer || 'Answer not available'}</p>
+      )}
+
+      {grounding && (
+        grounding.verified ? (
+          <p className="mt-2 inline-flex items-center text-xs text-green-700">
+            <ShieldCheck className="h-3 w-3 mr-1" />
+            Every claim is supported by the cited sources
+          </p>
+        ) : (
+          <p className="mt-2 inline-flex items-center text-xs text-red-700">
+            <AlertTriangle className="h-3 w-3 mr-1" />
+            {grounding.unsupportedClaims.length} unsupported claim{grounding.unsupportedClaims.length !== 1 ? 's' : ''} – check before submitting
+          </p>
+        )
+      )}
+
+      {citedSources.length > 0 && (
+        <ol className="mt-2 space-y-0.5 text-xs text-gray-500">
+          {citedSources.map((source, index) => {
+            const url = citationUrl(source, workflowId);
+            const name = source.documentName || source.name || source.documentId || 'Unknown';
+            const rows = source.rowStart ? `rows ${source.rowStart}–${source.rowEnd}` : '';
+            const location = (source.pageNumber
+              ? `, p. ${source.pageNumber}`
+              : rows ? `, ${[source.sheet, rows].filter(Boolean).join(' ')}` : '') +
+              (source.section ? `, § ${source.section}` : '');
+
+            return (
+              <li key={index} title={source.excerpt}>
+                [{index + 1}]{' '}
+                {url ? (
+                  <a href={url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+                    {name}{location}
+                  </a>
+                ) : (
+                  <span>{name}{location}</span>
+                )}
+                {source.knowledgeBase && <span className="ml-1 text-gray-400">(knowledge base)</span>}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default AnswerCitations;
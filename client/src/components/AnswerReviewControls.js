@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import { CheckCircle, XCircle, Send, Edit2, Save, X, History, BookOpen } from 'lucide-react';
+
+const statusStyles = {
+  draft: 'bg-gray-100 text-gray-800',
+  in_review: 'bg-indigo-100 text-indigo-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+// Review state, actions and revision history for one stored answer
+const AnswerReviewControls = ({ workflowId, answerId, answerText, status = 'draft', comment, onUpdate }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftText, setDraftText] = useState(answerText || '');
+  const [showHistory, setShowHistory] = useState(false);
+
+  const { data: history, refetch: refetchHistory } = useQuery(
+    ['answer-revisions', workflowId, answerId],
+    () => fetch(`/api/rfp/workflow/${workflowId}/answers/${answerId}/revisions`).then(res => res.json()),
+    { enabled: showHistory }
+  );
+
+  const reviewMutation = useMutation(
+    (body) => fetch(`/api/rfp/workflow/${workflowId}/answers/${answerId}/review`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body)
+    }).then(async res => {
+      const result = await res.json();
+      if (!res.ok) {
+        throw new Error(result.error || 'Review failed');
+      }
+      return result;
+    }),
+    {
+      onSuccess: () => {
+        setIsEditing(false);
+        if (showHistory) refetchHistory();
+        if (onUpdate) onUpdate();
+      },
+      onError: (error) => {
+        window.alert(`Failed to review answer: ${error.message}`);
+      }
+    }
+  );
+
+  const promoteMutation = useMutation(
+    (body) => fetch(`/api/rfp/workflow/${workflowId}/answers/${answerId}/promote`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body)
+    }).then(async res => {
+      const result = await res.json();
+      if (!res.ok) {
+        throw new Error(result.error || 'Promotion failed');
+      }
+      return result;
+    }),
+    {
+      onSuccess: (result) => {
+        window.alert(result.message);
+      },
+      onError: (error) => {
+        window.alert(`Failed to add answer to the library: ${error.message}`);
+      }
+    }
+  );
+
+  const promote = () => {
+    const tags = window.prompt('Tags for this library entry (comma separated)', '');
+    if (tags === null) return;
+    promoteMutation.mutate({ tags });
+  };
+
+  const saveEdit = () => {
+    if (!draftText.trim()) {
+      window.alert('Answer text is required');
+      return;
+    }
+    reviewMutation.mutate({ action: 'edit', answerText: draftText });
+  };
+
+  const reject = () => {
+    const reason = window.prompt('Why is this answer rejected?');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      window.alert('A comment is required to reject an answer');
+      return;
+    }
+    reviewMutation.mutate({ action: 'reject', comment: reason });
+  };
+
+  const buttonClass = 'inline-flex items-center px-2.5 py-1 border text-xs font-medium rounded-md disabled:opacity-50';
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-100">
+      <div className="flex items-center justify-between">
+        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${statusStyles[status] || statusStyles.draft}`}>
+          {formatStatus(status)}
+        </span>
+
+        <div className="flex items-center space-x-2">
+          {!isEditing && (
+            <button
+              onClick={() => {
+                setDraftText(answerText || '');
+                setIsEditing(true);
+              }}
+              className={`${buttonClass} border-gray-300 text-gray-700 bg-white hover:bg-gray-50`}
+            >
+              <Edit2 className="h-3 w-3 mr-1" />
+              Edit
+            </button>
+          )}
+          {(status === 'draft' || status === 'rejected') && (
+            <button
+              onClick={() => reviewMutation.mutate({ action: 'submit' })}
+              disabled={reviewMutation.isLoading}
+              className={`${buttonClass} border-indigo-300 text-indigo-700 bg-white hover:bg-indigo-50`}
+            >
+              <Send className="h-3 w-3 mr-1" />
+              Submit for Review
+            </button>
+          )}
+          {status !== 'approved' && (
+            <button
+              onClick={() => reviewMutation.mutate({ action: 'approve' })}
+              disabled={reviewMutation.isLoading}
+              className={`${buttonClass} border-green-300 text-green-700 bg-white hover:bg-green-50`}
+            >
+              <CheckCircle className="h-3 w-3 mr-1" />
+              Approve
+            </button>
+          )}
+          {status === 'approved' && (
+            <button
+              onClick={promote}
+              disabled={promoteMutation.isLoading}
+              className={`${buttonClass} border-blue-300 text-blue-700 bg-white hover:bg-blue-50`}
+            >
+              <BookOpen className="h-3 w-3 mr-1" />
+              Add to Library
+            </button>
+          )}
+          {status !== 'rejected' && (
+            <button
+              onClick={reject}
+              disabled={reviewMutation.isLoading}
+              className={`${buttonClass} border-red-300 text-red-700 bg-white hover:bg-red-50`}
+            >
+              <XCircle className="h-3 w-3 mr-1" />
+              Reject
+            </button>
+          )}
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className={`${buttonClass} border-gray-300 text-gray-700 bg-white hover:bg-gray-50`}
+          >
+            <History className="h-3 w-3 mr-1" />
+            {showHistory ? 'Hide History' : 'History'}
+          </button>
+        </div>
+      </div>
+
+      {comment && status === 'rejected' && (
+        <p className="mt-2 text-xs text-red-700">
+          <span className="font-medium">Reviewer comment:</span> {comment}
+        </p>
+      )}
+
+      {isEditing && (
+        <div className="mt-3">
+          <textarea
+            value={draftText}
+            onChange={(e) => setDraftText(e.target.value)}
+            rows={4}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+          <div className="mt-2 flex items-center space-x-2">
+            <button
+              onClick={saveEdit}
+              disabled={reviewMutation.isLoading}
+              className={`${buttonClass} border-transparent text-white bg-blue-600 hover:bg-blue-700`}
+            >
+              <Save className="h-3 w-3 mr-1" />
+              Save Edit
+            </button>
+            <button
+              onClick={() => setIsEditing(false)}
+              className={`${buttonClass} border-gray-300 text-gray-700 bg-white hover:bg-gray-50`}
+            >
+              <X className="h-3 w-3 mr-1" />
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showHistory && history && (
+        <div className="mt-3 space-y-2">
+          {history.originalAnswerText && history.originalAnswerText !== answerText && (
+            <div className="text-xs text-gray-500">
+              <span className="font-medium">Original answer:</span> {history.originalAnswerText}
+            </div>
+          )}
+          {(history.revisions || []).length === 0 && (
+            <p className="text-xs text-gray-500">No review activity yet.</p>
+          )}
+          {(history.revisions || []).map(revision => (
+            <div key={revision.id} className="text-xs text-gray-600 border-l-2 border-gray-200 pl-2">
+              <span className="font-medium capitalize">{revision.action}</span>
+              {' '}({formatStatus(revision.from_status || 'draft')} → {formatStatus(revision.to_status)})
+              {revision.reviewer && <> by {revision.reviewer}</>}
+              {' · '}{new Date(revision.created_at).toLocaleString()}
+              {revision.comment && <div className="text-gray-500">“{revision.comment}”</div>}
+              {revision.previous_text && <div className="text-gray-400 line-through">{revision.previous_text}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnswerReviewControls;
@@ -0,0 +1,259 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import { ClipboardCheck, Download, RefreshCw, Edit2, Save, X } from 'lucide-react';
+
+const statusOptions = [
+  { value: 'complies', label: 'Complies', className: 'bg-green-100 text-green-800' },
+  { value: 'partial', label: 'Partial', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'exception', label: 'Exception', className: 'bg-red-100 text-red-800' },
+  { value: 'not_applicable', label: 'N/A', className: 'bg-gray-100 text-gray-700' }
+];
+
+const StatusBadge = ({ status }) => {
+  const option = statusOptions.find(o => o.value === status);
+  return (
+    <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${option ? option.className : 'bg-white border border-gray-300 text-gray-500'}`}>
+      {option ? option.label : 'Not assessed'}
+    </span>
+  );
+};
+
+// Editable compliance matrix with XLSX and PDF export
+const ComplianceMatrix = ({ workflowId }) => {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [statusFilter, setStatusFilter] = useState('');
+
+  const { data, isLoading, refetch } = useQuery(
+    ['compliance-matrix', workflowId],
+    () => fetch(`/api/rfp/workflow/${workflowId}/compliance-matrix`).then(res => res.json())
+  );
+
+  const request = (url, options) => fetch(url, options).then(async res => {
+    const result = await res.json();
+    if (!res.ok) {
+      throw new Error(result.error || 'Request failed');
+    }
+    return result;
+  });
+
+  const updateMutation = useMutation(
+    ({ requirementId, updates }) => request(`/api/rfp/workflow/${workflowId}/compliance-matrix/${encodeURIComponent(requirementId)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates)
+    }),
+    {
+      onSuccess: () => {
+        setEditing(null);
+        refetch();
+      },
+      onError: (error) => window.alert(`Failed to update row: ${error.message}`)
+    }
+  );
+
+  const rebuildMutation = useMutation(
+    () => request(`/api/rfp/workflow/${workflowId}/compliance-matrix/rebuild`, { method: 'POST' }),
+    {
+      onSuccess: () => refetch(),
+      onError: (error) => window.alert(`Failed to rebuild the compliance matrix: ${error.message}`)
+    }
+  );
+
+  const startEditing = (row) => {
+    setEditing(row.requirementId);
+    setDraft({
+      status: row.status || '',
+      responseReference: row.responseReference || '',
+      owner: row.owner || '',
+      notes: row.notes || ''
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const rows = data?.rows || [];
+  const summary = data?.summary;
+  const shown = statusFilter
+    ? rows.filter(row => (statusFilter === 'unassessed' ? !row.status : row.status === statusFilter))
+    : rows;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="text-sm text-gray-600">
+          {summary ? (
+            <>
+              {summary.total} requirements ({summary.mandatory} mandatory) ·{' '}
+              {statusOptions.map(option => `${summary.byStatus[option.value]} ${option.label}`).join(' · ')} ·{' '}
+              {summary.notAssessed} not assessed
+              {summary.mandatoryExceptions > 0 && (
+                <span className="ml-2 font-medium text-red-700">
+                  {summary.mandatoryExceptions} mandatory exception{summary.mandatoryExceptions !== 1 ? 's' : ''}
+                </span>
+              )}
+            </>
+          ) : 'No compliance matrix yet'}
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1.5 text-sm"
+          >
+            <option value="">All statuses</option>
+            {statusOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+            <option value="unassessed">Not assessed</option>
+          </select>
+          <button
+            onClick={() => rebuildMutation.mutate()}
+            disabled={rebuildMutation.isLoading}
+            title="Rebuild from the current requirements and answers; edited rows are kept"
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw className={`h-4 w-4 mr-1 ${rebuildMutation.isLoading ? 'animate-spin' : ''}`} />
+            Rebuild
+          </button>
+          {rows.length > 0 && (
+            <>
+              <a
+                href={`/api/rfp/workflow/${workflowId}/compliance-matrix/export/xlsx`}
+                className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <Download className="h-4 w-4 mr-1" />
+                Excel
+              </a>
+              <a
+                href={`/api/rfp/workflow/${workflowId}/compliance-matrix/export/pdf`}
+                className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <Download className="h-4 w-4 mr-1" />
+                PDF
+              </a>
+            </>
+          )}
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="text-center py-12">
+          <ClipboardCheck className="mx-auto h-12 w-12 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-500">
+            The compliance matrix is built after answer extraction. Rebuild it to create one from the current requirements.
+          </p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {['ID', 'Requirement', 'Source', 'Status', 'Response', 'Owner', 'Notes', ''].map(header => (
+                  <th key={header} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {shown.map(row => (
+                <tr key={row.requirementId} className="align-top">
+                  <td className="px-3 py-2 whitespace-nowrap font-mono text-xs text-gray-700">
+                    {row.requirementId}
+                    {row.mandatory && <span className="block text-red-600 font-sans">Mandatory</span>}
+                  </td>
+                  <td className="px-3 py-2 text-gray-900">
+                    {row.requirement}
+                    {row.standard && <span className="block text-xs text-gray-500">{row.standard}</span>}
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-600">
+                    {[row.sourceDocument, row.sourceSection].filter(Boolean).join(', ') || '—'}
+                  </td>
+                  {editing === row.requirementId ? (
+                    <>
+                      <td className="px-3 py-2">
+                        <select
+                          value={draft.status}
+                          onChange={(e) => setDraft({ ...draft, status: e.target.value })}
+                          className="border border-gray-300 rounded-md px-2 py-1 text-xs"
+                        >
+                          <option value="">Not assessed</option>
+                          {statusOptions.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="text"
+                          value={draft.responseReference}
+                          onChange={(e) => setDraft({ ...draft, responseReference: e.target.value })}
+                          placeholder="e.g. tech_q_001, section 4.2"
+                          className="w-full border border-gray-300 rounded-md px-2 py-1 text-xs"
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="text"
+                          value={draft.owner}
+                          onChange={(e) => setDraft({ ...draft, owner: e.target.value })}
+                          className="w-full border border-gray-300 rounded-md px-2 py-1 text-xs"
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        <textarea
+                          value={draft.notes}
+                          onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                          rows={2}
+                          className="w-full border border-gray-300 rounded-md px-2 py-1 text-xs"
+                        />
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        <button
+                          onClick={() => updateMutation.mutate({ requirementId: row.requirementId, updates: draft })}
+                          disabled={updateMutation.isLoading}
+                          className="p-1 text-green-600 hover:text-green-800"
+                          title="Save"
+                        >
+                          <Save className="h-4 w-4" />
+                        </button>
+                        <button onClick={() => setEditing(null)} className="p-1 text-gray-400 hover:text-gray-700" title="Cancel">
+                          <X className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </>
+                  ) : (
+                    <>
+                      <td className="px-3 py-2"><StatusBadge status={row.status} /></td>
+                      <td className="px-3 py-2 text-xs text-gray-600">
+                        {row.responseReference && <span className="block font-medium text-gray-800">{row.responseReference}</span>}
+                        {row.responseSummary}
+                      </td>
+                      <td className="px-3 py-2 text-xs text-gray-600">{row.owner || '—'}</td>
+                      <td className="px-3 py-2 text-xs text-gray-600">
+                        {row.notes}
+                        {row.edited && <span className="block text-gray-400">Edited{row.editedBy ? ` by ${row.editedBy}` : ''}</span>}
+                      </td>
+                      <td className="px-3 py-2">
+                        <button onClick={() => startEditing(row)} className="p-1 text-gray-400 hover:text-blue-600" title="Edit row">
+                          <Edit2 className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplianceMatrix;
@@ -5,6 +5,8 @@ import {
   Upload, 
   Activity, 
   FileText, 
+  BookOpen,
+  Database,
   Settings,
   Menu,
   X
@@ -19,6 +21,8 @@ const Layout = ({ children }) => {
     { name: 'Upload RFP', href: '/upload', icon: Upload },
     { name: 'Workflows', href: '/workflows', icon: Activity },
     { name: 'Documents', href: '/documents', icon: FileText },
+    { name: 'Answer Library', href: '/library', icon: BookOpen },
+    { name: 'Knowledge Base', href: '/knowledge-base', icon: Database },
     { name: 'Settings', href: '/settings', icon: Settings },
   ];
 
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import { FileText, Upload, Download, Star, Trash2 } from 'lucide-react';
+
+// Word templates for DOCX proposal exports
+const ProposalTemplates = () => {
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState('');
+
+  const { data, refetch } = useQuery('docx-templates', () =>
+    fetch('/api/templates?type=docx').then(res => res.json())
+  );
+
+  const request = (url, options) => fetch(url, options).then(async res => {
+    const result = await res.json();
+    if (!res.ok) {
+      throw new Error(result.error || 'Request failed');
+    }
+    return result;
+  });
+
+  const uploadMutation = useMutation(
+    () => {
+      const formData = new FormData();
+      formData.append('template', file);
+      formData.append('type', 'docx');
+      formData.append('name', name);
+      return request('/api/templates', { method: 'POST', body: formData });
+    },
+    {
+      onSuccess: () => {
+        setFile(null);
+        setName('');
+        refetch();
+      },
+      onError: (error) => window.alert(`Failed to upload template: ${error.message}`)
+    }
+  );
+
+  const defaultMutation = useMutation(
+    (templateId) => request(`/api/templates/${templateId}/default`, { method: 'POST' }),
+    { onSuccess: () => refetch() }
+  );
+
+  const deleteMutation = useMutation(
+    (templateId) => request(`/api/templates/${templateId}`, { method: 'DELETE' }),
+    { onSuccess: () => refetch() }
+  );
+
+  const templates = data?.templates || [];
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500">
+        Word documents with your styles, cover page and headers. Placeholders such as{' '}
+        <code>{'{{projectTitle}}'}</code> and loops such as <code>{'{{#sections}}…{{/sections}}'}</code> are
+        filled when a proposal is exported.{' '}
+        <a href="/api/templates/docx/default" className="text-blue-600 hover:text-blue-800">
+          Download the built-in template
+        </a>{' '}
+        as a starting point.
+      </p>
+
+      {templates.length > 0 && (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {templates.map(template => (
+            <li key={template.id} className="flex items-center justify-between px-4 py-2">
+              <div className="flex items-center text-sm">
+                <FileText className="h-4 w-4 mr-2 text-blue-600" />
+                <span className="font-medium text-gray-900">{template.name}</span>
+                {template.isDefault && (
+                  <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">Default</span>
+                )}
+                <span className="ml-2 text-gray-500">{template.placeholders.length} placeholders</span>
+              </div>
+              <div className="flex items-center space-x-2">
+                {!template.isDefault && (
+                  <button
+                    onClick={() => defaultMutation.mutate(template.id)}
+                    className="p-1 text-gray-400 hover:text-blue-600"
+                    title="Make default"
+                  >
+                    <Star className="h-4 w-4" />
+                  </button>
+                )}
+                <a href={`/api/templates/${template.id}/download`} className="p-1 text-gray-400 hover:text-blue-600" title="Download">
+                  <Download className="h-4 w-4" />
+                </a>
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Delete the template ${template.name}?`)) {
+                      deleteMutation.mutate(template.id);
+                    }
+                  }}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  title="Delete"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="file"
+          accept=".docx"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="text-sm"
+        />
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Template name"
+          className="border-gray-300 rounded-md shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          onClick={() => uploadMutation.mutate()}
+          disabled={!file || uploadMutation.isLoading}
+          className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Upload className="h-4 w-4 mr-1" />
+          {uploadMutation.isLoading ? 'Uploading...' : 'Upload Template'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ProposalTemplates;
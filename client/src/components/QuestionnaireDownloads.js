@@ -0,0 +1,43 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import { FileSpreadsheet, Download } from 'lucide-react';
+
+// Completed customer questionnaires of a questionnaire workflow
+const QuestionnaireDownloads = ({ workflowId }) => {
+  const { data } = useQuery(
+    ['questionnaire', workflowId],
+    () => fetch(`/api/rfp/workflow/${workflowId}/questionnaire`).then(res => res.json())
+  );
+
+  const files = data?.files || [];
+  if (files.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 space-y-3">
+      <h2 className="text-sm font-medium text-gray-900">Customer Questionnaires</h2>
+      {files.map(file => (
+        <div key={file.documentId} className="flex items-center justify-between">
+          <div className="flex items-center text-sm text-gray-700">
+            <FileSpreadsheet className="h-5 w-5 mr-2 text-green-600" />
+            <span className="font-medium">{file.fileName}</span>
+            <span className="ml-2 text-gray-500">
+              {file.answered} of {file.questions} questions answered
+              {file.sheets.length > 1 && ` across ${file.sheets.length} sheets`}
+            </span>
+          </div>
+          <a
+            href={`/api/rfp/workflow/${workflowId}/questionnaire/${encodeURIComponent(file.documentId)}/download`}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Download className="h-4 w-4 mr-1" />
+            Download completed workbook
+          </a>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default QuestionnaireDownloads;
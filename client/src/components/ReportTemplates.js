@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import { FileText, Upload, Download, Star, Trash2, ChevronUp, ChevronDown } from 'lucide-react';
+
+// Branded PDF report templates: logo, colours, fonts, sections and footer
+const ReportTemplates = () => {
+  const [name, setName] = useState('');
+  const [logo, setLogo] = useState(null);
+  const [settingsFile, setSettingsFile] = useState(null);
+  const [form, setForm] = useState(null);
+
+  const { data, refetch } = useQuery('pdf-templates', () =>
+    fetch('/api/templates?type=pdf').then(res => res.json())
+  );
+
+  // The built-in template's settings are the starting point of the form
+  const { data: defaults } = useQuery('pdf-template-defaults', () =>
+    fetch('/api/templates/pdf/default').then(res => res.json())
+  );
+
+  useEffect(() => {
+    if (defaults && !form) {
+      setForm(defaults);
+    }
+  }, [defaults, form]);
+
+  const request = (url, options) => fetch(url, options).then(async res => {
+    const result = await res.json();
+    if (!res.ok) {
+      throw new Error(result.error || 'Request failed');
+    }
+    return result;
+  });
+
+  const uploadMutation = useMutation(
+    () => {
+      const formData = new FormData();
+      formData.append('type', 'pdf');
+      formData.append('name', name);
+      if (settingsFile) {
+        formData.append('template', settingsFile);
+      } else {
+        const { logo: _logo, ...settings } = form;
+        formData.append('settings', JSON.stringify(settings));
+      }
+      if (logo) {
+        formData.append('logo', logo);
+      }
+      return request('/api/templates', { method: 'POST', body: formData });
+    },
+    {
+      onSuccess: () => {
+        setName('');
+        setLogo(null);
+        setSettingsFile(null);
+        setForm(defaults);
+        refetch();
+      },
+      onError: (error) => window.alert(`Failed to save template: ${error.message}`)
+    }
+  );
+
+  const defaultMutation = useMutation(
+    (templateId) => request(`/api/templates/${templateId}/default`, { method: 'POST' }),
+    { onSuccess: () => refetch() }
+  );
+
+  const deleteMutation = useMutation(
+    (templateId) => request(`/api/templates/${templateId}`, { method: 'DELETE' }),
+    { onSuccess: () => refetch() }
+  );
+
+  const update = (group, field, value) => setForm(prev => ({
+    ...prev,
+    [group]: field ? { ...prev[group], [field]: value } : value
+  }));
+
+  const moveSection = (index, offset) => {
+    const sections = [...form.sections];
+    const [section] = sections.splice(index, 1);
+    sections.splice(index + offset, 0, section);
+    update('sections', null, sections);
+  };
+
+  const toggleSection = (index) => update('sections', null, form.sections.map((section, i) =>
+    i === index ? { ...section, show: !section.show } : section
+  ));
+
+  const templates = data?.templates || [];
+  const inputClass = 'border-gray-300 rounded-md shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500';
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500">
+        Report templates give each business unit its own PDF report: logo, colours and fonts, the cover
+        page, which sections appear and in what order, and a confidentiality footer. Build one below or upload
+        a settings file based on{' '}
+        <a href="/api/templates/pdf/default" className="text-blue-600 hover:text-blue-800">
+          the built-in template
+        </a>.
+      </p>
+
+      {templates.length > 0 && (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {templates.map(template => (
+            <li key={template.id} className="flex items-center justify-between px-4 py-2">
+              <div className="flex items-center text-sm">
+                <FileText className="h-4 w-4 mr-2 text-red-600" />
+                <span className="font-medium text-gray-900">{template.name}</span>
+                {template.isDefault && (
+                  <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">Default</span>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                {!template.isDefault && (
+                  <button
+                    onClick={() => defaultMutation.mutate(template.id)}
+                    className="p-1 text-gray-400 hover:text-blue-600"
+                    title="Make default"
+                  >
+                    <Star className="h-4 w-4" />
+                  </button>
+                )}
+                <a href={`/api/templates/${template.id}/download`} className="p-1 text-gray-400 hover:text-blue-600" title="Download">
+                  <Download className="h-4 w-4" />
+                </a>
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Delete the template ${template.name}?`)) {
+                      deleteMutation.mutate(template.id);
+                    }
+                  }}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  title="Delete"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {form && (
+        <div className="border border-gray-200 rounded-md p-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block text-sm text-gray-700">
+              Template name
+              <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={`mt-1 block w-full ${inputClass}`} />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Logo (PNG, JPEG, GIF or SVG, up to 1 MB)
+              <input type="file" accept=".png,.jpg,.jpeg,.gif,.svg" onChange={(e) => setLogo(e.target.files[0] || null)} className="mt-1 block text-sm" />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Report title
+              <input type="text" value={form.coverPage.title} onChange={(e) => update('coverPage', 'title', e.target.value)} className={`mt-1 block w-full ${inputClass}`} />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Confidentiality footer
+              <input
+                type="text"
+                value={form.footer.confidentiality || ''}
+                onChange={(e) => update('footer', 'confidentiality', e.target.value)}
+                placeholder="Confidential - prepared for the client only"
+                className={`mt-1 block w-full ${inputClass}`}
+              />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Body font
+              <input type="text" value={form.fonts.body} onChange={(e) => update('fonts', 'body', e.target.value)} className={`mt-1 block w-full ${inputClass}`} />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Heading font
+              <input type="text" value={form.fonts.heading} onChange={(e) => update('fonts', 'heading', e.target.value)} className={`mt-1 block w-full ${inputClass}`} />
+            </label>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+            {Object.keys(form.colors).map(color => (
+              <label key={color} className="inline-flex items-center capitalize">
+                <input type="color" value={form.colors[color]} onChange={(e) => update('colors', color, e.target.value)} className="h-8 w-8 mr-2" />
+                {color}
+              </label>
+            ))}
+            <label className="inline-flex items-center">
+              <input type="checkbox" checked={form.coverPage.show} onChange={(e) => update('coverPage', 'show', e.target.checked)} className="h-4 w-4 mr-2" />
+              Cover page
+            </label>
+            <label className="inline-flex items-center">
+              <input type="checkbox" checked={form.tableOfContents} onChange={(e) => update('tableOfContents', null, e.target.checked)} className="h-4 w-4 mr-2" />
+              Table of contents
+            </label>
+            <label className="inline-flex items-center">
+              <input type="checkbox" checked={form.footer.pageNumbers} onChange={(e) => update('footer', 'pageNumbers', e.target.checked)} className="h-4 w-4 mr-2" />
+              Page numbers
+            </label>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Sections</h4>
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+              {form.sections.map((section, index) => (
+                <li key={section.id} className="flex items-center justify-between px-3 py-1.5 text-sm">
+                  <label className="inline-flex items-center">
+                    <input type="checkbox" checked={section.show} onChange={() => toggleSection(index)} className="h-4 w-4 mr-2" />
+                    <span className={section.show ? 'text-gray-900' : 'text-gray-400'}>{section.title}</span>
+                  </label>
+                  <div className="flex items-center">
+                    <button onClick={() => moveSection(index, -1)} disabled={index === 0} className="p-1 text-gray-400 hover:text-blue-600 disabled:opacity-30" title="Move up">
+                      <ChevronUp className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => moveSection(index, 1)} disabled={index === form.sections.length - 1} className="p-1 text-gray-400 hover:text-blue-600 disabled:opacity-30" title="Move down">
+                      <ChevronDown className="h-4 w-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="text-sm text-gray-500">
+              Or upload a settings file:{' '}
+              <input type="file" accept=".json" onChange={(e) => setSettingsFile(e.target.files[0] || null)} className="text-sm" />
+            </label>
+            <button
+              onClick={() => uploadMutation.mutate()}
+              disabled={uploadMutation.isLoading}
+              className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Upload className="h-4 w-4 mr-1" />
+              {uploadMutation.isLoading ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportTemplates;
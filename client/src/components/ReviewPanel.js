@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import { CheckCircle, XCircle, Plus, Trash2, Eye } from 'lucide-react';
+
+// Which part of a step's output the analyst edits, per gated step
+const reviewFields = {
+  requirements_analysis: { key: 'requirements', textField: 'description', label: 'requirement', idPrefix: 'req' },
+  clarification_questions: { key: 'questionCategories', textField: 'question', label: 'question', idPrefix: 'q' }
+};
+
+const formatStep = (step) => step?.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+const ReviewPanel = ({ workflowId, onSubmitted }) => {
+  const [draft, setDraft] = useState({});
+  const [edited, setEdited] = useState(false);
+  const [feedback, setFeedback] = useState('');
+
+  const { data: review, isLoading, refetch } = useQuery(
+    ['workflow-review', workflowId],
+    () => fetch(`/api/workflow/${workflowId}/review`).then(res => res.json())
+  );
+
+  const pending = review?.pending;
+  const field = pending && reviewFields[pending.step];
+
+  // Start each gate from the output the step produced. react-query keeps the
+  // same pending object across refetches until the review data changes.
+  useEffect(() => {
+    if (pending && field) {
+      setDraft(JSON.parse(JSON.stringify(pending.output?.[field.key] || {})));
+      setEdited(false);
+      setFeedback('');
+    }
+  }, [pending, field]);
+
+  const reviewMutation = useMutation(
+    ({ decision, body }) => fetch(`/api/workflow/${workflowId}/review/${pending.step}/${decision}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body)
+    }).then(async res => {
+      const result = await res.json();
+      if (!res.ok) {
+        throw new Error(result.error || 'Review failed');
+      }
+      return result;
+    }),
+    {
+      onSuccess: () => {
+        refetch();
+        if (onSubmitted) onSubmitted();
+      },
+      onError: (error) => {
+        console.error('Failed to submit review:', error);
+        alert(`Failed to submit review: ${error.message}`);
+      }
+    }
+  );
+
+  const updateItem = (category, index, changes) => {
+    setDraft(previous => ({
+      ...previous,
+      [category]: previous[category].map((item, i) => i === index ? { ...item, ...changes } : item)
+    }));
+    setEdited(true);
+  };
+
+  const removeItem = (category, index) => {
+    setDraft(previous => ({
+      ...previous,
+      [category]: previous[category].filter((_, i) => i !== index)
+    }));
+    setEdited(true);
+  };
+
+  const addItem = (category) => {
+    setDraft(previous => ({
+      ...previous,
+      [category]: [
+        ...(previous[category] || []),
+        {
+          id: `${field.idPrefix}_review_${Date.now()}`,
+          [field.textField]: '',
+          priority: 'medium'
+        }
+      ]
+    }));
+    setEdited(true);
+  };
+
+  const handleApprove = () => {
+    // Rows added but left blank are dropped rather than saved empty
+    const edits = Object.fromEntries(Object.entries(draft).map(([category, items]) => [
+      category,
+      items.filter(item => (item[field.textField] || '').trim())
+    ]));
+
+    reviewMutation.mutate({
+      decision: 'approve',
+      body: { edits: edited ? { [field.key]: edits } : null }
+    });
+  };
+
+  const handleReject = () => {
+    if (!feedback.trim()) {
+      alert('Please describe what should change before rejecting');
+      return;
+    }
+    reviewMutation.mutate({ decision: 'reject', body: { feedback: feedback.trim() } });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="bg-white shadow rounded-lg p-6">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600 mx-auto"></div>
+      </div>
+    );
+  }
+
+  if (!pending) {
+    return null;
+  }
+
+  return (
+    <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-6">
+      <div className="flex items-start">
+        <Eye className="h-5 w-5 text-indigo-500 mt-0.5" />
+        <div className="ml-3 flex-1">
+          <h3 className="text-sm font-medium text-indigo-900">
+            Review required: {formatStep(pending.step)}
+          </h3>
+          <p className="mt-1 text-sm text-indigo-700">
+            Edit the {field ? `${field.label}s` : 'output'} below, then approve to continue the workflow,
+            or reject to run this step again with your feedback.
+          </p>
+
+          {field && (
+            <div className="mt-4 space-y-4">
+              {Object.entries(draft).map(([category, items]) => (
+                <div key={category} className="bg-white rounded-md border border-indigo-100 p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <h4 className="text-sm font-medium text-gray-900 capitalize">
+                      {category.replace(/_/g, ' ')} ({items.length})
+                    </h4>
+                    <button
+                      onClick={() => addItem(category)}
+                      className="inline-flex items-center text-xs text-indigo-700 hover:text-indigo-900"
+                    >
+                      <Plus className="h-3 w-3 mr-1" />
+                      Add {field.label}
+                    </button>
+                  </div>
+                  <div className="space-y-2">
+                    {items.map((item, index) => (
+                      <div key={item.id || index} className="flex items-start space-x-2">
+                        <textarea
+                          value={item[field.textField] || ''}
+                          onChange={(e) => updateItem(category, index, { [field.textField]: e.target.value })}
+                          rows={2}
+                          className="flex-1 text-sm border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <select
+                          value={item.priority || 'medium'}
+                          onChange={(e) => updateItem(category, index, { priority: e.target.value })}
+                          className="text-sm border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                        >
+                          <option value="high">High</option>
+                          <option value="medium">Medium</option>
+                          <option value="low">Low</option>
+                        </select>
+                        <button
+                          onClick={() => removeItem(category, index)}
+                          className="p-2 text-gray-400 hover:text-red-600"
+                          title={`Remove ${field.label}`}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-indigo-900">
+              Feedback (required to reject)
+            </label>
+            <textarea
+              value={feedback}
+              onChange={(e) => setFeedback(e.target.value)}
+              rows={2}
+              className="mt-1 block w-full text-sm border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+              placeholder="What should the model do differently?"
+            />
+          </div>
+
+          <div className="mt-4 flex space-x-3">
+            <button
+              onClick={handleApprove}
+              disabled={reviewMutation.isLoading}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <CheckCircle className="h-4 w-4 mr-2" />
+              {edited ? 'Approve with Edits' : 'Approve'}
+            </button>
+            <button
+              onClick={handleReject}
+              disabled={reviewMutation.isLoading}
+              className="inline-flex items-center px-4 py-2 border border-red-300 text-sm font-medium rounded-md shadow-sm text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+            >
+              <XCircle className="h-4 w-4 mr-2" />
+              Reject and Re-run
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewPanel;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { ShieldAlert, ShieldCheck, RefreshCw } from 'lucide-react';
+
+const severityStyles = {
+  blocking: 'bg-red-600 text-white',
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-gray-100 text-gray-700'
+};
+
+// Findings of the proposal verification, with a re-check after answers were reviewed
+const VerificationFindings = ({ workflowId, verification, onUpdate }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  const verifyMutation = useMutation(
+    () => fetch(`/api/rfp/workflow/${workflowId}/verify`, { method: 'POST' }).then(async res => {
+      const result = await res.json();
+      if (!res.ok) {
+        throw new Error(result.error || 'Verification failed');
+      }
+      return result;
+    }),
+    {
+      onSuccess: () => onUpdate && onUpdate(),
+      onError: (error) => window.alert(`Failed to verify the response: ${error.message}`)
+    }
+  );
+
+  if (!verification) {
+    return null;
+  }
+
+  const findings = verification.findings || [];
+  const blocking = findings.filter(finding => finding.blocking);
+  const shown = showAll ? findings : findings.slice(0, 10);
+
+  return (
+    <div className={`bg-white shadow rounded-lg p-6 ${blocking.length > 0 ? 'border-l-4 border-red-500' : ''}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="flex items-center text-lg font-medium text-gray-900">
+          {blocking.length > 0 ? (
+            <ShieldAlert className="h-5 w-5 mr-2 text-red-600" />
+          ) : (
+            <ShieldCheck className="h-5 w-5 mr-2 text-green-600" />
+          )}
+          Proposal Verification
+        </h3>
+        <button
+          onClick={() => verifyMutation.mutate()}
+          disabled={verifyMutation.isLoading}
+          className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-3 w-3 mr-1 ${verifyMutation.isLoading ? 'animate-spin' : ''}`} />
+          Verify again
+        </button>
+      </div>
+
+      {blocking.length > 0 ? (
+        <p className="mb-4 text-sm text-red-700">
+          {blocking.length} blocking finding{blocking.length !== 1 ? 's' : ''} must be resolved before this proposal goes to the customer.
+        </p>
+      ) : (
+        <p className="mb-4 text-sm text-gray-600">
+          {findings.length > 0 ? 'No blocking findings. Review the warnings below.' : 'Every claim is supported and no contradictions were found.'}
+        </p>
+      )}
+      <p className="mb-4 text-xs text-gray-500">
+        {verification.summary?.claimsChecked || 0} claims checked · {verification.summary?.unsupportedClaims || 0} unsupported · {verification.summary?.contradictions || 0} contradictions · verified {new Date(verification.verifiedAt).toLocaleString()}
+      </p>
+
+      {findings.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {shown.map(finding => (
+            <li key={finding.id} className="py-3">
+              <div className="flex items-start">
+                <span className={`inline-flex px-2 py-0.5 rounded text-xs font-medium mr-3 ${severityStyles[finding.severity]}`}>
+                  {finding.severity}
+                </span>
+                <div className="flex-1 min-w-0 text-sm">
+                  <p className="text-gray-900">{finding.message}</p>
+                  {finding.type === 'contradiction' ? (
+                    <ul className="mt-1 space-y-0.5 text-xs text-gray-600">
+                      {finding.occurrences.map((occurrence, index) => (
+                        <li key={index}>
+                          <span className="font-medium">{occurrence.value}</span> in {occurrence.location.title}: “{occurrence.text}”
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="mt-1 text-xs text-gray-600">
+                      “{finding.claim}” <span className="text-gray-400">({finding.location?.title || 'Proposal'})</span>
+                    </p>
+                  )}
+                  {finding.reason && <p className="mt-1 text-xs text-gray-500 italic">{finding.reason}</p>}
+                  <p className="mt-1 text-xs text-gray-500">{finding.recommendedAction}</p>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {findings.length > 10 && (
+        <button onClick={() => setShowAll(!showAll)} className="mt-2 text-sm text-blue-600 hover:text-blue-800">
+          {showAll ? 'Show fewer' : `Show all ${findings.length} findings`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VerificationFindings;
@@ -9,7 +9,8 @@ import {
   TrendingUp,
   Upload,
   Activity,
-  Trash2
+  Trash2,
+  DollarSign
 } from 'lucide-react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 
@@ -61,9 +62,22 @@ const Dashboard = () => {
     { refetchInterval: 10000 }
   );
 
+  // Fetch LLM spend per workflow
+  const { data: costs } = useQuery(
+    'llm-costs',
+    () => fetch('/api/workflow/costs').then(res => res.json()),
+    { refetchInterval: 30000 }
+  );
+
   const recentWorkflows = workflows?.workflows?.slice(0, 5) || [];
   const statistics = stats?.statistics || {};
   const chartData = statistics.weeklyActivity || [];
+  const costSummary = costs?.costs || {};
+  const spendByWorkflow = Object.fromEntries(
+    (costSummary.byWorkflow || []).map(entry => [entry.workflowId, entry])
+  );
+
+  const formatCost = (cost) => `$${(cost || 0).toFixed(cost >= 1 ? 2 : 4)}`;
 
   const StatCard = ({ title, value, icon: Icon, color, change }) => (
     <div className="bg-white overflow-hidden shadow rounded-lg">
@@ -97,8 +111,11 @@ const Dashboard = () => {
     switch (status) {
       case 'completed': return 'text-green-600 bg-green-100';
       case 'running': return 'text-blue-600 bg-blue-100';
+      case 'queued': return 'text-purple-600 bg-purple-100';
+      case 'awaiting_review': return 'text-indigo-600 bg-indigo-100';
       case 'failed': return 'text-red-600 bg-red-100';
       case 'cancelled': return 'text-gray-600 bg-gray-100';
+      case 'budget_exceeded': return 'text-yellow-600 bg-yellow-100';
       default: return 'text-gray-600 bg-gray-100';
     }
   };
@@ -144,7 +161,7 @@ const Dashboard = () => {
       </div>
 
       {/* Stats Cards */}
-      <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
+      <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-5">
         <StatCard
           title="Total Workflows"
           value={statistics.total || 0}
@@ -172,6 +189,12 @@ const Dashboard = () => {
           color="text-purple-600"
           change={15}
         />
+        <StatCard
+          title="LLM Spend"
+          value={formatCost(costSummary.totalCost)}
+          icon={DollarSign}
+          color="text-emerald-600"
+        />
       </div>
 
       {/* Charts and Recent Activity */}
@@ -239,6 +262,11 @@ const Dashboard = () => {
                           </p>
                           <p className="text-xs text-gray-400">
                             {new Date(workflow.startTime || workflow.created_at).toLocaleString()}
+                            {spendByWorkflow[workflowId] && (
+                              <span className="ml-2" title={`${spendByWorkflow[workflowId].inputTokens} input / ${spendByWorkflow[workflowId].outputTokens} output tokens`}>
+                                · {formatCost(spendByWorkflow[workflowId].totalCost)} spent
+                              </span>
+                            )}
                           </p>
                         </div>
                       </div>
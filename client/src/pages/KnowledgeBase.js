@@ -0,0 +1,340 @@
+import React, { useCallback, useState } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { useQuery, useMutation } from 'react-query';
+import { Database, Upload as UploadIcon, Download, Trash2, History, FileText, Loader } from 'lucide-react';
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const acceptedTypes = {
+  'application/pdf': ['.pdf'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+  'text/plain': ['.txt'],
+  'text/markdown': ['.md', '.markdown'],
+  'text/html': ['.html', '.htm'],
+  'application/rtf': ['.rtf'],
+  'text/csv': ['.csv'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/tiff': ['.tif', '.tiff'],
+  'message/rfc822': ['.eml'],
+  'application/vnd.ms-outlook': ['.msg']
+};
+
+// Versions of one document, loaded when expanded
+const DocumentVersions = ({ documentId }) => {
+  const { data, isLoading } = useQuery(
+    ['knowledge-base-document', documentId],
+    () => fetch(`/api/knowledge-base/${documentId}`).then(res => res.json())
+  );
+
+  if (isLoading) {
+    return <p className="mt-2 text-xs text-gray-500">Loading versions...</p>;
+  }
+
+  return (
+    <div className="mt-3 space-y-1">
+      {(data?.versions || []).map(version => (
+        <div key={version.id} className="flex items-center justify-between text-xs text-gray-600 border-l-2 border-gray-200 pl-2">
+          <span>
+            <span className="font-medium">v{version.version}</span> · {version.fileName} · {new Date(version.createdAt).toLocaleString()}
+            {version.uploadedBy && <> · {version.uploadedBy}</>}
+            {version.status === 'superseded' && <span className="text-gray-400"> (superseded)</span>}
+          </span>
+          <a href={`/api/knowledge-base/${version.id}/download`} className="text-blue-600 hover:text-blue-800">
+            Download
+          </a>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const KnowledgeBase = () => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [files, setFiles] = useState([]);
+  const [tags, setTags] = useState('');
+  const [description, setDescription] = useState('');
+  const [expanded, setExpanded] = useState(null);
+
+  const { data, isLoading, refetch } = useQuery(
+    ['knowledge-base', searchTerm],
+    () => {
+      const params = new URLSearchParams();
+      if (searchTerm) params.append('search', searchTerm);
+      return fetch(`/api/knowledge-base?${params}`).then(res => res.json());
+    },
+    { keepPreviousData: true }
+  );
+
+  const onDrop = useCallback((acceptedFiles) => {
+    setFiles(prev => [...prev, ...acceptedFiles]);
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: acceptedTypes,
+    maxSize: 50 * 1024 * 1024, // 50MB
+    maxFiles: 10
+  });
+
+  const postFiles = (url, formData) => fetch(url, {
+    method: 'POST',
+    body: formData
+  }).then(async res => {
+    const result = await res.json();
+    if (!res.ok) {
+      throw new Error(result.error || 'Upload failed');
+    }
+    return result;
+  });
+
+  const uploadMutation = useMutation(
+    () => {
+      const formData = new FormData();
+      files.forEach(file => formData.append('documents', file));
+      formData.append('tags', tags);
+      formData.append('description', description);
+      return postFiles('/api/knowledge-base', formData);
+    },
+    {
+      onSuccess: (result) => {
+        const failed = result.results.filter(r => !r.success);
+        if (failed.length > 0) {
+          window.alert(`Some files could not be added:\n${failed.map(r => `${r.fileName}: ${r.error}`).join('\n')}`);
+        }
+        setFiles([]);
+        setTags('');
+        setDescription('');
+        refetch();
+      },
+      onError: (error) => {
+        window.alert(`Failed to upload documents: ${error.message}`);
+      }
+    }
+  );
+
+  const versionMutation = useMutation(
+    ({ documentId, file }) => {
+      const formData = new FormData();
+      formData.append('document', file);
+      return postFiles(`/api/knowledge-base/${documentId}/versions`, formData);
+    },
+    {
+      onSuccess: (result) => {
+        window.alert(result.message);
+        refetch();
+      },
+      onError: (error) => {
+        window.alert(`Failed to upload new version: ${error.message}`);
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (documentId) => fetch(`/api/knowledge-base/${documentId}`, { method: 'DELETE' }).then(res => res.json()),
+    {
+      onSuccess: () => refetch()
+    }
+  );
+
+  const handleDelete = (document) => {
+    if (window.confirm(`Delete "${document.title}" and all of its versions? Workflows will no longer use it.`)) {
+      deleteMutation.mutate(document.id);
+    }
+  };
+
+  const documents = data?.documents || [];
+  const stats = data?.stats;
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold leading-7 text-gray-900 sm:text-3xl sm:truncate">
+          Company Knowledge Base
+        </h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Capability statements, certifications and other company documents. Every workflow searches them during answer extraction.
+          {stats && ` ${stats.documents} documents, ${stats.chunks} indexed chunks.`}
+          {stats && !stats.enabled && ' Workflows currently do not search the knowledge base (KNOWLEDGE_BASE_ENABLED=false).'}
+        </p>
+      </div>
+
+      {/* Upload */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <div
+          {...getRootProps()}
+          className={`border-2 border-dashed rounded-lg p-6 text-center cursor-pointer ${
+            isDragActive ? 'border-blue-400 bg-blue-50' : 'border-gray-300 hover:border-gray-400'
+          }`}
+        >
+          <input {...getInputProps()} />
+          <UploadIcon className="mx-auto h-8 w-8 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-600">
+            Drop company documents here, or click to select. A file with the same name as an existing document becomes its new version.
+          </p>
+        </div>
+
+        {files.length > 0 && (
+          <div className="mt-4 space-y-3">
+            <ul className="text-sm text-gray-700">
+              {files.map((file, index) => (
+                <li key={`${file.name}-${index}`} className="flex items-center">
+                  <FileText className="h-4 w-4 mr-2 text-gray-400" />
+                  {file.name} ({formatFileSize(file.size)})
+                </li>
+              ))}
+            </ul>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="text"
+                value={tags}
+                onChange={(e) => setTags(e.target.value)}
+                placeholder="Tags, e.g. certifications, security"
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+              <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Description"
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+            </div>
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => uploadMutation.mutate()}
+                disabled={uploadMutation.isLoading}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                {uploadMutation.isLoading ? (
+                  <Loader className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <UploadIcon className="h-4 w-4 mr-2" />
+                )}
+                {uploadMutation.isLoading ? 'Indexing...' : 'Add to Knowledge Base'}
+              </button>
+              <button
+                onClick={() => setFiles([])}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Search */}
+      <div className="bg-white shadow rounded-lg p-4">
+        <input
+          type="text"
+          placeholder="Search documents..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="block w-full px-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+        />
+      </div>
+
+      {/* Documents */}
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        {documents.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {documents.map(document => (
+              <li key={document.id} className="px-4 py-4 sm:px-6">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      {document.title}
+                      <span className="ml-2 text-xs font-normal text-gray-500">v{document.version}</span>
+                    </p>
+                    {document.description && (
+                      <p className="mt-1 text-sm text-gray-600">{document.description}</p>
+                    )}
+                    <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                      {document.tags.map(tag => (
+                        <span key={tag} className="inline-flex items-center px-2 py-0.5 rounded-full font-medium bg-blue-100 text-blue-800">
+                          {tag}
+                        </span>
+                      ))}
+                      <span>{document.fileName}</span>
+                      <span>{formatFileSize(document.fileSize)}</span>
+                      <span>{document.chunkCount} chunks</span>
+                      {document.inGraph && <span>In knowledge graph</span>}
+                      <span>Updated {new Date(document.createdAt).toLocaleDateString()}</span>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2 ml-4">
+                    <button
+                      onClick={() => setExpanded(expanded === document.id ? null : document.id)}
+                      className="p-1 text-gray-400 hover:text-gray-700"
+                      title="Versions"
+                    >
+                      <History className="h-4 w-4" />
+                    </button>
+                    <label className="p-1 text-gray-400 hover:text-blue-600 cursor-pointer" title="Upload new version">
+                      <UploadIcon className="h-4 w-4" />
+                      <input
+                        type="file"
+                        className="hidden"
+                        accept={Object.values(acceptedTypes).flat().join(',')}
+                        onChange={(e) => {
+                          if (e.target.files[0]) {
+                            versionMutation.mutate({ documentId: document.id, file: e.target.files[0] });
+                          }
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                    <a
+                      href={`/api/knowledge-base/${document.id}/download`}
+                      className="p-1 text-gray-400 hover:text-blue-600"
+                      title="Download"
+                    >
+                      <Download className="h-4 w-4" />
+                    </a>
+                    <button
+                      onClick={() => handleDelete(document)}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Delete document"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                {expanded === document.id && <DocumentVersions documentId={document.id} />}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="text-center py-12">
+            <Database className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">
+              {searchTerm ? 'No documents match your search' : 'The knowledge base is empty'}
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Upload company documents once and every RFP workflow can answer from them.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default KnowledgeBase;
@@ -0,0 +1,382 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import { Link } from 'react-router-dom';
+import { BookOpen, Plus, Edit2, Trash2, CheckCircle, Archive, Save, X } from 'lucide-react';
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString() : '—';
+
+// Date inputs want YYYY-MM-DD
+const toInputDate = (value) => value ? new Date(value).toISOString().slice(0, 10) : '';
+
+const emptyEntry = {
+  question: '',
+  answer: '',
+  tags: '',
+  owner: '',
+  expiresAt: '',
+  reviewDueAt: ''
+};
+
+const Library = () => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [dueOnly, setDueOnly] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [editing, setEditing] = useState(null); // entry being edited, or {} for a new one
+  const [formData, setFormData] = useState(emptyEntry);
+
+  const { data, isLoading, refetch } = useQuery(
+    ['answer-library', searchTerm, tagFilter, dueOnly, showArchived],
+    () => {
+      const params = new URLSearchParams();
+      if (searchTerm) params.append('search', searchTerm);
+      if (tagFilter) params.append('tag', tagFilter);
+      if (dueOnly) params.append('dueForReview', 'true');
+      params.append('status', showArchived ? 'all' : 'active');
+      return fetch(`/api/library?${params}`).then(res => res.json());
+    },
+    { keepPreviousData: true }
+  );
+
+  const entries = data?.entries || [];
+  const allTags = [...new Set(entries.flatMap(entry => entry.tags))].sort();
+
+  const saveMutation = useMutation(
+    ({ id, body }) => fetch(id ? `/api/library/${id}` : '/api/library', {
+      method: id ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body)
+    }).then(async res => {
+      const result = await res.json();
+      if (!res.ok) {
+        throw new Error(result.error || 'Save failed');
+      }
+      return result;
+    }),
+    {
+      onSuccess: () => {
+        setEditing(null);
+        refetch();
+      },
+      onError: (error) => {
+        window.alert(`Failed to save library entry: ${error.message}`);
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (id) => fetch(`/api/library/${id}`, { method: 'DELETE' }).then(res => res.json()),
+    {
+      onSuccess: () => refetch()
+    }
+  );
+
+  const startEditing = (entry) => {
+    setEditing(entry);
+    setFormData(entry.id ? {
+      question: entry.question,
+      answer: entry.answer,
+      tags: entry.tags.join(', '),
+      owner: entry.owner || '',
+      expiresAt: toInputDate(entry.expiresAt),
+      reviewDueAt: toInputDate(entry.reviewDueAt)
+    } : emptyEntry);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.question.trim() || !formData.answer.trim()) {
+      window.alert('Question and answer are required');
+      return;
+    }
+
+    saveMutation.mutate({
+      id: editing.id,
+      body: {
+        ...formData,
+        // Empty dates clear the expiry; an empty review date keeps the default
+        expiresAt: formData.expiresAt || null,
+        reviewDueAt: formData.reviewDueAt || undefined
+      }
+    });
+  };
+
+  const handleDelete = (entry) => {
+    if (window.confirm('Delete this library entry? Workflows will no longer reuse it.')) {
+      deleteMutation.mutate(entry.id);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="md:flex md:items-center md:justify-between">
+        <div className="flex-1 min-w-0">
+          <h2 className="text-2xl font-bold leading-7 text-gray-900 sm:text-3xl sm:truncate">
+            Answer Library
+          </h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Approved answers reused across RFPs. Answer extraction checks the library before the documents.
+          </p>
+        </div>
+        <div className="mt-4 flex md:mt-0 md:ml-4">
+          <button
+            onClick={() => startEditing({})}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Entry
+          </button>
+        </div>
+      </div>
+
+      {/* Search and Filter */}
+      <div className="bg-white shadow rounded-lg p-4">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0 sm:space-x-4">
+          <div className="flex-1">
+            <input
+              type="text"
+              placeholder="Search questions and answers..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            />
+          </div>
+          <div className="flex items-center space-x-4">
+            <select
+              value={tagFilter}
+              onChange={(e) => setTagFilter(e.target.value)}
+              className="block pl-3 pr-10 py-2 text-base border border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            >
+              <option value="">All Tags</option>
+              {allTags.map(tag => (
+                <option key={tag} value={tag}>{tag}</option>
+              ))}
+            </select>
+            <label className="inline-flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={dueOnly}
+                onChange={(e) => setDueOnly(e.target.checked)}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+              />
+              Due for review
+            </label>
+            <label className="inline-flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={showArchived}
+                onChange={(e) => setShowArchived(e.target.checked)}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+              />
+              Show archived
+            </label>
+          </div>
+        </div>
+      </div>
+
+      {/* Entries */}
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        {entries.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {entries.map(entry => {
+              const reviewDue = entry.reviewDueAt && new Date(entry.reviewDueAt) <= new Date();
+              return (
+                <li key={entry.id} className="px-4 py-4 sm:px-6">
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900">{entry.question}</p>
+                      <p className="mt-1 text-sm text-gray-700 whitespace-pre-line">{entry.answer}</p>
+                      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                        {entry.tags.map(tag => (
+                          <span key={tag} className="inline-flex items-center px-2 py-0.5 rounded-full font-medium bg-blue-100 text-blue-800">
+                            {tag}
+                          </span>
+                        ))}
+                        {entry.status === 'archived' && (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full font-medium bg-gray-100 text-gray-800">
+                            Archived
+                          </span>
+                        )}
+                        {entry.expired && (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full font-medium bg-red-100 text-red-800">
+                            Expired
+                          </span>
+                        )}
+                        {reviewDue && (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full font-medium bg-yellow-100 text-yellow-800">
+                            Review due
+                          </span>
+                        )}
+                        <span>Owner: {entry.owner || 'Unassigned'}</span>
+                        <span>Review by: {formatDate(entry.reviewDueAt)}</span>
+                        <span>Expires: {formatDate(entry.expiresAt)}</span>
+                        <span>Used {entry.usageCount} time{entry.usageCount !== 1 ? 's' : ''}</span>
+                        {entry.sourceWorkflowId && (
+                          <Link to={`/results/${entry.sourceWorkflowId}`} className="text-blue-600 hover:text-blue-800">
+                            Source workflow
+                          </Link>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2 ml-4">
+                      <button
+                        onClick={() => saveMutation.mutate({ id: entry.id, body: { reviewed: true } })}
+                        className="p-1 text-gray-400 hover:text-green-600"
+                        title="Mark reviewed"
+                      >
+                        <CheckCircle className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => startEditing(entry)}
+                        className="p-1 text-gray-400 hover:text-blue-600"
+                        title="Edit entry"
+                      >
+                        <Edit2 className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => saveMutation.mutate({
+                          id: entry.id,
+                          body: { status: entry.status === 'archived' ? 'active' : 'archived' }
+                        })}
+                        className="p-1 text-gray-400 hover:text-gray-700"
+                        title={entry.status === 'archived' ? 'Restore entry' : 'Archive entry'}
+                      >
+                        <Archive className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(entry)}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        title="Delete entry"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <div className="text-center py-12">
+            <BookOpen className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">
+              {searchTerm || tagFilter || dueOnly ? 'No entries match your filters' : 'The library is empty'}
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Approve an answer on a workflow's Results page and add it to the library, or add an entry here.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Add / edit modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 lg:w-1/2 shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">{editing.id ? 'Edit Library Entry' : 'Add Library Entry'}</h3>
+              <button onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit}>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Question *</label>
+                <textarea
+                  value={formData.question}
+                  onChange={(e) => setFormData({ ...formData, question: e.target.value })}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  rows={2}
+                  required
+                />
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Answer *</label>
+                <textarea
+                  value={formData.answer}
+                  onChange={(e) => setFormData({ ...formData, answer: e.target.value })}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  rows={5}
+                  required
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                  <input
+                    type="text"
+                    value={formData.tags}
+                    onChange={(e) => setFormData({ ...formData, tags: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                    placeholder="security, company-profile"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Owner</label>
+                  <input
+                    type="text"
+                    value={formData.owner}
+                    onChange={(e) => setFormData({ ...formData, owner: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Review by</label>
+                  <input
+                    type="date"
+                    value={formData.reviewDueAt}
+                    onChange={(e) => setFormData({ ...formData, reviewDueAt: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Expires</label>
+                  <input
+                    type="date"
+                    value={formData.expiresAt}
+                    onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saveMutation.isLoading}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Save className="h-4 w-4 mr-2" />
+                  {saveMutation.isLoading ? 'Saving...' : 'Save Entry'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Library;
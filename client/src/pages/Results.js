@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, Link } from 'react-router-dom';
 import { useQuery, useMutation } from 'react-query';
 import { 
   FileText, 
@@ -18,16 +18,28 @@ import {
   FileSpreadsheet,
   Share2,
   Cloud,
-  Layers
+  Layers,
+  ClipboardCheck,
+  FilePlus
 } from 'lucide-react';
 import MindmapViewer from '../components/MindmapViewer';
 import ArchitectureAnalysis from '../components/ArchitectureAnalysis';
 import ArchitectureDiagram from '../components/ArchitectureDiagram';
 import KnowledgeGraph from '../components/KnowledgeGraph';
+import AnswerReviewControls from '../components/AnswerReviewControls';
+import AnswerCitations from '../components/AnswerCitations';
+import VerificationFindings from '../components/VerificationFindings';
+import ComplianceMatrix from '../components/ComplianceMatrix';
+import QuestionnaireDownloads from '../components/QuestionnaireDownloads';
+import AddendumHistory from '../components/AddendumHistory';
 
 const Results = () => {
   const { workflowId } = useParams();
   const [activeTab, setActiveTab] = useState('overview');
+  const [approvedAnswersOnly, setApprovedAnswersOnly] = useState(false);
+  const [docxTemplateId, setDocxTemplateId] = useState('');
+  const [reportTemplateId, setReportTemplateId] = useState('');
+  const [exportFormat, setExportFormat] = useState('md');
   const [expandedSections, setExpandedSections] = useState({
     'answered': true, // Expand answered questions by default
     'unanswered': true // Expand unanswered questions by default
@@ -37,7 +49,7 @@ const Results = () => {
   const countRequirements = (requirementsAnalysis, directRequirements) => {
     // Check direct requirements array first (new structure)
     if (directRequirements && Array.isArray(directRequirements)) {
-      return directRequirements.length;
+      return directRequirements.filter(req => req.status !== 'superseded').length;
     }
     // Fallback to nested structure (old structure)
     if (!requirementsAnalysis?.requirements) return 0;
@@ -78,6 +90,16 @@ const Results = () => {
     { enabled: !!workflowId }
   );
 
+  // Word templates for the proposal export
+  const { data: docxTemplates } = useQuery('docx-templates', () =>
+    fetch('/api/templates?type=docx').then(res => res.json())
+  );
+
+  // Branded PDF report templates
+  const { data: reportTemplates } = useQuery('pdf-templates', () =>
+    fetch('/api/templates?type=pdf').then(res => res.json())
+  );
+
   // Retry workflow mutation
   const retryMutation = useMutation(
     ({ workflowId, fromStep }) => fetch(`/api/rfp/workflow/${workflowId}/retry`, {
@@ -110,6 +132,8 @@ const Results = () => {
     { id: 'requirements', name: 'Requirements', icon: FileText },
     { id: 'questions', name: 'Questions', icon: AlertCircle },
     { id: 'answers', name: 'Answers', icon: CheckCircle },
+    { id: 'compliance', name: 'Compliance Matrix', icon: ClipboardCheck },
+    { id: 'addenda', name: 'Addenda', icon: FilePlus },
     { id: 'mindmap', name: 'Mindmap', icon: Share2 },
     { id: 'architecture', name: 'Architecture Analysis', icon: Cloud },
     { id: 'diagram', name: 'Architecture Diagram', icon: Layers },
@@ -228,7 +252,7 @@ const Results = () => {
           <h3 className="text-lg font-medium text-gray-900 mb-4">Processed Documents</h3>
           <div className="space-y-4">
             {results.documents.map((doc, index) => (
-              <div key={doc.id || index} className="border border-gray-200 rounded-lg p-4">
+              <div key={doc.id || index} className={`border border-gray-200 rounded-lg p-4 ${doc.parent_document_id ? 'ml-6' : ''}`}>
                 <div className="flex items-center justify-between">
                   <div className="flex-1">
                     <div className="flex items-center">
@@ -290,6 +314,21 @@ const Results = () => {
                     <p className="text-xs text-gray-500">
                       Uploaded: {new Date(doc.created_at).toLocaleString()}
                     </p>
+                    {doc.parent_document_id && (
+                      <p className="text-xs text-gray-500">
+                        Unpacked from {results.documents.find(parent => parent.id === doc.parent_document_id)?.original_name || 'an archive'}
+                        {doc.metadata.bundlePath && doc.metadata.bundlePath !== doc.original_name ? ` (${doc.metadata.bundlePath})` : ''}
+                      </p>
+                    )}
+                    {doc.metadata.bundle && (
+                      <p className={`text-xs ${doc.metadata.bundle.error ? 'text-red-600' : 'text-gray-500'}`}>
+                        {doc.metadata.bundle.error
+                          ? `Could not be unpacked: ${doc.metadata.bundle.error}`
+                          : `${doc.metadata.bundle.files} files unpacked`}
+                        {doc.metadata.bundle.skipped?.length > 0 &&
+                          `; skipped ${doc.metadata.bundle.skipped.map(file => `${file.name} (${file.reason})`).join(', ')}`}
+                      </p>
+                    )}
                   </div>
                 )}
               </div>
@@ -319,6 +358,9 @@ const Results = () => {
         </div>
       )}
 
+      {/* Verification findings */}
+      <VerificationFindings workflowId={workflowId} verification={compiledResponse?.verification} onUpdate={refetch} />
+
       {/* Completeness Score */}
       {compiledResponse?.qualityAssurance && (
         <div className="bg-white shadow rounded-lg p-6">
@@ -343,6 +385,9 @@ const Results = () => {
   );
 
   const RequirementsTab = () => {
+    const [showAddForm, setShowAddForm] = useState(false);
+    const [editingRequirement, setEditingRequirement] = useState(null);
+
     // Use direct requirements array if available, otherwise fall back to nested structure
     const requirementsToShow = results.requirements || requirementsAnalysis?.requirements;
     
@@ -362,6 +407,36 @@ const Results = () => {
 
     return (
       <div className="space-y-6">
+        {/* Manage Requirements Section */}
+        <div className="bg-white shadow rounded-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-medium text-gray-900">Manage Requirements</h3>
+            <button
+              onClick={() => setShowAddForm(!showAddForm)}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700"
+            >
+              {showAddForm ? 'Cancel' : 'Add Requirement'}
+            </button>
+          </div>
+          <p className="text-sm text-gray-500">
+            Editing or deleting a requirement marks the questions and answers linked to it as stale.
+            Addenda applied from the Addenda tab update, supersede and add requirements the same way.
+          </p>
+
+          {showAddForm && (
+            <div className="mt-4">
+              <RequirementForm
+                workflowId={workflowId}
+                onSuccess={() => {
+                  setShowAddForm(false);
+                  refetch();
+                }}
+                onCancel={() => setShowAddForm(false)}
+              />
+            </div>
+          )}
+        </div>
+
         {Object.keys(requirementsByCategory).length > 0 && Object.entries(requirementsByCategory).map(([category, reqs]) => {
           if (!Array.isArray(reqs)) return null;
           return (
@@ -385,32 +460,13 @@ const Results = () => {
               <div className="px-6 py-4">
                 <div className="space-y-4">
                   {reqs.map((req, index) => (
-                    <div key={req.id || index} className="border border-gray-200 rounded-lg p-4">
-                      <div className="flex items-start justify-between">
-                        <div className="flex-1">
-                          <p className="text-sm font-medium text-gray-900">{req.description}</p>
-                          <div className="mt-2 flex items-center space-x-4">
-                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                              req.priority === 'high' ? 'bg-red-100 text-red-800' :
-                              req.priority === 'medium' ? 'bg-yellow-100 text-yellow-800' :
-                              'bg-green-100 text-green-800'
-                            }`}>
-                              {req.priority} priority
-                            </span>
-                            {req.complexity && (
-                              <span className="text-xs text-gray-500">
-                                Complexity: {req.complexity}
-                              </span>
-                            )}
-                            {req.mandatory !== undefined && (
-                              <span className={`text-xs ${req.mandatory ? 'text-red-600' : 'text-gray-500'}`}>
-                                {req.mandatory ? 'Mandatory' : 'Optional'}
-                              </span>
-                            )}
-                          </div>
-                        </div>
-                      </div>
-                    </div>
+                    <RequirementCard
+                      key={req.requirement_id || req.id || index}
+                      requirement={req}
+                      workflowId={workflowId}
+                      onEdit={setEditingRequirement}
+                      onUpdate={refetch}
+                    />
                   ))}
                 </div>
               </div>
@@ -427,6 +483,22 @@ const Results = () => {
             </p>
           </div>
         )}
+
+        {editingRequirement && (
+          <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+            <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 lg:w-1/2 shadow-lg rounded-md bg-white">
+              <RequirementForm
+                requirement={editingRequirement}
+                workflowId={workflowId}
+                onSuccess={() => {
+                  setEditingRequirement(null);
+                  refetch();
+                }}
+                onCancel={() => setEditingRequirement(null)}
+              />
+            </div>
+          </div>
+        )}
       </div>
     );
   };
@@ -727,7 +799,12 @@ const Results = () => {
           answer: answer ? (answer.answer_text || answer.answerText || answer.answer) : null,
           confidence: answer ? (answer.confidence_score || answer.confidenceScore || answer.confidence) : null,
           sources: answer ? (typeof answer.sources === 'string' ? JSON.parse(answer.sources) : answer.sources) : [],
+          grounding: answer ? (typeof answer.grounding === 'string' ? JSON.parse(answer.grounding) : answer.grounding) : null,
           answerType: answer ? (answer.answer_type || answer.answerType || answer.type) : null,
+          staleReason: answer && answer.is_stale ? (answer.stale_reason || 'A related requirement changed') : null,
+          answerId: answer ? answer.id : null,
+          reviewStatus: answer ? (answer.review_status || 'draft') : null,
+          reviewerComment: answer ? answer.reviewer_comment : null,
           hasAnswer: !!answer
         });
       });
@@ -765,7 +842,7 @@ const Results = () => {
                         <p className="text-sm font-medium text-gray-900 mb-2">
                           Q: {qa.questionText || 'Question text not available'}
                         </p>
-                        <p className="text-sm text-gray-700">{qa.answer || 'Answer not available'}</p>
+                        <AnswerCitations answer={qa.answer} sources={qa.sources} grounding={qa.grounding} workflowId={workflowId} />
                       </div>
                       <div className="flex items-center justify-between">
                         <div className="flex items-center space-x-4">
@@ -778,10 +855,13 @@ const Results = () => {
                               Confidence: {Math.round((qa.confidence || 0) * 100)}%
                             </span>
                           )}
-                          {qa.sources && Array.isArray(qa.sources) && qa.sources.length > 0 && (
-                            <span className="text-xs text-gray-500">
-                              Sources: {qa.sources.map(s => s.documentName || s.name || s.documentId || 'Unknown').join(', ')}
-                            </span>
+                          {qa.sources && Array.isArray(qa.sources) && qa.sources.some(s => s.libraryEntryId) && (
+                            <Link
+                              to="/library"
+                              className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 hover:bg-blue-200"
+                            >
+                              From answer library
+                            </Link>
                           )}
                           {qa.answerType && (
                             <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
@@ -790,8 +870,28 @@ const Results = () => {
                               {qa.answerType}
                             </span>
                           )}
+                          {qa.staleReason && (
+                            <span
+                              className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800"
+                              title={qa.staleReason}
+                            >
+                              <AlertCircle className="h-3 w-3 mr-1" />
+                              Stale
+                            </span>
+                          )}
                         </div>
                       </div>
+                      {/* Only answers stored in the database can be reviewed */}
+                      {qa.answerId && (
+                        <AnswerReviewControls
+                          workflowId={workflowId}
+                          answerId={qa.answerId}
+                          answerText={qa.answer}
+                          status={qa.reviewStatus}
+                          comment={qa.reviewerComment}
+                          onUpdate={refetch}
+                        />
+                      )}
                     </div>
                   ))}
                 </div>
@@ -918,10 +1018,45 @@ const Results = () => {
             <RefreshCw className="h-4 w-4 mr-2" />
             {retryMutation.isLoading ? 'Retrying...' : 'Retry Workflow'}
           </button>
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={approvedAnswersOnly}
+              onChange={(e) => setApprovedAnswersOnly(e.target.checked)}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+            />
+            Approved answers only
+          </label>
+          {reportTemplates?.templates?.length > 0 && (
+            <select
+              value={reportTemplateId}
+              onChange={(e) => setReportTemplateId(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+              title="Report template"
+            >
+              <option value="">Default report template</option>
+              {reportTemplates.templates.map(template => (
+                <option key={template.id} value={template.id}>{template.name}</option>
+              ))}
+            </select>
+          )}
           <button
             onClick={() => {
+              const blocking = compiledResponse?.verification?.summary?.blocking || 0;
+              if (blocking > 0 && !window.confirm(`The proposal has ${blocking} blocking verification finding${blocking !== 1 ? 's' : ''}. Download the report anyway?`)) {
+                return;
+              }
               // Download PDF logic
-              fetch(`/api/generate-pdf/${workflowId}`, { method: 'POST' })
+              fetch(`/api/generate-pdf/${workflowId}`, {
+                method: 'POST',
+                headers: {
+                  'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                  ...(reportTemplateId ? { templateId: reportTemplateId } : {}),
+                  ...(approvedAnswersOnly ? { approvedOnly: true } : {})
+                })
+              })
                 .then(response => response.blob())
                 .then(blob => {
                   const url = window.URL.createObjectURL(blob);
@@ -936,9 +1071,75 @@ const Results = () => {
             <Download className="h-4 w-4 mr-2" />
             Download PDF Report
           </button>
+          {docxTemplates?.templates?.length > 0 && (
+            <select
+              value={docxTemplateId}
+              onChange={(e) => setDocxTemplateId(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+              title="Word template"
+            >
+              <option value="">Default template</option>
+              {docxTemplates.templates.map(template => (
+                <option key={template.id} value={template.id}>{template.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={() => {
+              fetch(`/api/workflow/${workflowId}/docx`, {
+                method: 'POST',
+                headers: {
+                  'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                  ...(docxTemplateId ? { templateId: docxTemplateId } : {}),
+                  ...(approvedAnswersOnly ? { approvedOnly: true } : {})
+                })
+              })
+                .then(async response => {
+                  if (!response.ok) {
+                    const result = await response.json();
+                    throw new Error(result.error || 'Export failed');
+                  }
+                  return response.blob();
+                })
+                .then(blob => {
+                  const url = window.URL.createObjectURL(blob);
+                  const a = document.createElement('a');
+                  a.href = url;
+                  a.download = `rfp-proposal-${workflowId}.docx`;
+                  a.click();
+                })
+                .catch(error => window.alert(`Failed to generate the Word proposal: ${error.message}`));
+            }}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <FileText className="h-4 w-4 mr-2" />
+            Download Word
+          </button>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+            title="Export format"
+          >
+            <option value="md">Markdown</option>
+            <option value="html">HTML</option>
+            <option value="xlsx">Excel workbook</option>
+            <option value="json">JSON</option>
+          </select>
+          <a
+            href={`/api/workflow/${workflowId}/export?format=${exportFormat}${approvedAnswersOnly ? '&approvedOnly=true' : ''}`}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <FileSpreadsheet className="h-4 w-4 mr-2" />
+            Export
+          </a>
         </div>
       </div>
 
+      <QuestionnaireDownloads workflowId={workflowId} />
+
       {/* Tabs */}
       <div className="bg-white shadow rounded-lg">
         <div className="border-b border-gray-200">
@@ -968,6 +1169,8 @@ const Results = () => {
           {activeTab === 'requirements' && <RequirementsTab />}
           {activeTab === 'questions' && <QuestionsTab />}
           {activeTab === 'answers' && <AnswersTab />}
+          {activeTab === 'compliance' && <ComplianceMatrix workflowId={workflowId} />}
+          {activeTab === 'addenda' && <AddendumHistory workflowId={workflowId} onApplied={refetch} />}
           {activeTab === 'mindmap' && <MindmapViewer workflowId={workflowId} />}
           {activeTab === 'architecture' && <ArchitectureAnalysis workflowId={workflowId} />}
           {activeTab === 'diagram' && <ArchitectureDiagram workflowId={workflowId} />}
@@ -978,6 +1181,272 @@ const Results = () => {
   );
 };
 
+// Reports how many linked questions a requirement change marked stale
+const alertStaleDependents = (stale) => {
+  if (stale && stale.questions.length > 0) {
+    window.alert(
+      `${stale.questions.length} related question${stale.questions.length !== 1 ? 's' : ''} and ` +
+      `${stale.answers} answer${stale.answers !== 1 ? 's' : ''} were marked stale and should be reviewed.`
+    );
+  }
+};
+
+// Component for individual requirement cards with edit/delete functionality
+const RequirementCard = ({ requirement, workflowId, onEdit, onUpdate }) => {
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  // Only rows loaded from the database can be edited
+  const editable = !!requirement.requirement_id;
+
+  const deleteRequirement = async () => {
+    if (!window.confirm('Are you sure you want to delete this requirement?')) {
+      return;
+    }
+
+    setIsDeleting(true);
+    try {
+      const response = await fetch(`/api/rfp/workflow/${workflowId}/requirements/${requirement.requirement_id}`, {
+        method: 'DELETE'
+      });
+
+      const result = await response.json();
+      if (response.ok) {
+        alertStaleDependents(result.stale);
+        onUpdate();
+      } else {
+        window.alert('Failed to delete requirement: ' + result.error);
+      }
+    } catch (error) {
+      window.alert('Failed to delete requirement: ' + error.message);
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex items-start justify-between">
+        <div className="flex-1">
+          <p className={`text-sm font-medium ${requirement.status === 'superseded' ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+            {requirement.description}
+          </p>
+          <div className="mt-2 flex items-center space-x-4">
+            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+              requirement.priority === 'high' ? 'bg-red-100 text-red-800' :
+              requirement.priority === 'medium' ? 'bg-yellow-100 text-yellow-800' :
+              'bg-green-100 text-green-800'
+            }`}>
+              {requirement.priority} priority
+            </span>
+            {requirement.complexity && (
+              <span className="text-xs text-gray-500">
+                Complexity: {requirement.complexity}
+              </span>
+            )}
+            {requirement.mandatory !== undefined && (
+              <span className={`text-xs ${requirement.mandatory ? 'text-red-600' : 'text-gray-500'}`}>
+                {requirement.mandatory ? 'Mandatory' : 'Optional'}
+              </span>
+            )}
+            {requirement.created_by === 'user' && (
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                Edited
+              </span>
+            )}
+            {requirement.status === 'superseded' ? (
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                Superseded{requirement.superseded_by ? ` by ${requirement.superseded_by}` : ''}
+              </span>
+            ) : requirement.amended_by && (
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                {requirement.created_by === 'addendum' ? 'Added by addendum' : 'Amended'}
+              </span>
+            )}
+          </div>
+        </div>
+
+        {editable && (
+          <div className="flex items-center space-x-2 ml-4">
+            <button
+              onClick={() => onEdit(requirement)}
+              className="p-1 text-gray-400 hover:text-blue-600"
+              title="Edit requirement"
+            >
+              <Edit2 className="h-4 w-4" />
+            </button>
+            <button
+              onClick={deleteRequirement}
+              disabled={isDeleting}
+              className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+              title="Delete requirement"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Component for adding a requirement, or editing one when `requirement` is given
+const RequirementForm = ({ requirement, workflowId, onSuccess, onCancel }) => {
+  const [formData, setFormData] = useState({
+    category: requirement?.category || 'technical',
+    description: requirement?.description || '',
+    priority: requirement?.priority || 'medium',
+    complexity: requirement?.complexity || 'medium',
+    mandatory: !!requirement?.mandatory
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.description.trim()) {
+      window.alert('Description is required');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const url = requirement
+        ? `/api/rfp/workflow/${workflowId}/requirements/${requirement.requirement_id}`
+        : `/api/rfp/workflow/${workflowId}/requirements`;
+      const response = await fetch(url, {
+        method: requirement ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(formData)
+      });
+
+      const result = await response.json();
+      if (response.ok) {
+        alertStaleDependents(result.stale);
+        onSuccess();
+      } else {
+        window.alert(`Failed to ${requirement ? 'update' : 'add'} requirement: ` + result.error);
+      }
+    } catch (error) {
+      window.alert(`Failed to ${requirement ? 'update' : 'add'} requirement: ` + error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={requirement ? '' : 'border border-gray-200 rounded-lg p-4 bg-gray-50'}>
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-md font-medium text-gray-900">{requirement ? 'Edit Requirement' : 'Add Requirement'}</h4>
+        {requirement && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Category *
+          </label>
+          <select
+            value={formData.category}
+            onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            required
+          >
+            <option value="technical">Technical</option>
+            <option value="business">Business</option>
+            <option value="compliance">Compliance</option>
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Priority *
+          </label>
+          <select
+            value={formData.priority}
+            onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            required
+          >
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Complexity
+          </label>
+          <select
+            value={formData.complexity}
+            onChange={(e) => setFormData({ ...formData, complexity: e.target.value })}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Description *
+        </label>
+        <textarea
+          value={formData.description}
+          onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          rows={3}
+          placeholder="Describe the requirement..."
+          required
+        />
+      </div>
+
+      <div className="mb-4">
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={formData.mandatory}
+            onChange={(e) => setFormData({ ...formData, mandatory: e.target.checked })}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+          />
+          Mandatory requirement
+        </label>
+      </div>
+
+      <div className="flex items-center space-x-3">
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Save className="h-4 w-4 mr-2" />
+          {isSubmitting ? 'Saving...' : requirement ? 'Update Requirement' : 'Add Requirement'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <X className="h-4 w-4 mr-2" />
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
 // Component for individual question cards with edit/delete functionality
 const QuestionCard = ({ question, workflowId, onEdit, onUpdate, hasAnswer }) => {
   const [isDeleting, setIsDeleting] = useState(false);
@@ -1036,6 +1505,11 @@ const QuestionCard = ({ question, workflowId, onEdit, onUpdate, hasAnswer }) =>
             </span>
           </div>
           <p className="text-sm text-gray-600 mb-3">{question.rationale}</p>
+          {question.section && (
+            <p className="text-xs text-gray-500 mb-3">
+              RFP section: {[question.sourceDocument, question.section].filter(Boolean).join(', ')}
+            </p>
+          )}
           {question.impact && (
             <p className="text-sm text-gray-600 mb-3">
               <span className="font-medium">Impact:</span> {question.impact}
@@ -1054,6 +1528,14 @@ const QuestionCard = ({ question, workflowId, onEdit, onUpdate, hasAnswer }) =>
                 Custom
               </span>
             )}
+            {!!question.is_stale && (
+              <span
+                className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800"
+                title={question.stale_reason || 'A related requirement changed'}
+              >
+                Stale
+              </span>
+            )}
           </div>
         </div>
         
@@ -1,5 +1,8 @@
 import React, { useState } from 'react';
+import { useQuery } from 'react-query';
 import { Save, AlertCircle, CheckCircle } from 'lucide-react';
+import ProposalTemplates from '../components/ProposalTemplates';
+import ReportTemplates from '../components/ReportTemplates';
 
 const Settings = () => {
   const [settings, setSettings] = useState({
@@ -24,6 +27,11 @@ const Settings = () => {
 
   const [saveStatus, setSaveStatus] = useState(null);
 
+  // The formats the server ingests, so the list never offers one it rejects
+  const { data: formats } = useQuery('supported-formats', () =>
+    fetch('/api/documents/formats/supported').then(res => res.json())
+  );
+
   const handleSettingChange = (section, key, value) => {
     setSettings(prev => ({
       ...prev,
@@ -180,7 +188,7 @@ const Settings = () => {
           description="File types that can be uploaded"
         >
           <div className="space-y-2">
-            {['pdf', 'docx', 'txt', 'csv', 'xlsx', 'xls'].map(type => (
+            {(formats?.supportedFormats || []).map(type => (
               <label key={type} className="flex items-center">
                 <input
                   type="checkbox"
@@ -277,6 +285,16 @@ const Settings = () => {
         </SettingField>
       </SettingSection>
 
+      {/* Word templates for proposal exports */}
+      <SettingSection title="Word Proposal Templates">
+        <ProposalTemplates />
+      </SettingSection>
+
+      {/* Branded PDF report templates */}
+      <SettingSection title="PDF Report Templates">
+        <ReportTemplates />
+      </SettingSection>
+
       {/* System Information */}
       <SettingSection title="System Information">
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -1,6 +1,6 @@
 import React, { useState, useCallback } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { 
   Upload as UploadIcon, 
   File, 
@@ -20,6 +20,8 @@ const Upload = () => {
     description: ''
   });
   const [companyDocuments, setCompanyDocuments] = useState([]);
+  const [reviewSteps, setReviewSteps] = useState(false);
+  const [fillQuestionnaire, setFillQuestionnaire] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadError, setUploadError] = useState(null);
 
@@ -47,10 +49,19 @@ const Upload = () => {
     accept: {
       'application/pdf': ['.pdf'],
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
       'text/plain': ['.txt'],
+      'text/markdown': ['.md', '.markdown'],
+      'text/html': ['.html', '.htm'],
+      'application/rtf': ['.rtf'],
       'text/csv': ['.csv'],
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
-      'application/vnd.ms-excel': ['.xls']
+      'image/png': ['.png'],
+      'image/jpeg': ['.jpg', '.jpeg'],
+      'image/tiff': ['.tif', '.tiff'],
+      'message/rfc822': ['.eml'],
+      'application/vnd.ms-outlook': ['.msg'],
+      'application/zip': ['.zip']
     },
     maxSize: 50 * 1024 * 1024, // 50MB
     maxFiles: 10
@@ -116,6 +127,17 @@ const Upload = () => {
       // Add company documents
       formData.append('companyDocuments', JSON.stringify(companyDocuments));
 
+      // Pause after requirements and questions for analyst review;
+      // left unchecked the server default (PIPELINE_REVIEW) applies
+      if (reviewSteps) {
+        formData.append('review', 'true');
+      }
+
+      // Answer the customer's own questions and write them back into the workbook
+      if (fillQuestionnaire) {
+        formData.append('pipelineTemplate', 'questionnaire');
+      }
+
       const response = await fetch('/api/process-rfp', {
         method: 'POST',
         body: formData
@@ -206,6 +228,30 @@ const Upload = () => {
                 placeholder="Brief description of the project"
               />
             </div>
+            <div className="md:col-span-2">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={reviewSteps}
+                  onChange={(e) => setReviewSteps(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                <span className="ml-2">
+                  Review requirements and questions before answers are extracted
+                </span>
+              </label>
+              <label className="flex items-center mt-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={fillQuestionnaire}
+                  onChange={(e) => setFillQuestionnaire(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                <span className="ml-2">
+                  Fill in the customer's Excel questionnaire (.xlsx) instead of generating questions
+                </span>
+              </label>
+            </div>
           </div>
         </div>
 
@@ -231,7 +277,7 @@ const Upload = () => {
               }
             </p>
             <p className="text-xs text-gray-500 mt-1">
-              Supports PDF, DOCX, TXT, CSV, XLSX files up to 50MB each
+              Supports PDF, DOCX, PPTX, TXT, Markdown, HTML, RTF, CSV, XLSX, scanned PNG, JPG or TIFF, emails (EML, MSG) and ZIP archives up to 50MB each
             </p>
           </div>
 
@@ -279,7 +325,8 @@ const Upload = () => {
           
           {companyDocuments.length === 0 ? (
             <p className="text-sm text-gray-500">
-              Add references to company documents that should be used for answer extraction
+              Documents in the <Link to="/knowledge-base" className="text-blue-600 hover:text-blue-800">Knowledge Base</Link> are
+              used for every RFP. Add references here only for documents specific to this RFP.
             </p>
           ) : (
             <div className="space-y-4">
@@ -2,30 +2,40 @@ import React, { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { useQuery, useMutation } from 'react-query';
 import io from 'socket.io-client';
+import ReviewPanel from '../components/ReviewPanel';
 import { 
   CheckCircle, 
   Clock, 
   AlertCircle, 
   FileText,
   Download,
-  RefreshCw
+  RefreshCw,
+  Eye
 } from 'lucide-react';
 
 const Workflow = () => {
   const { workflowId } = useParams();
   const [socket, setSocket] = useState(null);
   const [progress, setProgress] = useState(null);
+  const [streamOutput, setStreamOutput] = useState({ step: null, text: '' });
 
   // Fetch workflow status
   const { data: workflow, isLoading, refetch } = useQuery(
     ['workflow', workflowId],
     () => fetch(`/api/rfp/workflow/${workflowId}`).then(res => res.json()),
     { 
-      refetchInterval: (data) => data?.status === 'running' ? 2000 : false,
+      refetchInterval: (data) => ['running', 'queued'].includes(data?.status) ? 2000 : false,
       enabled: !!workflowId
     }
   );
 
+  // Pipeline templates decide which steps a workflow runs
+  const { data: pipelines } = useQuery(
+    'pipelines',
+    () => fetch('/api/workflow/pipelines').then(res => res.json()),
+    { staleTime: Infinity }
+  );
+
   // Retry workflow mutation
   const retryMutation = useMutation(
     ({ workflowId, fromStep }) => fetch(`/api/rfp/workflow/${workflowId}/retry`, {
@@ -59,6 +69,29 @@ const Workflow = () => {
       }
     });
 
+    // Model output streamed to this workflow's room as it is generated
+    newSocket.on('workflow-stream', (streamData) => {
+      if (streamData.workflowId !== workflowId) return;
+      setStreamOutput(previous => ({
+        step: streamData.step,
+        text: previous.step === streamData.step ? previous.text + streamData.chunk : streamData.chunk
+      }));
+    });
+
+    // The workflow stopped at a review gate, or a review decision set it moving again
+    newSocket.on('workflow-awaiting-review', (reviewData) => {
+      if (reviewData.workflowId === workflowId) {
+        setProgress(reviewData);
+        refetch();
+      }
+    });
+
+    newSocket.on('workflow-review-resolved', (reviewData) => {
+      if (reviewData.workflowId === workflowId) {
+        refetch();
+      }
+    });
+
     newSocket.on('workflow-complete', (result) => {
       if (result.workflowId === workflowId) {
         refetch();
@@ -77,14 +110,27 @@ const Workflow = () => {
     };
   }, [workflowId, refetch]);
 
-  const steps = [
+  const stepDetails = [
     { id: 'document_ingestion', name: 'Document Ingestion', description: 'Processing uploaded documents' },
+    { id: 'graphrag_processing', name: 'Knowledge Graph', description: 'Extracting entities and relationships' },
     { id: 'requirements_analysis', name: 'Requirements Analysis', description: 'Analyzing project requirements' },
     { id: 'clarification_questions', name: 'Question Generation', description: 'Generating clarification questions' },
+    { id: 'questionnaire_questions', name: 'Questionnaire Import', description: 'Reading questions from the customer questionnaire' },
     { id: 'answer_extraction', name: 'Answer Extraction', description: 'Extracting answers from company documents' },
+    { id: 'compliance_matrix', name: 'Compliance Matrix', description: 'Assessing compliance with each requirement' },
     { id: 'response_compilation', name: 'Response Compilation', description: 'Compiling final response' }
   ];
 
+  const template = pipelines?.templates?.find(t => t.name === workflow?.pipelineTemplate) ||
+    pipelines?.templates?.find(t => t.isDefault);
+  const steps = template
+    ? template.steps.map(step => stepDetails.find(s => s.id === step.id) || {
+        id: step.id,
+        name: step.id.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+        description: step.message
+      })
+    : stepDetails.filter(s => s.id !== 'graphrag_processing');
+
   // Helper functions to count data
   const countRequirements = (requirementsAnalysis, directRequirements) => {
     // Check direct requirements array first (new structure)
@@ -134,6 +180,8 @@ const Workflow = () => {
     
     if (stepIndex < currentStepIndex) {
       return 'completed';
+    } else if (stepIndex === currentStepIndex && workflow.status === 'awaiting_review') {
+      return 'review';
     } else if (stepIndex === currentStepIndex && workflow.status === 'running') {
       return 'running';
     } else if (workflow.status === 'completed') {
@@ -148,6 +196,7 @@ const Workflow = () => {
       case 'completed': return CheckCircle;
       case 'running': return Clock;
       case 'failed': return AlertCircle;
+      case 'review': return Eye;
       default: return Clock;
     }
   };
@@ -157,6 +206,7 @@ const Workflow = () => {
       case 'completed': return 'text-green-600';
       case 'running': return 'text-blue-600';
       case 'failed': return 'text-red-600';
+      case 'review': return 'text-indigo-600';
       default: return 'text-gray-400';
     }
   };
@@ -302,7 +352,7 @@ const Workflow = () => {
         <div className="flex items-center justify-between">
           <div>
             <h3 className="text-lg font-medium text-gray-900">
-              Status: {workflow.status?.charAt(0).toUpperCase() + workflow.status?.slice(1)}
+              Status: {workflow.status?.charAt(0).toUpperCase() + workflow.status?.slice(1).replace(/_/g, ' ')}
             </h3>
             <p className="text-sm text-gray-500">
               Current Step: {workflow.currentStep?.replace('_', ' ')}
@@ -327,12 +377,17 @@ const Workflow = () => {
         </div>
 
         {/* Real-time Progress */}
-        {progress && (
+        {(progress || streamOutput.text) && (
           <div className="mt-4 p-3 bg-blue-50 rounded-md">
-            <p className="text-sm text-blue-800">{progress.message}</p>
-            {progress.type === 'stream' && progress.chunk && (
-              <div className="mt-2 text-xs text-blue-600 font-mono bg-white p-2 rounded border">
-                {progress.chunk}
+            {progress && <p className="text-sm text-blue-800">{progress.message}</p>}
+            {streamOutput.text && workflow.status === 'running' && (
+              <div className="mt-2">
+                <p className="text-xs font-medium text-blue-700">
+                  Live output: {streamOutput.step?.replace('_', ' ')}
+                </p>
+                <pre className="mt-1 text-xs text-blue-600 font-mono bg-white p-2 rounded border max-h-64 overflow-y-auto whitespace-pre-wrap">
+                  {streamOutput.text}
+                </pre>
               </div>
             )}
           </div>
@@ -412,6 +467,35 @@ const Workflow = () => {
         </div>
       )}
 
+      {/* Review Gate */}
+      {workflow.status === 'awaiting_review' && (
+        <ReviewPanel workflowId={workflowId} onSubmitted={() => refetch()} />
+      )}
+
+      {/* Budget Exceeded */}
+      {workflow.status === 'budget_exceeded' && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4">
+          <div className="flex">
+            <AlertCircle className="h-5 w-5 text-yellow-400" />
+            <div className="ml-3">
+              <h3 className="text-sm font-medium text-yellow-800">LLM Budget Exceeded</h3>
+              <p className="mt-1 text-sm text-yellow-700">
+                {workflow.error || 'Processing stopped because the LLM budget was reached'}
+              </p>
+              <div className="mt-4">
+                <button
+                  onClick={() => handleRetryWorkflow(workflow.currentStep)}
+                  disabled={retryMutation.isLoading}
+                  className="text-sm bg-yellow-100 text-yellow-800 px-3 py-1 rounded-md hover:bg-yellow-200 disabled:opacity-50"
+                >
+                  {retryMutation.isLoading ? 'Resuming...' : `Resume from ${workflow.currentStep?.replace('_', ' ')}`}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Error Display */}
       {workflow.status === 'failed' && (
         <div className="bg-red-50 border border-red-200 rounded-md p-4">
@@ -0,0 +1,214 @@
+const { BaseAgent } = require('./baseAgent');
+const logger = require('../utils/logger');
+
+const ACTIONS = ['update', 'supersede'];
+const CATEGORIES = ['technical', 'business', 'compliance'];
+const level = { type: 'string', enum: ['high', 'medium', 'low'] };
+
+const outputSchema = {
+  type: 'object',
+  required: ['summary', 'requirementChanges', 'newRequirements', 'deadlineChanges', 'confidence'],
+  properties: {
+    summary: { type: 'string' },
+    requirementChanges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['requirementId', 'action', 'reason'],
+        properties: {
+          requirementId: { type: 'string' },
+          action: { type: 'string', enum: ACTIONS },
+          description: { type: 'string' },
+          priority: level,
+          mandatory: { type: 'boolean' },
+          section: { type: 'string' },
+          reason: { type: 'string' }
+        }
+      }
+    },
+    newRequirements: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'description'],
+        properties: {
+          category: { type: 'string', enum: CATEGORIES },
+          description: { type: 'string', minLength: 1 },
+          priority: level,
+          mandatory: { type: 'boolean' },
+          section: { type: 'string' },
+          replaces: { type: 'string' },
+          reason: { type: 'string' }
+        }
+      }
+    },
+    deadlineChanges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'newDeadline'],
+        properties: {
+          name: { type: 'string' },
+          previousDeadline: { type: 'string' },
+          newDeadline: { type: 'string' },
+          submission: { type: 'boolean' },
+          section: { type: 'string' }
+        }
+      }
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+// Prompt size limits, the addendum text is the part that can grow without bound
+const MAX_ADDENDUM_TEXT = 20000;
+const MAX_SECTION_TEXT = 1500;
+
+class AddendumAnalysisAgent extends BaseAgent {
+  constructor() {
+    super('AddendumAnalysisAgent', `
+You are an Addendum Analysis Agent. Buyers issue addenda and amendments to an RFP while vendors are preparing their response. You decide how an addendum changes the requirements and deadlines already extracted from the original RFP.
+
+Your responsibilities:
+1. Read the addendum and the sections of the original RFP it changes
+2. Update requirements whose wording, priority or mandatory status the addendum changes, keeping their id
+3. Supersede requirements the addendum deletes or replaces; a replacement is a new requirement naming the one it replaces
+4. Add requirements the addendum introduces
+5. Report changed dates: submission deadline, question deadline, site visits, milestones
+
+Only report changes the addendum states. Clarifications that leave a requirement as it was are not changes. Use the requirement ids exactly as listed.
+
+Return a JSON response with this structure:
+{
+  "summary": "one or two sentences on what the addendum changes",
+  "requirementChanges": [
+    {
+      "requirementId": "tech_001",
+      "action": "update|supersede",
+      "description": "full requirement text as amended (for update)",
+      "priority": "high|medium|low",
+      "mandatory": true,
+      "section": "clause of the addendum stating the change, e.g. 3.2 Security",
+      "reason": "what the addendum changes and why it matters"
+    }
+  ],
+  "newRequirements": [
+    {
+      "category": "technical|business|compliance",
+      "description": "requirement text",
+      "priority": "high|medium|low",
+      "mandatory": false,
+      "section": "clause of the addendum",
+      "replaces": "id of the requirement it replaces, or empty",
+      "reason": "why it was added"
+    }
+  ],
+  "deadlineChanges": [
+    {
+      "name": "Proposal submission",
+      "previousDeadline": "date before the addendum",
+      "newDeadline": "date after the addendum",
+      "submission": true,
+      "section": "clause of the addendum"
+    }
+  ],
+  "confidence": 0.9
+}
+`, outputSchema);
+  }
+
+  /**
+   * Decide the requirement and deadline changes of an addendum.
+   * @param {object} input - { addenda: ingested addendum documents, changes:
+   *   section changes from utils/documentDiff, requirements: requirement rows,
+   *   timeline: the analysis timeline, deadline: the project's submission deadline }
+   */
+  async analyzeAddendum({ addenda, changes, requirements, timeline, deadline }) {
+    try {
+      logger.info('Starting addendum analysis', {
+        documents: addenda.length,
+        sectionChanges: changes.length,
+        requirements: requirements.length
+      });
+
+      const result = await this.execute(this.buildInput({ addenda, changes, requirements, timeline, deadline }), {
+        documentCount: addenda.length
+      });
+
+      logger.info('Addendum analysis completed', {
+        updated: result.requirementChanges.length,
+        added: result.newRequirements.length,
+        deadlines: result.deadlineChanges.length
+      });
+      return result;
+    } catch (error) {
+      logger.error('Error in addendum analysis:', error);
+      throw error;
+    }
+  }
+
+  buildInput({ addenda, changes, requirements, timeline, deadline }) {
+    const clip = (text, length) => (text && text.length > length ? `${text.slice(0, length)}…` : text || '');
+    let input = '=== CURRENT REQUIREMENTS ===\n';
+    requirements.forEach(req => {
+      const source = [req.source_document, req.source_section].filter(Boolean).join(', ');
+      input += `- [${req.requirement_id}] (${req.category}, ${req.priority}${req.mandatory ? ', mandatory' : ''}) ${req.description}${source ? ` (${source})` : ''}\n`;
+    });
+
+    input += '\n=== CURRENT DEADLINES ===\n';
+    if (deadline) input += `- Proposal submission: ${deadline}\n`;
+    (timeline?.keyMilestones || []).forEach(milestone => {
+      input += `- ${milestone.name}: ${milestone.deadline || 'no date'}\n`;
+    });
+
+    if (changes.length > 0) {
+      input += '\n=== SECTIONS OF THE ORIGINAL RFP THE ADDENDUM CHANGES ===\n';
+      changes.forEach(change => {
+        input += `\n[${change.type}] ${change.section || 'Untitled section'}${change.fileName ? ` (${change.fileName})` : ''}\n`;
+        if (change.previousText) input += `Original: ${clip(change.previousText, MAX_SECTION_TEXT)}\n`;
+        if (change.removedSentences?.length) input += `Removed: ${clip(change.removedSentences.join(' '), MAX_SECTION_TEXT)}\n`;
+        if (change.addedSentences?.length) input += `Added: ${clip(change.addedSentences.join(' '), MAX_SECTION_TEXT)}\n`;
+        else if (change.text) input += `Addendum: ${clip(change.text, MAX_SECTION_TEXT)}\n`;
+      });
+    }
+
+    addenda.forEach((doc, index) => {
+      input += `\n=== ADDENDUM DOCUMENT ${index + 1}: ${doc.fileName} ===\n`;
+      input += `${clip(doc.processedContent, MAX_ADDENDUM_TEXT)}\n`;
+    });
+
+    return input;
+  }
+
+  async processResult(parsed) {
+    // Output that failed validation still arrives here; entries that cannot be applied are dropped.
+    // Ids are matched against stored requirements, so stray whitespace must not hide a match.
+    parsed.requirementChanges = (parsed.requirementChanges || [])
+      .filter(change => typeof change?.requirementId === 'string' && ACTIONS.includes(change.action))
+      .map(change => ({ ...change, requirementId: change.requirementId.trim() }));
+    parsed.newRequirements = (parsed.newRequirements || [])
+      .filter(req => CATEGORIES.includes(req?.category) && typeof req.description === 'string' && req.description.trim())
+      .map(req => ({ ...req, replaces: typeof req.replaces === 'string' ? req.replaces.trim() || null : null }));
+    parsed.deadlineChanges = (parsed.deadlineChanges || [])
+      .filter(change => typeof change?.name === 'string' && typeof change.newDeadline === 'string');
+    parsed.processedAt = new Date().toISOString();
+    parsed.agent = this.name;
+    return parsed;
+  }
+
+  buildFallbackResult() {
+    // Unreadable output changes nothing rather than guessing
+    return {
+      summary: 'The addendum could not be analyzed',
+      requirementChanges: [],
+      newRequirements: [],
+      deadlineChanges: [],
+      confidence: 0,
+      processedAt: new Date().toISOString(),
+      agent: this.name,
+      fallbackExtraction: true
+    };
+  }
+}
+
+module.exports = new AddendumAnalysisAgent();
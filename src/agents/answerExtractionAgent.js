@@ -2,6 +2,81 @@ const { BaseAgent } = require('./baseAgent');
 const logger = require('../utils/logger');
 const ragService = require('../services/ragService');
 const graphRagService = require('../services/graphRagService');
+const llmUsageService = require('../services/llmUsageService');
+const answerLibraryService = require('../services/answerLibraryService');
+const citationService = require('../services/citationService');
+const config = require('../config');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const sourceList = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      documentName: { type: 'string' },
+      section: { type: 'string' },
+      excerpt: { type: 'string' },
+      relevanceScore: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  }
+};
+
+const outputSchema = {
+  type: 'object',
+  required: ['answeredQuestions', 'unansweredQuestions', 'confidence'],
+  properties: {
+    answeredQuestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['questionId', 'question', 'answer', 'confidence'],
+        properties: {
+          questionId: { type: 'string' },
+          question: { type: 'string' },
+          answer: { type: 'string', minLength: 1 },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          sources: sourceList,
+          answerType: { type: 'string', enum: ['direct', 'inferred', 'partial'] },
+          completeness: { type: 'string', enum: ['complete', 'partial', 'incomplete'] },
+          additionalContext: { type: 'string' }
+        }
+      }
+    },
+    unansweredQuestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['questionId', 'question'],
+        properties: {
+          questionId: { type: 'string' },
+          question: { type: 'string' },
+          reason: { type: 'string' },
+          suggestedSources: { type: 'array', items: { type: 'string' } },
+          priority: { type: 'string', enum: ['high', 'medium', 'low'] }
+        }
+      }
+    },
+    partialAnswers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['questionId', 'question'],
+        properties: {
+          questionId: { type: 'string' },
+          question: { type: 'string' },
+          partialAnswer: { type: 'string' },
+          missingInformation: { type: 'array', items: { type: 'string' } },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          sources: sourceList
+        }
+      }
+    },
+    crossReferences: { type: 'array', items: { type: 'object' } },
+    answerSummary: { type: 'object' },
+    recommendations: { type: 'object' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
 
 class AnswerExtractionAgent extends BaseAgent {
   constructor() {
@@ -81,7 +156,7 @@ Analyze the provided RFP questions and company documents, then return answers in
   },
   "confidence": 0.82
 }
-`);
+`, outputSchema);
   }
 
   async extractAnswers(rfpQuestions, companyDocuments, requirementsAnalysis, workflowId = null) {
@@ -105,6 +180,10 @@ Analyze the provided RFP questions and company documents, then return answers in
       if (ragAnswers && ragAnswers.answeredQuestions && ragAnswers.answeredQuestions.length > 0) {
         answers = ragAnswers;
         logger.info('Using RAG-based answers');
+      } else if (llmUsageService.getContext().degraded) {
+        // The full-document prompt is the most expensive call in the pipeline
+        logger.warn('RAG returned no answers and workflow is near its LLM budget, skipping full-document fallback');
+        answers = ragAnswers || { answeredQuestions: [], unansweredQuestions: [] };
       } else {
         logger.warn('RAG service failed or returned no answers, falling back to traditional method');
         const input = this.prepareExtractionInput(rfpQuestions, companyDocuments, requirementsAnalysis);
@@ -138,93 +217,18 @@ Analyze the provided RFP questions and company documents, then return answers in
   async extractAnswersWithRAG(rfpQuestions, workflowId = null) {
     try {
       const allQuestions = this.flattenQuestions(rfpQuestions);
-      const answeredQuestions = [];
-      const unansweredQuestions = [];
 
       logger.info(`Processing ${allQuestions.length} questions with GraphRAG`);
 
       // Initialize GraphRAG service
       await graphRagService.initialize();
 
-      for (const question of allQuestions) {
-        try {
-          // Try GraphRAG hybrid search first (combines vector + graph)
-          let result;
-          if (graphRagService.neo4jEnabled && workflowId) {
-            result = await graphRagService.hybridSearch(
-              question.questionText || question.question, 
-              workflowId,
-              {
-                limit: 5,
-                includeEntities: true,
-                includeRelationships: true
-              }
-            );
-            
-            // Convert GraphRAG results to answer format
-            if (result && result.length > 0) {
-              const topResult = result[0];
-              const answer = this.formatGraphRAGAnswer(topResult, result);
-              const confidence = topResult.combinedScore || topResult.vectorScore || 0;
-              
-              if (confidence > 0.25) { // Lower threshold for GraphRAG due to combined scoring
-                answeredQuestions.push({
-                  questionId: question.id,
-                  question: question.questionText || question.question,
-                  answer: answer,
-                  confidence: Math.min(confidence, 1.0),
-                  sources: result.slice(0, 3).map(r => ({
-                    documentName: r.documentId || 'Document',
-                    excerpt: r.content?.substring(0, 200) || '',
-                    relevanceScore: r.combinedScore || r.vectorScore || 0,
-                    entities: r.entities || [],
-                    relatedEntities: r.relatedEntities || []
-                  })),
-                  answerType: confidence > 0.6 ? 'direct' : 'inferred',
-                  completeness: confidence > 0.5 ? 'complete' : 'partial',
-                  searchType: 'graphrag_hybrid'
-                });
-                continue;
-              }
-            }
-          }
-          
-          // Fallback to regular RAG if GraphRAG doesn't produce good results
-          result = await ragService.answerQuestion(question.questionText || question.question, workflowId);
-          
-          if (result.confidence > 0.3) { // Minimum confidence threshold
-            answeredQuestions.push({
-              questionId: question.id,
-              question: question.questionText || question.question,
-              answer: result.answer,
-              confidence: result.confidence,
-              sources: result.sources.map(source => ({
-                documentName: source.documentId,
-                excerpt: source.content,
-                relevanceScore: source.similarity
-              })),
-              answerType: result.confidence > 0.8 ? 'direct' : 'inferred',
-              completeness: result.confidence > 0.7 ? 'complete' : 'partial',
-              searchType: 'vector_only'
-            });
-          } else {
-            unansweredQuestions.push({
-              questionId: question.id,
-              question: question.questionText || question.question,
-              reason: result.confidence === 0 ? 'No relevant information found' : 'Low confidence answer',
-              priority: question.priority || 'medium'
-            });
-          }
-        } catch (error) {
-          logger.error(`Error answering question ${question.id}`, { error: error.message });
-          unansweredQuestions.push({
-            questionId: question.id,
-            question: question.questionText || question.question,
-            reason: 'Error processing question',
-            priority: question.priority || 'medium'
-          });
-        }
-      }
+      // Questions are answered a few at a time; each resolves to exactly one of answered/unanswered
+      const outcomes = await mapWithConcurrency(allQuestions, config.processing.questionConcurrency,
+        question => this.answerQuestionWithRAG(question, workflowId)
+      );
+      const answeredQuestions = outcomes.filter(outcome => outcome.answered).map(outcome => outcome.answered);
+      const unansweredQuestions = outcomes.filter(outcome => outcome.unanswered).map(outcome => outcome.unanswered);
 
       const answerSummary = {
         totalQuestions: allQuestions.length,
@@ -235,13 +239,20 @@ Analyze the provided RFP questions and company documents, then return answers in
           answeredQuestions.reduce((sum, q) => sum + q.confidence, 0) / answeredQuestions.length : 0,
         graphRagUsed: graphRagService.neo4jEnabled,
         hybridAnswers: answeredQuestions.filter(a => a.searchType === 'graphrag_hybrid').length,
-        vectorOnlyAnswers: answeredQuestions.filter(a => a.searchType === 'vector_only').length
+        vectorOnlyAnswers: answeredQuestions.filter(a => a.searchType === 'vector_only').length,
+        libraryAnswers: answeredQuestions.filter(a => a.searchType === 'library').length,
+        knowledgeBaseAnswers: answeredQuestions.filter(a => a.sources.some(source => source.knowledgeBase)).length,
+        unsupportedClaims: answeredQuestions.reduce((sum, a) => sum + (a.grounding?.unsupportedClaims.length || 0), 0),
+        answersWithUnsupportedClaims: answeredQuestions.filter(a => a.grounding && !a.grounding.verified).length
       };
 
       logger.info('GraphRAG answer extraction completed', {
         answered: answerSummary.answered,
         hybridAnswers: answerSummary.hybridAnswers,
-        vectorOnlyAnswers: answerSummary.vectorOnlyAnswers
+        vectorOnlyAnswers: answerSummary.vectorOnlyAnswers,
+        libraryAnswers: answerSummary.libraryAnswers,
+        knowledgeBaseAnswers: answerSummary.knowledgeBaseAnswers,
+        unsupportedClaims: answerSummary.unsupportedClaims
       });
 
       return {
@@ -257,6 +268,116 @@ Analyze the provided RFP questions and company documents, then return answers in
     }
   }
 
+  /**
+   * Answer a single question. A matching answer library entry is used as is;
+   * otherwise GraphRAG hybrid search is preferred over plain vector RAG.
+   */
+  async answerQuestionWithRAG(question, workflowId = null) {
+    try {
+      const libraryMatch = await answerLibraryService.findMatch(question.questionText || question.question);
+      if (libraryMatch) {
+        const { entry, similarity } = libraryMatch;
+        await answerLibraryService.recordUsage(entry.id);
+
+        return { answered: {
+          questionId: question.id,
+          question: question.questionText || question.question,
+          answer: entry.answer,
+          confidence: Math.min(similarity, 1.0),
+          sources: [{
+            documentName: 'Answer Library',
+            libraryEntryId: entry.id,
+            excerpt: entry.question,
+            relevanceScore: similarity
+          }],
+          answerType: 'direct',
+          completeness: 'complete',
+          searchType: 'library'
+        } };
+      }
+
+      // Try GraphRAG hybrid search first (combines vector + graph)
+      let result;
+      if (graphRagService.neo4jEnabled && workflowId) {
+        result = await graphRagService.hybridSearch(
+          question.questionText || question.question, 
+          workflowId,
+          {
+            limit: 5,
+            includeEntities: true,
+            includeRelationships: true
+          }
+        );
+        
+        // Convert GraphRAG results to answer format
+        if (result && result.length > 0) {
+          const topResult = result[0];
+          const answer = this.formatGraphRAGAnswer(topResult, result);
+          const confidence = topResult.combinedScore || topResult.vectorScore || 0;
+          
+          if (confidence > 0.25) { // Lower threshold for GraphRAG due to combined scoring
+            const cited = result.slice(0, 3);
+            return { answered: {
+              questionId: question.id,
+              question: question.questionText || question.question,
+              answer: answer,
+              confidence: Math.min(confidence, 1.0),
+              sources: cited.map(r => ({
+                ...citationService.describeChunk(r),
+                documentName: r.metadata?.documentName || r.documentId || 'Document',
+                excerpt: r.content?.substring(0, 200) || '',
+                relevanceScore: r.combinedScore || r.vectorScore || 0,
+                entities: r.entities || [],
+                relatedEntities: r.relatedEntities || []
+              })),
+              answerType: confidence > 0.6 ? 'direct' : 'inferred',
+              completeness: confidence > 0.5 ? 'complete' : 'partial',
+              searchType: 'graphrag_hybrid',
+              grounding: citationService.verifyAnswer(answer, cited)
+            } };
+          }
+        }
+      }
+      
+      // Fallback to regular RAG if GraphRAG doesn't produce good results
+      result = await ragService.answerQuestion(question.questionText || question.question, workflowId);
+      
+      if (result.confidence > 0.3) { // Minimum confidence threshold
+        return { answered: {
+          questionId: question.id,
+          question: question.questionText || question.question,
+          answer: result.answer,
+          confidence: result.confidence,
+          sources: result.sources.map(({ content, similarity, ...citation }) => ({
+            ...citation,
+            documentName: citation.documentName || citation.documentId,
+            excerpt: content,
+            relevanceScore: similarity
+          })),
+          answerType: result.confidence > 0.8 ? 'direct' : 'inferred',
+          completeness: result.confidence > 0.7 ? 'complete' : 'partial',
+          searchType: 'vector_only',
+          grounding: result.grounding || null
+        } };
+      } else {
+        return { unanswered: {
+          questionId: question.id,
+          question: question.questionText || question.question,
+          reason: result.confidence === 0 ? 'No relevant information found' : 'Low confidence answer',
+          priority: question.priority || 'medium'
+        } };
+      }
+    } catch (error) {
+      logger.error(`Error answering question ${question.id}`, { error: error.message });
+      return { unanswered: {
+        questionId: question.id,
+        question: question.questionText || question.question,
+        reason: 'Error processing question',
+        priority: question.priority || 'medium'
+      } };
+    }
+  }
+
   formatGraphRAGAnswer(topResult, allResults) {
     let answer = topResult.content || '';
     
@@ -352,10 +473,13 @@ Analyze the provided RFP questions and company documents, then return answers in
   }
 
   async enhanceAnswers(answers, rfpQuestions, companyDocuments) {
+    // Near the budget limit only the cheap structural passes are kept
+    const degraded = llmUsageService.getContext().degraded;
+
     // Enhance with semantic similarity analysis
     const enhanced = {
       ...answers,
-      semanticAnalysis: await this.performSemanticAnalysis(answers, companyDocuments),
+      semanticAnalysis: degraded ? null : await this.performSemanticAnalysis(answers, companyDocuments),
       gapAnalysis: this.performGapAnalysis(answers, rfpQuestions),
       qualityMetrics: this.calculateQualityMetrics(answers)
     };
@@ -1,23 +1,43 @@
-const bedrockService = require('../services/bedrock');
+const Ajv = require('ajv');
+const llmService = require('../services/llmService');
+const llmUsageService = require('../services/llmUsageService');
 const logger = require('../utils/logger');
 
+const ajv = new Ajv({ allErrors: true, strict: false });
+
 class BaseAgent {
-  constructor(name, systemPrompt) {
+  /**
+   * @param {string} name - Agent name, also used to resolve LLM settings
+   * @param {string} systemPrompt - Instructions prepended to every prompt
+   * @param {object|null} outputSchema - JSON Schema the model output must satisfy
+   */
+  constructor(name, systemPrompt, outputSchema = null) {
     this.name = name;
     this.systemPrompt = systemPrompt;
     this.retryAttempts = 3;
     this.retryDelay = 1000;
+    this.outputSchema = outputSchema;
+    this.validateOutput = outputSchema ? ajv.compile(outputSchema) : null;
+    this.maxRepairAttempts = 2;
+    this.maxReportedErrors = 20;
   }
 
   async execute(input, context = {}) {
-    logger.info(`Executing agent: ${this.name}`, { context });
+    logger.info(`Executing agent: ${this.name}`, { context, streaming: !!context.onChunk });
     
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+      let streamed = false;
       try {
         const prompt = this.buildPrompt(input, context);
-        const result = await bedrockService.invokeModel(prompt);
+        // Callers that pass onChunk get the response streamed as it is generated
+        const result = context.onChunk
+          ? await llmService.stream(prompt, (chunk) => {
+            streamed = true;
+            return context.onChunk(chunk);
+          }, this.llmOptions())
+          : await llmService.invoke(prompt, this.llmOptions());
         
-        const processedResult = await this.processResult(result, context);
+        const processedResult = await this.finalizeResult(result, context);
         
         logger.info(`Agent ${this.name} completed successfully`, {
           attempt,
@@ -27,6 +47,12 @@ class BaseAgent {
         return processedResult;
       } catch (error) {
         logger.warn(`Agent ${this.name} attempt ${attempt} failed:`, error);
+
+        // A retry would stream the response to the client a second time
+        if (streamed) {
+          logger.error(`Agent ${this.name} failed after streaming output, not retrying`);
+          throw error;
+        }
         
         if (attempt === this.retryAttempts) {
           logger.error(`Agent ${this.name} failed after ${this.retryAttempts} attempts`);
@@ -42,7 +68,192 @@ class BaseAgent {
     logger.info(`Executing streaming agent: ${this.name}`, { context });
     
     const prompt = this.buildPrompt(input, context);
-    return await bedrockService.streamModel(prompt, onChunk);
+    const result = await llmService.stream(prompt, onChunk, this.llmOptions());
+
+    return await this.finalizeResult(result, context);
+  }
+
+  /**
+   * Turn raw model output into the agent result. Agents that declare an
+   * output schema get their JSON validated and, if needed, repaired before
+   * processResult sees the parsed object.
+   */
+  async finalizeResult(result, context) {
+    if (!this.outputSchema) {
+      return await this.processResult(result, context);
+    }
+
+    const { data, validation } = await this.validateAndRepair(result);
+
+    // Unparseable, or JSON of the wrong kind altogether (e.g. a bare string)
+    if (data === undefined || data === null || typeof data !== 'object') {
+      logger.warn(`Agent ${this.name} output could not be parsed, using fallback`, {
+        errors: validation.errors
+      });
+      return { ...this.buildFallbackResult(result, context), schemaValidation: validation };
+    }
+
+    const processedResult = await this.processResult(data, context);
+    if (processedResult && typeof processedResult === 'object') {
+      processedResult.schemaValidation = validation;
+    }
+    return processedResult;
+  }
+
+  /**
+   * Parse and validate model output, re-prompting with the specific schema
+   * errors until it validates or the repair attempts run out.
+   * @returns {Promise<{data: any, validation: object}>} data is undefined when no attempt parsed
+   */
+  async validateAndRepair(rawResult) {
+    let current = rawResult;
+    let best = this.checkOutput(current);
+    const initialErrors = best.errors;
+    let repairAttempts = 0;
+    // Workflows near their LLM budget get a single repair attempt
+    const maxAttempts = llmUsageService.getContext().degraded ? Math.min(1, this.maxRepairAttempts) : this.maxRepairAttempts;
+
+    while (best.errors.length > 0 && repairAttempts < maxAttempts) {
+      repairAttempts++;
+      logger.warn(`Agent ${this.name} output failed schema validation, requesting repair`, {
+        attempt: repairAttempts,
+        errorCount: best.errors.length,
+        errors: best.errors.slice(0, 5)
+      });
+
+      try {
+        current = await llmService.invoke(
+          this.buildRepairPrompt(current, best.errors),
+          this.llmOptions()
+        );
+      } catch (error) {
+        logger.error(`Agent ${this.name} repair request failed:`, error);
+        break;
+      }
+
+      const attempt = this.checkOutput(current);
+      // Never trade a parseable answer for an unparseable one
+      if (attempt.data !== undefined && (best.data === undefined || attempt.errors.length <= best.errors.length)) {
+        best = attempt;
+      }
+    }
+
+    const remainingPaths = new Set(best.errors.map(error => error.path));
+    const repairedFields = repairAttempts > 0
+      ? [...new Set(initialErrors.map(error => error.path))].filter(path => !remainingPaths.has(path))
+      : [];
+
+    const validation = {
+      valid: best.errors.length === 0,
+      repaired: repairAttempts > 0 && repairedFields.length > 0,
+      repairAttempts,
+      repairedFields,
+      errors: best.errors.slice(0, this.maxReportedErrors)
+    };
+
+    if (repairAttempts > 0) {
+      logger.info(`Agent ${this.name} schema repair finished`, {
+        valid: validation.valid,
+        repairAttempts,
+        repairedFields
+      });
+    }
+
+    return { data: best.data, validation };
+  }
+
+  /**
+   * Parse raw output and collect schema errors as { path, message } pairs
+   */
+  checkOutput(rawResult) {
+    let data;
+    try {
+      data = this.parseJson(rawResult);
+    } catch (error) {
+      return { data: undefined, errors: [{ path: '', message: error.message }] };
+    }
+
+    if (this.validateOutput(data)) {
+      return { data, errors: [] };
+    }
+
+    const errors = this.validateOutput.errors.map(error => ({
+      path: error.keyword === 'required'
+        ? `${error.instancePath}/${error.params.missingProperty}`
+        : error.instancePath,
+      message: error.keyword === 'enum'
+        ? `${error.message} (${error.params.allowedValues.join(', ')})`
+        : error.message
+    }));
+
+    return { data, errors };
+  }
+
+  buildRepairPrompt(previousOutput, errors) {
+    const errorList = errors
+      .slice(0, this.maxReportedErrors)
+      .map(error => `- ${error.path || '(root)'}: ${error.message}`)
+      .join('\n');
+
+    return `Your previous response did not satisfy the required output schema.
+
+Previous response:
+${previousOutput}
+
+Schema errors:
+${errorList}
+
+Fix only these errors and keep all other content unchanged. Return the complete corrected JSON object and nothing else.
+Required JSON Schema:
+${JSON.stringify(this.outputSchema)}`;
+  }
+
+  /**
+   * Extract a JSON value from model output that may be wrapped in prose
+   * or a markdown code fence
+   */
+  parseJson(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    const candidates = [];
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (fenced) {
+      candidates.push(fenced[1]);
+    }
+
+    const start = text.search(/[{[]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      candidates.push(text.substring(start, end + 1));
+    }
+
+    let lastError = new Error('no JSON found');
+    for (const candidate of candidates) {
+      for (const jsonStr of [candidate, this.cleanJsonString(candidate)]) {
+        try {
+          return JSON.parse(jsonStr);
+        } catch (error) {
+          lastError = error;
+        }
+      }
+    }
+
+    throw new Error(`Response is not valid JSON: ${lastError.message}`);
+  }
+
+  cleanJsonString(jsonStr) {
+    // Remove any trailing commas before closing braces or brackets
+    jsonStr = jsonStr.replace(/,(\s*[}\]])/g, '$1');
+    
+    // Fix common issues with quotes
+    jsonStr = jsonStr.replace(/([{,]\s*)([a-zA-Z_][a-zA-Z0-9_]*)\s*:/g, '$1"$2":');
+    
+    // Remove any control characters that might break JSON parsing
+    jsonStr = jsonStr.replace(/[\x00-\x1F\x7F]/g, '');
+    
+    return jsonStr.trim();
   }
 
   buildPrompt(input, context) {
@@ -63,6 +274,11 @@ class BaseAgent {
 
   async processResult(result, context) {
     // Base implementation - can be overridden by specific agents
+    if (typeof result !== 'string') {
+      // Already parsed and validated against the output schema
+      return result;
+    }
+
     try {
       // Try to parse as JSON first
       return JSON.parse(result);
@@ -76,6 +292,27 @@ class BaseAgent {
     }
   }
 
+  /**
+   * Result used when schema-validated output cannot be parsed at all.
+   * Agents override this with a shape their consumers understand.
+   */
+  buildFallbackResult(result, context) {
+    return {
+      content: result,
+      timestamp: new Date().toISOString(),
+      agent: this.name,
+      fallbackExtraction: true
+    };
+  }
+
+  /**
+   * Options of every LLM call the agent makes. Providers ignore the schema
+   * except the mock, which builds its output from it.
+   */
+  llmOptions() {
+    return { agent: this.name, outputSchema: this.outputSchema };
+  }
+
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -0,0 +1,205 @@
+const { BaseAgent } = require('./baseAgent');
+const logger = require('../utils/logger');
+
+const VERDICTS = ['supported', 'unsupported', 'contradicted', 'not_a_claim'];
+const CLAIM_TYPES = ['figure', 'commitment', 'capability', 'general'];
+
+const outputSchema = {
+  type: 'object',
+  required: ['verdicts', 'contradictions'],
+  properties: {
+    verdicts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['claimId', 'verdict', 'claimType', 'reason'],
+        properties: {
+          claimId: { type: 'string' },
+          verdict: { type: 'string', enum: VERDICTS },
+          claimType: { type: 'string', enum: CLAIM_TYPES },
+          evidenceIds: { type: 'array', items: { type: 'string' } },
+          reason: { type: 'string' }
+        }
+      }
+    },
+    contradictions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['attribute', 'statements', 'reason'],
+        properties: {
+          attribute: { type: 'string', minLength: 1 },
+          statements: {
+            type: 'array',
+            minItems: 2,
+            items: {
+              type: 'object',
+              required: ['statementId', 'value'],
+              properties: {
+                statementId: { type: 'string' },
+                value: { type: 'string' }
+              }
+            }
+          },
+          reason: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Prompt size limits; a long evidence excerpt only needs the part around the claim
+const MAX_EVIDENCE_TEXT = 600;
+const MAX_STATEMENT_TEXT = 400;
+
+class ClaimVerificationAgent extends BaseAgent {
+  constructor() {
+    super('ClaimVerificationAgent', `
+You are a Proposal Verification Agent. Before a proposal goes to a customer you check that what it says is true and consistent.
+
+Your responsibilities:
+1. For each claim, decide from the evidence listed with it whether the evidence supports it. Judge meaning, not wording: a paraphrase is supported, a different figure is not
+2. Say what kind of claim it is: a figure (a number the company commits to, such as an SLA, price, headcount or duration), a commitment (certification, compliance, guarantee, warranty), a capability, or a general statement
+3. Mark text that asserts nothing checkable as not_a_claim: headings, section or clause references, dates that only restate the RFP, questions, polite phrases
+4. Find statements in different parts of the proposal that cannot both be true, such as two uptime SLAs, two team sizes or two delivery dates for the same thing. Tiered values (P1 within 1 hour, P2 within 4 hours) are not contradictions
+
+Use only the evidence given; never assume the company has a capability the evidence does not state. Use the ids exactly as listed.
+
+Return a JSON response with this structure:
+{
+  "verdicts": [
+    {
+      "claimId": "id of the claim as listed",
+      "verdict": "supported|unsupported|contradicted|not_a_claim",
+      "claimType": "figure|commitment|capability|general",
+      "evidenceIds": ["ids of the evidence that supports or contradicts it"],
+      "reason": "one sentence on why"
+    }
+  ],
+  "contradictions": [
+    {
+      "attribute": "what they disagree on, e.g. Uptime SLA",
+      "statements": [
+        { "statementId": "id of a statement that disagrees", "value": "what it states, e.g. 99.9%" }
+      ],
+      "reason": "how they disagree"
+    }
+  ]
+}
+`, outputSchema);
+  }
+
+  /**
+   * Judge proposal claims against their evidence and find statements that
+   * contradict each other. Verdicts and contradictions naming ids that were
+   * not listed are dropped.
+   * @param {object} input - { claims: [{ id, text, location, evidence: [{ id, content }] }],
+   *   statements: [{ id, text, location }], candidates: [{ attribute, statementIds }] from the quick checks }
+   */
+  async verifyClaims({ claims, statements, candidates }) {
+    try {
+      logger.info('Starting claim verification', {
+        claims: claims.length,
+        statements: statements.length,
+        candidates: candidates.length
+      });
+
+      const result = await this.execute(this.buildInput({ claims, statements, candidates }), {
+        claimCount: claims.length
+      });
+
+      const known = {
+        claims: new Set(claims.map(claim => claim.id)),
+        statements: new Set(statements.map(statement => statement.id))
+      };
+      result.verdicts = result.verdicts.filter(verdict => known.claims.has(verdict.claimId));
+      result.contradictions = result.contradictions
+        .map(contradiction => ({
+          ...contradiction,
+          statements: contradiction.statements.filter((statement, index, all) =>
+            known.statements.has(statement.statementId) &&
+            all.findIndex(other => other.statementId === statement.statementId) === index)
+        }))
+        .filter(contradiction => contradiction.statements.length > 1);
+
+      logger.info('Claim verification completed', {
+        verdicts: result.verdicts.length,
+        contradictions: result.contradictions.length
+      });
+      return result;
+    } catch (error) {
+      logger.error('Error in claim verification:', error);
+      throw error;
+    }
+  }
+
+  buildInput({ claims, statements, candidates }) {
+    const clip = (text, length) => (text && text.length > length ? `${text.slice(0, length)}…` : text || '');
+    let input = '';
+
+    if (claims.length > 0) {
+      input += '=== CLAIMS TO CHECK ===\n';
+      claims.forEach(claim => {
+        input += `\n[${claim.id}] (${claim.location?.title || 'Proposal'}) ${claim.text}\n`;
+        if (claim.evidence.length === 0) {
+          input += '  Evidence: none found\n';
+        }
+        claim.evidence.forEach(evidence => {
+          input += `  Evidence [${evidence.id}]: ${clip(evidence.content, MAX_EVIDENCE_TEXT)}\n`;
+        });
+      });
+    }
+
+    if (statements.length > 0) {
+      input += '\n=== STATEMENTS ACROSS THE PROPOSAL ===\n';
+      statements.forEach(statement => {
+        input += `[${statement.id}] (${statement.location?.title || 'Proposal'}) ${clip(statement.text, MAX_STATEMENT_TEXT)}\n`;
+      });
+    }
+
+    if (candidates.length > 0) {
+      input += '\n=== POSSIBLE CONTRADICTIONS FOUND BY QUICK CHECKS (confirm or reject) ===\n';
+      candidates.forEach(candidate => {
+        input += `- ${candidate.attribute}: ${candidate.statementIds.join(', ')}\n`;
+      });
+    }
+
+    return input;
+  }
+
+  async processResult(parsed) {
+    // Output that failed validation still arrives here; entries that cannot be used are dropped
+    parsed.verdicts = (parsed.verdicts || [])
+      .filter(verdict => typeof verdict?.claimId === 'string' && VERDICTS.includes(verdict.verdict))
+      .map(verdict => ({
+        ...verdict,
+        claimId: verdict.claimId.trim(),
+        claimType: CLAIM_TYPES.includes(verdict.claimType) ? verdict.claimType : 'general',
+        evidenceIds: Array.isArray(verdict.evidenceIds) ? verdict.evidenceIds.filter(id => typeof id === 'string') : []
+      }));
+    parsed.contradictions = (parsed.contradictions || [])
+      .filter(contradiction => Array.isArray(contradiction?.statements) && typeof contradiction.attribute === 'string')
+      .map(contradiction => ({
+        ...contradiction,
+        statements: contradiction.statements
+          .filter(statement => typeof statement?.statementId === 'string')
+          .map(statement => ({ statementId: statement.statementId.trim(), value: String(statement.value ?? '') }))
+      }));
+    parsed.processedAt = new Date().toISOString();
+    parsed.agent = this.name;
+    return parsed;
+  }
+
+  buildFallbackResult() {
+    // Without verdicts the quick checks stand on their own
+    return {
+      verdicts: [],
+      contradictions: [],
+      processedAt: new Date().toISOString(),
+      agent: this.name,
+      fallbackExtraction: true
+    };
+  }
+}
+
+module.exports = new ClaimVerificationAgent();
@@ -1,6 +1,67 @@
 const { BaseAgent } = require('./baseAgent');
 const logger = require('../utils/logger');
 
+const questionList = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'question', 'priority'],
+    properties: {
+      id: { type: 'string' },
+      question: { type: 'string', minLength: 1 },
+      rationale: { type: 'string' },
+      priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+      impact: { type: 'string' },
+      relatedRequirements: { type: 'array', items: { type: 'string' } },
+      suggestedFollowups: { type: 'array', items: { type: 'string' } },
+      regulations: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+const outputSchema = {
+  type: 'object',
+  required: ['questionCategories', 'confidence'],
+  properties: {
+    questionCategories: {
+      type: 'object',
+      required: ['technical', 'business'],
+      properties: {
+        technical: questionList,
+        business: questionList,
+        timeline: questionList,
+        budget: questionList,
+        compliance: questionList
+      },
+      additionalProperties: questionList
+    },
+    prioritizedQuestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['questionId'],
+        properties: {
+          questionId: { type: 'string' },
+          category: { type: 'string' },
+          overallPriority: { type: 'number' },
+          criticalityScore: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    },
+    gapAnalysis: {
+      type: 'object',
+      properties: {
+        majorGaps: { type: 'array', items: { type: 'string' } },
+        assumptionsMade: { type: 'array', items: { type: 'string' } },
+        riskAreas: { type: 'array', items: { type: 'string' } },
+        recommendedActions: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    questionSummary: { type: 'object' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
 class ClarificationQuestionsAgent extends BaseAgent {
   constructor() {
     super('ClarificationQuestionsAgent', `
@@ -97,17 +158,21 @@ Analyze the provided requirements analysis and generate clarification questions
   },
   "confidence": 0.90
 }
-`);
+`, outputSchema);
   }
 
-  async generateQuestions(requirementsAnalysis, ingestedDocuments) {
+  async generateQuestions(requirementsAnalysis, ingestedDocuments, options = {}) {
     try {
       logger.info('Generating clarification questions', {
         requirementsCount: this.countTotalRequirements(requirementsAnalysis)
       });
 
       // Prepare input combining requirements analysis and original documents
-      const input = this.prepareAnalysisInput(requirementsAnalysis, ingestedDocuments);
+      let input = this.prepareAnalysisInput(requirementsAnalysis, ingestedDocuments);
+      if (options.feedback) {
+        // An analyst rejected the previous questions at their review gate
+        input += `\n=== ANALYST FEEDBACK ON THE PREVIOUS QUESTIONS ===\n${options.feedback}\n`;
+      }
       
       // Generate questions
       const questions = await this.execute(input, {
@@ -260,6 +325,7 @@ Analyze the provided requirements analysis and generate clarification questions
     // Add cross-reference analysis
     const enhanced = {
       ...questions,
+      questionCategories: this.attachSections(questions.questionCategories, analysis),
       crossReferences: this.buildCrossReferences(questions, analysis),
       questionMetrics: this.calculateQuestionMetrics(questions),
       recommendedOrder: this.suggestQuestionOrder(questions)
@@ -271,6 +337,30 @@ Analyze the provided requirements analysis and generate clarification questions
     return enhanced;
   }
 
+  /**
+   * Each question points at the RFP section of the first related requirement
+   * that has one
+   */
+  attachSections(questionCategories, analysis) {
+    const requirements = {};
+    ['technical', 'business', 'compliance'].forEach(category => {
+      (analysis.requirements?.[category] || []).forEach(req => {
+        if (req.id && req.section) requirements[req.id] = req;
+      });
+    });
+
+    const attached = {};
+    Object.entries(questionCategories || {}).forEach(([category, categoryQuestions]) => {
+      attached[category] = (categoryQuestions || []).map(question => {
+        const requirement = (question.relatedRequirements || []).map(id => requirements[id]).find(Boolean);
+        return requirement && !question.section
+          ? { ...question, section: requirement.section, sourceDocument: requirement.sourceDocument || null }
+          : question;
+      });
+    });
+    return attached;
+  }
+
   buildCrossReferences(questions, analysis) {
     const crossRefs = {};
     
@@ -429,130 +519,81 @@ Analyze the provided requirements analysis and generate clarification questions
     return count;
   }
 
-  cleanJsonString(jsonStr) {
-    // Remove any trailing commas before closing braces or brackets
-    jsonStr = jsonStr.replace(/,(\s*[}\]])/g, '$1');
-    
-    // Fix common issues with quotes
-    jsonStr = jsonStr.replace(/([{,]\s*)([a-zA-Z_][a-zA-Z0-9_]*)\s*:/g, '$1"$2":');
+  async processResult(parsed, context) {
+    // Output can still be incomplete when schema repair did not succeed
+    if (!parsed.questionCategories || typeof parsed.questionCategories !== 'object') {
+      parsed.questionCategories = {};
+    }
     
-    // Remove any control characters that might break JSON parsing
-    jsonStr = jsonStr.replace(/[\x00-\x1F\x7F]/g, '');
+    // Count questions and update summary
+    let totalQuestions = 0;
+    let highPriority = 0;
+    let mediumPriority = 0;
+    let lowPriority = 0;
+    const categoryCounts = {};
     
-    // Ensure the string starts and ends with braces
-    jsonStr = jsonStr.trim();
-    if (!jsonStr.startsWith('{')) {
-      const braceIndex = jsonStr.indexOf('{');
-      if (braceIndex !== -1) {
-        jsonStr = jsonStr.substring(braceIndex);
+    Object.entries(parsed.questionCategories).forEach(([category, questions]) => {
+      if (Array.isArray(questions)) {
+        categoryCounts[category] = questions.length;
+        totalQuestions += questions.length;
+        
+        questions.forEach(q => {
+          switch (q.priority) {
+            case 'high': highPriority++; break;
+            case 'medium': mediumPriority++; break;
+            case 'low': lowPriority++; break;
+          }
+        });
       }
-    }
+    });
+    
+    parsed.questionSummary = {
+      totalQuestions,
+      highPriority,
+      mediumPriority,
+      lowPriority,
+      categoryCounts
+    };
+    
+    // Add processing metadata
+    parsed.processedAt = new Date().toISOString();
+    parsed.agent = this.name;
     
-    return jsonStr;
+    return parsed;
   }
 
-  async processResult(result, context) {
-    try {
-      // Try to extract JSON from the result if it's wrapped in text
-      let jsonStr = result;
-      
-      // Look for JSON block in the response
-      const jsonMatch = result.match(/```json\s*([\s\S]*?)\s*```/) || 
-                       result.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1] || jsonMatch[0];
-      }
-      
-      // Clean up common JSON issues
-      jsonStr = this.cleanJsonString(jsonStr);
-      
-      const parsed = JSON.parse(jsonStr);
-      
-      // Validate required structure
-      if (!parsed.questionCategories) {
-        parsed.questionCategories = {};
-      }
-      
-      if (!parsed.questionSummary) {
-        parsed.questionSummary = {
-          totalQuestions: 0,
-          highPriority: 0,
-          mediumPriority: 0,
-          lowPriority: 0,
-          categoryCounts: {}
-        };
-      }
-      
-      // Count questions and update summary
-      let totalQuestions = 0;
-      let highPriority = 0;
-      let mediumPriority = 0;
-      let lowPriority = 0;
-      const categoryCounts = {};
-      
-      Object.entries(parsed.questionCategories).forEach(([category, questions]) => {
-        if (Array.isArray(questions)) {
-          categoryCounts[category] = questions.length;
-          totalQuestions += questions.length;
-          
-          questions.forEach(q => {
-            switch (q.priority) {
-              case 'high': highPriority++; break;
-              case 'medium': mediumPriority++; break;
-              case 'low': lowPriority++; break;
-            }
-          });
-        }
-      });
-      
-      parsed.questionSummary = {
-        totalQuestions,
-        highPriority,
-        mediumPriority,
-        lowPriority,
-        categoryCounts
-      };
-      
-      // Add processing metadata
-      parsed.processedAt = new Date().toISOString();
-      parsed.agent = this.name;
-      
-      return parsed;
-    } catch (error) {
-      logger.error('Error parsing clarification questions result:', error);
-      logger.debug('Raw result:', result.substring(0, 500));
-      
-      // Fallback: create basic structure
-      return {
-        questionCategories: {
-          technical: [],
-          business: [],
-          timeline: [],
-          budget: [],
-          compliance: []
-        },
-        prioritizedQuestions: [],
-        gapAnalysis: {
-          majorGaps: ['Unable to parse AI response'],
-          assumptionsMade: [],
-          riskAreas: ['Response parsing failed'],
-          recommendedActions: ['Review AI model output format']
-        },
-        questionSummary: {
-          totalQuestions: 0,
-          highPriority: 0,
-          mediumPriority: 0,
-          lowPriority: 0,
-          categoryCounts: {}
-        },
-        confidence: 0.1,
-        processedAt: new Date().toISOString(),
-        agent: this.name,
-        fallbackExtraction: true,
-        error: error.message
-      };
-    }
+  buildFallbackResult(result, context) {
+    logger.debug('Raw result:', result.substring(0, 500));
+
+    // Fallback: create basic structure
+    return {
+      questionCategories: {
+        technical: [],
+        business: [],
+        timeline: [],
+        budget: [],
+        compliance: []
+      },
+      prioritizedQuestions: [],
+      gapAnalysis: {
+        majorGaps: ['Unable to parse AI response'],
+        assumptionsMade: [],
+        riskAreas: ['Response parsing failed'],
+        recommendedActions: ['Review AI model output format']
+      },
+      questionSummary: {
+        totalQuestions: 0,
+        highPriority: 0,
+        mediumPriority: 0,
+        lowPriority: 0,
+        categoryCounts: {}
+      },
+      confidence: 0.1,
+      processedAt: new Date().toISOString(),
+      agent: this.name,
+      fallbackExtraction: true,
+      error: 'Clarification questions output could not be parsed'
+    };
   }
 }
 
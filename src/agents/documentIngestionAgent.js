@@ -1,7 +1,32 @@
 const { BaseAgent } = require('./baseAgent');
 const documentProcessor = require('../services/documentProcessor');
+const config = require('../config');
+const { mapWithConcurrency } = require('../utils/concurrency');
 const logger = require('../utils/logger');
 
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const outputSchema = {
+  type: 'object',
+  required: ['documentType', 'overview', 'confidence'],
+  properties: {
+    documentType: { type: 'string', enum: ['rfp', 'supporting', 'other'] },
+    title: { type: 'string' },
+    overview: { type: 'string', minLength: 1 },
+    keyRequirements: stringList,
+    questions: stringList,
+    deadlines: stringList,
+    technicalSpecs: stringList,
+    businessRequirements: stringList,
+    complianceRequirements: stringList,
+    budgetInfo: { type: 'string' },
+    contactInfo: { type: 'string' },
+    submissionRequirements: stringList,
+    evaluationCriteria: stringList,
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
 class DocumentIngestionAgent extends BaseAgent {
   constructor() {
     super('DocumentIngestionAgent', `
@@ -13,6 +38,7 @@ Your responsibilities:
 3. Identify key sections and structure
 4. Flag important deadlines and submission requirements
 5. Extract contact information and submission details
+6. When the document numbers its sections or clauses, start each requirement and question with its clause number in brackets, e.g. "[3.2.1] The vendor shall provide 24/7 support"
 
 Return your analysis in the following JSON format:
 {
@@ -31,102 +57,85 @@ Return your analysis in the following JSON format:
   "evaluationCriteria": ["criteria1", "criteria2"],
   "confidence": 0.95
 }
-`);
+`, outputSchema);
   }
 
   async processDocuments(documents, workflowId = null) {
-    const results = [];
-    
-    for (const doc of documents) {
+    // Documents are independent, so a few are processed at once; results keep upload order
+    return mapWithConcurrency(documents, config.processing.documentConcurrency, async (doc) => {
+      let processedDoc = null;
       try {
         logger.info(`Processing document: ${doc.originalName}`);
         
         // Process the document content
-        const processedDoc = await documentProcessor.processDocument(
+        processedDoc = await documentProcessor.processDocument(
           doc.path, 
           doc.originalName,
           workflowId
         );
         
-        // Analyze with AI
-        const analysis = await this.execute(processedDoc.content, {
+        // Analyze with AI. Spreadsheets are analyzed from their headers and first
+        // rows; the full row text is stored and vectorized as content
+        const analysis = await this.execute(processedDoc.analysisContent || processedDoc.content, {
           metadata: processedDoc.metadata,
           structuredData: processedDoc.structuredData
         });
         
-        results.push({
+        return {
           ...analysis,
           documentId: doc.id,
           fileName: doc.originalName,
           processedContent: processedDoc.content,
           metadata: processedDoc.metadata,
           structuredData: processedDoc.structuredData
-        });
+        };
         
       } catch (error) {
         logger.error(`Error processing document ${doc.originalName}:`, error);
-        results.push({
+        // A document that was read but not analyzed keeps its text for the later steps
+        return {
           documentId: doc.id,
           fileName: doc.originalName,
           error: error.message,
-          processed: false
-        });
+          processed: false,
+          ...(processedDoc ? {
+            processedContent: processedDoc.content,
+            metadata: processedDoc.metadata,
+            structuredData: processedDoc.structuredData
+          } : {})
+        };
       }
-    }
-    
-    return results;
+    });
   }
 
-  async processResult(result, context) {
-    try {
-      // Try to extract JSON from the result if it's wrapped in text
-      let jsonStr = result;
-      
-      // Look for JSON block in the response
-      const jsonMatch = result.match(/```json\s*([\s\S]*?)\s*```/) || 
-                       result.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1] || jsonMatch[0];
-      }
-      
-      const parsed = JSON.parse(jsonStr);
-      
-      // Validate required fields
-      const requiredFields = ['documentType', 'overview', 'confidence'];
-      const missingFields = requiredFields.filter(field => !parsed[field]);
-      
-      if (missingFields.length > 0) {
-        logger.warn(`Missing required fields: ${missingFields.join(', ')}`);
+  async processResult(parsed, context) {
+    // Ensure arrays are properly formatted
+    const arrayFields = [
+      'keyRequirements', 'questions', 'deadlines', 'technicalSpecs',
+      'businessRequirements', 'complianceRequirements', 'submissionRequirements',
+      'evaluationCriteria'
+    ];
+    
+    arrayFields.forEach(field => {
+      if (parsed[field] && !Array.isArray(parsed[field])) {
+        parsed[field] = [parsed[field]];
+      } else if (!parsed[field]) {
+        parsed[field] = [];
       }
-      
-      // Ensure arrays are properly formatted
-      const arrayFields = [
-        'keyRequirements', 'questions', 'deadlines', 'technicalSpecs',
-        'businessRequirements', 'complianceRequirements', 'submissionRequirements',
-        'evaluationCriteria'
-      ];
-      
-      arrayFields.forEach(field => {
-        if (parsed[field] && !Array.isArray(parsed[field])) {
-          parsed[field] = [parsed[field]];
-        } else if (!parsed[field]) {
-          parsed[field] = [];
-        }
-      });
-      
-      // Add processing metadata
-      parsed.processedAt = new Date().toISOString();
-      parsed.agent = this.name;
-      
-      return parsed;
-    } catch (error) {
-      logger.error('Error parsing document ingestion result:', error);
-      logger.debug('Raw result:', result.substring(0, 500));
-      
-      // Fallback: extract basic information from text
-      return this.extractBasicInfo(result, context);
-    }
+    });
+    
+    // Add processing metadata
+    parsed.processedAt = new Date().toISOString();
+    parsed.agent = this.name;
+    
+    return parsed;
+  }
+
+  buildFallbackResult(result, context) {
+    logger.debug('Raw result:', result.substring(0, 500));
+
+    // Fallback: extract basic information from text
+    return this.extractBasicInfo(result, context);
   }
 
   extractBasicInfo(text, context) {
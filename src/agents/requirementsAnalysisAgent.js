@@ -1,5 +1,120 @@
 const { BaseAgent } = require('./baseAgent');
 const logger = require('../utils/logger');
+const { sectionLabel, findSectionByReference, indexSections, matchSection } = require('../utils/documentOutline');
+
+const level = { type: 'string', enum: ['high', 'medium', 'low'] };
+const stringArray = { type: 'array', items: { type: 'string' } };
+// Where a requirement is stated, for the compliance matrix
+const source = { sourceDocument: { type: 'string' }, section: { type: 'string' } };
+
+const outputSchema = {
+  type: 'object',
+  required: ['projectOverview', 'requirements', 'confidence'],
+  properties: {
+    projectOverview: {
+      type: 'object',
+      required: ['title', 'description'],
+      properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        scope: { type: 'string' },
+        objectives: stringArray
+      }
+    },
+    requirements: {
+      type: 'object',
+      required: ['technical', 'business', 'compliance'],
+      properties: {
+        technical: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'description', 'priority'],
+            properties: {
+              id: { type: 'string' },
+              description: { type: 'string' },
+              priority: level,
+              complexity: level,
+              category: { type: 'string' },
+              ...source
+            }
+          }
+        },
+        business: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'description', 'priority'],
+            properties: {
+              id: { type: 'string' },
+              description: { type: 'string' },
+              priority: level,
+              impact: level,
+              ...source
+            }
+          }
+        },
+        compliance: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'description'],
+            properties: {
+              id: { type: 'string' },
+              description: { type: 'string' },
+              mandatory: { type: 'boolean' },
+              standard: { type: 'string' },
+              ...source
+            }
+          }
+        }
+      }
+    },
+    timeline: {
+      type: 'object',
+      properties: {
+        projectDuration: { type: 'string' },
+        keyMilestones: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string' },
+              deadline: { type: 'string' },
+              deliverables: stringArray
+            }
+          }
+        },
+        criticalPath: stringArray
+      }
+    },
+    budget: { type: 'object' },
+    riskAssessment: {
+      type: 'object',
+      properties: {
+        overallComplexity: level,
+        technicalRisks: stringArray,
+        businessRisks: stringArray,
+        mitigationStrategies: stringArray
+      }
+    },
+    evaluationCriteria: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['criterion'],
+        properties: {
+          criterion: { type: 'string' },
+          weight: { type: ['string', 'number'] },
+          description: { type: 'string' }
+        }
+      }
+    },
+    recommendations: { type: 'object' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
 
 class RequirementsAnalysisAgent extends BaseAgent {
   constructor() {
@@ -28,7 +143,9 @@ Analyze the provided RFP data and return a JSON response with this structure:
         "description": "requirement description",
         "priority": "high|medium|low",
         "complexity": "high|medium|low",
-        "category": "infrastructure|development|integration|security"
+        "category": "infrastructure|development|integration|security",
+        "sourceDocument": "file name of the document stating the requirement",
+        "section": "clause number and heading where it is stated, e.g. 3.2.1 Security"
       }
     ],
     "business": [
@@ -36,7 +153,9 @@ Analyze the provided RFP data and return a JSON response with this structure:
         "id": "bus_001", 
         "description": "business requirement",
         "priority": "high|medium|low",
-        "impact": "high|medium|low"
+        "impact": "high|medium|low",
+        "sourceDocument": "file name",
+        "section": "section number or heading"
       }
     ],
     "compliance": [
@@ -44,7 +163,9 @@ Analyze the provided RFP data and return a JSON response with this structure:
         "id": "comp_001",
         "description": "compliance requirement", 
         "mandatory": true,
-        "standard": "regulation or standard name"
+        "standard": "regulation or standard name",
+        "sourceDocument": "file name",
+        "section": "section number or heading"
       }
     ]
   },
@@ -84,22 +205,31 @@ Analyze the provided RFP data and return a JSON response with this structure:
   },
   "confidence": 0.95
 }
-`);
+`, outputSchema);
   }
 
-  async analyzeRequirements(ingestedDocuments) {
+  /**
+   * Analyze requirements across the ingested documents. Pass options.onChunk
+   * to receive the analysis text as the model streams it.
+   */
+  async analyzeRequirements(ingestedDocuments, options = {}) {
     try {
       logger.info('Starting requirements analysis', { 
         documentCount: ingestedDocuments.length 
       });
 
       // Combine all document content and analysis
-      const combinedInput = this.combineDocumentData(ingestedDocuments);
+      let combinedInput = this.combineDocumentData(ingestedDocuments);
+      if (options.feedback) {
+        // An analyst rejected the previous analysis at its review gate
+        combinedInput += `\n=== ANALYST FEEDBACK ON THE PREVIOUS ANALYSIS ===\n${options.feedback}\n`;
+      }
       
       // Execute analysis
       const analysis = await this.execute(combinedInput, {
         documentCount: ingestedDocuments.length,
-        documentTypes: ingestedDocuments.map(d => d.documentType)
+        documentTypes: ingestedDocuments.map(d => d.documentType),
+        onChunk: options.onChunk
       });
 
       // Enhance analysis with cross-document insights
@@ -124,6 +254,14 @@ Analyze the provided RFP data and return a JSON response with this structure:
       combinedData += `--- Document ${index + 1}: ${doc.fileName} ---\n`;
       combinedData += `Type: ${doc.documentType}\n`;
       combinedData += `Overview: ${doc.overview}\n\n`;
+
+      // The document's own headings, so requirements can name their section
+      const outline = (doc.metadata?.sections || []).filter(section => section.level <= 2);
+      if (outline.length > 0) {
+        combinedData += "Sections:\n";
+        outline.slice(0, 60).forEach(section => combinedData += `- ${sectionLabel(section)}\n`);
+        combinedData += "\n";
+      }
       
       if (doc.keyRequirements?.length > 0) {
         combinedData += "Key Requirements:\n";
@@ -179,6 +317,7 @@ Analyze the provided RFP data and return a JSON response with this structure:
         enhancement.requirements, 
         documents
       );
+      enhancement.requirements = this.locateSections(enhancement.requirements, documents);
     }
 
     return enhancement;
@@ -258,6 +397,47 @@ Analyze the provided RFP data and return a JSON response with this structure:
     return enhancedRequirements;
   }
 
+  /**
+   * Point each requirement at the section of the RFP stating it, using the
+   * documents' outlines: the section whose text contains the requirement, or
+   * the clause the model named (a "[3.2.1]" prefix from ingestion counts).
+   * The section becomes its label, e.g. "3.2.1 Security Requirements".
+   */
+  locateSections(requirements, documents) {
+    const outlined = documents
+      .filter(doc => doc.metadata?.sections?.length > 0 && doc.processedContent)
+      .map(doc => ({ doc, index: indexSections(doc.metadata.sections, doc.processedContent) }));
+    if (outlined.length === 0) {
+      return requirements;
+    }
+
+    const located = { ...requirements };
+    ['technical', 'business', 'compliance'].forEach(category => {
+      if (!Array.isArray(located[category])) return;
+      located[category] = located[category].map(req => {
+        const prefix = req.description?.match(/^\[(\d+(?:\.\d+)*)\]\s*/);
+        const description = prefix ? req.description.slice(prefix[0].length) : req.description;
+        const reference = req.section || prefix?.[1];
+        const named = outlined.filter(({ doc }) => doc.fileName === req.sourceDocument);
+        const candidates = named.length > 0 ? named : outlined;
+
+        for (const { doc, index } of candidates) {
+          const matched = matchSection(index, description);
+          if (matched) {
+            // The clause the model named wins when it is in the same document
+            const section = findSectionByReference(doc.metadata.sections, reference) || matched;
+            return { ...req, description, sourceDocument: doc.fileName, section: sectionLabel(section) };
+          }
+        }
+        const section = findSectionByReference(candidates[0].doc.metadata.sections, reference);
+        return section
+          ? { ...req, description, sourceDocument: req.sourceDocument || candidates[0].doc.fileName, section: sectionLabel(section) }
+          : { ...req, description };
+      });
+    });
+    return located;
+  }
+
   calculateRequirementFrequency(requirement, documents) {
     let frequency = 0;
     const reqLower = requirement.toLowerCase();
@@ -314,81 +494,67 @@ Analyze the provided RFP data and return a JSON response with this structure:
     return count;
   }
 
-  async processResult(result, context) {
-    try {
-      // Try to extract JSON from the result if it's wrapped in text
-      let jsonStr = result;
-      
-      // Look for JSON block in the response
-      const jsonMatch = result.match(/```json\s*([\s\S]*?)\s*```/) || 
-                       result.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1] || jsonMatch[0];
-      }
-      
-      const parsed = JSON.parse(jsonStr);
-      
-      // Validate and ensure required structure
-      if (!parsed.requirements) {
-        parsed.requirements = {
-          technical: [],
-          business: [],
-          compliance: []
-        };
-      }
-      
-      // Ensure arrays for each category
-      ['technical', 'business', 'compliance'].forEach(category => {
-        if (!Array.isArray(parsed.requirements[category])) {
-          parsed.requirements[category] = [];
-        }
-      });
-      
-      // Add processing metadata
-      parsed.processedAt = new Date().toISOString();
-      parsed.agent = this.name;
-      
-      return parsed;
-    } catch (error) {
-      logger.error('Error parsing requirements analysis result:', error);
-      logger.debug('Raw result:', result.substring(0, 500));
-      
-      // Fallback: create basic structure
-      return {
-        projectOverview: {
-          title: 'Unable to parse project title',
-          description: 'Requirements analysis parsing failed',
-          scope: 'Unknown scope',
-          objectives: []
-        },
-        requirements: {
-          technical: [],
-          business: [],
-          compliance: []
-        },
-        timeline: {
-          projectDuration: 'Not specified',
-          keyMilestones: [],
-          criticalDeadlines: []
-        },
-        budget: {
-          estimatedRange: 'Not specified',
-          budgetConstraints: [],
-          costFactors: []
-        },
-        evaluationCriteria: [],
-        riskAssessment: {
-          identifiedRisks: ['Requirements parsing failed'],
-          riskMitigation: []
-        },
-        confidence: 0.1,
-        processedAt: new Date().toISOString(),
-        agent: this.name,
-        fallbackExtraction: true,
-        error: error.message
+  async processResult(parsed, context) {
+    // Output can still be incomplete when schema repair did not succeed
+    if (!parsed.requirements) {
+      parsed.requirements = {
+        technical: [],
+        business: [],
+        compliance: []
       };
     }
+    
+    // Ensure arrays for each category
+    ['technical', 'business', 'compliance'].forEach(category => {
+      if (!Array.isArray(parsed.requirements[category])) {
+        parsed.requirements[category] = [];
+      }
+    });
+    
+    // Add processing metadata
+    parsed.processedAt = new Date().toISOString();
+    parsed.agent = this.name;
+    
+    return parsed;
+  }
+
+  buildFallbackResult(result, context) {
+    logger.debug('Raw result:', result.substring(0, 500));
+
+    // Fallback: create basic structure
+    return {
+      projectOverview: {
+        title: 'Unable to parse project title',
+        description: 'Requirements analysis parsing failed',
+        scope: 'Unknown scope',
+        objectives: []
+      },
+      requirements: {
+        technical: [],
+        business: [],
+        compliance: []
+      },
+      timeline: {
+        projectDuration: 'Not specified',
+        keyMilestones: [],
+        criticalDeadlines: []
+      },
+      budget: {
+        estimatedRange: 'Not specified',
+        budgetConstraints: [],
+        costFactors: []
+      },
+      evaluationCriteria: [],
+      riskAssessment: {
+        identifiedRisks: ['Requirements parsing failed'],
+        riskMitigation: []
+      },
+      confidence: 0.1,
+      processedAt: new Date().toISOString(),
+      agent: this.name,
+      fallbackExtraction: true,
+      error: 'Requirements analysis output could not be parsed'
+    };
   }
 }
 
@@ -1,6 +1,99 @@
 const { BaseAgent } = require('./baseAgent');
+const answerReviewService = require('../services/answerReviewService');
+const proposalVerificationService = require('../services/proposalVerificationService');
 const logger = require('../utils/logger');
 
+const level = { type: 'string', enum: ['high', 'medium', 'low'] };
+const score = { type: 'number', minimum: 0, maximum: 1 };
+
+const outputSchema = {
+  type: 'object',
+  required: ['executiveSummary', 'proposalStructure', 'questionResponses', 'gapsAndActions', 'confidence'],
+  properties: {
+    executiveSummary: {
+      type: 'object',
+      required: ['projectTitle', 'companyResponse'],
+      properties: {
+        projectTitle: { type: 'string' },
+        companyResponse: { type: 'string' },
+        keyStrengths: { type: 'array', items: { type: 'string' } },
+        valueProposition: { type: 'string' },
+        confidenceLevel: level,
+        overallReadiness: score
+      }
+    },
+    proposalStructure: {
+      type: 'object',
+      required: ['sections'],
+      properties: {
+        sections: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['sectionId', 'title', 'content'],
+            properties: {
+              sectionId: { type: 'string' },
+              title: { type: 'string' },
+              order: { type: 'number' },
+              status: { type: 'string', enum: ['complete', 'partial', 'needs_input'] },
+              content: { type: 'string' },
+              subsections: { type: 'array', items: { type: 'object' } }
+            }
+          }
+        }
+      }
+    },
+    questionResponses: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['questionId', 'response'],
+        properties: {
+          questionId: { type: 'string' },
+          originalQuestion: { type: 'string' },
+          response: { type: 'string' },
+          confidence: score,
+          status: { type: 'string', enum: ['answered', 'partial', 'needs_review'] },
+          sources: { type: 'array', items: { type: 'object' } },
+          reviewNotes: { type: 'string' }
+        }
+      }
+    },
+    gapsAndActions: {
+      type: 'object',
+      properties: {
+        criticalGaps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['area', 'description'],
+            properties: {
+              area: { type: 'string' },
+              description: { type: 'string' },
+              impact: level,
+              recommendedAction: { type: 'string' },
+              assignedTo: { type: 'string' },
+              priority: { type: 'number' }
+            }
+          }
+        },
+        reviewItems: { type: 'array', items: { type: 'object' } },
+        additionalResearch: { type: 'array', items: { type: 'object' } }
+      }
+    },
+    qualityAssurance: {
+      type: 'object',
+      properties: {
+        completenessScore: score,
+        consistencyCheck: { type: 'string', enum: ['passed', 'failed', 'warnings'] }
+      }
+    },
+    nextSteps: { type: 'object' },
+    appendices: { type: 'object' },
+    confidence: score
+  }
+};
+
 class ResponseCompilationAgent extends BaseAgent {
   constructor() {
     super('ResponseCompilationAgent', `
@@ -114,15 +207,25 @@ Compile the provided information into a structured RFP response in this JSON for
   },
   "confidence": 0.88
 }
-`);
+`, outputSchema);
   }
 
-  async compileResponse(requirementsAnalysis, clarificationQuestions, extractedAnswers, projectContext) {
+  /**
+   * Compile the final response. Pass options.onChunk to receive the
+   * compilation text as the model streams it, options.approvedOnly to
+   * leave out answers a reviewer has not approved, and options.workflowId to
+   * verify the proposal against the workflow's documents.
+   */
+  async compileResponse(requirementsAnalysis, clarificationQuestions, extractedAnswers, projectContext, options = {}) {
     try {
+      if (options.approvedOnly) {
+        extractedAnswers = answerReviewService.onlyApproved(extractedAnswers);
+      }
+
       logger.info('Starting response compilation', {
         requirements: this.countRequirements(requirementsAnalysis),
         questions: this.countQuestions(clarificationQuestions),
-        answers: extractedAnswers.answeredQuestions?.length || 0
+        answers: extractedAnswers?.answeredQuestions?.length || 0
       });
 
       // Prepare comprehensive input
@@ -136,7 +239,8 @@ Compile the provided information into a structured RFP response in this JSON for
       // Compile response
       const compiledResponse = await this.execute(input, {
         compilationType: 'rfp_response',
-        projectContext
+        projectContext,
+        onChunk: options.onChunk
       });
 
       // Enhance with additional analysis
@@ -144,12 +248,14 @@ Compile the provided information into a structured RFP response in this JSON for
         compiledResponse,
         requirementsAnalysis,
         clarificationQuestions,
-        extractedAnswers
+        extractedAnswers,
+        options.workflowId
       );
 
       logger.info('Response compilation completed', {
         completenessScore: enhancedResponse.qualityAssurance?.completenessScore || 0,
-        criticalGaps: enhancedResponse.gapsAndActions?.criticalGaps?.length || 0
+        criticalGaps: enhancedResponse.gapsAndActions?.criticalGaps?.length || 0,
+        verification: enhancedResponse.verification.status
       });
 
       return enhancedResponse;
@@ -289,14 +395,13 @@ Compile the provided information into a structured RFP response in this JSON for
     return highPriorityQuestions.slice(0, limit);
   }
 
-  async enhanceResponse(response, requirementsAnalysis, clarificationQuestions, extractedAnswers) {
+  async enhanceResponse(response, requirementsAnalysis, clarificationQuestions, extractedAnswers, workflowId = null) {
+    const verification = await proposalVerificationService.verifyProposal(response, extractedAnswers, { workflowId });
+
     // Add cross-validation and quality checks
     const enhanced = {
-      ...response,
-      crossValidation: this.performCrossValidation(response, extractedAnswers),
-      completenessAnalysis: this.analyzeCompleteness(response, requirementsAnalysis),
-      consistencyCheck: this.checkConsistency(response),
-      improvementSuggestions: this.generateImprovementSuggestions(response)
+      ...this.applyVerification(response, verification, extractedAnswers),
+      completenessAnalysis: this.analyzeCompleteness(response, requirementsAnalysis)
     };
 
     // Add section-level metrics
@@ -308,7 +413,34 @@ Compile the provided information into a structured RFP response in this JSON for
     return enhanced;
   }
 
-  performCrossValidation(response, extractedAnswers) {
+  /**
+   * Verify an already compiled response again, e.g. after reviewers edited
+   * the answers it was compiled from
+   */
+  async reverifyResponse(response, extractedAnswers, workflowId = null) {
+    const verification = await proposalVerificationService.verifyProposal(response, extractedAnswers, { workflowId });
+    return this.applyVerification(response, verification, extractedAnswers);
+  }
+
+  // The verification replaces the model's own consistency verdict
+  applyVerification(response, verification, extractedAnswers) {
+    const blocking = verification.findings.filter(finding => finding.blocking).length;
+
+    return {
+      ...response,
+      verification,
+      crossValidation: this.performCrossValidation(response, extractedAnswers, verification),
+      consistencyCheck: this.checkConsistency(verification),
+      improvementSuggestions: this.generateImprovementSuggestions(response, verification),
+      qualityAssurance: {
+        ...response.qualityAssurance,
+        consistencyCheck: verification.status === 'blocked' ? 'failed' : verification.status === 'warnings' ? 'warnings' : 'passed',
+        blockingFindings: blocking
+      }
+    };
+  }
+
+  performCrossValidation(response, extractedAnswers, verification) {
     const validation = {
       answerConsistency: 'good',
       sourceReliability: 'high',
@@ -320,7 +452,7 @@ Compile the provided information into a structured RFP response in this JSON for
     const responseAnswers = response.questionResponses || [];
     const extractedAnswerMap = {};
     
-    (extractedAnswers.answeredQuestions || []).forEach(answer => {
+    (extractedAnswers?.answeredQuestions || []).forEach(answer => {
       extractedAnswerMap[answer.questionId] = answer;
     });
 
@@ -353,6 +485,23 @@ Compile the provided information into a structured RFP response in this JSON for
       }
     });
 
+    // Question responses that claim more than the extracted answer says
+    verification.findings
+      .filter(finding => finding.type === 'unsupported_claim' && finding.location?.questionId)
+      .forEach(finding => {
+        validation.issues.push({
+          questionId: finding.location.questionId,
+          issue: `Unsupported claim: ${finding.claim}`,
+          severity: finding.severity
+        });
+      });
+
+    if (validation.issues.some(issue => issue.severity === 'blocking')) {
+      validation.answerConsistency = 'poor';
+    } else if (validation.issues.length > 0) {
+      validation.answerConsistency = 'fair';
+    }
+
     return validation;
   }
 
@@ -409,55 +558,32 @@ Compile the provided information into a structured RFP response in this JSON for
     return analysis;
   }
 
-  checkConsistency(response) {
-    const consistency = {
-      overallConsistency: 'good',
-      issues: [],
-      checks: {
-        terminologyConsistency: true,
-        dateConsistency: true,
-        budgetConsistency: true,
-        contactConsistency: true
-      }
+  checkConsistency(verification) {
+    const contradictions = verification.findings.filter(finding => finding.type === 'contradiction');
+
+    return {
+      overallConsistency: contradictions.length > 0 ? 'conflicting' : 'good',
+      issues: contradictions.map(finding => ({
+        type: finding.attribute,
+        issue: finding.message,
+        severity: finding.severity,
+        locations: finding.occurrences.map(occurrence => occurrence.location.title)
+      }))
     };
-
-    // Check for consistent terminology across sections
-    const allContent = (response.proposalStructure?.sections || [])
-      .map(s => s.content || '')
-      .join(' ');
-
-    // Simple consistency checks (could be enhanced with NLP)
-    const commonTerms = ['project', 'solution', 'implementation', 'delivery'];
-    commonTerms.forEach(term => {
-      const variations = this.findTermVariations(allContent, term);
-      if (variations.length > 2) {
-        consistency.issues.push({
-          type: 'terminology',
-          issue: `Multiple variations of "${term}" found: ${variations.join(', ')}`,
-          severity: 'low'
-        });
-      }
-    });
-
-    return consistency;
   }
 
-  findTermVariations(text, baseTerm) {
-    const variations = new Set();
-    const words = text.toLowerCase().match(/\b\w+\b/g) || [];
-    
-    words.forEach(word => {
-      if (word.includes(baseTerm.toLowerCase()) || baseTerm.toLowerCase().includes(word)) {
-        variations.add(word);
-      }
-    });
-
-    return Array.from(variations);
-  }
-
-  generateImprovementSuggestions(response) {
+  generateImprovementSuggestions(response, verification) {
     const suggestions = [];
 
+    const blocking = verification.findings.filter(finding => finding.blocking);
+    if (blocking.length > 0) {
+      suggestions.push({
+        area: 'Verification',
+        suggestion: `Resolve ${blocking.length} blocking verification finding${blocking.length !== 1 ? 's' : ''} before sending the proposal`,
+        priority: 'high'
+      });
+    }
+
     // Check executive summary
     if (!response.executiveSummary?.valueProposition) {
       suggestions.push({
@@ -3,6 +3,17 @@ const path = require('path');
 
 dotenv.config();
 
+// Parse a JSON object from an environment variable, falling back to an empty object
+const parseJsonEnv = (value) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.warn('Ignoring invalid JSON in environment configuration');
+    return {};
+  }
+};
+
 const config = {
   server: {
     port: process.env.PORT || 3000,
@@ -20,6 +31,80 @@ const config = {
     apiKey: process.env.GOOGLE_API_KEY,
     geminiModelId: process.env.GEMINI_MODEL_ID || 'models/gemini-2.5-flash'
   },
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'bedrock', // bedrock | gemini | openai | mock
+    // Per-agent overrides, e.g. {"RequirementsAnalysisAgent": {"provider": "openai", "modelId": "gpt-4o-mini", "maxTokens": 4000, "temperature": 0.1}}
+    agents: parseJsonEnv(process.env.LLM_AGENT_CONFIG),
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      modelId: process.env.OPENAI_MODEL_ID || 'gpt-4o-mini',
+      timeout: parseInt(process.env.OPENAI_TIMEOUT_MS) || 60000
+    },
+    mock: {
+      fixturesDir: process.env.LLM_MOCK_FIXTURES_DIR
+    },
+    // USD per 1M tokens keyed by model ID (or a fragment of it), merged over the built-in price table,
+    // e.g. {"claude-3-haiku": {"input": 0.25, "output": 1.25}}
+    pricing: parseJsonEnv(process.env.LLM_PRICING),
+    // Retries with exponential backoff when a provider throttles; every caller waits out the cooldown
+    throttling: {
+      maxRetries: parseInt(process.env.LLM_THROTTLE_MAX_RETRIES) || 5,
+      baseDelay: parseInt(process.env.LLM_THROTTLE_BASE_DELAY_MS) || 1000,
+      maxDelay: parseInt(process.env.LLM_THROTTLE_MAX_DELAY_MS) || 30000
+    }
+  },
+  processing: {
+    // Documents ingested and embedded at once, and questions answered at once
+    documentConcurrency: parseInt(process.env.DOCUMENT_CONCURRENCY) || 3,
+    questionConcurrency: parseInt(process.env.QUESTION_CONCURRENCY) || 5,
+    // Rows read from each CSV file or worksheet; later rows are recorded as cut
+    maxTableRows: parseInt(process.env.MAX_TABLE_ROWS) || 50000
+  },
+  ocr: {
+    // Scanned PDF pages (less text than minPageChars) and image uploads are read with tesseract.js
+    enabled: process.env.OCR_ENABLED !== 'false', // Default to true
+    language: process.env.OCR_LANGUAGE || 'eng',
+    langPath: process.env.OCR_LANG_PATH || null,
+    minPageChars: parseInt(process.env.OCR_MIN_PAGE_CHARS) || 50,
+    maxPages: parseInt(process.env.OCR_MAX_PAGES) || 200,
+    renderScale: parseFloat(process.env.OCR_RENDER_SCALE) || 2
+  },
+  bundles: {
+    // ZIP archives and emails are unpacked into their files; the limits guard against zip bombs
+    maxDepth: parseInt(process.env.BUNDLE_MAX_DEPTH) || 3, // archives and emails nested inside each other
+    maxFiles: parseInt(process.env.BUNDLE_MAX_FILES) || 200, // files extracted from one upload
+    maxTotalSize: (parseInt(process.env.BUNDLE_MAX_TOTAL_MB) || 250) * 1024 * 1024, // bytes extracted from one upload
+    maxRatio: parseInt(process.env.BUNDLE_MAX_RATIO) || 100 // uncompressed to compressed size of a ZIP entry
+  },
+  budget: {
+    // Limits are disabled when unset; costs are in USD
+    workflowMaxCost: parseFloat(process.env.BUDGET_WORKFLOW_MAX_COST) || null,
+    workflowMaxTokens: parseInt(process.env.BUDGET_WORKFLOW_MAX_TOKENS) || null,
+    dailyMaxCost: parseFloat(process.env.BUDGET_DAILY_MAX_COST) || null,
+    dailyMaxTokens: parseInt(process.env.BUDGET_DAILY_MAX_TOKENS) || null,
+    // Fraction of a limit at which workflows switch to cheaper behaviour
+    warningThreshold: parseFloat(process.env.BUDGET_WARNING_THRESHOLD) || 0.8,
+    // Model used per provider once a workflow is near its limit
+    degradedModels: {
+      bedrock: 'anthropic.claude-3-haiku-20240307-v1:0',
+      gemini: 'models/gemini-2.5-flash-lite',
+      openai: 'gpt-4o-mini',
+      ...parseJsonEnv(process.env.BUDGET_DEGRADED_MODELS)
+    }
+  },
+  pipeline: {
+    // Template used when a workflow does not name one
+    defaultTemplate: process.env.PIPELINE_TEMPLATE || 'standard',
+    // Extra templates as ordered step IDs, e.g. {"fast": ["document_ingestion", "requirements_analysis", "response_compilation"]}
+    templates: parseJsonEnv(process.env.PIPELINE_TEMPLATES),
+    // Pause workflows at review gates unless the upload says otherwise
+    reviewByDefault: process.env.PIPELINE_REVIEW === 'true'
+  },
+  answerReview: {
+    // Leave answers a reviewer has not approved out of compiled responses and PDF reports
+    approvedOnly: process.env.APPROVED_ANSWERS_ONLY === 'true'
+  },
   database: {
     url: process.env.DATABASE_URL || './data/rfp_system.db',
     workflowSpecific: process.env.WORKFLOW_SPECIFIC_DB !== 'false' // Default to true
@@ -27,6 +112,56 @@ const config = {
   redis: {
     url: process.env.REDIS_URL || 'disabled' // Set to 'disabled' to use in-memory cache
   },
+  jobs: {
+    dbPath: process.env.JOB_QUEUE_DB || './data/jobs.db',
+    // Workflows processed at once, and how many of those slots batch jobs may take
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+    batchConcurrency: parseInt(process.env.JOB_BATCH_CONCURRENCY) || 1,
+    // Named priorities; jobs below 'interactive' count as batch jobs
+    priorities: {
+      interactive: 10,
+      batch: 0
+    },
+    pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+    heartbeatInterval: parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS) || 10000,
+    // A running job without a heartbeat for this long belongs to a dead worker and is resumed
+    staleAfter: parseInt(process.env.JOB_STALE_AFTER_MS) || 60000,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3
+  },
+  library: {
+    dbPath: process.env.ANSWER_LIBRARY_DB || './data/library.db',
+    // Answer extraction uses a library answer when its question is at least this similar
+    minSimilarity: parseFloat(process.env.ANSWER_LIBRARY_MIN_SIMILARITY) || 0.82,
+    // Days until a promoted answer is due for review, unless a date is given
+    reviewIntervalDays: parseInt(process.env.ANSWER_LIBRARY_REVIEW_DAYS) || 180
+  },
+  citations: {
+    // Share of a sentence's content words that one cited chunk must contain
+    minSupport: parseFloat(process.env.CITATION_MIN_SUPPORT) || 0.6,
+    // Sentences with fewer content words are not treated as claims
+    minClaimWords: parseInt(process.env.CITATION_MIN_CLAIM_WORDS) || 3
+  },
+  verification: {
+    // Proposal claims the answers do not support are searched for in the documents, up to this many
+    maxSourceSearches: parseInt(process.env.VERIFICATION_MAX_SOURCE_SEARCHES) || 60,
+    // Claims still unsupported, and figures stated across sections, are judged by the LLM
+    llmJudge: process.env.VERIFICATION_LLM_JUDGE !== 'false',
+    maxJudgedClaims: parseInt(process.env.VERIFICATION_MAX_JUDGED_CLAIMS) || 40,
+    maxJudgedStatements: parseInt(process.env.VERIFICATION_MAX_JUDGED_STATEMENTS) || 120
+  },
+  knowledgeBase: {
+    // Company documents shared by every workflow; answer extraction searches them automatically
+    enabled: process.env.KNOWLEDGE_BASE_ENABLED !== 'false',
+    // Name of the knowledge base vector index and Neo4j subgraph
+    id: 'knowledge_base',
+    dbPath: process.env.KNOWLEDGE_BASE_DB || './data/knowledge.db',
+    storageDir: process.env.KNOWLEDGE_BASE_DIR || './data/knowledge-base'
+  },
+  templates: {
+    // Team-uploaded document templates, e.g. Word proposal templates
+    dbPath: process.env.TEMPLATES_DB || './data/templates.db',
+    storageDir: process.env.TEMPLATES_DIR || './data/templates'
+  },
   neo4j: {
     enabled: process.env.NEO4J_ENABLED !== 'false', // Default to true
     uri: process.env.NEO4J_URI || 'bolt://localhost:7687',
@@ -37,7 +172,7 @@ const config = {
   upload: {
     maxFileSize: process.env.MAX_FILE_SIZE || '100MB',
     uploadDir: process.env.UPLOAD_DIR || './uploads',
-    allowedTypes: ['pdf', 'docx', 'txt', 'csv', 'xlsx', 'xls']
+    allowedTypes: ['pdf', 'docx', 'pptx', 'txt', 'md', 'markdown', 'html', 'htm', 'rtf', 'csv', 'xlsx', 'png', 'jpg', 'jpeg', 'tif', 'tiff', 'eml', 'msg', 'zip']
   },
   storage: {
     dataDir: process.env.DATA_DIR || './data',
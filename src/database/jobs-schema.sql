@@ -0,0 +1,23 @@
+-- Durable job queue for workflow execution
+-- Lives in its own database so it survives restarts independently of the per-workflow databases
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  workflow_id TEXT NOT NULL,
+  type TEXT NOT NULL, -- process_rfp, retry_workflow, review_workflow
+  payload TEXT NOT NULL, -- JSON
+  status TEXT NOT NULL DEFAULT 'queued', -- queued, running, completed, failed
+  priority INTEGER NOT NULL DEFAULT 0, -- higher runs first
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  worker_id TEXT,
+  heartbeat_at DATETIME,
+  last_error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME,
+  completed_at DATETIME,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_priority ON jobs(status, priority DESC, created_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_workflow_id ON jobs(workflow_id);
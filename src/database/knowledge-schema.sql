@@ -0,0 +1,26 @@
+-- Company knowledge base shared by all workflows
+-- Each upload of a document is a version; only the active version is indexed
+
+CREATE TABLE IF NOT EXISTS kb_documents (
+  id TEXT PRIMARY KEY,
+  document_key TEXT NOT NULL, -- groups the versions of one document
+  version INTEGER NOT NULL DEFAULT 1,
+  title TEXT NOT NULL,
+  file_name TEXT NOT NULL,
+  file_path TEXT NOT NULL,
+  file_type TEXT,
+  file_size INTEGER,
+  content_hash TEXT,
+  description TEXT,
+  tags TEXT, -- JSON array
+  uploaded_by TEXT,
+  status TEXT NOT NULL DEFAULT 'active', -- active, superseded
+  chunk_count INTEGER DEFAULT 0,
+  graph_document_id TEXT, -- Neo4j document node, when the graph is enabled
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  superseded_at DATETIME,
+  UNIQUE(document_key, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_kb_documents_key ON kb_documents(document_key);
+CREATE INDEX IF NOT EXISTS idx_kb_documents_status ON kb_documents(status);
@@ -0,0 +1,27 @@
+-- Global answer library shared by all workflows
+-- Lives in its own database, next to the job queue, because every workflow reads it
+
+CREATE TABLE IF NOT EXISTS library_answers (
+  id TEXT PRIMARY KEY,
+  question TEXT NOT NULL,
+  answer TEXT NOT NULL,
+  category TEXT,
+  tags TEXT, -- JSON array
+  owner TEXT,
+  status TEXT NOT NULL DEFAULT 'active', -- active, archived
+  embedding TEXT, -- JSON array, embedding of the question
+  source_workflow_id TEXT,
+  source_question_id TEXT,
+  source_answer_id INTEGER,
+  expires_at DATETIME, -- not used for answers after this date
+  review_due_at DATETIME, -- when the owner should check the answer again
+  last_reviewed_at DATETIME,
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_library_answers_status ON library_answers(status);
+CREATE INDEX IF NOT EXISTS idx_library_answers_owner ON library_answers(owner);
+CREATE INDEX IF NOT EXISTS idx_library_answers_source ON library_answers(source_workflow_id, source_answer_id);
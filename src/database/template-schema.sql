@@ -0,0 +1,17 @@
+-- Document templates uploaded by proposal teams, shared by all workflows
+
+CREATE TABLE IF NOT EXISTS templates (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL, -- docx or pdf
+  name TEXT NOT NULL,
+  description TEXT,
+  file_name TEXT NOT NULL,
+  file_path TEXT NOT NULL,
+  file_size INTEGER,
+  placeholders TEXT, -- JSON array of the tags found in the template
+  is_default BOOLEAN DEFAULT 0, -- used when an export names no template
+  uploaded_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_templates_type ON templates(type);
@@ -12,6 +12,9 @@ CREATE TABLE IF NOT EXISTS workflows (
   end_time DATETIME,
   duration INTEGER, -- in milliseconds
   error_message TEXT,
+  budget_limits TEXT, -- JSON, overrides the configured LLM budget
+  pipeline_template TEXT, -- pipeline the workflow runs, see src/orchestrator/pipeline.js
+  review_enabled BOOLEAN DEFAULT 0, -- pause at review gates for analyst approval
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -29,6 +32,7 @@ CREATE TABLE IF NOT EXISTS documents (
   processed_content TEXT,
   metadata TEXT, -- JSON
   structured_data TEXT, -- JSON
+  parent_document_id TEXT, -- the ZIP archive or email the file was unpacked from
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE
@@ -44,8 +48,16 @@ CREATE TABLE IF NOT EXISTS requirements (
   priority TEXT DEFAULT 'medium',
   complexity TEXT DEFAULT 'medium',
   mandatory BOOLEAN DEFAULT 0,
+  standard TEXT, -- regulation or standard of a compliance requirement
   source_document_id TEXT,
+  source_document TEXT, -- file name and section the requirement is stated in
+  source_section TEXT,
+  created_by TEXT DEFAULT 'system', -- 'user' for requirements added or edited through the API, 'addendum' for ones an addendum added
+  status TEXT DEFAULT 'active', -- active, superseded
+  superseded_by TEXT, -- requirement_id of the replacement, if the addendum named one
+  amended_by TEXT, -- id of the last addendum that changed the requirement
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME,
   FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE,
   FOREIGN KEY (source_document_id) REFERENCES documents(id) ON DELETE SET NULL
 );
@@ -61,6 +73,8 @@ CREATE TABLE IF NOT EXISTS questions (
   priority TEXT DEFAULT 'medium',
   impact TEXT,
   related_requirements TEXT, -- JSON array
+  is_stale BOOLEAN DEFAULT 0, -- a related requirement changed after generation
+  stale_reason TEXT,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE
 );
@@ -75,7 +89,74 @@ CREATE TABLE IF NOT EXISTS answers (
   answer_type TEXT DEFAULT 'direct',
   completeness TEXT DEFAULT 'complete',
   sources TEXT, -- JSON array
+  grounding TEXT, -- JSON, per-sentence support check against the cited sources
+  is_stale BOOLEAN DEFAULT 0,
+  stale_reason TEXT,
+  review_status TEXT DEFAULT 'draft', -- draft, in_review, approved, rejected
+  reviewer_comment TEXT,
+  reviewed_by TEXT,
+  reviewed_at DATETIME,
+  original_answer_text TEXT, -- generated text, kept once a reviewer edits the answer
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME,
+  FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE
+);
+
+-- Answer revision history, one row per review action
+CREATE TABLE IF NOT EXISTS answer_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workflow_id TEXT NOT NULL,
+  answer_id INTEGER NOT NULL,
+  question_id TEXT NOT NULL,
+  action TEXT NOT NULL, -- edit, submit, approve, reject
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  previous_text TEXT,
+  answer_text TEXT NOT NULL,
+  comment TEXT,
+  reviewer TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE,
+  FOREIGN KEY (answer_id) REFERENCES answers(id) ON DELETE CASCADE
+);
+
+-- Compliance matrix, one row per requirement
+CREATE TABLE IF NOT EXISTS compliance_matrix (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workflow_id TEXT NOT NULL,
+  requirement_id TEXT NOT NULL,
+  category TEXT,
+  requirement_text TEXT NOT NULL,
+  priority TEXT,
+  mandatory BOOLEAN DEFAULT 0,
+  standard TEXT,
+  source_document TEXT,
+  source_section TEXT,
+  status TEXT, -- complies, partial, exception, not_applicable; NULL until assessed
+  response_reference TEXT,
+  response_summary TEXT,
+  owner TEXT,
+  notes TEXT,
+  is_edited BOOLEAN DEFAULT 0, -- edited rows keep their assessment when the matrix is rebuilt
+  edited_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME,
+  UNIQUE(workflow_id, requirement_id),
+  FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE
+);
+
+-- Cells of customer questionnaire workbooks, one row per imported question
+CREATE TABLE IF NOT EXISTS questionnaire_cells (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workflow_id TEXT NOT NULL,
+  question_id TEXT NOT NULL,
+  document_id TEXT NOT NULL, -- uploaded workbook the answer is written back into
+  file_name TEXT,
+  sheet_name TEXT NOT NULL,
+  question_cell TEXT NOT NULL, -- e.g. B7
+  answer_cell TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(workflow_id, question_id),
   FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE
 );
 
@@ -91,6 +172,48 @@ CREATE TABLE IF NOT EXISTS workflow_results (
   FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE
 );
 
+-- Review gates (analyst approval between pipeline steps)
+CREATE TABLE IF NOT EXISTS review_gates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workflow_id TEXT NOT NULL,
+  step_name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, approved, rejected
+  feedback TEXT,
+  edits TEXT, -- JSON
+  reviewed_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  decided_at DATETIME,
+  FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE
+);
+
+-- Addenda and amendments uploaded after the workflow ran
+CREATE TABLE IF NOT EXISTS addenda (
+  id TEXT PRIMARY KEY,
+  workflow_id TEXT NOT NULL,
+  document_ids TEXT, -- JSON array of documents rows
+  file_names TEXT, -- JSON array
+  summary TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE
+);
+
+-- Changes an addendum made, one row per requirement or deadline
+CREATE TABLE IF NOT EXISTS addendum_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workflow_id TEXT NOT NULL,
+  addendum_id TEXT NOT NULL,
+  change_type TEXT NOT NULL, -- added, updated, superseded, affected, deadline
+  requirement_id TEXT, -- NULL for deadline changes
+  section TEXT, -- addendum clause stating the change
+  previous_text TEXT,
+  new_text TEXT,
+  reason TEXT,
+  stale_questions TEXT, -- JSON array of question ids flagged stale by the change
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE,
+  FOREIGN KEY (addendum_id) REFERENCES addenda(id) ON DELETE CASCADE
+);
+
 -- Performance metrics table
 CREATE TABLE IF NOT EXISTS performance_metrics (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -98,6 +221,11 @@ CREATE TABLE IF NOT EXISTS performance_metrics (
   metric_name TEXT NOT NULL,
   metric_value REAL NOT NULL,
   unit TEXT,
+  agent TEXT,
+  provider TEXT,
+  model_id TEXT,
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE
 );
@@ -132,9 +260,16 @@ CREATE INDEX IF NOT EXISTS idx_questions_workflow_id ON questions(workflow_id);
 CREATE INDEX IF NOT EXISTS idx_questions_category ON questions(category);
 CREATE INDEX IF NOT EXISTS idx_answers_workflow_id ON answers(workflow_id);
 CREATE INDEX IF NOT EXISTS idx_answers_question_id ON answers(question_id);
+CREATE INDEX IF NOT EXISTS idx_answer_revisions_answer_id ON answer_revisions(answer_id);
+CREATE INDEX IF NOT EXISTS idx_compliance_matrix_workflow_id ON compliance_matrix(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_questionnaire_cells_workflow_id ON questionnaire_cells(workflow_id);
 CREATE INDEX IF NOT EXISTS idx_workflow_results_workflow_id ON workflow_results(workflow_id);
 CREATE INDEX IF NOT EXISTS idx_workflow_results_step ON workflow_results(step_name);
+CREATE INDEX IF NOT EXISTS idx_review_gates_workflow_id ON review_gates(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_addenda_workflow_id ON addenda(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_addendum_changes_addendum_id ON addendum_changes(addendum_id);
 CREATE INDEX IF NOT EXISTS idx_performance_metrics_workflow_id ON performance_metrics(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_performance_metrics_metric_name ON performance_metrics(metric_name);
 CREATE INDEX IF NOT EXISTS idx_audit_log_workflow_id ON audit_log(workflow_id);
 CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
 
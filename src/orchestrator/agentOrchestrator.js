@@ -4,6 +4,14 @@ const clarificationQuestionsAgent = require('../agents/clarificationQuestionsAge
 const answerExtractionAgent = require('../agents/answerExtractionAgent');
 const responseCompilationAgent = require('../agents/responseCompilationAgent');
 const dataService = require('../services/workflowDataService');
+const documentBundleService = require('../services/documentBundleService');
+const budgetService = require('../services/budgetService');
+const llmUsageService = require('../services/llmUsageService');
+const jobQueue = require('../services/jobQueue');
+const pipeline = require('./pipeline');
+const config = require('../config');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { codedError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 class AgentOrchestrator {
@@ -20,14 +28,25 @@ class AgentOrchestrator {
     this.progressCallbacks = new Map();
   }
 
-  async processRFP(documents, companyDocuments, projectContext, progressCallback, workflowId = null) {
+  /**
+   * Run the RFP pipeline for a workflow.
+   * options.pipelineTemplate selects the pipeline (see pipeline.js); options.streaming
+   * marks runs started through the streaming endpoint; options.review pauses the
+   * workflow at review gates (defaults to config.pipeline.reviewByDefault).
+   */
+  async processRFP(documents, companyDocuments, projectContext, progressCallback, workflowId = null, options = {}) {
     if (!workflowId) {
       workflowId = this.generateWorkflowId();
     }
     
     try {
+      const pipelineTemplate = options.pipelineTemplate || pipeline.defaultTemplate;
+      const steps = pipeline.getPipeline(pipelineTemplate);
+      const reviewEnabled = options.review ?? config.pipeline.reviewByDefault;
+
       logger.info('Starting RFP processing workflow', { 
         workflowId, 
+        pipelineTemplate,
         rfpDocuments: documents.length,
         companyDocuments: companyDocuments.length 
       });
@@ -35,176 +54,38 @@ class AgentOrchestrator {
       // Initialize workflow state
       this.workflowState[workflowId] = {
         status: 'running',
-        currentStep: 'document_ingestion',
+        currentStep: steps[0].id,
         progress: 0,
         startTime: new Date(),
-        results: {}
+        results: {},
+        projectContext,
+        pipelineTemplate,
+        reviewEnabled,
+        streaming: !!options.streaming
       };
 
       // Save workflow to database
       await dataService.createWorkflow({
         id: workflowId,
         status: 'running',
-        currentStep: 'document_ingestion',
+        currentStep: steps[0].id,
         progress: 0,
-        projectContext
+        projectContext,
+        pipelineTemplate,
+        reviewEnabled
       });
 
       if (progressCallback) {
         this.progressCallbacks.set(workflowId, progressCallback);
       }
 
-      // Save uploaded documents to database
-      for (const doc of documents) {
-        await dataService.createDocument({
-          id: doc.id,
-          workflowId: workflowId,
-          originalName: doc.originalName,
-          filePath: doc.path,
-          fileSize: doc.size,
-          mimeType: doc.mimetype,
-          documentType: 'rfp',
-          processingStatus: 'pending'
-        });
-      }
-
-      // Step 1: Document Ingestion
-      await this.updateProgress(workflowId, 'document_ingestion', 10, 'Processing RFP documents...');
-      const ingestedDocuments = await this.agents.documentIngestion.processDocuments(documents, workflowId);
-      this.workflowState[workflowId].results.ingestedDocuments = ingestedDocuments;
-      
-      // Save document ingestion results
-      await dataService.saveWorkflowResult(workflowId, 'document_ingestion', ingestedDocuments, 0.9, Date.now() - this.workflowState[workflowId].startTime);
-
-      // Step 1.5: GraphRAG Processing (ensure knowledge graph creation)
-      await this.updateProgress(workflowId, 'graphrag_processing', 15, 'Creating knowledge graph...');
-      try {
-        const graphRagService = require('../services/graphRagService');
-        await graphRagService.initialize();
-        
-        // Process each document for GraphRAG if it wasn't already processed
-        for (const doc of ingestedDocuments) {
-          if (doc.processedContent && doc.fileName) {
-            logger.info(`Ensuring GraphRAG processing for: ${doc.fileName}`);
-            
-            const documentData = {
-              filename: doc.fileName,
-              content: doc.processedContent,
-              metadata: doc.metadata || {}
-            };
-            
-            // Create chunks and embeddings
-            const documentProcessor = require('../services/documentProcessor');
-            const chunks = documentProcessor.createChunks(doc.processedContent);
-            const embeddings = await documentProcessor.generateEmbeddings(chunks);
-            
-            // Process with GraphRAG
-            await graphRagService.processDocument(workflowId, documentData, chunks, embeddings);
-            logger.info(`GraphRAG processing completed for: ${doc.fileName}`);
-          }
-        }
-        
-        logger.info(`GraphRAG processing completed for workflow: ${workflowId}`);
-      } catch (graphError) {
-        logger.warn(`GraphRAG processing failed for workflow ${workflowId}:`, graphError.message);
-        // Don't fail the entire workflow if GraphRAG fails
-      }
-
-      // Step 2: Requirements Analysis
-      await this.updateProgress(workflowId, 'requirements_analysis', 30, 'Analyzing requirements...');
-      const requirementsAnalysis = await this.agents.requirementsAnalysis.analyzeRequirements(ingestedDocuments);
-      this.workflowState[workflowId].results.requirementsAnalysis = requirementsAnalysis;
-      
-      // Save requirements analysis results
-      await dataService.saveWorkflowResult(workflowId, 'requirements_analysis', requirementsAnalysis, 0.85, Date.now() - this.workflowState[workflowId].startTime);
-      
-      // Save individual requirements to database
-      if (requirementsAnalysis && requirementsAnalysis.requirements) {
-        const flattenedRequirements = this.flattenRequirements(requirementsAnalysis.requirements);
-        if (flattenedRequirements.length > 0) {
-          await dataService.saveRequirements(workflowId, flattenedRequirements);
-        }
-      }
-
-      // Step 3: Generate Clarification Questions
-      await this.updateProgress(workflowId, 'clarification_questions', 50, 'Generating clarification questions...');
-      const clarificationQuestions = await this.agents.clarificationQuestions.generateQuestions(
-        requirementsAnalysis, 
-        ingestedDocuments
-      );
-      this.workflowState[workflowId].results.clarificationQuestions = clarificationQuestions;
-      
-      // Validate clarification questions step
-      const flattenedQuestions = this.flattenQuestions(clarificationQuestions);
-      if (flattenedQuestions.length === 0) {
-        const errorMsg = 'Clarification questions generation failed - no valid questions produced';
-        logger.error(errorMsg, { workflowId });
-        this.workflowState[workflowId].status = 'failed';
-        this.workflowState[workflowId].error = errorMsg;
-        await dataService.updateWorkflowStatus(workflowId, 'failed', errorMsg);
-        throw new Error(errorMsg);
-      }
-      
-      // Save clarification questions results
-      await dataService.saveWorkflowResult(workflowId, 'clarification_questions', clarificationQuestions, 0.88, Date.now() - this.workflowState[workflowId].startTime);
-      
-      // Save individual questions to database
-      await dataService.saveQuestions(workflowId, flattenedQuestions);
+      const rfpDocuments = await this.saveUploadedDocuments(workflowId, documents, 'rfp');
 
-      // Step 4: Extract Answers from Company Documents
-      await this.updateProgress(workflowId, 'answer_extraction', 70, 'Extracting answers from company documents...');
-      const extractedAnswers = await this.agents.answerExtraction.extractAnswers(
-        clarificationQuestions,
-        companyDocuments,
-        requirementsAnalysis,
-        workflowId
-      );
-      this.workflowState[workflowId].results.extractedAnswers = extractedAnswers;
-      
-      // Validate answer extraction step
-      const flattenedAnswers = this.flattenAnswers(extractedAnswers);
-      if (flattenedAnswers.length === 0) {
-        logger.warn('Answer extraction produced no answers', { workflowId, questionsCount: flattenedQuestions.length });
-        // Don't fail the workflow for no answers, as this might be expected if no answers are found in documents
-      }
-      
-      // Save answer extraction results
-      await dataService.saveWorkflowResult(workflowId, 'answer_extraction', extractedAnswers, 0.82, Date.now() - this.workflowState[workflowId].startTime);
-      
-      // Save individual answers to database
-      if (flattenedAnswers.length > 0) {
-        await dataService.saveAnswers(workflowId, flattenedAnswers);
+      const paused = await this.runPipeline(workflowId, steps, 0, { documents: rfpDocuments, companyDocuments });
+      if (paused) {
+        return paused;
       }
-
-      // Step 5: Compile Response
-      await this.updateProgress(workflowId, 'response_compilation', 90, 'Compiling final response...');
-      const compiledResponse = await this.agents.responseCompilation.compileResponse(
-        requirementsAnalysis,
-        clarificationQuestions,
-        extractedAnswers,
-        projectContext
-      );
-      this.workflowState[workflowId].results.compiledResponse = compiledResponse;
-      
-      // Save compiled response results
-      await dataService.saveWorkflowResult(workflowId, 'response_compilation', compiledResponse, 0.95, Date.now() - this.workflowState[workflowId].startTime);
-
-      // Complete workflow
-      await this.updateProgress(workflowId, 'completed', 100, 'RFP processing completed successfully');
-      
-      // Update workflow status in database
-      await dataService.updateWorkflow(workflowId, {
-        status: 'completed',
-        currentStep: 'completed',
-        progress: 100,
-        endTime: new Date(),
-        duration: Date.now() - this.workflowState[workflowId].startTime
-      });
-      
-      this.workflowState[workflowId].status = 'completed';
-      this.workflowState[workflowId].endTime = new Date();
-      this.workflowState[workflowId].duration = 
-        this.workflowState[workflowId].endTime - this.workflowState[workflowId].startTime;
+      await this.completeWorkflow(workflowId);
 
       logger.info('RFP processing workflow completed', { 
         workflowId,
@@ -219,13 +100,19 @@ class AgentOrchestrator {
       };
 
     } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        return await this.markBudgetExceeded(workflowId, error);
+      }
+
       logger.error('RFP processing workflow failed', { workflowId, error });
       
-      this.workflowState[workflowId].status = 'failed';
-      this.workflowState[workflowId].error = error.message;
-      this.workflowState[workflowId].endTime = new Date();
+      if (this.workflowState[workflowId]) {
+        this.workflowState[workflowId].status = 'failed';
+        this.workflowState[workflowId].error = error.message;
+        this.workflowState[workflowId].endTime = new Date();
 
-      await this.updateProgress(workflowId, 'failed', -1, `Workflow failed: ${error.message}`);
+        await this.updateProgress(workflowId, 'failed', -1, `Workflow failed: ${error.message}`);
+      }
 
       throw error;
     } finally {
@@ -234,86 +121,368 @@ class AgentOrchestrator {
     }
   }
 
-  async processRFPStreaming(documents, companyDocuments, projectContext, progressCallback, workflowId = null) {
-    if (!workflowId) {
-      workflowId = this.generateWorkflowId();
+  /**
+   * Unpack ZIP archives and emails, then save the uploaded and unpacked
+   * documents to the database. Returns the documents to ingest.
+   */
+  async saveUploadedDocuments(workflowId, documents, documentType) {
+    const expanded = await this.expandUploadedDocuments(documents, documentType);
+    await this.saveDocumentRows(workflowId, expanded);
+    return this.ingestableDocuments(expanded);
+  }
+
+  // Uploaded documents with the files of ZIP archives and emails added
+  async expandUploadedDocuments(documents, documentType) {
+    return documentBundleService.expand(documents.map(doc => ({ ...doc, documentType })));
+  }
+
+  async saveDocumentRows(workflowId, expanded) {
+    for (const doc of expanded) {
+      const bundle = doc.skipped ? { files: doc.files, skipped: doc.skipped, error: doc.error } : null;
+      await dataService.createDocument({
+        id: doc.id,
+        workflowId: workflowId,
+        originalName: doc.originalName,
+        filePath: doc.path,
+        fileSize: doc.size,
+        mimeType: doc.mimetype,
+        documentType: doc.documentType,
+        processingStatus: doc.documentType === 'archive' ? (doc.error ? 'failed' : 'unpacked') : 'pending',
+        parentDocumentId: doc.parentId,
+        metadata: bundle || doc.bundlePath ? { bundlePath: doc.bundlePath, bundle } : undefined
+      });
     }
-    
-    try {
-      logger.info('Starting streaming RFP processing workflow', { workflowId });
+  }
 
-      // Initialize workflow state
-      this.workflowState[workflowId] = {
-        status: 'running',
-        currentStep: 'document_ingestion',
-        progress: 0,
-        startTime: new Date(),
-        results: {},
-        streaming: true
+  // Archives hold no text of their own, so their files are ingested instead
+  ingestableDocuments(expanded) {
+    return expanded
+      .filter(doc => doc.documentType !== 'archive')
+      .map(({ id, originalName, path, size, mimetype }) => ({ id, originalName, path, size, mimetype }));
+  }
+
+  /**
+   * Execute pipeline steps in order starting at fromIndex. Results are read
+   * from and written to the workflow state, so a resumed run picks up the
+   * outputs of the steps that already completed.
+   * Returns the pause result when the workflow stops at a review gate, otherwise null.
+   */
+  async runPipeline(workflowId, steps, fromIndex = 0, input = {}) {
+    const state = this.workflowState[workflowId];
+
+    for (let index = fromIndex; index < steps.length; index++) {
+      const step = steps[index];
+
+      const budget = await this.enforceBudget(workflowId, step.id);
+      await this.updateProgress(workflowId, step.id, pipeline.getStepProgress(steps, step.id), step.message);
+
+      // Optional extras are the first thing dropped near the budget limit
+      if (step.skipWhenDegraded && budget.state === 'near_limit') {
+        logger.warn(`Skipping ${step.id} to stay within budget`, { workflowId });
+        continue;
+      }
+
+      const missingInputs = step.inputs.filter(key => state.results[key] === undefined || state.results[key] === null);
+      if (missingInputs.length > 0) {
+        throw new Error(`Cannot run ${step.id} - missing ${missingInputs.join(', ')}`);
+      }
+
+      const context = {
+        ...input,
+        orchestrator: this,
+        workflowId,
+        results: state.results,
+        projectContext: state.projectContext,
+        onChunk: step.streaming ? this.createStreamHandler(workflowId, step.id) : undefined
       };
 
-      if (progressCallback) {
-        this.progressCallbacks.set(workflowId, progressCallback);
+      let output;
+      try {
+        output = await step.run(context);
+        if (step.validate) {
+          step.validate(output, context);
+        }
+      } catch (error) {
+        if (!step.optional || error.code === 'BUDGET_EXCEEDED') {
+          await this.markStepFailed(workflowId, step, error);
+          throw error;
+        }
+        logger.warn(`Optional step ${step.id} failed, continuing`, { workflowId, error: error.message });
+        continue;
+      }
+
+      if (!step.output) continue;
+
+      state.results[step.output] = output;
+      await dataService.saveWorkflowResult(workflowId, step.id, output, step.confidence, Date.now() - state.startTime);
+      if (step.persist) {
+        await step.persist(context, output);
+      }
+
+      if (step.reviewGate && state.reviewEnabled) {
+        return await this.pauseForReview(workflowId, step);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Stop the workflow after a gated step until an analyst approves or rejects
+   * its output. The job running the workflow finishes; the review decision
+   * queues a new one (see continueAfterReview).
+   */
+  async pauseForReview(workflowId, step) {
+    const state = this.workflowState[workflowId];
+
+    // Reuse the open gate if a resumed run reaches the same step again
+    const gates = await dataService.getReviewGates(workflowId);
+    const gate = gates.find(g => g.step === step.id && g.status === 'pending') ||
+      await dataService.createReviewGate(workflowId, step.id);
+
+    state.status = 'awaiting_review';
+    state.currentStep = step.id;
+    state.lastUpdate = new Date();
+
+    await dataService.updateWorkflow(workflowId, {
+      status: 'awaiting_review',
+      currentStep: step.id
+    });
+
+    logger.info('Workflow awaiting review', { workflowId, step: step.id, gateId: gate.id });
+
+    const callback = this.progressCallbacks.get(workflowId);
+    if (callback) {
+      callback({
+        workflowId,
+        type: 'review',
+        step: step.id,
+        progress: state.progress,
+        status: 'awaiting_review',
+        message: `Waiting for review of ${step.id.replace(/_/g, ' ')}`,
+        gate,
+        timestamp: new Date()
+      });
+    }
+
+    return {
+      workflowId,
+      status: 'awaiting_review',
+      reviewStep: step.id,
+      gate
+    };
+  }
+
+  /**
+   * Record an analyst's decision on the open review gate of a step. Approved
+   * edits are applied to the step's output before the gate closes; the caller
+   * then queues continueAfterReview to carry on.
+   */
+  async submitReview(workflowId, stepId, { approved, edits = null, feedback = null, reviewedBy = null }) {
+    const workflowData = await this.getWorkflowStatus(workflowId);
+    if (workflowData.error && !workflowData.results) {
+      throw codedError('Workflow not found', 'WORKFLOW_NOT_FOUND');
+    }
+
+    const state = this.workflowState[workflowId];
+    const gate = (await dataService.getReviewGates(workflowId))
+      .find(g => g.step === stepId && g.status === 'pending');
+    if (state.status !== 'awaiting_review' || !gate) {
+      throw codedError(`Workflow is not awaiting review of ${stepId}`, 'NO_PENDING_REVIEW');
+    }
+
+    const step = pipeline.getPipeline(state.pipelineTemplate).find(s => s.id === stepId);
+
+    // Check the edits before anything is written
+    let editedOutput = null;
+    if (approved && edits) {
+      if (!step.applyReviewEdits) {
+        throw codedError(`Step ${stepId} does not accept edits`, 'INVALID_REVIEW_EDITS');
       }
+      try {
+        editedOutput = step.applyReviewEdits(state.results[step.output], edits);
+        if (step.validate) {
+          step.validate(editedOutput, { orchestrator: this, workflowId });
+        }
+      } catch (error) {
+        throw codedError(`Invalid edits for ${stepId}: ${error.message}`, 'INVALID_REVIEW_EDITS');
+      }
+    }
+
+    const resolved = await dataService.resolveReviewGate(workflowId, gate.id, {
+      status: approved ? 'approved' : 'rejected',
+      feedback,
+      edits: editedOutput ? edits : null,
+      reviewedBy
+    });
+    if (!resolved) {
+      throw codedError(`Review of ${stepId} was already decided`, 'NO_PENDING_REVIEW');
+    }
+
+    if (editedOutput) {
+      state.results[step.output] = editedOutput;
+      await dataService.saveWorkflowResult(workflowId, step.id, editedOutput, step.confidence, Date.now() - state.startTime);
+      if (step.persist) {
+        await step.persist({ orchestrator: this, workflowId, results: state.results }, editedOutput);
+      }
+    }
+
+    state.status = 'queued';
+    state.lastUpdate = new Date();
+    await dataService.updateWorkflow(workflowId, { status: 'queued' });
 
-      // Step 1: Document Ingestion (non-streaming)
-      await this.updateProgress(workflowId, 'document_ingestion', 10, 'Processing RFP documents...');
-      const ingestedDocuments = await this.agents.documentIngestion.processDocuments(documents, workflowId);
-      this.workflowState[workflowId].results.ingestedDocuments = ingestedDocuments;
+    logger.info('Review submitted', { workflowId, step: stepId, approved, edited: !!editedOutput });
+    return resolved;
+  }
+
+  /**
+   * Continue a workflow after a review decision: past the gated step when it
+   * was approved, or re-running it with the analyst's feedback when rejected.
+   */
+  async continueAfterReview(workflowId, progressCallback, { stepId, approved, feedback = null }) {
+    const workflowData = await this.getWorkflowStatus(workflowId);
+    if (workflowData.error && !workflowData.results) {
+      throw new Error('Workflow not found');
+    }
+
+    const state = this.workflowState[workflowId];
+    const steps = pipeline.getPipeline(state.pipelineTemplate);
+    const index = steps.findIndex(step => step.id === stepId);
+    if (index === -1) {
+      throw new Error(`Unknown step: ${stepId}`);
+    }
 
-      // Step 2: Requirements Analysis (streaming)
-      await this.updateProgress(workflowId, 'requirements_analysis', 30, 'Analyzing requirements...');
-      const requirementsAnalysis = await this.executeStreamingAgent(
-        this.agents.requirementsAnalysis,
-        this.agents.requirementsAnalysis.combineDocumentData(ingestedDocuments),
+    if (progressCallback) {
+      this.progressCallbacks.set(workflowId, progressCallback);
+      progressCallback({
         workflowId,
-        'requirements_analysis'
-      );
-      this.workflowState[workflowId].results.requirementsAnalysis = requirementsAnalysis;
+        type: 'review_resolved',
+        step: stepId,
+        approved,
+        timestamp: new Date()
+      });
+    }
 
-      // Continue with other steps...
-      // (Similar pattern for other agents)
+    try {
+      state.status = 'running';
+      state.error = null;
+      state.lastUpdate = new Date();
+
+      const paused = await this.runPipeline(workflowId, steps, approved ? index + 1 : index, {
+        reviewFeedback: approved ? null : feedback
+      });
+      if (paused) {
+        return paused;
+      }
+      await this.completeWorkflow(workflowId);
 
       return {
         workflowId,
-        status: 'streaming',
-        message: 'Streaming workflow initiated'
+        status: 'completed',
+        results: state.results,
+        summary: this.generateWorkflowSummary(workflowId)
       };
-
     } catch (error) {
-      logger.error('Streaming RFP processing workflow failed', { workflowId, error });
+      if (error.code === 'BUDGET_EXCEEDED') {
+        return await this.markBudgetExceeded(workflowId, error);
+      }
+
+      logger.error('Workflow failed after review', { workflowId, step: stepId, error: error.message });
+      state.status = 'failed';
+      state.error = error.message;
+      await this.updateProgress(workflowId, 'failed', -1, `Workflow failed: ${error.message}`);
       throw error;
+    } finally {
+      this.progressCallbacks.delete(workflowId);
     }
   }
 
-  async executeStreamingAgent(agent, input, workflowId, stepName) {
-    return new Promise((resolve, reject) => {
-      let fullResponse = '';
+  async markStepFailed(workflowId, step, error) {
+    if (error.code === 'BUDGET_EXCEEDED') return;
+
+    logger.error(`Pipeline step ${step.id} failed`, { workflowId, error: error.message });
+    this.workflowState[workflowId].status = 'failed';
+    this.workflowState[workflowId].error = error.message;
+    await dataService.updateWorkflowStatus(workflowId, 'failed', error.message);
+  }
+
+  async completeWorkflow(workflowId) {
+    const state = this.workflowState[workflowId];
+
+    await this.updateProgress(workflowId, 'completed', 100, 'RFP processing completed successfully');
+    
+    await dataService.updateWorkflow(workflowId, {
+      status: 'completed',
+      currentStep: 'completed',
+      progress: 100,
+      endTime: new Date(),
+      duration: Date.now() - state.startTime
+    });
+    
+    state.status = 'completed';
+    state.endTime = new Date();
+    state.duration = state.endTime - state.startTime;
+  }
+
+  /**
+   * Build the knowledge graph for ingested documents. Failures are logged
+   * and never fail the workflow.
+   */
+  async processGraphRAG(workflowId, ingestedDocuments) {
+    try {
+      const graphRagService = require('../services/graphRagService');
+      await graphRagService.initialize();
       
-      const onChunk = (chunk) => {
-        fullResponse += chunk;
+      // Process each document for GraphRAG if it wasn't already processed
+      const documentProcessor = require('../services/documentProcessor');
+      const documents = ingestedDocuments.filter(doc => doc.processedContent && doc.fileName);
+      await mapWithConcurrency(documents, config.processing.documentConcurrency, async (doc) => {
+        logger.info(`Ensuring GraphRAG processing for: ${doc.fileName}`);
         
-        // Send streaming update
-        const callback = this.progressCallbacks.get(workflowId);
-        if (callback) {
-          callback({
-            workflowId,
-            step: stepName,
-            type: 'stream',
-            chunk,
-            fullResponse
-          });
-        }
-      };
+        const documentData = {
+          filename: doc.fileName,
+          content: doc.processedContent,
+          metadata: doc.metadata || {}
+        };
+        
+        // Create chunks and embeddings
+        const chunks = documentProcessor.createChunks(doc.processedContent, doc.metadata);
+        const embeddings = await documentProcessor.generateEmbeddings(chunks);
+        
+        // Process with GraphRAG
+        await graphRagService.processDocument(workflowId, documentData, chunks, embeddings);
+        logger.info(`GraphRAG processing completed for: ${doc.fileName}`);
+      });
+      
+      logger.info(`GraphRAG processing completed for workflow: ${workflowId}`);
+    } catch (graphError) {
+      logger.warn(`GraphRAG processing failed for workflow ${workflowId}:`, graphError.message);
+      // Don't fail the entire workflow if GraphRAG fails
+    }
+  }
 
-      agent.executeStreaming(input, {}, onChunk)
-        .then(result => {
-          resolve(result);
-        })
-        .catch(error => {
-          reject(error);
+  /**
+   * Build an onChunk handler that forwards model output for a step to the
+   * workflow's progress callback as it is generated
+   */
+  createStreamHandler(workflowId, stepName) {
+    let receivedLength = 0;
+
+    return (chunk) => {
+      receivedLength += chunk.length;
+
+      const callback = this.progressCallbacks.get(workflowId);
+      if (callback) {
+        callback({
+          workflowId,
+          step: stepName,
+          type: 'stream',
+          chunk,
+          receivedLength,
+          timestamp: new Date()
         });
-    });
+      }
+    };
   }
 
   async updateProgress(workflowId, step, progress, message) {
@@ -344,6 +513,97 @@ class AgentOrchestrator {
     logger.info('Workflow progress update', { workflowId, step, progress, message });
   }
 
+  /**
+   * Check the LLM budget before a step. Near the limit the rest of the run
+   * switches to cheaper behaviour; over the limit the step is not started.
+   */
+  async enforceBudget(workflowId, step) {
+    const budget = await budgetService.checkBudget(workflowId);
+    const state = this.workflowState[workflowId];
+
+    if (budget.state === 'exceeded') {
+      const error = codedError(`LLM budget exceeded before ${step}: ${budget.reasons.join('; ')}`, 'BUDGET_EXCEEDED');
+      error.step = step;
+      error.budget = budget;
+      throw error;
+    }
+
+    if (budget.state === 'near_limit' && !llmUsageService.getContext().degraded) {
+      if (!llmUsageService.setContextValue('degraded', true)) {
+        logger.warn('Budget degradation requested outside a usage context', { workflowId });
+      }
+      if (state) {
+        state.degraded = true;
+      }
+
+      logger.warn('Workflow near LLM budget limit, switching to cheaper processing', {
+        workflowId,
+        step,
+        reasons: budget.reasons
+      });
+
+      const callback = this.progressCallbacks.get(workflowId);
+      if (callback) {
+        callback({
+          workflowId,
+          step,
+          progress: state?.progress,
+          message: `Approaching LLM budget (${budget.reasons.join('; ')}), using cheaper processing`,
+          budget,
+          timestamp: new Date()
+        });
+      }
+    }
+
+    return budget;
+  }
+
+  /**
+   * Stop a workflow that ran out of budget. The step it stopped before is kept
+   * as current_step so retryWorkflow can resume from there.
+   */
+  async markBudgetExceeded(workflowId, error) {
+    const state = this.workflowState[workflowId];
+    const resumeFrom = error.step;
+
+    logger.warn('Workflow stopped on LLM budget', { workflowId, step: resumeFrom, reasons: error.budget?.reasons });
+
+    if (state) {
+      state.status = 'budget_exceeded';
+      state.currentStep = resumeFrom;
+      state.error = error.message;
+      state.budget = error.budget;
+      state.lastUpdate = new Date();
+    }
+
+    await dataService.updateWorkflow(workflowId, {
+      status: 'budget_exceeded',
+      currentStep: resumeFrom,
+      errorMessage: error.message
+    });
+
+    const callback = this.progressCallbacks.get(workflowId);
+    if (callback) {
+      callback({
+        workflowId,
+        step: resumeFrom,
+        progress: state?.progress,
+        status: 'budget_exceeded',
+        message: error.message,
+        budget: error.budget,
+        timestamp: new Date()
+      });
+    }
+
+    return {
+      workflowId,
+      status: 'budget_exceeded',
+      resumeFrom,
+      budget: error.budget,
+      message: error.message
+    };
+  }
+
   generateWorkflowId() {
     return `rfp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
@@ -428,6 +688,8 @@ class AgentOrchestrator {
         startTime: state.startTime,
         lastUpdate: state.lastUpdate,
         error: state.error,
+        pipelineTemplate: state.pipelineTemplate || pipeline.defaultTemplate,
+        reviewEnabled: !!state.reviewEnabled,
         results: state.results
       };
     }
@@ -446,7 +708,9 @@ class AgentOrchestrator {
           endTime: dbWorkflow.end_time ? new Date(dbWorkflow.end_time) : null,
           duration: dbWorkflow.duration,
           error: dbWorkflow.error_message,
-          projectContext: this.parseJSON(dbWorkflow.project_context)
+          projectContext: this.parseJSON(dbWorkflow.project_context),
+          pipelineTemplate: dbWorkflow.pipeline_template || pipeline.defaultTemplate,
+          reviewEnabled: !!dbWorkflow.review_enabled
         };
 
         // Load workflow results from database
@@ -569,7 +833,11 @@ class AgentOrchestrator {
     }
   }
 
-  async retryWorkflow(workflowId, fromStep = null) {
+  /**
+   * Retry a failed workflow or resume one stopped on its budget.
+   * options.budget ({ workflowMaxCost, workflowMaxTokens }) raises the workflow's limits first.
+   */
+  async retryWorkflow(workflowId, fromStep = null, options = {}) {
     // First try to get workflow from memory
     let state = this.workflowState[workflowId];
     
@@ -587,27 +855,36 @@ class AgentOrchestrator {
       throw new Error('Workflow not found');
     }
 
-    // Allow retry of running workflows that are actually stuck/failed
+    // A running workflow can be retried once no live job is processing it.
+    // options.jobId is the job performing this retry.
     if (state.status === 'running') {
-      // Check if workflow is actually stuck (no progress for a while)
-      const timeSinceLastUpdate = Date.now() - (state.lastUpdate?.getTime() || state.startTime?.getTime() || 0);
-      const isStuck = timeSinceLastUpdate > 5 * 60 * 1000; // 5 minutes
-      
-      if (!isStuck) {
+      if (await jobQueue.getActiveJob(workflowId, options.jobId)) {
         throw new Error('Cannot retry running workflow - workflow is still actively processing');
       }
       
-      logger.warn('Retrying stuck workflow', { workflowId, timeSinceLastUpdate });
+      logger.warn('Retrying interrupted workflow', { workflowId });
+    }
+
+    // Budget stops resume from the step they stopped before unless told otherwise
+    const stepIds = pipeline.getPipeline(state.pipelineTemplate).map(step => step.id);
+    const resumableSteps = stepIds.slice(1);
+    if (!fromStep && state.status === 'budget_exceeded' && resumableSteps.includes(state.currentStep)) {
+      fromStep = state.currentStep;
     }
 
     logger.info('Retrying workflow', { workflowId, fromStep, currentStatus: state.status });
 
     try {
+      if (options.budget) {
+        await budgetService.setWorkflowLimits(workflowId, options.budget);
+      }
+
+
       // Reset state for retry
       state.status = 'running';
       state.error = null;
-      state.progress = fromStep ? this.getStepProgress(fromStep) : 0;
-      state.currentStep = fromStep || 'document_ingestion';
+      state.progress = fromStep ? this.getStepProgress(fromStep, state.pipelineTemplate) : 0;
+      state.currentStep = fromStep || stepIds[0];
       state.lastUpdate = new Date();
 
       // Update database status
@@ -618,45 +895,30 @@ class AgentOrchestrator {
         error_message: null
       });
 
-      // Get original workflow data for reprocessing
-      const [documents, requirements, questions] = await Promise.all([
-        dataService.getDocumentsByWorkflow(workflowId),
-        dataService.getRequirements(workflowId),
-        dataService.getQuestions(workflowId)
-      ]);
-
-      // Determine what data we need for retry
-      let rfpDocuments = [];
-      let companyDocuments = []; // For now, empty - could be enhanced later
-      let projectContext = state.projectContext || { title: 'Retried RFP Analysis' };
-
-      // Convert database documents back to the format expected by processRFP
-      if (documents && documents.length > 0) {
-        rfpDocuments = documents.map(doc => ({
-          id: doc.document_id,
-          originalName: doc.original_name,
-          path: doc.file_path,
-          size: doc.file_size,
-          mimetype: doc.mime_type
-        }));
+      // A full retry reruns every step over the stored documents; the
+      // workflow row and its documents already exist and are reused
+      if (!fromStep) {
+        state.results = {};
       }
 
-      // Start processing from the specified step or beginning
-      if (fromStep) {
-        await this.resumeFromStep(workflowId, fromStep, state);
-      } else {
-        // Full retry - restart the entire workflow
-        await this.processRFP(rfpDocuments, companyDocuments, projectContext, null, workflowId);
+      const paused = await this.resumeFromStep(workflowId, fromStep || stepIds[0], state);
+      if (paused) {
+        return { success: true, ...paused };
       }
 
       return {
         success: true,
         message: 'Workflow retry initiated successfully',
         workflowId,
-        fromStep: fromStep || 'document_ingestion'
+        fromStep: fromStep || stepIds[0]
       };
 
     } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        const result = await this.markBudgetExceeded(workflowId, error);
+        return { success: false, ...result };
+      }
+
       logger.error('Error during workflow retry', { workflowId, error: error.message });
       
       // Update state to reflect retry failure
@@ -672,153 +934,130 @@ class AgentOrchestrator {
     }
   }
 
-  async resumeFromStep(workflowId, fromStep, state) {
-    logger.info('Resuming workflow from step', { workflowId, fromStep });
-    
+  /**
+   * Continue a workflow whose worker died, from the first step without a
+   * saved result. Used by the job queue when it re-runs an interrupted job.
+   */
+  async resumeInterruptedWorkflow(workflowId, progressCallback = null, input = {}) {
+    const workflowData = await this.getWorkflowStatus(workflowId);
+    if (workflowData.error && !workflowData.results) {
+      throw new Error('Workflow not found');
+    }
+
+    const state = this.workflowState[workflowId];
+    const steps = pipeline.getPipeline(state.pipelineTemplate);
+    const completedSteps = Object.keys(await dataService.getWorkflowResults(workflowId));
+
+    let index = steps.findIndex(step => step.output && !completedSteps.includes(step.id));
+    // Re-run output-less steps (GraphRAG) that sit between the last saved result and the resume point
+    while (index > 0 && !steps[index - 1].output) {
+      index--;
+    }
+
+    logger.info('Resuming interrupted workflow', { workflowId, completedSteps, fromStep: steps[index]?.id || 'completed' });
+
+    if (progressCallback) {
+      this.progressCallbacks.set(workflowId, progressCallback);
+    }
+
     try {
-      // Get existing data from previous steps
-      const results = state.results || {};
-      
-      switch (fromStep) {
-        case 'requirements_analysis':
-          if (!results.ingestedDocuments) {
-            throw new Error('Cannot resume from requirements_analysis - no ingested documents found');
-          }
-          await this.executeRequirementsAnalysis(workflowId, results.ingestedDocuments);
-          break;
-          
-        case 'clarification_questions':
-          if (!results.requirementsAnalysis) {
-            throw new Error('Cannot resume from clarification_questions - no requirements analysis found');
-          }
-          await this.executeClarificationQuestions(workflowId, results.requirementsAnalysis, results.ingestedDocuments);
-          break;
-          
-        case 'answer_extraction':
-          if (!results.clarificationQuestions) {
-            throw new Error('Cannot resume from answer_extraction - no clarification questions found');
-          }
-          await this.executeAnswerExtraction(workflowId, results.clarificationQuestions, results.requirementsAnalysis);
-          break;
-          
-        case 'response_compilation':
-          if (!results.extractedAnswers) {
-            throw new Error('Cannot resume from response_compilation - no extracted answers found');
-          }
-          await this.executeResponseCompilation(workflowId, results);
-          break;
-          
-        default:
-          throw new Error(`Unknown step: ${fromStep}`);
+      state.status = 'running';
+      state.error = null;
+      state.lastUpdate = new Date();
+
+      // The worker may have died after saving a gated step but before pausing
+      const lastCompleted = steps.slice(0, index === -1 ? steps.length : index).reverse().find(step => step.output);
+      if (state.reviewEnabled && lastCompleted?.reviewGate) {
+        const gates = await dataService.getReviewGates(workflowId);
+        if (!gates.some(g => g.step === lastCompleted.id && g.status === 'approved')) {
+          return await this.pauseForReview(workflowId, lastCompleted);
+        }
+      }
+
+      if (index !== -1) {
+        const documents = index === 0 ? await this.getStoredDocuments(workflowId) : [];
+        if (index === 0) {
+          // Nothing reusable, ingestion starts from the uploaded files again
+          state.results = {};
+        }
+        const paused = await this.runPipeline(workflowId, steps, index, { ...input, documents });
+        if (paused) {
+          return paused;
+        }
       }
+      await this.completeWorkflow(workflowId);
+
+      return {
+        workflowId,
+        status: 'completed',
+        resumedFrom: steps[index]?.id || null,
+        results: state.results,
+        summary: this.generateWorkflowSummary(workflowId)
+      };
     } catch (error) {
-      logger.error('Error resuming workflow from step', { workflowId, fromStep, error: error.message });
+      if (error.code === 'BUDGET_EXCEEDED') {
+        return await this.markBudgetExceeded(workflowId, error);
+      }
+
+      logger.error('Resumed workflow failed', { workflowId, error: error.message });
+      state.status = 'failed';
+      state.error = error.message;
+      await this.updateProgress(workflowId, 'failed', -1, `Workflow failed: ${error.message}`);
       throw error;
+    } finally {
+      this.progressCallbacks.delete(workflowId);
     }
   }
 
-  async executeRequirementsAnalysis(workflowId, ingestedDocuments) {
-    await this.updateProgress(workflowId, 'requirements_analysis', 30, 'Analyzing requirements...');
-    const requirementsAnalysis = await this.agents.requirementsAnalysis.analyzeRequirements(ingestedDocuments);
-    this.workflowState[workflowId].results.requirementsAnalysis = requirementsAnalysis;
-    
-    await dataService.saveWorkflowResult(workflowId, 'requirements_analysis', requirementsAnalysis, 0.85, Date.now() - this.workflowState[workflowId].startTime);
-    
-    if (requirementsAnalysis && requirementsAnalysis.requirements) {
-      const flattenedRequirements = this.flattenRequirements(requirementsAnalysis.requirements);
-      if (flattenedRequirements.length > 0) {
-        await dataService.saveRequirements(workflowId, flattenedRequirements);
-      }
-    }
-    
-    // Continue to next step
-    await this.executeClarificationQuestions(workflowId, requirementsAnalysis, ingestedDocuments);
+  /**
+   * Uploaded RFP documents of a workflow, with the files unpacked from
+   * archives and emails, in the format processRFP expects
+   */
+  async getStoredDocuments(workflowId) {
+    const documents = await dataService.getDocumentsByWorkflow(workflowId);
+
+    return (documents || []).filter(doc => doc.document_type !== 'archive').map(doc => ({
+      id: doc.id,
+      originalName: doc.original_name,
+      path: doc.file_path,
+      size: doc.file_size,
+      mimetype: doc.mime_type
+    }));
   }
 
-  async executeClarificationQuestions(workflowId, requirementsAnalysis, ingestedDocuments) {
-    await this.updateProgress(workflowId, 'clarification_questions', 50, 'Generating clarification questions...');
-    const clarificationQuestions = await this.agents.clarificationQuestions.generateQuestions(
-      requirementsAnalysis, 
-      ingestedDocuments
-    );
-    this.workflowState[workflowId].results.clarificationQuestions = clarificationQuestions;
-    
-    const flattenedQuestions = this.flattenQuestions(clarificationQuestions);
-    if (flattenedQuestions.length === 0) {
-      const errorMsg = 'Clarification questions generation failed - no valid questions produced';
-      logger.error(errorMsg, { workflowId });
-      this.workflowState[workflowId].status = 'failed';
-      this.workflowState[workflowId].error = errorMsg;
-      await dataService.updateWorkflowStatus(workflowId, 'failed', errorMsg);
-      throw new Error(errorMsg);
-    }
-    
-    await dataService.saveWorkflowResult(workflowId, 'clarification_questions', clarificationQuestions, 0.88, Date.now() - this.workflowState[workflowId].startTime);
-    await dataService.saveQuestions(workflowId, flattenedQuestions);
+  async resumeFromStep(workflowId, fromStep, state) {
+    logger.info('Resuming workflow from step', { workflowId, fromStep });
     
-    // Continue to next step
-    await this.executeAnswerExtraction(workflowId, clarificationQuestions, requirementsAnalysis);
-  }
+    try {
+      const steps = pipeline.getPipeline(state.pipelineTemplate);
+      const index = steps.findIndex(step => step.id === fromStep);
+      if (index === -1) {
+        throw new Error(`Unknown step: ${fromStep}`);
+      }
 
-  async executeAnswerExtraction(workflowId, clarificationQuestions, requirementsAnalysis) {
-    await this.updateProgress(workflowId, 'answer_extraction', 70, 'Extracting answers from company documents...');
-    const extractedAnswers = await this.agents.answerExtraction.extractAnswers(
-      clarificationQuestions,
-      [], // No company documents for RAG-based extraction
-      requirementsAnalysis,
-      workflowId
-    );
-    this.workflowState[workflowId].results.extractedAnswers = extractedAnswers;
-    
-    const flattenedAnswers = this.flattenAnswers(extractedAnswers);
-    await dataService.saveWorkflowResult(workflowId, 'answer_extraction', extractedAnswers, 0.82, Date.now() - this.workflowState[workflowId].startTime);
-    
-    if (flattenedAnswers.length > 0) {
-      await dataService.saveAnswers(workflowId, flattenedAnswers);
-    }
-    
-    // Continue to next step
-    await this.executeResponseCompilation(workflowId, this.workflowState[workflowId].results);
-  }
+      // Get existing data from previous steps
+      state.results = state.results || {};
+      const missingInputs = steps[index].inputs.filter(key => !state.results[key]);
+      if (missingInputs.length > 0) {
+        throw new Error(`Cannot resume from ${fromStep} - no ${missingInputs.join(', ')} found`);
+      }
 
-  async executeResponseCompilation(workflowId, results) {
-    await this.updateProgress(workflowId, 'response_compilation', 90, 'Compiling final response...');
-    const compiledResponse = await this.agents.responseCompilation.compileResponse(
-      results.requirementsAnalysis,
-      results.clarificationQuestions,
-      results.extractedAnswers,
-      this.workflowState[workflowId].projectContext || { title: 'RFP Analysis' }
-    );
-    this.workflowState[workflowId].results.compiledResponse = compiledResponse;
-    
-    await dataService.saveWorkflowResult(workflowId, 'response_compilation', compiledResponse, 0.95, Date.now() - this.workflowState[workflowId].startTime);
-    
-    // Complete workflow
-    await this.updateProgress(workflowId, 'completed', 100, 'RFP processing completed successfully');
-    
-    await dataService.updateWorkflow(workflowId, {
-      status: 'completed',
-      currentStep: 'completed',
-      progress: 100,
-      endTime: new Date(),
-      duration: Date.now() - this.workflowState[workflowId].startTime
-    });
-    
-    this.workflowState[workflowId].status = 'completed';
-    this.workflowState[workflowId].endTime = new Date();
-    this.workflowState[workflowId].duration = 
-      this.workflowState[workflowId].endTime - this.workflowState[workflowId].startTime;
+      // Ingestion reads the uploaded files, which only the documents table still has
+      const documents = index === 0 ? await this.getStoredDocuments(workflowId) : [];
+      const paused = await this.runPipeline(workflowId, steps, index, { documents });
+      if (paused) {
+        return paused;
+      }
+      await this.completeWorkflow(workflowId);
+      return null;
+    } catch (error) {
+      logger.error('Error resuming workflow from step', { workflowId, fromStep, error: error.message });
+      throw error;
+    }
   }
 
-  getStepProgress(step) {
-    const stepProgress = {
-      'document_ingestion': 10,
-      'requirements_analysis': 30,
-      'clarification_questions': 50,
-      'answer_extraction': 70,
-      'response_compilation': 90
-    };
-    return stepProgress[step] || 0;
+  getStepProgress(step, pipelineTemplate = null) {
+    return pipeline.getStepProgress(pipeline.getPipeline(pipelineTemplate), step);
   }
 
   cleanup(workflowId) {
@@ -854,9 +1093,14 @@ class AgentOrchestrator {
   async cleanupCorruptedWorkflows() {
     try {
       const workflowsToFix = [];
+
+      // Workflows with a queued job or a heartbeating worker are not stuck, however long they take
+      const activeWorkflowIds = new Set(await jobQueue.getActiveWorkflowIds());
       
       // Check in-memory workflows first
       Object.entries(this.workflowState).forEach(([workflowId, state]) => {
+        if (activeWorkflowIds.has(workflowId)) return;
+
         const issues = [];
         
         // Check for invalid progress values
@@ -887,8 +1131,8 @@ class AgentOrchestrator {
         const dbWorkflows = await dataService.getAllWorkflows(1000, 0);
         
         for (const dbWorkflow of dbWorkflows) {
-          // Skip if already in memory (handled above)
-          if (this.workflowState[dbWorkflow.id]) {
+          // Skip if already in memory (handled above) or owned by a live job
+          if (this.workflowState[dbWorkflow.id] || activeWorkflowIds.has(dbWorkflow.id)) {
             continue;
           }
           
@@ -1001,7 +1245,10 @@ class AgentOrchestrator {
             priority: req.priority || 'medium',
             complexity: req.complexity || 'medium',
             mandatory: req.mandatory || false,
-            sourceDocumentId: req.sourceDocumentId || null
+            standard: req.standard || null,
+            sourceDocumentId: req.sourceDocumentId || null,
+            sourceDocument: req.sourceDocument || null,
+            section: req.section || null
           });
         });
       }
@@ -1028,7 +1275,9 @@ class AgentOrchestrator {
             rationale: q.rationale,
             priority: q.priority,
             impact: q.impact,
-            relatedRequirements: JSON.stringify(q.relatedRequirements || [])
+            relatedRequirements: JSON.stringify(q.relatedRequirements || []),
+            sourceDocument: q.sourceDocument || null,
+            section: q.section || null
           });
         });
       }
@@ -1053,7 +1302,8 @@ class AgentOrchestrator {
           confidenceScore: answer.confidence,
           answerType: answer.type || 'direct',
           completeness: answer.completeness || 'complete',
-          sources: JSON.stringify(answer.sources || [])
+          sources: JSON.stringify(answer.sources || []),
+          grounding: answer.grounding ? JSON.stringify(answer.grounding) : null
         });
       });
     }
@@ -1064,18 +1314,24 @@ class AgentOrchestrator {
   // Helper methods to reconstruct data structures from database
   reconstructRequirementsAnalysis(requirements, results) {
     // Try to get from workflow results first
-    if (Array.isArray(results)) {
-      const requirementsResult = results.find(r => r.step_name === 'requirements_analysis');
-      if (requirementsResult && requirementsResult.result_data) {
-        try {
-          return this.parseJSON(requirementsResult.result_data);
-        } catch (e) {
-          logger.warn('Failed to parse requirements analysis from results');
-        }
-      }
+    const saved = this.getSavedResult(results, 'requirements_analysis');
+    if (saved) {
+      return saved;
     }
 
     // Fallback: reconstruct from individual requirements
+    return {
+      requirements: this.groupRequirements(requirements),
+      projectOverview: {
+        title: 'Reconstructed from database',
+        description: 'Requirements loaded from database'
+      }
+    };
+  }
+
+  // Group requirement rows back into the categorized analysis format.
+  // Requirements superseded by an addendum are left out.
+  groupRequirements(requirements) {
     const categorized = {
       technical: [],
       business: [],
@@ -1084,37 +1340,81 @@ class AgentOrchestrator {
 
     requirements.forEach(req => {
       const category = req.category || 'technical';
-      if (categorized[category]) {
+      if (categorized[category] && req.status !== 'superseded') {
         categorized[category].push({
           id: req.requirement_id,
           description: req.description,
           priority: req.priority,
           complexity: req.complexity,
-          mandatory: req.mandatory
+          mandatory: !!req.mandatory,
+          ...(req.standard && { standard: req.standard }),
+          ...(req.source_document && { sourceDocument: req.source_document }),
+          ...(req.source_section && { section: req.source_section })
         });
       }
     });
 
-    return {
-      requirements: categorized,
-      projectOverview: {
-        title: 'Reconstructed from database',
-        description: 'Requirements loaded from database'
-      }
-    };
+    return categorized;
+  }
+
+  /**
+   * Rebuild the requirements analysis from the requirements table after they
+   * were edited, so retried or resumed steps work from the edited list.
+   * overrides replaces other analysis fields, e.g. the timeline an addendum moved.
+   */
+  async syncRequirementsAnalysis(workflowId, overrides = {}) {
+    const [requirements, results] = await Promise.all([
+      dataService.getRequirements(workflowId),
+      dataService.getWorkflowResults(workflowId)
+    ]);
+
+    const state = this.workflowState[workflowId];
+    const current = state?.results.requirementsAnalysis || this.getSavedResult(results, 'requirements_analysis') || {};
+    const requirementsAnalysis = { ...current, ...overrides, requirements: this.groupRequirements(requirements) };
+
+    if (state) {
+      state.results.requirementsAnalysis = requirementsAnalysis;
+    }
+    await dataService.saveWorkflowResult(workflowId, 'requirements_analysis', requirementsAnalysis);
+
+    return requirementsAnalysis;
+  }
+
+  /**
+   * Verify the compiled response again against the reviewed answers, so
+   * findings clear once reviewers have fixed the answers behind them
+   */
+  async verifyResponse(workflowId) {
+    const workflowData = await this.getWorkflowStatus(workflowId);
+    if (workflowData.error && !workflowData.results) {
+      throw codedError('Workflow not found', 'WORKFLOW_NOT_FOUND');
+    }
+
+    const compiledResponse = workflowData.results?.compiledResponse;
+    if (!compiledResponse?.proposalStructure && !compiledResponse?.questionResponses) {
+      throw codedError('Compiled response not available', 'RESPONSE_NOT_COMPILED');
+    }
+
+    const answerReviewService = require('../services/answerReviewService');
+    const extractedAnswers = await answerReviewService.applyReviews(workflowId, workflowData.results.extractedAnswers);
+    const verified = await this.agents.responseCompilation.reverifyResponse(compiledResponse, extractedAnswers, workflowId);
+
+    const state = this.workflowState[workflowId];
+    if (state) {
+      state.results.compiledResponse = verified;
+    }
+    await dataService.saveWorkflowResult(workflowId, 'response_compilation', verified, 0.95);
+
+    return verified.verification;
   }
 
   reconstructClarificationQuestions(questions, results) {
     // Try to get from workflow results first
-    if (Array.isArray(results)) {
-      const questionsResult = results.find(r => r.step_name === 'clarification_questions');
-      if (questionsResult && questionsResult.result_data) {
-        try {
-          return this.parseJSON(questionsResult.result_data);
-        } catch (e) {
-          logger.warn('Failed to parse clarification questions from results');
-        }
-      }
+    // Questionnaire workflows import their questions instead of generating them
+    const saved = this.getSavedResult(results, 'clarification_questions') ||
+      this.getSavedResult(results, 'questionnaire_questions');
+    if (saved) {
+      return saved;
     }
 
     // Fallback: reconstruct from individual questions
@@ -1137,7 +1437,8 @@ class AgentOrchestrator {
           rationale: q.rationale,
           priority: q.priority,
           impact: q.impact,
-          relatedRequirements: this.parseJSON(q.related_requirements) || []
+          relatedRequirements: this.parseJSON(q.related_requirements) || [],
+          ...(q.source_section && { sourceDocument: q.source_document, section: q.source_section })
         });
       }
     });
@@ -1155,15 +1456,9 @@ class AgentOrchestrator {
 
   reconstructExtractedAnswers(answers, results) {
     // Try to get from workflow results first
-    if (Array.isArray(results)) {
-      const answersResult = results.find(r => r.step_name === 'answer_extraction');
-      if (answersResult && answersResult.result_data) {
-        try {
-          return this.parseJSON(answersResult.result_data);
-        } catch (e) {
-          logger.warn('Failed to parse extracted answers from results');
-        }
-      }
+    const saved = this.getSavedResult(results, 'answer_extraction');
+    if (saved) {
+      return saved;
     }
 
     // Fallback: reconstruct from individual answers
@@ -1190,15 +1485,9 @@ class AgentOrchestrator {
 
   reconstructCompiledResponse(results) {
     // Try to get from workflow results
-    if (Array.isArray(results)) {
-      const responseResult = results.find(r => r.step_name === 'response_compilation');
-      if (responseResult && responseResult.result_data) {
-        try {
-          return this.parseJSON(responseResult.result_data);
-        } catch (e) {
-          logger.warn('Failed to parse compiled response from results');
-        }
-      }
+    const saved = this.getSavedResult(results, 'response_compilation');
+    if (saved) {
+      return saved;
     }
 
     // Fallback: basic structure
@@ -1212,6 +1501,21 @@ class AgentOrchestrator {
     };
   }
 
+  // Stored output of a step. Accepts workflow_results rows or the keyed
+  // object from dataService.getWorkflowResults, which mixes in row metadata.
+  getSavedResult(results, stepName) {
+    if (Array.isArray(results)) {
+      const row = results.find(r => r.step_name === stepName);
+      return row?.result_data ? this.parseJSON(row.result_data) : null;
+    }
+
+    const saved = results?.[stepName];
+    if (!saved) return null;
+
+    const { confidence_score, processing_time, created_at, ...output } = saved;
+    return output;
+  }
+
   // Helper method to safely parse JSON
   parseJSON(value) {
     if (!value) return null;
@@ -0,0 +1,311 @@
+const dataService = require('../services/workflowDataService');
+const answerReviewService = require('../services/answerReviewService');
+const complianceMatrixService = require('../services/complianceMatrixService');
+const questionnaireService = require('../services/questionnaireService');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Declarative definition of the RFP processing pipeline.
+ *
+ * A step describes which workflow results it reads (inputs), which result it
+ * produces (output) and how to run and persist it. AgentOrchestrator executes
+ * the steps of a template in order; progress, resume points and stored
+ * results are all derived from these definitions.
+ *
+ * Step fields:
+ * - message: progress message shown while the step runs
+ * - inputs: result keys that must exist before the step can run
+ * - output: result key the step's return value is stored under
+ * - confidence: confidence recorded with the stored workflow result
+ * - optional: failures are logged and the pipeline continues
+ * - skipWhenDegraded: skipped once the workflow is near its LLM budget
+ * - streaming: run() receives an onChunk handler for live output
+ * - reviewGate: workflows with review enabled pause after this step until an
+ *   analyst approves the output (optionally edited) or rejects it for a re-run
+ * - run(context): produces the output; context.reviewFeedback holds the
+ *   analyst's comments when a rejected gate re-runs the step
+ * - validate(output, context): throws when the output is unusable
+ * - persist(context, output): stores derived rows (requirements, questions, ...)
+ * - applyReviewEdits(output, edits): returns the output with an analyst's edits applied
+ */
+// Review edits replace a whole categorized structure, e.g. { technical: [...], business: [...] }
+const assertCategorized = (value, name) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value) ||
+      !Object.values(value).every(Array.isArray)) {
+    throw new Error(`${name} must map each category to an array`);
+  }
+};
+
+const steps = {
+  document_ingestion: {
+    message: 'Processing RFP documents...',
+    inputs: [],
+    output: 'ingestedDocuments',
+    confidence: 0.9,
+    run: ({ orchestrator, workflowId, documents }) =>
+      orchestrator.agents.documentIngestion.processDocuments(documents || [], workflowId),
+    persist: ({ workflowId }, ingestedDocuments) =>
+      dataService.saveProcessedContent(workflowId, ingestedDocuments)
+  },
+
+  graphrag_processing: {
+    message: 'Creating knowledge graph...',
+    inputs: ['ingestedDocuments'],
+    optional: true,
+    skipWhenDegraded: true,
+    run: ({ orchestrator, workflowId, results }) =>
+      orchestrator.processGraphRAG(workflowId, results.ingestedDocuments)
+  },
+
+  requirements_analysis: {
+    message: 'Analyzing requirements...',
+    inputs: ['ingestedDocuments'],
+    output: 'requirementsAnalysis',
+    confidence: 0.85,
+    streaming: true,
+    reviewGate: true,
+    run: ({ orchestrator, results, onChunk, reviewFeedback }) =>
+      orchestrator.agents.requirementsAnalysis.analyzeRequirements(results.ingestedDocuments, {
+        onChunk,
+        feedback: reviewFeedback
+      }),
+    persist: async ({ orchestrator, workflowId }, requirementsAnalysis) => {
+      if (requirementsAnalysis && requirementsAnalysis.requirements) {
+        const flattenedRequirements = orchestrator.flattenRequirements(requirementsAnalysis.requirements);
+        if (flattenedRequirements.length > 0) {
+          // Replace rather than append, the step re-runs on retries and rejected reviews
+          await dataService.replaceRequirements(workflowId, flattenedRequirements);
+        }
+      }
+    },
+    applyReviewEdits: (requirementsAnalysis, edits) => {
+      if (!edits.requirements) return requirementsAnalysis;
+
+      assertCategorized(edits.requirements, 'requirements');
+      return { ...requirementsAnalysis, requirements: edits.requirements };
+    }
+  },
+
+  clarification_questions: {
+    message: 'Generating clarification questions...',
+    inputs: ['requirementsAnalysis', 'ingestedDocuments'],
+    output: 'clarificationQuestions',
+    confidence: 0.88,
+    reviewGate: true,
+    run: ({ orchestrator, results, reviewFeedback }) =>
+      orchestrator.agents.clarificationQuestions.generateQuestions(results.requirementsAnalysis, results.ingestedDocuments, {
+        feedback: reviewFeedback
+      }),
+    validate: (clarificationQuestions, { orchestrator }) => {
+      if (orchestrator.flattenQuestions(clarificationQuestions).length === 0) {
+        throw new Error('Clarification questions generation failed - no valid questions produced');
+      }
+    },
+    persist: ({ orchestrator, workflowId }, clarificationQuestions) =>
+      dataService.replaceQuestions(workflowId, orchestrator.flattenQuestions(clarificationQuestions)),
+    applyReviewEdits: (clarificationQuestions, edits) => {
+      if (!edits.questionCategories) return clarificationQuestions;
+
+      assertCategorized(edits.questionCategories, 'questionCategories');
+      const questions = Object.values(edits.questionCategories).flat();
+      return {
+        ...clarificationQuestions,
+        questionCategories: edits.questionCategories,
+        questionSummary: {
+          ...clarificationQuestions.questionSummary,
+          totalQuestions: questions.length,
+          highPriority: questions.filter(q => q.priority === 'high').length,
+          mediumPriority: questions.filter(q => q.priority === 'medium').length,
+          lowPriority: questions.filter(q => q.priority === 'low').length
+        }
+      };
+    }
+  },
+
+  // The customer's own questions from an Excel questionnaire, instead of generated ones
+  questionnaire_questions: {
+    message: 'Reading questionnaire questions...',
+    inputs: ['ingestedDocuments'],
+    output: 'clarificationQuestions',
+    confidence: 0.95,
+    // Stored documents, the step context has none when a workflow resumes here
+    run: async ({ orchestrator, workflowId }) =>
+      questionnaireService.importQuestionnaires(await orchestrator.getStoredDocuments(workflowId)),
+    validate: (clarificationQuestions, { orchestrator }) => {
+      if (orchestrator.flattenQuestions(clarificationQuestions).length === 0) {
+        throw new Error('No questionnaire questions found - upload the questionnaire as .xlsx with question and answer column headers');
+      }
+    },
+    persist: async ({ orchestrator, workflowId }, clarificationQuestions) => {
+      await dataService.replaceQuestions(workflowId, orchestrator.flattenQuestions(clarificationQuestions));
+      await dataService.saveQuestionnaireCells(workflowId, clarificationQuestions.questionCategories.questionnaire
+        .map(question => ({ questionId: question.id, ...question.questionnaireCell })));
+    }
+  },
+
+  answer_extraction: {
+    message: 'Extracting answers from company documents...',
+    inputs: ['clarificationQuestions', 'requirementsAnalysis'],
+    output: 'extractedAnswers',
+    confidence: 0.82,
+    run: ({ orchestrator, workflowId, results, companyDocuments }) =>
+      orchestrator.agents.answerExtraction.extractAnswers(
+        results.clarificationQuestions,
+        companyDocuments || [], // Resumed workflows answer from the RAG index only
+        results.requirementsAnalysis,
+        workflowId
+      ),
+    persist: async ({ orchestrator, workflowId }, extractedAnswers) => {
+      const flattenedAnswers = orchestrator.flattenAnswers(extractedAnswers);
+      if (flattenedAnswers.length === 0) {
+        // Not a failure, the company documents may simply not cover the questions
+        logger.warn('Answer extraction produced no answers', { workflowId });
+      }
+      await dataService.replaceAnswers(workflowId, flattenedAnswers);
+    }
+  },
+
+  compliance_matrix: {
+    message: 'Building compliance matrix...',
+    inputs: ['requirementsAnalysis'],
+    output: 'complianceMatrix',
+    confidence: 0.9,
+    optional: true,
+    run: async ({ workflowId, results }) =>
+      complianceMatrixService.buildMatrix(
+        results.requirementsAnalysis,
+        results.clarificationQuestions,
+        await answerReviewService.applyReviews(workflowId, results.extractedAnswers)
+      ),
+    persist: ({ workflowId }, complianceMatrix) =>
+      dataService.saveComplianceMatrix(workflowId, complianceMatrix.rows)
+  },
+
+  response_compilation: {
+    message: 'Compiling final response...',
+    inputs: ['requirementsAnalysis'],
+    output: 'compiledResponse',
+    confidence: 0.95,
+    streaming: true,
+    run: async ({ orchestrator, workflowId, results, projectContext, onChunk }) =>
+      orchestrator.agents.responseCompilation.compileResponse(
+        results.requirementsAnalysis,
+        results.clarificationQuestions,
+        // Reviewer edits replace the generated answer text
+        await answerReviewService.applyReviews(workflowId, results.extractedAnswers),
+        projectContext || { title: 'RFP Analysis' },
+        { onChunk, approvedOnly: config.answerReview.approvedOnly, workflowId }
+      )
+  }
+};
+
+const templates = {
+  standard: [
+    'document_ingestion',
+    'graphrag_processing',
+    'requirements_analysis',
+    'clarification_questions',
+    'answer_extraction',
+    'compliance_matrix',
+    'response_compilation'
+  ],
+  // Compile a response straight from the requirements, without questions or answers
+  requirements_only: [
+    'document_ingestion',
+    'graphrag_processing',
+    'requirements_analysis',
+    'compliance_matrix',
+    'response_compilation'
+  ],
+  // Answer a customer's Excel questionnaire and write the answers back into it
+  questionnaire: [
+    'document_ingestion',
+    'graphrag_processing',
+    'requirements_analysis',
+    'questionnaire_questions',
+    'answer_extraction',
+    'compliance_matrix',
+    'response_compilation'
+  ]
+};
+
+class PipelineRegistry {
+  constructor() {
+    this.steps = { ...steps };
+    this.templates = { ...templates, ...config.pipeline.templates };
+    this.defaultTemplate = config.pipeline.defaultTemplate;
+  }
+
+  /**
+   * Register a new step or replace an existing one, e.g. a compliance-matrix step
+   */
+  registerStep(id, definition) {
+    if (typeof definition.run !== 'function') {
+      throw new Error(`Pipeline step ${id} must define run()`);
+    }
+    this.steps[id] = { inputs: [], ...definition };
+    logger.info('Pipeline step registered', { step: id });
+  }
+
+  registerTemplate(name, stepIds) {
+    const previous = this.templates[name];
+    this.templates[name] = stepIds;
+    try {
+      this.getPipeline(name);
+    } catch (error) {
+      // Keep the registry usable when a template is rejected
+      if (previous) this.templates[name] = previous;
+      else delete this.templates[name];
+      throw error;
+    }
+    logger.info('Pipeline template registered', { template: name, steps: stepIds });
+  }
+
+  getTemplateNames() {
+    return Object.keys(this.templates);
+  }
+
+  /**
+   * Resolve a template to its ordered step definitions. Templates whose steps
+   * read results no earlier step produces are rejected up front rather than
+   * failing halfway through a workflow.
+   */
+  getPipeline(templateName = null) {
+    const name = templateName || this.defaultTemplate;
+    const stepIds = this.templates[name];
+    if (!stepIds) {
+      throw new Error(`Unknown pipeline template: ${name}. Available templates: ${this.getTemplateNames().join(', ')}`);
+    }
+
+    const produced = new Set();
+    return stepIds.map(id => {
+      const step = this.steps[id];
+      if (!step) {
+        throw new Error(`Unknown pipeline step "${id}" in template ${name}`);
+      }
+
+      const missing = step.inputs.filter(input => !produced.has(input));
+      if (missing.length > 0) {
+        throw new Error(`Pipeline step "${id}" in template ${name} needs ${missing.join(', ')} from an earlier step`);
+      }
+      if (step.output) {
+        produced.add(step.output);
+      }
+
+      return { id, ...step };
+    });
+  }
+
+  /**
+   * Progress is spread evenly from 10% at the first step to 90% at the last
+   */
+  getStepProgress(pipeline, stepId) {
+    const index = pipeline.findIndex(step => step.id === stepId);
+    if (index === -1) return 0;
+    if (pipeline.length === 1) return 10;
+    return Math.round(10 + (80 * index) / (pipeline.length - 1));
+  }
+}
+
+module.exports = new PipelineRegistry();
@@ -2,6 +2,8 @@ const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const documentProcessor = require('../services/documentProcessor');
+const documentBundleService = require('../services/documentBundleService');
+const workflowDataService = require('../services/workflowDataService');
 const logger = require('../utils/logger');
 const config = require('../config');
 
@@ -379,7 +381,15 @@ router.get('/download/:fileId', async (req, res) => {
   }
 });
 
-// View document (for PDFs and other viewable formats)
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// View document (for PDFs and other viewable formats). Citations add
+// ?workflowId=&start=&end= character offsets; other than PDFs (which open at
+// #page=N), the text extracted at ingestion is then shown with that span
+// highlighted (#citation).
 router.get('/view/:fileId', async (req, res) => {
   try {
     const { fileId } = req.params;
@@ -398,6 +408,23 @@ router.get('/view/:fileId', async (req, res) => {
     // Get file stats and determine MIME type
     const stats = await fs.stat(filePath);
     const extension = path.extname(fileId).toLowerCase();
+
+    const start = parseInt(req.query.start);
+    const end = parseInt(req.query.end);
+    let text = null;
+    if (extension !== '.pdf' && req.query.workflowId && Number.isInteger(start) && Number.isInteger(end) && end > start) {
+      // The offsets point into the text stored at ingestion; without it the file itself is shown
+      const documents = await workflowDataService.getDocumentsByWorkflow(req.query.workflowId);
+      text = documents.find(doc => path.basename(doc.file_path) === fileId)?.processed_content;
+    }
+    if (text) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(fileId)}</title></head>
+<body style="font-family: sans-serif; white-space: pre-wrap; margin: 2rem; line-height: 1.5;">${escapeHtml(text.slice(0, start))}<mark id="citation">${escapeHtml(text.slice(start, end))}</mark>${escapeHtml(text.slice(end))}</body>
+</html>`);
+    }
     
     let mimeType = 'application/octet-stream';
     switch (extension) {
@@ -435,19 +462,20 @@ router.get('/view/:fileId', async (req, res) => {
   }
 });
 
-// Get supported file formats
+// Get supported file formats: uploads the server accepts and can ingest or unpack
 router.get('/formats/supported', (req, res) => {
   res.json({
     success: true,
-    supportedFormats: config.upload.allowedTypes,
+    supportedFormats: config.upload.allowedTypes.filter(type =>
+      documentProcessor.supportedFormats.includes(type) || documentBundleService.isBundle(`file.${type}`)
+    ),
     maxFileSize: config.upload.maxFileSize,
     description: {
       pdf: 'Portable Document Format',
       docx: 'Microsoft Word Document',
       txt: 'Plain Text File',
       csv: 'Comma Separated Values',
-      xlsx: 'Microsoft Excel Spreadsheet',
-      xls: 'Microsoft Excel Spreadsheet (Legacy)'
+      xlsx: 'Microsoft Excel Spreadsheet'
     }
   });
 });
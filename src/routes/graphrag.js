@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const graphRagService = require('../services/graphRagService');
+const llmUsageService = require('../services/llmUsageService');
 const logger = require('../utils/logger');
 
+// Attribute LLM usage inside workflow routes to that workflow
+router.param('workflowId', (req, res, next, workflowId) => {
+  llmUsageService.runWithContext({ workflowId }, next);
+});
+
 // Initialize GraphRAG service
 router.post('/initialize', async (req, res) => {
   try {
@@ -0,0 +1,199 @@
+const express = require('express');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const statusCodes = {
+  INVALID_KB_DOCUMENT: 400,
+  KB_DOCUMENT_NOT_FOUND: 404,
+  KNOWLEDGE_BASE_UNAVAILABLE: 503
+};
+
+const sendKnowledgeBaseError = (res, error, message) => {
+  if (statusCodes[error.code]) {
+    return res.status(statusCodes[error.code]).json({ error: error.message });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    details: error.message
+  });
+};
+
+// List knowledge base documents
+router.get('/', async (req, res) => {
+  try {
+    const { search, tag, includeSuperseded } = req.query;
+
+    const documents = await knowledgeBaseService.listDocuments({
+      search,
+      tag: tag ? tag.toLowerCase() : undefined,
+      includeSuperseded: includeSuperseded === 'true'
+    });
+
+    res.json({
+      success: true,
+      documents,
+      total: documents.length,
+      stats: await knowledgeBaseService.getStats()
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'Failed to list knowledge base');
+  }
+});
+
+// Search the knowledge base the way answer extraction does
+router.get('/search', async (req, res) => {
+  try {
+    const { query, limit = 5 } = req.query;
+    if (!query) {
+      return res.status(400).json({
+        error: 'Missing required fields: query is required'
+      });
+    }
+
+    const results = await knowledgeBaseService.search(query, parseInt(limit) || 5);
+
+    res.json({
+      success: true,
+      query,
+      results
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'Failed to search knowledge base');
+  }
+});
+
+// Upload documents; a file name that is already in the knowledge base becomes a new version
+router.post('/', async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded'
+      });
+    }
+
+    const { title, description, tags, uploadedBy } = req.body;
+    const results = [];
+
+    for (const file of files) {
+      try {
+        const { document, unchanged } = await knowledgeBaseService.addDocument(file, {
+          // A title only makes sense for a single file
+          title: files.length === 1 ? title : undefined,
+          description,
+          tags,
+          uploadedBy
+        });
+        results.push({ fileName: file.originalname, success: true, unchanged, document });
+      } catch (error) {
+        logger.error(`Error adding ${file.originalname} to knowledge base:`, error);
+        results.push({ fileName: file.originalname, success: false, error: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Processed ${results.length} files`,
+      results,
+      successCount: results.filter(r => r.success).length,
+      errorCount: results.filter(r => !r.success).length
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'Failed to upload knowledge base documents');
+  }
+});
+
+// Get a document with all of its versions
+router.get('/:documentId', async (req, res) => {
+  try {
+    const document = await knowledgeBaseService.getDocument(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({
+        error: 'Knowledge base document not found',
+        documentId: req.params.documentId
+      });
+    }
+
+    res.json({
+      success: true,
+      document,
+      versions: await knowledgeBaseService.getVersions(document.documentKey)
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'Failed to fetch knowledge base document');
+  }
+});
+
+// Upload a new version of a document
+router.post('/:documentId/versions', async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded'
+      });
+    }
+
+    const { title, description, tags, uploadedBy } = req.body;
+    const { document, unchanged } = await knowledgeBaseService.addDocument(req.file, {
+      title,
+      description,
+      tags,
+      uploadedBy,
+      replaces: req.params.documentId
+    });
+
+    res.json({
+      success: true,
+      message: unchanged ? 'Document content is unchanged' : `Version ${document.version} added`,
+      unchanged,
+      document
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'Failed to add document version');
+  }
+});
+
+// Download the file of one version
+router.get('/:documentId/download', async (req, res) => {
+  try {
+    const file = await knowledgeBaseService.getDocumentFile(req.params.documentId);
+    if (!file) {
+      return res.status(404).json({
+        error: 'Knowledge base document not found',
+        documentId: req.params.documentId
+      });
+    }
+
+    res.download(file.filePath, file.fileName);
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'Failed to download knowledge base document');
+  }
+});
+
+// Delete a document with all of its versions
+router.delete('/:documentId', async (req, res) => {
+  try {
+    const result = await knowledgeBaseService.deleteDocument(req.params.documentId);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Knowledge base document not found',
+        documentId: req.params.documentId
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Knowledge base document deleted successfully',
+      documentId: req.params.documentId,
+      deletedVersions: result.deleted
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'Failed to delete knowledge base document');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const answerLibraryService = require('../services/answerLibraryService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const statusCodes = {
+  INVALID_LIBRARY_ENTRY: 400
+};
+
+const sendLibraryError = (res, error, message) => {
+  if (statusCodes[error.code]) {
+    return res.status(statusCodes[error.code]).json({ error: error.message });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    details: error.message
+  });
+};
+
+// List library entries
+router.get('/', async (req, res) => {
+  try {
+    const { search, tag, owner, status, dueForReview } = req.query;
+
+    const entries = await answerLibraryService.listEntries({
+      search,
+      tag: tag ? tag.toLowerCase() : undefined,
+      owner,
+      status: status || 'active',
+      dueForReview: dueForReview === 'true'
+    });
+
+    res.json({
+      success: true,
+      entries,
+      total: entries.length
+    });
+  } catch (error) {
+    sendLibraryError(res, error, 'Failed to list answer library');
+  }
+});
+
+// Find the entry answer extraction would use for a question
+router.get('/match', async (req, res) => {
+  try {
+    const { question } = req.query;
+    if (!question) {
+      return res.status(400).json({
+        error: 'Missing required fields: question is required'
+      });
+    }
+
+    const match = await answerLibraryService.findMatch(question);
+
+    res.json({
+      success: true,
+      match
+    });
+  } catch (error) {
+    sendLibraryError(res, error, 'Failed to search answer library');
+  }
+});
+
+// Get a library entry
+router.get('/:entryId', async (req, res) => {
+  try {
+    const entry = await answerLibraryService.getEntry(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Library entry not found',
+        entryId: req.params.entryId
+      });
+    }
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    sendLibraryError(res, error, 'Failed to fetch library entry');
+  }
+});
+
+// Add an entry written directly in the library
+router.post('/', async (req, res) => {
+  try {
+    const { question, answer, category, tags, owner, expiresAt, reviewDueAt } = req.body;
+
+    const entry = await answerLibraryService.createEntry({
+      question,
+      answer,
+      category,
+      tags,
+      owner,
+      expiresAt,
+      reviewDueAt
+    });
+
+    res.json({
+      success: true,
+      message: 'Library entry added successfully',
+      entry
+    });
+  } catch (error) {
+    sendLibraryError(res, error, 'Failed to add library entry');
+  }
+});
+
+// Update an entry; reviewed: true records an owner review
+router.put('/:entryId', async (req, res) => {
+  try {
+    const { question, answer, category, tags, owner, status, expiresAt, reviewDueAt, reviewed } = req.body;
+
+    const entry = await answerLibraryService.updateEntry(req.params.entryId, {
+      question,
+      answer,
+      category,
+      tags,
+      owner,
+      status,
+      expiresAt,
+      reviewDueAt,
+      reviewed: reviewed === true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Library entry not found',
+        entryId: req.params.entryId
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Library entry updated successfully',
+      entry
+    });
+  } catch (error) {
+    sendLibraryError(res, error, 'Failed to update library entry');
+  }
+});
+
+// Delete an entry
+router.delete('/:entryId', async (req, res) => {
+  try {
+    const result = await answerLibraryService.deleteEntry(req.params.entryId);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Library entry not found',
+        entryId: req.params.entryId
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Library entry deleted successfully',
+      entryId: req.params.entryId
+    });
+  } catch (error) {
+    sendLibraryError(res, error, 'Failed to delete library entry');
+  }
+});
+
+module.exports = router;
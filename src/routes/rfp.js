@@ -1,10 +1,42 @@
 const express = require('express');
 const agentOrchestrator = require('../orchestrator/agentOrchestrator');
 const dataService = require('../services/workflowDataService');
+const llmUsageService = require('../services/llmUsageService');
+const budgetService = require('../services/budgetService');
+const answerReviewService = require('../services/answerReviewService');
+const answerLibraryService = require('../services/answerLibraryService');
+const complianceMatrixService = require('../services/complianceMatrixService');
+const questionnaireService = require('../services/questionnaireService');
+const addendumService = require('../services/addendumService');
+const jobQueue = require('../services/jobQueue');
+const config = require('../config');
+const { mapWithConcurrency } = require('../utils/concurrency');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Attribute LLM usage inside workflow routes to that workflow
+router.param('workflowId', (req, res, next, workflowId) => {
+  llmUsageService.runWithContext({ workflowId }, next);
+});
+
+// Mindmaps and architecture diagrams are optional extras, so they are the
+// first thing skipped once a workflow nears its LLM budget
+const rejectIfOverBudget = async (workflowId, res) => {
+  const budget = await budgetService.checkBudget(workflowId);
+  if (budget.state === 'ok') {
+    return false;
+  }
+
+  logger.warn('Skipping optional generation to stay within LLM budget', { workflowId, reasons: budget.reasons });
+  res.status(402).json({
+    error: 'LLM budget limit reached, generation skipped',
+    details: budget.reasons.join('; '),
+    budget
+  });
+  return true;
+};
+
 // Get all RFP processing workflows with database persistence
 router.get('/workflows', async (req, res) => {
   try {
@@ -49,6 +81,8 @@ router.get('/workflow/:workflowId', async (req, res) => {
       
       // Try to get from database
       const dbWorkflow = await dataService.getWorkflow(workflowId);
+      // Queued workflows have no database until a worker starts them
+      const queuedJob = dbWorkflow ? null : await jobQueue.getActiveJob(workflowId);
       if (dbWorkflow) {
         // Convert database format to expected format
         workflow = {
@@ -61,6 +95,16 @@ router.get('/workflow/:workflowId', async (req, res) => {
           error: dbWorkflow.error_message
         };
         logger.info(`Found workflow in database: ${workflowId}`);
+      } else if (queuedJob) {
+        return res.json({
+          workflowId,
+          status: 'queued',
+          currentStep: 'queued',
+          progress: 0,
+          jobId: queuedJob.id,
+          priority: queuedJob.priority,
+          startTime: queuedJob.createdAt
+        });
       } else {
         logger.warn(`Workflow not found in memory or database: ${workflowId}`);
         return res.status(404).json({
@@ -141,23 +185,44 @@ router.get('/workflow/:workflowId/results', (req, res) => {
 router.post('/workflow/:workflowId/retry', async (req, res) => {
   try {
     const { workflowId } = req.params;
-    const { fromStep } = req.body;
+    const { fromStep, budget, priority } = req.body || {};
+
+    if (!agentOrchestrator.workflowState[workflowId] && !await dataService.getWorkflow(workflowId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
 
-    const result = await agentOrchestrator.retryWorkflow(workflowId, fromStep);
+    // Retries run as queued jobs too, so a restart mid-retry resumes the workflow.
+    // Progress arrives over Socket.IO and the job's outcome through /api/workflow/jobs.
+    const job = await jobQueue.enqueue('retry_workflow', workflowId, { fromStep, budget }, { priority });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: result.message || 'Workflow retry initiated',
+      message: 'Workflow retry queued',
       workflowId,
-      fromStep: result.fromStep
+      jobId: job.id,
+      priority: job.priority,
+      fromStep: fromStep || null
     });
   } catch (error) {
+    if (error.code === 'JOB_ACTIVE') {
+      return res.status(409).json({
+        success: false,
+        error: 'Workflow is already queued or processing',
+        details: error.message,
+        workflowId: req.params.workflowId
+      });
+    }
+
     logger.error('Error retrying workflow:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to retry workflow',
       details: error.message,
-      workflowId
+      workflowId: req.params.workflowId
     });
   }
 });
@@ -260,19 +325,23 @@ router.get('/workflow/:workflowId/step/:stepName', (req, res) => {
 });
 
 // Get requirements analysis
-router.get('/workflow/:workflowId/requirements', (req, res) => {
+router.get('/workflow/:workflowId/requirements', async (req, res) => {
   try {
     const { workflowId } = req.params;
     const workflowState = agentOrchestrator.workflowState[workflowId];
+    const requirements = await dataService.getRequirements(workflowId);
     
-    if (!workflowState) {
+    if (!workflowState && requirements.length === 0) {
       return res.status(404).json({
         error: 'Workflow not found',
         workflowId
       });
     }
 
-    const requirementsAnalysis = workflowState.results.requirementsAnalysis;
+    // Workflows that are no longer in memory are rebuilt from the saved rows
+    const requirementsAnalysis = workflowState
+      ? workflowState.results.requirementsAnalysis
+      : agentOrchestrator.reconstructRequirementsAnalysis(requirements, await dataService.getWorkflowResults(workflowId));
     
     if (!requirementsAnalysis) {
       return res.status(404).json({
@@ -284,7 +353,8 @@ router.get('/workflow/:workflowId/requirements', (req, res) => {
     res.json({
       success: true,
       workflowId,
-      requirementsAnalysis
+      requirementsAnalysis,
+      requirements
     });
   } catch (error) {
     logger.error('Error fetching requirements analysis:', error);
@@ -295,6 +365,271 @@ router.get('/workflow/:workflowId/requirements', (req, res) => {
   }
 });
 
+const requirementCategories = ['technical', 'business', 'compliance'];
+const requirementLevels = ['high', 'medium', 'low'];
+
+// Returns an error message for invalid requirement fields. Fields that are
+// not provided are only an error when creating a requirement.
+const validateRequirement = ({ description, category, priority, complexity, mandatory }, creating) => {
+  if (creating && (!description || !category)) {
+    return 'Missing required fields: description and category are required';
+  }
+  if (description !== undefined && (typeof description !== 'string' || !description.trim())) {
+    return 'Description must be a non-empty string';
+  }
+  if (category !== undefined && !requirementCategories.includes(category)) {
+    return 'Invalid category. Must be one of: ' + requirementCategories.join(', ');
+  }
+  if (priority !== undefined && !requirementLevels.includes(priority)) {
+    return 'Invalid priority. Must be one of: ' + requirementLevels.join(', ');
+  }
+  if (complexity !== undefined && !requirementLevels.includes(complexity)) {
+    return 'Invalid complexity. Must be one of: ' + requirementLevels.join(', ');
+  }
+  if (mandatory !== undefined && typeof mandatory !== 'boolean') {
+    return 'Mandatory must be true or false';
+  }
+  return null;
+};
+
+// Editing requirements while the pipeline runs would race with the step writing them
+const rejectIfProcessing = async (workflowId, res) => {
+  if (!await jobQueue.getActiveJob(workflowId)) {
+    return false;
+  }
+
+  res.status(409).json({
+    error: 'Workflow is already queued or processing',
+    workflowId
+  });
+  return true;
+};
+
+// Add a requirement to a workflow
+router.post('/workflow/:workflowId/requirements', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const { description, category, priority = 'medium', complexity = 'medium', mandatory = false } = req.body;
+
+    const validationError = validateRequirement({ description, category, priority, complexity, mandatory }, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!await dataService.getWorkflow(workflowId)) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
+    if (await rejectIfProcessing(workflowId, res)) return;
+
+    const requirementId = `custom_req_${category}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+
+    const requirement = await dataService.addRequirement(workflowId, {
+      requirement_id: requirementId,
+      category,
+      description: description.trim(),
+      priority,
+      complexity,
+      mandatory,
+      created_by: 'user'
+    });
+    await agentOrchestrator.syncRequirementsAnalysis(workflowId);
+
+    res.json({
+      success: true,
+      message: 'Requirement added successfully',
+      requirementId,
+      requirement
+    });
+
+  } catch (error) {
+    logger.error('Error adding requirement:', error);
+    res.status(500).json({
+      error: 'Failed to add requirement',
+      details: error.message
+    });
+  }
+});
+
+// Update a requirement and flag the questions and answers that depend on it
+router.put('/workflow/:workflowId/requirements/:requirementId', async (req, res) => {
+  try {
+    const { workflowId, requirementId } = req.params;
+    const { description, category, priority, complexity, mandatory } = req.body;
+
+    const validationError = validateRequirement({ description, category, priority, complexity, mandatory }, false);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (await rejectIfProcessing(workflowId, res)) return;
+
+    const requirement = await dataService.updateRequirement(workflowId, requirementId, {
+      description: description !== undefined ? description.trim() : undefined,
+      category,
+      priority,
+      complexity,
+      mandatory,
+      created_by: 'user'
+    });
+
+    if (!requirement) {
+      return res.status(404).json({
+        error: 'Requirement not found',
+        requirementId
+      });
+    }
+
+    await agentOrchestrator.syncRequirementsAnalysis(workflowId);
+    const stale = await dataService.markRequirementDependentsStale(
+      workflowId,
+      requirementId,
+      `Requirement ${requirementId} was edited`
+    );
+
+    res.json({
+      success: true,
+      message: 'Requirement updated successfully',
+      requirementId,
+      requirement,
+      stale
+    });
+
+  } catch (error) {
+    logger.error('Error updating requirement:', error);
+    res.status(500).json({
+      error: 'Failed to update requirement',
+      details: error.message
+    });
+  }
+});
+
+// Delete a requirement and flag the questions and answers that depend on it
+router.delete('/workflow/:workflowId/requirements/:requirementId', async (req, res) => {
+  try {
+    const { workflowId, requirementId } = req.params;
+
+    if (await rejectIfProcessing(workflowId, res)) return;
+
+    const result = await dataService.deleteRequirement(workflowId, requirementId);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Requirement not found',
+        requirementId
+      });
+    }
+
+    await agentOrchestrator.syncRequirementsAnalysis(workflowId);
+    const stale = await dataService.markRequirementDependentsStale(
+      workflowId,
+      requirementId,
+      `Requirement ${requirementId} was deleted`
+    );
+
+    res.json({
+      success: true,
+      message: 'Requirement deleted successfully',
+      requirementId,
+      stale
+    });
+
+  } catch (error) {
+    logger.error('Error deleting requirement:', error);
+    res.status(500).json({
+      error: 'Failed to delete requirement',
+      details: error.message
+    });
+  }
+});
+
+// Apply an RFP addendum or amendment: diff it against the original documents,
+// update or supersede the affected requirements and flag dependent answers stale
+router.post('/workflow/:workflowId/addenda', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const { priority } = req.body || {};
+    const uploadedFiles = req.files || [];
+
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({
+        error: 'No addendum documents uploaded'
+      });
+    }
+
+    const documents = uploadedFiles.map(file => ({
+      id: file.filename,
+      originalName: file.originalname,
+      path: file.path,
+      size: file.size,
+      mimetype: file.mimetype
+    }));
+
+    // Checked here so the upload is rejected before it is queued
+    await addendumService.loadWorkflow(workflowId);
+
+    // Applying an addendum twice would duplicate its changes, so the job is not retried.
+    // Its outcome is read from /api/workflow/jobs and the changes from the addenda list.
+    const job = await jobQueue.enqueue('apply_addendum', workflowId, { documents }, { priority, maxAttempts: 1 });
+
+    res.status(202).json({
+      success: true,
+      message: 'Addendum queued',
+      workflowId,
+      jobId: job.id,
+      priority: job.priority
+    });
+  } catch (error) {
+    const statusCodes = {
+      WORKFLOW_NOT_FOUND: 404,
+      REQUIREMENTS_NOT_AVAILABLE: 409,
+      JOB_ACTIVE: 409
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.message,
+        workflowId: req.params.workflowId
+      });
+    }
+
+    logger.error('Error applying addendum:', error);
+    res.status(500).json({
+      error: 'Failed to apply addendum',
+      details: error.message
+    });
+  }
+});
+
+// Addenda applied to a workflow and the changes each made
+router.get('/workflow/:workflowId/addenda', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+
+    if (!await dataService.getWorkflow(workflowId)) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
+
+    const addenda = await dataService.getAddenda(workflowId);
+
+    res.json({
+      success: true,
+      workflowId,
+      addenda
+    });
+  } catch (error) {
+    logger.error('Error fetching addenda:', error);
+    res.status(500).json({
+      error: 'Failed to fetch addenda',
+      details: error.message
+    });
+  }
+});
+
 // Get clarification questions
 router.get('/workflow/:workflowId/questions', (req, res) => {
   try {
@@ -367,6 +702,119 @@ router.get('/workflow/:workflowId/answers', (req, res) => {
   }
 });
 
+// Review an answer: edit, submit, approve or reject it
+router.post('/workflow/:workflowId/answers/:answerId/review', async (req, res) => {
+  try {
+    const { workflowId, answerId } = req.params;
+    const { action, answerText, comment, reviewer } = req.body;
+
+    const answer = await answerReviewService.reviewAnswer(workflowId, answerId, {
+      action,
+      answerText,
+      comment,
+      reviewer
+    });
+
+    res.json({
+      success: true,
+      message: `Answer ${action} saved`,
+      answer
+    });
+
+  } catch (error) {
+    const statusCodes = {
+      ANSWER_NOT_FOUND: 404,
+      INVALID_REVIEW_TRANSITION: 409,
+      INVALID_REVIEW_ACTION: 400
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.message,
+        answerId: req.params.answerId
+      });
+    }
+
+    logger.error('Error reviewing answer:', error);
+    res.status(500).json({
+      error: 'Failed to review answer',
+      details: error.message
+    });
+  }
+});
+
+// Promote an approved answer into the global answer library
+router.post('/workflow/:workflowId/answers/:answerId/promote', async (req, res) => {
+  try {
+    const { workflowId, answerId } = req.params;
+    const { question, tags, owner, expiresAt, reviewDueAt } = req.body;
+
+    const entry = await answerLibraryService.promoteAnswer(workflowId, answerId, {
+      question,
+      tags,
+      owner,
+      expiresAt,
+      reviewDueAt
+    });
+
+    res.json({
+      success: true,
+      message: 'Answer added to the library',
+      entry
+    });
+
+  } catch (error) {
+    const statusCodes = {
+      ANSWER_NOT_FOUND: 404,
+      ANSWER_NOT_APPROVED: 409,
+      INVALID_LIBRARY_ENTRY: 400
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.message,
+        answerId: req.params.answerId
+      });
+    }
+
+    logger.error('Error promoting answer to library:', error);
+    res.status(500).json({
+      error: 'Failed to promote answer to library',
+      details: error.message
+    });
+  }
+});
+
+// Get the revision history of an answer
+router.get('/workflow/:workflowId/answers/:answerId/revisions', async (req, res) => {
+  try {
+    const { workflowId, answerId } = req.params;
+
+    const answer = await dataService.getAnswer(workflowId, answerId);
+    if (!answer) {
+      return res.status(404).json({
+        error: 'Answer not found',
+        answerId
+      });
+    }
+
+    const revisions = await dataService.getAnswerRevisions(workflowId, answerId);
+
+    res.json({
+      success: true,
+      answerId: answer.id,
+      reviewStatus: answer.review_status || 'draft',
+      originalAnswerText: answer.original_answer_text || answer.answer_text,
+      revisions
+    });
+
+  } catch (error) {
+    logger.error('Error fetching answer revisions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch answer revisions',
+      details: error.message
+    });
+  }
+});
+
 // Get compiled response
 router.get('/workflow/:workflowId/response', (req, res) => {
   try {
@@ -403,6 +851,264 @@ router.get('/workflow/:workflowId/response', (req, res) => {
   }
 });
 
+// Verify the compiled response again, e.g. after answers were reviewed
+router.post('/workflow/:workflowId/verify', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const verification = await agentOrchestrator.verifyResponse(workflowId);
+
+    res.json({
+      success: true,
+      workflowId,
+      verification
+    });
+  } catch (error) {
+    const statusCodes = {
+      WORKFLOW_NOT_FOUND: 404,
+      RESPONSE_NOT_COMPILED: 409
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.message,
+        workflowId: req.params.workflowId
+      });
+    }
+
+    logger.error('Error verifying compiled response:', error);
+    res.status(500).json({
+      error: 'Failed to verify compiled response',
+      details: error.message
+    });
+  }
+});
+
+// Compliance matrix, one row per requirement
+router.get('/workflow/:workflowId/compliance-matrix', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+
+    if (!await dataService.getWorkflow(workflowId)) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
+
+    const matrix = await complianceMatrixService.getMatrix(workflowId);
+
+    res.json({
+      success: true,
+      workflowId,
+      ...matrix
+    });
+  } catch (error) {
+    logger.error('Error fetching compliance matrix:', error);
+    res.status(500).json({
+      error: 'Failed to fetch compliance matrix',
+      details: error.message
+    });
+  }
+});
+
+// Edit a row's status, response reference, owner, notes or source
+router.put('/workflow/:workflowId/compliance-matrix/:requirementId', async (req, res) => {
+  try {
+    const { workflowId, requirementId } = req.params;
+    const { editedBy, ...updates } = req.body || {};
+
+    const row = await complianceMatrixService.updateRow(workflowId, requirementId, updates, editedBy);
+
+    res.json({
+      success: true,
+      message: 'Compliance matrix row updated',
+      requirementId,
+      row
+    });
+  } catch (error) {
+    const statusCodes = {
+      COMPLIANCE_ROW_NOT_FOUND: 404,
+      INVALID_COMPLIANCE_UPDATE: 400
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.message,
+        requirementId: req.params.requirementId
+      });
+    }
+
+    logger.error('Error updating compliance matrix row:', error);
+    res.status(500).json({
+      error: 'Failed to update compliance matrix row',
+      details: error.message
+    });
+  }
+});
+
+// Rebuild the matrix from the current requirements and reviewed answers; edited rows are kept
+router.post('/workflow/:workflowId/compliance-matrix/rebuild', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+
+    const workflowStatus = await agentOrchestrator.getWorkflowStatus(workflowId);
+    if (!workflowStatus.results) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
+    if (await rejectIfProcessing(workflowId, res)) return;
+
+    const results = {
+      ...workflowStatus.results,
+      extractedAnswers: await answerReviewService.applyReviews(workflowId, workflowStatus.results.extractedAnswers)
+    };
+    const matrix = await complianceMatrixService.rebuildMatrix(workflowId, results);
+
+    res.json({
+      success: true,
+      message: 'Compliance matrix rebuilt',
+      workflowId,
+      ...matrix
+    });
+  } catch (error) {
+    if (error.code === 'REQUIREMENTS_NOT_AVAILABLE') {
+      return res.status(409).json({
+        error: error.message,
+        workflowId: req.params.workflowId
+      });
+    }
+
+    logger.error('Error rebuilding compliance matrix:', error);
+    res.status(500).json({
+      error: 'Failed to rebuild compliance matrix',
+      details: error.message
+    });
+  }
+});
+
+router.get('/workflow/:workflowId/compliance-matrix/export/:format', async (req, res) => {
+  try {
+    const { workflowId, format } = req.params;
+
+    const workflow = await dataService.getWorkflow(workflowId);
+    if (!workflow) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
+
+    const matrix = await complianceMatrixService.getMatrix(workflowId);
+    if (matrix.rows.length === 0) {
+      return res.status(404).json({
+        error: 'No compliance matrix available for export'
+      });
+    }
+
+    const projectContext = agentOrchestrator.parseJSON(workflow.project_context) || {};
+
+    let buffer, contentType;
+    switch (format.toLowerCase()) {
+      case 'xlsx':
+        buffer = Buffer.from(await complianceMatrixService.exportToXlsx(matrix, projectContext));
+        contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        break;
+      case 'pdf': {
+        const pdfGenerator = require('../services/pdfGenerator');
+        buffer = Buffer.from(await pdfGenerator.generateComplianceMatrixReport(matrix, projectContext));
+        contentType = 'application/pdf';
+        break;
+      }
+      default:
+        return res.status(400).json({ error: 'Unsupported export format' });
+    }
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="compliance-matrix-${workflowId}.${format.toLowerCase()}"`);
+    res.send(buffer);
+
+  } catch (error) {
+    logger.error('Error exporting compliance matrix:', error);
+    res.status(500).json({
+      error: 'Failed to export compliance matrix',
+      details: error.message
+    });
+  }
+});
+
+// Questionnaire workbooks imported by the questionnaire pipeline, with answer counts
+router.get('/workflow/:workflowId/questionnaire', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+
+    const workflowStatus = await agentOrchestrator.getWorkflowStatus(workflowId);
+    if (!workflowStatus.results) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
+
+    const extractedAnswers = await answerReviewService.applyReviews(workflowId, workflowStatus.results.extractedAnswers);
+    const files = await questionnaireService.getQuestionnaires(workflowId, extractedAnswers);
+
+    res.json({
+      success: true,
+      workflowId,
+      files
+    });
+  } catch (error) {
+    logger.error('Error fetching questionnaires:', error);
+    res.status(500).json({
+      error: 'Failed to fetch questionnaires',
+      details: error.message
+    });
+  }
+});
+
+// The customer's workbook with the reviewed answers written into its answer cells
+router.get('/workflow/:workflowId/questionnaire/:documentId/download', async (req, res) => {
+  try {
+    const { workflowId, documentId } = req.params;
+
+    const workflowStatus = await agentOrchestrator.getWorkflowStatus(workflowId);
+    if (!workflowStatus.results) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
+
+    const extractedAnswers = await answerReviewService.applyReviews(workflowId, workflowStatus.results.extractedAnswers);
+    const { buffer, fileName, filled, unanswered } = await questionnaireService.fillQuestionnaire(workflowId, documentId, extractedAnswers);
+
+    const baseName = fileName.replace(/\.xlsx$/i, '').replace(/["\r\n]/g, '');
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName} (completed).xlsx"`);
+    res.setHeader('X-Questions-Answered', filled);
+    res.setHeader('X-Questions-Unanswered', unanswered);
+    res.send(Buffer.from(buffer));
+
+  } catch (error) {
+    const statusCodes = {
+      QUESTIONNAIRE_NOT_FOUND: 404,
+      QUESTIONNAIRE_FILE_MISSING: 410
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.message,
+        documentId: req.params.documentId
+      });
+    }
+
+    logger.error('Error filling questionnaire:', error);
+    res.status(500).json({
+      error: 'Failed to fill questionnaire',
+      details: error.message
+    });
+  }
+});
+
 // Reprocess answers for an existing workflow using RAG
 router.post('/workflow/:workflowId/reprocess-answers', async (req, res) => {
   try {
@@ -755,7 +1461,10 @@ router.put('/workflow/:workflowId/questions/:questionId', async (req, res) => {
       rationale,
       priority,
       impact,
-      related_requirements: related_requirements ? JSON.stringify(related_requirements) : undefined
+      related_requirements: related_requirements ? JSON.stringify(related_requirements) : undefined,
+      // Editing the question is how a user resolves it going stale
+      is_stale: 0,
+      stale_reason: null
     });
 
     if (!result) {
@@ -1076,6 +1785,8 @@ router.post('/workflow/:workflowId/generate-mindmap', async (req, res) => {
     const { workflowId } = req.params;
     const mindmapService = require('../services/mindmapService');
     
+    if (await rejectIfOverBudget(workflowId, res)) return;
+
     logger.info(`Generating mindmap for workflow: ${workflowId}`);
     
     // Get comprehensive workflow data including processed content
@@ -1133,6 +1844,8 @@ router.get('/workflow/:workflowId/mindmap', async (req, res) => {
     let mindmap = mindmapService.getCachedMindmap(workflowId);
     
     if (!mindmap) {
+      if (await rejectIfOverBudget(workflowId, res)) return;
+
       logger.info(`No cached mindmap found, generating new one for: ${workflowId}`);
       
       // Generate new mindmap if not cached - get comprehensive workflow data
@@ -1282,6 +1995,8 @@ router.post('/workflow/:workflowId/analyze-architecture', async (req, res) => {
       });
     }
 
+    if (await rejectIfOverBudget(workflowId, res)) return;
+
     logger.info(`Analyzing architecture for workflow: ${workflowId}`);
 
     const architectureService = require('../services/architectureAnalysisService');
@@ -1380,6 +2095,8 @@ router.post('/workflow/:workflowId/generate-architecture-diagram', async (req, r
       });
     }
 
+    if (await rejectIfOverBudget(workflowId, res)) return;
+
     logger.info(`Generating ${useProfessional ? 'professional' : 'standard'} architecture diagram for workflow: ${workflowId}`);
 
     let diagram;
@@ -1496,12 +2213,11 @@ router.post('/workflow/:workflowId/generate-missing-answers', async (req, res) =
 
     logger.info(`Found ${unansweredQuestions.length} unanswered questions`);
 
-    const newAnswers = [];
     let processed = 0;
     const minConfidenceThreshold = 0.25; // Minimum confidence to save answer
 
-    // Process each unanswered question
-    for (const question of unansweredQuestions) {
+    // Answer several questions at once; answers keep question order
+    const outcomes = await mapWithConcurrency(unansweredQuestions, config.processing.questionConcurrency, async (question) => {
       try {
         logger.info(`Processing question: ${question.question_id}`);
         
@@ -1515,34 +2231,38 @@ router.post('/workflow/:workflowId/generate-missing-answers', async (req, res) =
             confidence_score: result.confidence,
             answer_type: result.confidence > 0.8 ? 'direct' : 'inferred',
             completeness: result.confidence > 0.7 ? 'complete' : 'partial',
-            sources: JSON.stringify(Array.isArray(result.sources) ? result.sources.map(source => ({
-              documentName: source.documentId || 'unknown',
-              excerpt: source.content || '',
-              relevanceScore: source.similarity || 0
-            })) : [])
+            sources: JSON.stringify(Array.isArray(result.sources) ? result.sources.map(({ content, similarity, ...citation }) => ({
+              ...citation,
+              documentName: citation.documentName || citation.documentId || 'unknown',
+              excerpt: content || '',
+              relevanceScore: similarity || 0
+            })) : []),
+            grounding: result.grounding ? JSON.stringify(result.grounding) : null
           };
 
           // Save the answer to database
           await dataService.saveAnswer(workflowId, answerData);
           
-          newAnswers.push({
+          logger.info(`Generated answer for question ${question.question_id} with confidence ${result.confidence}`);
+          processed++;
+
+          return {
             questionId: question.question_id,
             question: question.question_text,
             answer: result.answer,
             confidence: result.confidence,
             isCustomQuestion: question.is_custom || false
-          });
-
-          logger.info(`Generated answer for question ${question.question_id} with confidence ${result.confidence}`);
-        } else {
-          logger.info(`Skipped question ${question.question_id} - confidence too low: ${result?.confidence || 0}`);
+          };
         }
-        
+
+        logger.info(`Skipped question ${question.question_id} - confidence too low: ${result?.confidence || 0}`);
         processed++;
       } catch (error) {
         logger.error(`Error processing question ${question.question_id}:`, error.message);
       }
-    }
+      return null;
+    });
+    const newAnswers = outcomes.filter(Boolean);
 
     res.json({
       success: true,
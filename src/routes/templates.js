@@ -0,0 +1,140 @@
+const express = require('express');
+const templateService = require('../services/templateService');
+const { buildDefaultProposalTemplate } = require('../templates/defaultProposalDocx');
+const { DEFAULT_REPORT_TEMPLATE } = require('../templates/reportTemplate');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const statusCodes = {
+  INVALID_TEMPLATE: 400,
+  TEMPLATE_NOT_FOUND: 404
+};
+
+const sendTemplateError = (res, error, message) => {
+  if (statusCodes[error.code]) {
+    return res.status(statusCodes[error.code]).json({ error: error.message });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    details: error.message
+  });
+};
+
+// List templates, optionally of one type
+router.get('/', async (req, res) => {
+  try {
+    const templates = await templateService.listTemplates({ type: req.query.type });
+
+    res.json({
+      success: true,
+      templates,
+      total: templates.length
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to list templates');
+  }
+});
+
+// Built-in Word proposal template, a starting point for team templates
+router.get('/docx/default', (req, res) => {
+  try {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', 'attachment; filename="proposal-template.docx"');
+    res.send(buildDefaultProposalTemplate());
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to download default template');
+  }
+});
+
+// Built-in PDF report template settings, a starting point for branded ones
+router.get('/pdf/default', (req, res) => {
+  res.setHeader('Content-Disposition', 'attachment; filename="report-template.json"');
+  res.json(DEFAULT_REPORT_TEMPLATE);
+});
+
+// Upload a template; it is checked before it is stored. PDF report templates
+// may be given as a settings field instead of a file, with a logo image.
+router.post('/', async (req, res) => {
+  try {
+    const file = req.files?.template?.[0];
+    const logo = req.files?.logo?.[0];
+    const { type, name, description, isDefault, uploadedBy, settings } = req.body || {};
+    const template = await templateService.addTemplate(file, { type, name, description, isDefault, uploadedBy, settings, logo });
+
+    res.json({
+      success: true,
+      message: 'Template uploaded successfully',
+      template
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to upload template');
+  }
+});
+
+router.get('/:templateId', async (req, res) => {
+  try {
+    const template = await templateService.getTemplate(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        templateId: req.params.templateId
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to fetch template');
+  }
+});
+
+// Make a template the default of its type
+router.post('/:templateId/default', async (req, res) => {
+  try {
+    const template = await templateService.setDefault(req.params.templateId);
+
+    res.json({
+      success: true,
+      message: `${template.name} is now the default ${template.type} template`,
+      template
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to set default template');
+  }
+});
+
+router.get('/:templateId/download', async (req, res) => {
+  try {
+    const { template, filePath } = await templateService.getTemplateFile(req.params.templateId);
+    res.download(filePath, template.fileName);
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to download template');
+  }
+});
+
+router.delete('/:templateId', async (req, res) => {
+  try {
+    const result = await templateService.deleteTemplate(req.params.templateId);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Template not found',
+        templateId: req.params.templateId
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully',
+      templateId: req.params.templateId
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to delete template');
+  }
+});
+
+module.exports = router;
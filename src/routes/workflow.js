@@ -1,14 +1,30 @@
 const express = require('express');
 const agentOrchestrator = require('../orchestrator/agentOrchestrator');
+const pipeline = require('../orchestrator/pipeline');
 const pdfGenerator = require('../services/pdfGenerator');
+const docxExportService = require('../services/docxExportService');
+const templateService = require('../services/templateService');
+const exportService = require('../services/exportService');
+const complianceMatrixService = require('../services/complianceMatrixService');
+const answerReviewService = require('../services/answerReviewService');
+const config = require('../config');
+const llmUsageService = require('../services/llmUsageService');
+const budgetService = require('../services/budgetService');
+const jobQueue = require('../services/jobQueue');
+const dataService = require('../services/workflowDataService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Attribute LLM usage inside workflow routes to that workflow
+router.param('workflowId', (req, res, next, workflowId) => {
+  llmUsageService.runWithContext({ workflowId }, next);
+});
+
 // Start streaming workflow
 router.post('/start-streaming', async (req, res) => {
   try {
-    const { projectContext, companyDocuments = [] } = req.body;
+    const { projectContext, companyDocuments = [], pipelineTemplate, priority, review } = req.body;
     const uploadedFiles = req.files || [];
 
     if (uploadedFiles.length === 0) {
@@ -17,6 +33,15 @@ router.post('/start-streaming', async (req, res) => {
       });
     }
 
+    try {
+      pipeline.getPipeline(pipelineTemplate);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid pipeline template',
+        details: error.message
+      });
+    }
+
     // Prepare documents for processing
     const documents = uploadedFiles.map(file => ({
       id: file.filename,
@@ -26,23 +51,23 @@ router.post('/start-streaming', async (req, res) => {
       mimetype: file.mimetype
     }));
 
-    // Set up progress callback for streaming
-    const progressCallback = (progress) => {
-      // This would be handled by Socket.IO in the main server
-      logger.info('Streaming progress:', progress);
-    };
-
-    // Start streaming workflow
-    const result = await agentOrchestrator.processRFPStreaming(
-      documents, 
-      companyDocuments, 
-      projectContext, 
-      progressCallback
-    );
+    // Queue the workflow; streamed output reaches sockets in the workflow room
+    const workflowId = agentOrchestrator.generateWorkflowId();
+    const job = await jobQueue.enqueue('process_rfp', workflowId, {
+      documents,
+      companyDocuments,
+      projectContext,
+      pipelineTemplate,
+      streaming: true,
+      review: review === undefined ? undefined : review === true || review === 'true'
+    }, { priority });
 
     res.json({
       success: true,
-      ...result
+      workflowId,
+      jobId: job.id,
+      status: 'streaming',
+      message: 'Streaming workflow initiated'
     });
 
   } catch (error) {
@@ -54,6 +79,232 @@ router.post('/start-streaming', async (req, res) => {
   }
 });
 
+// Job queue status with the most recent jobs
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+    const [stats, jobs] = await Promise.all([
+      jobQueue.getStats(),
+      jobQueue.getJobs(parseInt(limit), status || null)
+    ]);
+
+    res.json({
+      success: true,
+      stats,
+      jobs: jobs.map(({ payload, ...job }) => job)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching job queue status:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job queue status',
+      details: error.message
+    });
+  }
+});
+
+// List pipeline templates and their steps
+router.get('/pipelines', (req, res) => {
+  try {
+    const templates = pipeline.getTemplateNames().map(name => {
+      const steps = pipeline.getPipeline(name);
+      return {
+        name,
+        isDefault: name === pipeline.defaultTemplate,
+        steps: steps.map(step => ({
+          id: step.id,
+          message: step.message,
+          inputs: step.inputs,
+          output: step.output || null,
+          optional: !!step.optional,
+          reviewGate: !!step.reviewGate,
+          progress: pipeline.getStepProgress(steps, step.id)
+        }))
+      };
+    });
+
+    res.json({
+      success: true,
+      templates
+    });
+
+  } catch (error) {
+    logger.error('Error listing pipeline templates:', error);
+    res.status(500).json({
+      error: 'Failed to list pipeline templates',
+      details: error.message
+    });
+  }
+});
+
+// Get LLM cost rollup across all workflows
+router.get('/costs', async (req, res) => {
+  try {
+    const costs = await llmUsageService.getGlobalCosts();
+
+    res.json({
+      success: true,
+      costs
+    });
+
+  } catch (error) {
+    logger.error('Error fetching LLM costs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch LLM costs',
+      details: error.message
+    });
+  }
+});
+
+// Get LLM token usage and cost for a workflow by agent and model
+router.get('/:workflowId/costs', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const costs = await llmUsageService.getWorkflowCosts(workflowId);
+
+    res.json({
+      success: true,
+      costs
+    });
+
+  } catch (error) {
+    logger.error('Error fetching workflow LLM costs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch workflow LLM costs',
+      details: error.message
+    });
+  }
+});
+
+// Get LLM budget status for a workflow
+router.get('/:workflowId/budget', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const budget = await budgetService.checkBudget(workflowId);
+
+    res.json({
+      success: true,
+      budget
+    });
+
+  } catch (error) {
+    logger.error('Error fetching workflow LLM budget:', error);
+    res.status(500).json({
+      error: 'Failed to fetch workflow LLM budget',
+      details: error.message
+    });
+  }
+});
+
+// Get the review gates of a workflow and the output awaiting review
+router.get('/:workflowId/review', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const workflow = await agentOrchestrator.getWorkflowStatus(workflowId);
+
+    if (workflow.error) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
+
+    const gates = await dataService.getReviewGates(workflowId);
+    const pending = workflow.status === 'awaiting_review'
+      ? gates.find(gate => gate.status === 'pending') || null
+      : null;
+    const step = pending && pipeline.getPipeline(workflow.pipelineTemplate).find(s => s.id === pending.step);
+
+    res.json({
+      success: true,
+      reviewEnabled: workflow.reviewEnabled,
+      status: workflow.status,
+      pending: pending && {
+        ...pending,
+        output: step?.output ? workflow.results?.[step.output] || null : null,
+        editable: !!step?.applyReviewEdits
+      },
+      gates
+    });
+
+  } catch (error) {
+    logger.error('Error fetching workflow review:', error);
+    res.status(500).json({
+      error: 'Failed to fetch workflow review',
+      details: error.message
+    });
+  }
+});
+
+// Approve or reject the review gate of a step, then queue the workflow to continue
+const submitReview = (approved) => async (req, res) => {
+  try {
+    const { workflowId, stepId } = req.params;
+    const { edits = null, feedback = null, reviewedBy = null } = req.body || {};
+
+    if (edits !== null && (typeof edits !== 'object' || Array.isArray(edits))) {
+      return res.status(400).json({
+        error: 'Invalid review edits',
+        details: 'edits must be an object, e.g. {"requirements": {...}} or {"questionCategories": {...}}'
+      });
+    }
+
+    // Checked before the gate closes so a decision never lands without a job to act on it
+    if (await jobQueue.getActiveJob(workflowId)) {
+      return res.status(409).json({
+        error: 'Workflow is already queued or processing',
+        workflowId
+      });
+    }
+
+    const gate = await agentOrchestrator.submitReview(workflowId, stepId, {
+      approved,
+      edits: approved ? edits : null,
+      feedback,
+      reviewedBy
+    });
+
+    const job = await jobQueue.enqueue('review_workflow', workflowId, {
+      stepId,
+      approved,
+      feedback
+    });
+
+    res.json({
+      success: true,
+      workflowId,
+      jobId: job.id,
+      gate,
+      message: approved
+        ? 'Review approved, workflow continues'
+        : `Review rejected, ${stepId.replace(/_/g, ' ')} will run again`
+    });
+
+  } catch (error) {
+    const statusCodes = {
+      WORKFLOW_NOT_FOUND: 404,
+      NO_PENDING_REVIEW: 409,
+      JOB_ACTIVE: 409,
+      INVALID_REVIEW_EDITS: 400
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.message,
+        workflowId: req.params.workflowId
+      });
+    }
+
+    logger.error('Error submitting workflow review:', error);
+    res.status(500).json({
+      error: 'Failed to submit workflow review',
+      details: error.message
+    });
+  }
+};
+
+router.post('/:workflowId/review/:stepId/approve', submitReview(true));
+router.post('/:workflowId/review/:stepId/reject', submitReview(false));
+
 // Get workflow metrics
 router.get('/:workflowId/metrics', (req, res) => {
   try {
@@ -115,44 +366,77 @@ router.get('/:workflowId/metrics', (req, res) => {
   }
 });
 
-// Export workflow data
-router.get('/:workflowId/export', (req, res) => {
+// Export workflow data as JSON, Markdown (md), standalone HTML or an XLSX workbook
+router.get('/:workflowId/export', async (req, res) => {
   try {
     const { workflowId } = req.params;
-    const { format = 'json' } = req.query;
-    const workflowState = agentOrchestrator.workflowState[workflowId];
-    
-    if (!workflowState) {
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!exportService.formats.includes(format)) {
+      return res.status(400).json({
+        error: 'Unsupported export format',
+        supportedFormats: exportService.formats
+      });
+    }
+
+    // Loads the workflow from its database when it is not in memory
+    const workflowStatus = await agentOrchestrator.getWorkflowStatus(workflowId);
+    if (!workflowStatus.results) {
       return res.status(404).json({
         error: 'Workflow not found',
         workflowId
       });
     }
-
-    const exportData = {
-      workflowId,
-      exportedAt: new Date().toISOString(),
-      status: workflowState.status,
-      startTime: workflowState.startTime,
-      endTime: workflowState.endTime,
-      duration: workflowState.duration,
-      results: workflowState.results,
-      summary: agentOrchestrator.generateWorkflowSummary(workflowId)
+    const workflowState = agentOrchestrator.workflowState[workflowId] || workflowStatus;
+    const projectContext = workflowState.projectContext || {};
+
+    const approvedOnly = req.query.approvedOnly !== undefined
+      ? req.query.approvedOnly === 'true'
+      : config.answerReview.approvedOnly;
+    const extractedAnswers = await answerReviewService.applyReviews(workflowId, workflowState.results.extractedAnswers);
+    const results = {
+      ...workflowState.results,
+      extractedAnswers: approvedOnly ? answerReviewService.onlyApproved(extractedAnswers) : extractedAnswers
     };
 
-    if (format === 'json') {
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', `attachment; filename="rfp-workflow-${workflowId}.json"`);
-      res.json(exportData);
-    } else {
-      res.status(400).json({
-        error: 'Unsupported export format',
-        supportedFormats: ['json']
-      });
+    const filename = `rfp-workflow-${workflowId}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    switch (format) {
+      case 'json':
+        res.setHeader('Content-Type', 'application/json');
+        return res.json({
+          workflowId,
+          exportedAt: new Date().toISOString(),
+          status: workflowState.status,
+          startTime: workflowState.startTime,
+          endTime: workflowState.endTime,
+          duration: workflowState.duration,
+          results,
+          summary: agentOrchestrator.generateWorkflowSummary(workflowId)
+        });
+      case 'html': {
+        const html = await exportService.toHtml(workflowId, results, projectContext);
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.send(html);
+      }
+      case 'md': {
+        const matrix = await complianceMatrixService.getMatrix(workflowId);
+        res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+        return res.send(exportService.toMarkdown(results, projectContext, matrix.rows.length > 0 ? matrix : null));
+      }
+      case 'xlsx': {
+        const matrix = await complianceMatrixService.getMatrix(workflowId);
+        const buffer = Buffer.from(await exportService.toXlsx(results, projectContext, matrix.rows.length > 0 ? matrix : null));
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Length', buffer.length);
+        return res.send(buffer);
+      }
     }
 
   } catch (error) {
     logger.error('Error exporting workflow data:', error);
+    res.removeHeader('Content-Disposition');
     res.status(500).json({
       error: 'Failed to export workflow data',
       details: error.message
@@ -160,20 +444,21 @@ router.get('/:workflowId/export', (req, res) => {
   }
 });
 
-// Generate custom PDF with specific sections
+// Generate custom PDF with specific sections, branded by a PDF report template (templateId or the default one)
 router.post('/:workflowId/pdf/custom', async (req, res) => {
   try {
     const { workflowId } = req.params;
-    const { sections, projectContext } = req.body;
+    const { sections, projectContext, templateId } = req.body;
     
-    const workflowState = agentOrchestrator.workflowState[workflowId];
-    
-    if (!workflowState) {
+    // Loads the workflow from its database when it is not in memory
+    const workflowStatus = await agentOrchestrator.getWorkflowStatus(workflowId);
+    if (!workflowStatus.results) {
       return res.status(404).json({
         error: 'Workflow not found',
         workflowId
       });
     }
+    const workflowState = agentOrchestrator.workflowState[workflowId] || workflowStatus;
 
     if (workflowState.status !== 'completed') {
       return res.status(400).json({
@@ -182,18 +467,29 @@ router.post('/:workflowId/pdf/custom', async (req, res) => {
       });
     }
 
+    // Reviewer edits replace generated answers; unapproved ones can be left out
+    const results = {
+      ...workflowState.results,
+      extractedAnswers: await answerReviewService.applyReviews(workflowId, workflowState.results.extractedAnswers)
+    };
+    const approvedOnly = req.body?.approvedOnly ?? config.answerReview.approvedOnly;
+
     // Filter results based on requested sections
     const filteredResults = {};
     const availableSections = ['ingestedDocuments', 'requirementsAnalysis', 'clarificationQuestions', 'extractedAnswers', 'compiledResponse'];
     
     availableSections.forEach(section => {
       if (!sections || sections.includes(section)) {
-        filteredResults[section] = workflowState.results[section];
+        filteredResults[section] = results[section];
       }
     });
 
     // Generate PDF with filtered content
-    const pdfBuffer = await pdfGenerator.generateRFPReport(filteredResults, projectContext);
+    const reportTemplate = await templateService.getReportTemplate(templateId);
+    const pdfBuffer = await pdfGenerator.generateRFPReport(filteredResults, projectContext || workflowState.projectContext || {}, {
+      approvedOnly,
+      reportTemplate
+    });
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="rfp-custom-${workflowId}.pdf"`);
@@ -202,6 +498,14 @@ router.post('/:workflowId/pdf/custom', async (req, res) => {
     res.send(pdfBuffer);
 
   } catch (error) {
+    const statusCodes = { TEMPLATE_NOT_FOUND: 404, INVALID_TEMPLATE: 400 };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.message,
+        templateId: req.body?.templateId
+      });
+    }
+
     logger.error('Error generating custom PDF:', error);
     res.status(500).json({
       error: 'Failed to generate custom PDF',
@@ -210,6 +514,65 @@ router.post('/:workflowId/pdf/custom', async (req, res) => {
   }
 });
 
+// Editable Word proposal from a team template (templateId) or the default one
+router.post('/:workflowId/docx', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const { templateId } = req.body || {};
+
+    const workflowStatus = await agentOrchestrator.getWorkflowStatus(workflowId);
+    if (!workflowStatus.results) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
+    if (!workflowStatus.results.compiledResponse) {
+      return res.status(409).json({
+        error: 'The response has not been compiled yet',
+        workflowId
+      });
+    }
+
+    // Reviewer edits replace generated answers; unapproved ones can be left out
+    const results = {
+      ...workflowStatus.results,
+      extractedAnswers: await answerReviewService.applyReviews(workflowId, workflowStatus.results.extractedAnswers)
+    };
+    const approvedOnly = req.body?.approvedOnly ?? config.answerReview.approvedOnly;
+
+    // Only the database branch of getWorkflowStatus includes the project context
+    const projectContext = (agentOrchestrator.workflowState[workflowId] || workflowStatus).projectContext || {};
+
+    const template = await templateService.getTemplateFile(templateId, 'docx');
+    const buffer = docxExportService.generateProposal(results, projectContext, template?.buffer, { approvedOnly });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="rfp-proposal-${workflowId}.docx"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+
+  } catch (error) {
+    const statusCodes = {
+      TEMPLATE_NOT_FOUND: 404,
+      INVALID_TEMPLATE: 400,
+      TEMPLATE_RENDER_FAILED: 422
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({
+        error: error.message,
+        templateId: req.body?.templateId
+      });
+    }
+
+    logger.error('Error generating DOCX proposal:', error);
+    res.status(500).json({
+      error: 'Failed to generate DOCX proposal',
+      details: error.message
+    });
+  }
+});
+
 // Get workflow statistics
 router.get('/statistics', (req, res) => {
   try {
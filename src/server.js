@@ -10,14 +10,24 @@ const fs = require('fs').promises;
 const config = require('./config');
 const logger = require('./utils/logger');
 const agentOrchestrator = require('./orchestrator/agentOrchestrator');
+const pipeline = require('./orchestrator/pipeline');
 const pdfGenerator = require('./services/pdfGenerator');
+const ocrService = require('./services/ocrService');
+const answerReviewService = require('./services/answerReviewService');
 const dataService = require('./services/workflowDataService');
+const llmUsageService = require('./services/llmUsageService');
+const jobQueue = require('./services/jobQueue');
+const templateService = require('./services/templateService');
+const addendumService = require('./services/addendumService');
 
 // Import route handlers
 const rfpRoutes = require('./routes/rfp');
 const documentsRoutes = require('./routes/documents');
 const workflowRoutes = require('./routes/workflow');
 const graphragRoutes = require('./routes/graphrag');
+const libraryRoutes = require('./routes/library');
+const knowledgeBaseRoutes = require('./routes/knowledgeBase');
+const templateRoutes = require('./routes/templates');
 
 class RFPServer {
   constructor() {
@@ -29,10 +39,14 @@ class RFPServer {
         methods: ['GET', 'POST']
       }
     });
+
+    // Let routers reach the workflow rooms
+    this.app.set('io', this.io);
     
     this.setupMiddleware();
     this.setupRoutes();
     this.setupSocketIO();
+    this.setupJobHandlers();
     this.setupErrorHandling();
   }
 
@@ -87,6 +101,8 @@ class RFPServer {
         
         if (allowedTypes.includes(fileExt)) {
           cb(null, true);
+        } else if (fileExt === 'xls') {
+          cb(new Error('Legacy .xls workbooks cannot be read. Save the file as .xlsx and upload it again.'));
         } else {
           cb(new Error(`File type .${fileExt} not allowed. Allowed types: ${allowedTypes.join(', ')}`));
         }
@@ -96,6 +112,22 @@ class RFPServer {
     // Apply multer middleware to the process-rfp endpoint
     this.upload = upload;
 
+    // Template uploads: template files and PDF report logos
+    this.templateUpload = multer({
+      storage,
+      limits: {
+        fileSize: this.parseFileSize(config.upload.maxFileSize)
+      },
+      fileFilter: (req, file, cb) => {
+        const fileExt = path.extname(file.originalname).toLowerCase();
+        if (templateService.uploadExtensions.includes(fileExt)) {
+          cb(null, true);
+        } else {
+          cb(new Error(`File type ${fileExt} not allowed. Allowed types: ${templateService.uploadExtensions.join(', ')}`));
+        }
+      }
+    });
+
     // Static files
     this.app.use('/uploads', express.static(config.upload.uploadDir));
     this.app.use('/templates', express.static(path.join(process.cwd(), 'public', 'templates')));
@@ -147,16 +179,25 @@ class RFPServer {
       next();
     });
 
+    // Knowledge base uploads and addenda are parsed here; the routers handle them
+    this.app.post('/api/knowledge-base', this.upload.array('documents', 10));
+    this.app.post('/api/knowledge-base/:documentId/versions', this.upload.single('document'));
+    this.app.post('/api/rfp/workflow/:workflowId/addenda', this.upload.array('documents', 10));
+    this.app.post('/api/templates', this.templateUpload.fields([{ name: 'template', maxCount: 1 }, { name: 'logo', maxCount: 1 }]));
+
     // API routes
     this.app.use('/api/rfp', rfpRoutes);
     this.app.use('/api/documents', documentsRoutes);
     this.app.use('/api/workflow', workflowRoutes);
     this.app.use('/api/graphrag', graphragRoutes);
+    this.app.use('/api/library', libraryRoutes);
+    this.app.use('/api/knowledge-base', knowledgeBaseRoutes);
+    this.app.use('/api/templates', templateRoutes);
 
     // Main RFP processing endpoint
     this.app.post('/api/process-rfp', this.upload.array('documents', 10), async (req, res) => {
       try {
-        let { projectContext, companyDocuments = [] } = req.body;
+        let { projectContext, companyDocuments = [], pipelineTemplate, priority, review } = req.body;
         const uploadedFiles = req.files || [];
 
         // Parse JSON strings if needed
@@ -198,29 +239,33 @@ class RFPServer {
           mimetype: file.mimetype
         }));
 
-        // Start processing workflow
-        const workflowId = agentOrchestrator.generateWorkflowId();
-        
-        // Set up progress callback for Socket.IO
-        const progressCallback = (progress) => {
-          this.io.emit('workflow-progress', progress);
-        };
-
-        // Process asynchronously
-        agentOrchestrator.processRFP(documents, companyDocuments, projectContext, progressCallback, workflowId)
-          .then(result => {
-            this.io.emit('workflow-complete', result);
-            logger.info('RFP processing completed', { workflowId: result.workflowId });
-          })
-          .catch(error => {
-            this.io.emit('workflow-error', { workflowId, error: error.message });
-            logger.error('RFP processing failed', { workflowId, error });
+        // Reject unknown or inconsistent pipeline templates before starting
+        try {
+          pipeline.getPipeline(pipelineTemplate);
+        } catch (error) {
+          return res.status(400).json({
+            error: 'Invalid pipeline template',
+            details: error.message
           });
+        }
+
+        // Queue the workflow; it survives restarts and resumes where it stopped
+        const workflowId = agentOrchestrator.generateWorkflowId();
+        const job = await jobQueue.enqueue('process_rfp', workflowId, {
+          documents,
+          companyDocuments,
+          projectContext,
+          pipelineTemplate,
+          // Multipart fields arrive as strings; unset falls back to PIPELINE_REVIEW
+          review: review === undefined ? undefined : review === true || review === 'true'
+        }, { priority });
 
         res.json({
           success: true,
           workflowId,
-          message: 'RFP processing started',
+          jobId: job.id,
+          priority: job.priority,
+          message: 'RFP processing queued',
           documentsUploaded: documents.length
         });
 
@@ -394,8 +439,15 @@ class RFPServer {
         const projectContext = (workflowStatus && workflowStatus.projectContext) || req.body.projectContext || {};
         projectContext.workflowId = workflowId;
 
+        // Reviewer edits replace generated answers; unapproved ones can be left out
+        results.extractedAnswers = await answerReviewService.applyReviews(workflowId, results.extractedAnswers);
+        const approvedOnly = req.body?.approvedOnly ?? config.answerReview.approvedOnly;
+
+        // Branded report from the named or default PDF report template, if any
+        const reportTemplate = await templateService.getReportTemplate(req.body?.templateId);
+
         // Generate PDF
-        const pdfBuffer = await pdfGenerator.generateRFPReport(results, projectContext);
+        const pdfBuffer = await pdfGenerator.generateRFPReport(results, projectContext, { approvedOnly, reportTemplate });
 
         // Set response headers for PDF download
         res.setHeader('Content-Type', 'application/pdf');
@@ -411,6 +463,14 @@ class RFPServer {
         res.end(pdfBuffer);
 
       } catch (error) {
+        const statusCodes = { TEMPLATE_NOT_FOUND: 404, INVALID_TEMPLATE: 400 };
+        if (statusCodes[error.code]) {
+          return res.status(statusCodes[error.code]).json({
+            error: error.message,
+            templateId: req.body?.templateId
+          });
+        }
+
         logger.error('Error generating PDF:', error);
         res.status(500).json({
           error: 'Failed to generate PDF',
@@ -437,6 +497,103 @@ class RFPServer {
     }
   }
 
+  /**
+   * Forward orchestrator updates to clients. Streamed model output only goes
+   * to sockets that joined the workflow room.
+   */
+  createProgressCallback() {
+    return (progress) => {
+      if (progress.type === 'stream') {
+        this.io.to(`workflow-${progress.workflowId}`).emit('workflow-stream', progress);
+        return;
+      }
+      if (progress.type === 'review') {
+        this.io.emit('workflow-awaiting-review', progress);
+        return;
+      }
+      if (progress.type === 'review_resolved') {
+        this.io.emit('workflow-review-resolved', progress);
+        return;
+      }
+      this.io.emit('workflow-progress', progress);
+    };
+  }
+
+  /**
+   * Workflows run as durable jobs. A processing job marked resumed was
+   * interrupted by a dead worker, so its workflow continues from the last
+   * saved step. Review and retry jobs run again from their payload, which
+   * says what to redo.
+   */
+  setupJobHandlers() {
+    const runWorkflowJob = async (job, start) => {
+      const { workflowId } = job;
+      const progressCallback = this.createProgressCallback();
+
+      try {
+        const result = await llmUsageService.runWithContext({ workflowId }, () => start(progressCallback));
+
+        // A workflow paused at a review gate already announced it through workflow-awaiting-review
+        if (result?.status !== 'awaiting_review') {
+          this.io.emit('workflow-complete', result);
+        }
+        logger.info('RFP processing job finished', { workflowId, jobId: job.id, status: result?.status });
+        return result;
+      } catch (error) {
+        this.io.emit('workflow-error', { workflowId, error: error.message });
+        logger.error('RFP processing failed', { workflowId, jobId: job.id, error });
+        throw error;
+      }
+    };
+
+    jobQueue.registerHandler('process_rfp', (job) => {
+      const { documents, companyDocuments, projectContext, pipelineTemplate, streaming, review } = job.payload;
+      return runWorkflowJob(job, async (progressCallback) => {
+        // A saved workflow row means an earlier attempt started it, whether its worker
+        // died or released the job at shutdown (which does not count as an attempt)
+        if (await dataService.getWorkflow(job.workflowId)) {
+          return agentOrchestrator.resumeInterruptedWorkflow(job.workflowId, progressCallback, { companyDocuments });
+        }
+        return agentOrchestrator.processRFP(documents, companyDocuments, projectContext, progressCallback, job.workflowId, {
+          pipelineTemplate,
+          streaming,
+          review
+        });
+      });
+    });
+
+    jobQueue.registerHandler('retry_workflow', (job) => {
+      const { fromStep, budget } = job.payload;
+      return runWorkflowJob(job, () =>
+        agentOrchestrator.retryWorkflow(job.workflowId, fromStep, { budget, jobId: job.id })
+      );
+    });
+
+    jobQueue.registerHandler('review_workflow', (job) => {
+      const { stepId, approved, feedback } = job.payload;
+      return runWorkflowJob(job, (progressCallback) =>
+        agentOrchestrator.continueAfterReview(job.workflowId, progressCallback, { stepId, approved, feedback })
+      );
+    });
+
+    // Jobs given up on after repeated worker deaths fail their workflow
+    jobQueue.onJobAbandoned((job, errorMessage) => {
+      const state = agentOrchestrator.workflowState[job.workflowId];
+      if (state?.status === 'running') {
+        state.status = 'failed';
+        state.error = errorMessage;
+      }
+      this.io.to(`workflow-${job.workflowId}`).emit('workflow-error', { workflowId: job.workflowId, error: errorMessage });
+    });
+
+    // Addenda change an existing workflow rather than run its pipeline
+    jobQueue.registerHandler('apply_addendum', (job) =>
+      llmUsageService.runWithContext({ workflowId: job.workflowId }, () =>
+        addendumService.applyAddendum(job.workflowId, job.payload.documents)
+      )
+    );
+  }
+
   setupSocketIO() {
     this.io.on('connection', (socket) => {
       logger.info('Client connected', { socketId: socket.id });
@@ -547,6 +704,9 @@ class RFPServer {
         logger.warn('GraphRAG service initialization failed, falling back to vector-only RAG:', error.message);
       }
 
+      // Resume jobs interrupted by the previous shutdown or crash
+      await jobQueue.start();
+
       // Clean up any corrupted workflows from previous runs
       await agentOrchestrator.cleanupCorruptedWorkflows();
       logger.info('Corrupted workflows cleanup completed');
@@ -588,9 +748,15 @@ class RFPServer {
         this.server.close(resolve);
       });
 
+      // Stop taking jobs and release running ones for the next start
+      await jobQueue.stop();
+
       // Close PDF generator
       await pdfGenerator.close();
 
+      // Stop the OCR worker
+      await ocrService.close();
+
       // Close data services
       await dataService.close();
 
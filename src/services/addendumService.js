@@ -0,0 +1,381 @@
+const dataService = require('./workflowDataService');
+const answerReviewService = require('./answerReviewService');
+const complianceMatrixService = require('./complianceMatrixService');
+const addendumAnalysisAgent = require('../agents/addendumAnalysisAgent');
+const { diffDocuments, clauseNumber } = require('../utils/documentDiff');
+const { codedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * RFP addenda and amendments uploaded to a workflow that already ran. An
+ * addendum is ingested like the original documents, compared section by
+ * section with them (utils/documentDiff), and the addendum analysis agent
+ * decides which requirements it updates, supersedes or adds and which
+ * deadlines it moves. Questions and answers that depend on a changed
+ * requirement are flagged stale, and every change is recorded in the
+ * workflow's addendum history.
+ */
+class AddendumService {
+  /**
+   * Apply uploaded addendum files to a workflow. Runs as an apply_addendum
+   * job, so it never overlaps a pipeline run of the same workflow.
+   * @param {Array} documents - uploaded files ({ id, originalName, path, size, mimetype })
+   */
+  async applyAddendum(workflowId, documents) {
+    const orchestrator = require('../orchestrator/agentOrchestrator');
+    const { workflow, projectContext, requirements, requirementsAnalysis } = await this.loadWorkflow(workflowId);
+
+    try {
+      logger.info('Applying addendum', { workflowId, documents: documents.length });
+
+      // Loaded before the addendum is added to them
+      const originals = await this.getIngestedDocuments(workflowId, workflow);
+
+      // Document rows are saved once the analysis succeeds, so a failed ingestion or analysis leaves none behind
+      const expanded = await orchestrator.expandUploadedDocuments(documents, 'addendum');
+      const ingested = await orchestrator.agents.documentIngestion.processDocuments(orchestrator.ingestableDocuments(expanded), workflowId);
+      const addenda = ingested
+        .filter(doc => doc.processedContent)
+        .map(doc => ({ ...doc, documentType: 'addendum' }));
+      if (addenda.length === 0) {
+        throw codedError('No text could be read from the addendum', 'ADDENDUM_UNREADABLE');
+      }
+
+      const sectionChanges = addenda.flatMap(addendum => diffDocuments(originals, addendum));
+      const active = requirements.filter(req => req.status !== 'superseded');
+      const analysis = await addendumAnalysisAgent.analyzeAddendum({
+        addenda,
+        changes: sectionChanges,
+        requirements: active,
+        timeline: requirementsAnalysis.timeline,
+        deadline: projectContext.deadline
+      });
+
+      const addendumId = `addendum_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+      const fileNames = addenda.map(doc => doc.fileName);
+      const label = fileNames.join(', ');
+
+      // The addendum is recorded before it changes anything, and each change is
+      // saved to its history as it is made, so a run that fails partway leaves
+      // every change it made traceable to the addendum
+      await orchestrator.saveDocumentRows(workflowId, expanded);
+      await dataService.saveProcessedContent(workflowId, ingested);
+      await dataService.createAddendum(workflowId, {
+        id: addendumId,
+        documentIds: addenda.map(doc => doc.documentId),
+        fileNames,
+        summary: analysis.summary
+      });
+
+      const changes = [];
+      const record = async (change) => {
+        await dataService.saveAddendumChanges(workflowId, addendumId, [change]);
+        changes.push(change);
+      };
+
+      await this.applyRequirementChanges(workflowId, addendumId, label, analysis, active, record);
+      await this.flagAffectedRequirements(workflowId, label, sectionChanges, analysis, active, record);
+      const deadlineChanges = this.applyDeadlineChanges(projectContext, requirementsAnalysis, analysis.deadlineChanges);
+      for (const change of deadlineChanges.changes) {
+        await record(change);
+      }
+
+      await orchestrator.syncRequirementsAnalysis(workflowId, deadlineChanges.timeline ? { timeline: deadlineChanges.timeline } : {});
+      if (deadlineChanges.projectContext) {
+        await dataService.updateWorkflow(workflowId, { projectContext: deadlineChanges.projectContext });
+        if (orchestrator.workflowState[workflowId]) {
+          orchestrator.workflowState[workflowId].projectContext = deadlineChanges.projectContext;
+        }
+      }
+
+      // Later steps and later addenda read the addendum along with the original documents
+      const ingestedDocuments = [...originals, ...addenda];
+      await dataService.saveWorkflowResult(workflowId, 'document_ingestion', ingestedDocuments);
+      if (orchestrator.workflowState[workflowId]) {
+        orchestrator.workflowState[workflowId].results.ingestedDocuments = ingestedDocuments;
+      }
+
+      const complianceMatrixRebuilt = await this.rebuildComplianceMatrix(workflowId);
+
+      const staleQuestions = new Set(changes.flatMap(change => change.staleQuestions || []));
+      logger.info('Addendum applied', {
+        workflowId,
+        addendumId,
+        changes: changes.length,
+        staleQuestions: staleQuestions.size
+      });
+
+      return {
+        addendumId,
+        fileNames,
+        summary: analysis.summary,
+        confidence: analysis.confidence,
+        sectionChanges: sectionChanges.map(({ type, section, fileName }) => ({ type, section, fileName })),
+        changes,
+        staleQuestions: Array.from(staleQuestions),
+        complianceMatrixRebuilt
+      };
+    } catch (error) {
+      logger.error('Error applying addendum:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The workflow an addendum is applied to, with its requirements. Throws
+   * WORKFLOW_NOT_FOUND or REQUIREMENTS_NOT_AVAILABLE, so the upload route
+   * checks this before queueing the job.
+   */
+  async loadWorkflow(workflowId) {
+    const orchestrator = require('../orchestrator/agentOrchestrator');
+
+    const [workflow, workflowRow] = await Promise.all([
+      orchestrator.getWorkflowStatus(workflowId),
+      dataService.getWorkflow(workflowId)
+    ]);
+    if (!workflowRow || (workflow.error && !workflow.results)) {
+      throw codedError('Workflow not found', 'WORKFLOW_NOT_FOUND');
+    }
+
+    const requirements = await dataService.getRequirements(workflowId);
+    const requirementsAnalysis = workflow.results.requirementsAnalysis;
+    if (!requirementsAnalysis?.requirements || requirements.length === 0) {
+      throw codedError('Requirements analysis not available, run the workflow before uploading addenda', 'REQUIREMENTS_NOT_AVAILABLE');
+    }
+
+    return { workflow, projectContext: workflowRow.project_context || {}, requirements, requirementsAnalysis };
+  }
+
+  /**
+   * Ingested documents with their text. Workflows reloaded from the database
+   * only have document rows in memory, so the saved ingestion result is used.
+   */
+  async getIngestedDocuments(workflowId, workflow) {
+    const inMemory = workflow.results.ingestedDocuments;
+    if (Array.isArray(inMemory) && inMemory.some(doc => doc.processedContent)) {
+      return inMemory;
+    }
+
+    const orchestrator = require('../orchestrator/agentOrchestrator');
+    const saved = orchestrator.getSavedResult(await dataService.getWorkflowResults(workflowId), 'document_ingestion');
+    return Object.values(saved || {}).filter(doc => doc && typeof doc === 'object');
+  }
+
+  /**
+   * Update, supersede and add the requirements the agent decided on.
+   * Ids the agent made up or that were already superseded are skipped.
+   * Each change is passed to record as soon as it is written.
+   */
+  async applyRequirementChanges(workflowId, addendumId, label, analysis, active, record) {
+    const byId = new Map(active.map(req => [req.requirement_id, req]));
+
+    for (const change of analysis.requirementChanges) {
+      const existing = byId.get(change.requirementId);
+      if (!existing) {
+        logger.warn('Addendum analysis named an unknown requirement', { workflowId, requirementId: change.requirementId });
+        continue;
+      }
+
+      const superseding = change.action === 'supersede';
+      const updated = await dataService.updateRequirement(workflowId, change.requirementId, superseding
+        ? { status: 'superseded', amended_by: addendumId }
+        : {
+          description: change.description?.trim() || undefined,
+          priority: PRIORITIES.includes(change.priority) ? change.priority : undefined,
+          mandatory: typeof change.mandatory === 'boolean' ? change.mandatory : undefined,
+          amended_by: addendumId
+        });
+
+      const stale = await dataService.markRequirementDependentsStale(
+        workflowId,
+        change.requirementId,
+        `Requirement ${change.requirementId} was ${superseding ? 'superseded' : 'changed'} by addendum ${label}`
+      );
+      await record({
+        type: superseding ? 'superseded' : 'updated',
+        requirementId: change.requirementId,
+        section: change.section,
+        previousText: existing.description,
+        newText: superseding ? null : updated.description,
+        reason: change.reason,
+        staleQuestions: stale.questions
+      });
+      byId.delete(change.requirementId);
+    }
+
+    for (const requirement of analysis.newRequirements) {
+      const requirementId = `add_req_${requirement.category}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+      await dataService.addRequirement(workflowId, {
+        requirement_id: requirementId,
+        category: requirement.category,
+        description: requirement.description.trim(),
+        priority: PRIORITIES.includes(requirement.priority) ? requirement.priority : 'medium',
+        complexity: 'medium',
+        mandatory: !!requirement.mandatory,
+        created_by: 'addendum',
+        source_document: label,
+        source_section: requirement.section || null,
+        amended_by: addendumId
+      });
+
+      const replaced = requirement.replaces && byId.get(requirement.replaces);
+      let stale = { questions: [] };
+      if (replaced) {
+        await dataService.updateRequirement(workflowId, requirement.replaces, {
+          status: 'superseded',
+          superseded_by: requirementId,
+          amended_by: addendumId
+        });
+        stale = await dataService.markRequirementDependentsStale(
+          workflowId,
+          requirement.replaces,
+          `Requirement ${requirement.replaces} was replaced by ${requirementId} in addendum ${label}`
+        );
+        await record({
+          type: 'superseded',
+          requirementId: requirement.replaces,
+          section: requirement.section,
+          previousText: replaced.description,
+          newText: null,
+          reason: `Replaced by ${requirementId}`,
+          staleQuestions: stale.questions
+        });
+        byId.delete(requirement.replaces);
+      }
+
+      await record({
+        type: 'added',
+        requirementId,
+        section: requirement.section,
+        previousText: replaced ? replaced.description : null,
+        newText: requirement.description.trim(),
+        reason: requirement.reason,
+        staleQuestions: []
+      });
+    }
+  }
+
+  /**
+   * Requirements stated in a section the addendum changed, removed or
+   * referenced but that the agent left as they were. Their answers may no
+   * longer fit the section, so they are flagged for review, and each flag is
+   * passed to record.
+   */
+  async flagAffectedRequirements(workflowId, label, sectionChanges, analysis, active, record) {
+    const decided = new Set([
+      ...analysis.requirementChanges.map(change => change.requirementId),
+      ...analysis.newRequirements.map(req => req.replaces).filter(Boolean)
+    ]);
+    const changed = sectionChanges
+      .filter(change => change.type !== 'added')
+      .map(change => ({ ...change, number: clauseNumber(change.section) }))
+      .filter(change => change.number);
+
+    for (const requirement of active) {
+      if (decided.has(requirement.requirement_id)) continue;
+
+      const number = clauseNumber(requirement.source_section);
+      const section = number && changed.find(change =>
+        (number === change.number || number.startsWith(`${change.number}.`)) &&
+        (!requirement.source_document || !change.fileName || requirement.source_document === change.fileName)
+      );
+      if (!section) continue;
+
+      const stale = await dataService.markRequirementDependentsStale(
+        workflowId,
+        requirement.requirement_id,
+        `Section ${section.section} was ${section.type === 'removed' ? 'removed' : 'changed'} by addendum ${label}`
+      );
+      await record({
+        type: 'affected',
+        requirementId: requirement.requirement_id,
+        section: section.section,
+        previousText: requirement.description,
+        newText: null,
+        reason: `Stated in section ${section.section}, which the addendum ${section.type === 'removed' ? 'removes' : 'changes'}`,
+        staleQuestions: stale.questions
+      });
+    }
+  }
+
+  /**
+   * Move the milestones the addendum reschedules. A changed submission
+   * deadline also updates the project's deadline when it is a date.
+   * Returns the recorded changes and the new timeline and project context.
+   */
+  applyDeadlineChanges(projectContext, requirementsAnalysis, deadlineChanges) {
+    if (deadlineChanges.length === 0) {
+      return { changes: [], timeline: null, projectContext: null };
+    }
+
+    const timeline = { ...requirementsAnalysis.timeline };
+    const milestones = [...(timeline.keyMilestones || [])];
+    let updatedContext = null;
+    const changes = [];
+
+    deadlineChanges.forEach(change => {
+      const index = milestones.findIndex(milestone =>
+        milestone.name?.trim().toLowerCase() === change.name.trim().toLowerCase());
+      const previous = index >= 0 ? milestones[index].deadline : change.previousDeadline;
+
+      if (index >= 0) {
+        milestones[index] = { ...milestones[index], deadline: change.newDeadline };
+      } else {
+        milestones.push({ name: change.name, deadline: change.newDeadline, deliverables: [] });
+      }
+
+      const date = change.submission && this.toDateInput(change.newDeadline);
+      if (date) {
+        updatedContext = { ...projectContext, deadline: date };
+      }
+
+      changes.push({
+        type: 'deadline',
+        requirementId: null,
+        section: change.section,
+        previousText: previous ? `${change.name}: ${previous}` : null,
+        newText: `${change.name}: ${change.newDeadline}`,
+        reason: change.submission ? 'Submission deadline moved' : 'Deadline moved',
+        staleQuestions: []
+      });
+    });
+
+    timeline.keyMilestones = milestones;
+    return { changes, timeline, projectContext: updatedContext };
+  }
+
+  /**
+   * YYYY-MM-DD as the project form stores it, or null for text such as "two
+   * weeks later". Dates without a year ("March 5") are null too, as Date
+   * would parse them as 2001.
+   */
+  toDateInput(text) {
+    const iso = text.match(/\b\d{4}-\d{2}-\d{2}\b/);
+    if (iso) return iso[0];
+    if (!/\b(19|20)\d{2}\b/.test(text)) return null;
+
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) return null;
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // Rows follow the requirements, so a matrix that was already generated is rebuilt
+  async rebuildComplianceMatrix(workflowId) {
+    const orchestrator = require('../orchestrator/agentOrchestrator');
+    if ((await dataService.getComplianceMatrix(workflowId)).length === 0) {
+      return false;
+    }
+
+    const { results } = await orchestrator.getWorkflowStatus(workflowId);
+    await complianceMatrixService.rebuildMatrix(workflowId, {
+      ...results,
+      extractedAnswers: await answerReviewService.applyReviews(workflowId, results.extractedAnswers)
+    });
+    return true;
+  }
+}
+
+module.exports = new AddendumService();
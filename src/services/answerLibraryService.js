@@ -0,0 +1,406 @@
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { codedError } = require('../utils/errors');
+const { normalizeTags } = require('../utils/tags');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Global answer library (content library) shared across workflows.
+ *
+ * Approved answers are promoted here from a workflow, with tags, an owner,
+ * an expiry date and a review date. Answer extraction looks up each question
+ * in the library before searching the workflow's documents, and cites the
+ * library entry it used.
+ */
+class AnswerLibraryService {
+  constructor() {
+    this.db = null;
+    this.entries = null; // active entries with parsed embeddings, reloaded after writes
+  }
+
+  async initialize() {
+    if (this.db) return this.db;
+
+    try {
+      const dbPath = path.resolve(config.library.dbPath);
+      await fs.mkdir(path.dirname(dbPath), { recursive: true });
+
+      this.db = await open({
+        filename: dbPath,
+        driver: sqlite3.Database
+      });
+      await this.db.exec('PRAGMA journal_mode = WAL');
+
+      const schema = await fs.readFile(path.join(process.cwd(), 'src/database/library-schema.sql'), 'utf8');
+      await this.db.exec(schema);
+
+      logger.info('Answer library initialized', { path: dbPath });
+      return this.db;
+    } catch (error) {
+      logger.error('Failed to initialize answer library:', error);
+      throw new Error(`Answer library initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * List entries. Filters: search (question or answer text), tag, owner,
+   * status (default active, 'all' for every status) and dueForReview.
+   */
+  async listEntries({ search, tag, owner, status = 'active', dueForReview = false } = {}) {
+    await this.initialize();
+
+    const where = [];
+    const params = [];
+
+    if (status !== 'all') {
+      where.push('status = ?');
+      params.push(status);
+    }
+    if (owner) {
+      where.push('owner = ?');
+      params.push(owner);
+    }
+    if (search) {
+      where.push('(question LIKE ? OR answer LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`);
+    }
+    if (dueForReview) {
+      where.push('review_due_at IS NOT NULL AND review_due_at <= ?');
+      params.push(new Date().toISOString());
+    }
+
+    const rows = await this.db.all(`
+      SELECT * FROM library_answers
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY updated_at DESC
+    `, params);
+
+    const entries = rows.map(row => this.formatEntry(row));
+    return tag ? entries.filter(entry => entry.tags.includes(tag)) : entries;
+  }
+
+  async getEntry(id) {
+    await this.initialize();
+    const row = await this.db.get('SELECT * FROM library_answers WHERE id = ?', [id]);
+    return row ? this.formatEntry(row) : null;
+  }
+
+  async createEntry(data) {
+    await this.initialize();
+    this.validateEntry(data, true);
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    await this.db.run(`
+      INSERT INTO library_answers (
+        id, question, answer, category, tags, owner, embedding,
+        source_workflow_id, source_question_id, source_answer_id,
+        expires_at, review_due_at, last_reviewed_at, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      data.question.trim(),
+      data.answer.trim(),
+      data.category || null,
+      JSON.stringify(normalizeTags(data.tags)),
+      data.owner || null,
+      await this.embedQuestion(data.question),
+      data.sourceWorkflowId || null,
+      data.sourceQuestionId || null,
+      data.sourceAnswerId || null,
+      this.toDate(data.expiresAt),
+      this.toDate(data.reviewDueAt) || this.defaultReviewDate(),
+      now,
+      now,
+      now
+    ]);
+
+    this.entries = null;
+    logger.info('Answer library entry created', { id, sourceWorkflowId: data.sourceWorkflowId });
+    return await this.getEntry(id);
+  }
+
+  /**
+   * Update an entry. Pass reviewed: true to record that the owner checked
+   * it, which also moves the review date forward.
+   */
+  async updateEntry(id, updates) {
+    await this.initialize();
+    this.validateEntry(updates, false);
+
+    const existing = await this.getEntry(id);
+    if (!existing) {
+      return null;
+    }
+
+    const columns = {
+      question: updates.question?.trim(),
+      answer: updates.answer?.trim(),
+      category: updates.category,
+      tags: updates.tags !== undefined ? JSON.stringify(normalizeTags(updates.tags)) : undefined,
+      owner: updates.owner,
+      status: updates.status,
+      expires_at: updates.expiresAt !== undefined ? this.toDate(updates.expiresAt) : undefined,
+      review_due_at: updates.reviewDueAt !== undefined ? this.toDate(updates.reviewDueAt) : undefined
+    };
+
+    if (columns.question !== undefined && columns.question !== existing.question) {
+      columns.embedding = await this.embedQuestion(columns.question);
+    }
+    if (updates.reviewed) {
+      columns.last_reviewed_at = new Date().toISOString();
+      if (updates.reviewDueAt === undefined) {
+        columns.review_due_at = this.defaultReviewDate();
+      }
+    }
+
+    const fields = [];
+    const values = [];
+    Object.entries(columns).forEach(([column, value]) => {
+      if (value !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(value);
+      }
+    });
+
+    if (fields.length > 0) {
+      await this.db.run(`
+        UPDATE library_answers
+        SET ${fields.join(', ')}, updated_at = ?
+        WHERE id = ?
+      `, [...values, new Date().toISOString(), id]);
+      this.entries = null;
+    }
+
+    logger.info('Answer library entry updated', { id });
+    return await this.getEntry(id);
+  }
+
+  async deleteEntry(id) {
+    await this.initialize();
+    const result = await this.db.run('DELETE FROM library_answers WHERE id = ?', [id]);
+    if (result.changes === 0) {
+      return null;
+    }
+
+    this.entries = null;
+    logger.info('Answer library entry deleted', { id });
+    return true;
+  }
+
+  /**
+   * Promote an approved workflow answer into the library. Promoting the same
+   * answer again updates its entry with the current text.
+   */
+  async promoteAnswer(workflowId, answerId, options = {}) {
+    const dataService = require('./workflowDataService');
+    await this.initialize();
+
+    const answer = await dataService.getAnswer(workflowId, answerId);
+    if (!answer) {
+      throw codedError('Answer not found', 'ANSWER_NOT_FOUND');
+    }
+    if (answer.review_status !== 'approved') {
+      throw codedError('Only approved answers can be promoted to the library', 'ANSWER_NOT_APPROVED');
+    }
+
+    const questions = await dataService.getQuestions(workflowId);
+    const question = questions.find(q => q.question_id === answer.question_id);
+
+    const existing = await this.db.get(`
+      SELECT id FROM library_answers
+      WHERE source_workflow_id = ? AND source_answer_id = ?
+    `, [workflowId, answer.id]);
+
+    if (existing) {
+      return await this.updateEntry(existing.id, {
+        answer: answer.answer_text,
+        tags: options.tags,
+        owner: options.owner,
+        expiresAt: options.expiresAt,
+        reviewDueAt: options.reviewDueAt,
+        status: 'active',
+        reviewed: true
+      });
+    }
+
+    return await this.createEntry({
+      question: options.question || question?.question_text || answer.question_id,
+      answer: answer.answer_text,
+      category: question?.category,
+      tags: options.tags,
+      owner: options.owner || answer.reviewed_by,
+      expiresAt: options.expiresAt,
+      reviewDueAt: options.reviewDueAt,
+      sourceWorkflowId: workflowId,
+      sourceQuestionId: answer.question_id,
+      sourceAnswerId: answer.id
+    });
+  }
+
+  /**
+   * Best active, unexpired entry for a question, or null when none is
+   * similar enough to reuse
+   */
+  async findMatch(questionText, minSimilarity = config.library.minSimilarity) {
+    try {
+      const entries = await this.loadEntries();
+      if (entries.length === 0) {
+        return null;
+      }
+
+      const embedding = this.parseEmbedding(await this.embedQuestion(questionText));
+      const now = Date.now();
+
+      let best = null;
+      for (const entry of entries) {
+        if (entry.expiresAt && new Date(entry.expiresAt).getTime() <= now) continue;
+
+        const similarity = embedding && entry.embedding
+          ? this.cosineSimilarity(embedding, entry.embedding)
+          : this.keywordSimilarity(questionText, entry.question);
+
+        if (similarity >= minSimilarity && (!best || similarity > best.similarity)) {
+          best = { entry, similarity };
+        }
+      }
+
+      if (!best) return null;
+
+      const { embedding: _embedding, ...entry } = best.entry;
+      return { entry, similarity: best.similarity };
+    } catch (error) {
+      // The library is a shortcut; extraction carries on with the documents
+      logger.warn('Answer library lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async recordUsage(id) {
+    try {
+      await this.initialize();
+      await this.db.run(`
+        UPDATE library_answers
+        SET usage_count = usage_count + 1, last_used_at = ?
+        WHERE id = ?
+      `, [new Date().toISOString(), id]);
+    } catch (error) {
+      logger.warn('Could not record answer library usage', { id, error: error.message });
+    }
+  }
+
+  async loadEntries() {
+    if (!this.entries) {
+      await this.initialize();
+      const rows = await this.db.all("SELECT * FROM library_answers WHERE status = 'active'");
+      this.entries = rows.map(row => ({
+        ...this.formatEntry(row),
+        embedding: this.parseEmbedding(row.embedding)
+      }));
+    }
+    return this.entries;
+  }
+
+  // Question embedding as stored JSON, or null when the embedding model is unavailable
+  async embedQuestion(text) {
+    try {
+      const dataService = require('./workflowDataService');
+      if (!dataService.vectorManager.initialized) {
+        return null;
+      }
+      return JSON.stringify(await dataService.vectorManager.embed(text));
+    } catch (error) {
+      logger.warn('Could not embed library question, using keyword matching', { error: error.message });
+      return null;
+    }
+  }
+
+  parseEmbedding(value) {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  cosineSimilarity(vecA, vecB) {
+    const dotProduct = vecA.reduce((sum, a, i) => sum + a * vecB[i], 0);
+    const magnitudeA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0));
+    const magnitudeB = Math.sqrt(vecB.reduce((sum, b) => sum + b * b, 0));
+    return magnitudeA && magnitudeB ? dotProduct / (magnitudeA * magnitudeB) : 0;
+  }
+
+  // Overlap of significant words, for entries stored without an embedding
+  keywordSimilarity(textA, textB) {
+    const words = text => new Set((text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+    const a = words(textA);
+    const b = words(textB);
+    if (a.size === 0 || b.size === 0) return 0;
+
+    const shared = [...a].filter(word => b.has(word)).length;
+    return shared / (a.size + b.size - shared);
+  }
+
+  // Dates are stored as ISO strings so they compare correctly in SQL
+  toDate(value) {
+    return value ? new Date(value).toISOString() : null;
+  }
+
+  defaultReviewDate() {
+    return new Date(Date.now() + config.library.reviewIntervalDays * DAY).toISOString();
+  }
+
+  validateEntry(data, creating) {
+    if (creating && (!data.question?.trim() || !data.answer?.trim())) {
+      throw codedError('Missing required fields: question and answer are required', 'INVALID_LIBRARY_ENTRY');
+    }
+    if (data.status !== undefined && !['active', 'archived'].includes(data.status)) {
+      throw codedError('Invalid status. Must be one of: active, archived', 'INVALID_LIBRARY_ENTRY');
+    }
+    for (const field of ['expiresAt', 'reviewDueAt']) {
+      if (data[field] && isNaN(new Date(data[field]).getTime())) {
+        throw codedError(`${field} must be a date`, 'INVALID_LIBRARY_ENTRY');
+      }
+    }
+  }
+
+  formatEntry(row) {
+    let tags = [];
+    try {
+      tags = row.tags ? JSON.parse(row.tags) : [];
+    } catch {
+      tags = [];
+    }
+
+    return {
+      id: row.id,
+      question: row.question,
+      answer: row.answer,
+      category: row.category,
+      tags,
+      owner: row.owner,
+      status: row.status,
+      sourceWorkflowId: row.source_workflow_id,
+      sourceQuestionId: row.source_question_id,
+      sourceAnswerId: row.source_answer_id,
+      expiresAt: row.expires_at,
+      expired: !!row.expires_at && new Date(row.expires_at) <= new Date(),
+      reviewDueAt: row.review_due_at,
+      lastReviewedAt: row.last_reviewed_at,
+      usageCount: row.usage_count,
+      lastUsedAt: row.last_used_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new AnswerLibraryService();
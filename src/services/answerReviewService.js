@@ -0,0 +1,136 @@
+const { codedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const STATUSES = ['draft', 'in_review', 'approved', 'rejected'];
+
+// Review actions and the states they may start from. An edit keeps the
+// current state, except that an approval no longer covers the changed text.
+const ACTIONS = {
+  edit: { from: STATUSES },
+  submit: { from: ['draft', 'rejected'], to: 'in_review' },
+  approve: { from: ['draft', 'in_review', 'rejected'], to: 'approved' },
+  reject: { from: ['draft', 'in_review', 'approved'], to: 'rejected' }
+};
+
+/**
+ * Review states for extracted answers: draft, in_review, approved, rejected.
+ * Every action is recorded in answer_revisions with the text before and after.
+ */
+class AnswerReviewService {
+  constructor() {
+    this.statuses = STATUSES;
+    this.actions = Object.keys(ACTIONS);
+  }
+
+  /**
+   * Apply a review action (edit, submit, approve or reject) to an answer.
+   * Approve and reject may carry edited text; reject needs a comment.
+   */
+  async reviewAnswer(workflowId, answerId, { action, answerText, comment, reviewer }) {
+    const dataService = require('./workflowDataService');
+
+    const transition = ACTIONS[action];
+    if (!transition) {
+      throw codedError(`Invalid action. Must be one of: ${this.actions.join(', ')}`, 'INVALID_REVIEW_ACTION');
+    }
+    if (answerText !== undefined && (typeof answerText !== 'string' || !answerText.trim())) {
+      throw codedError('Answer text must be a non-empty string', 'INVALID_REVIEW_ACTION');
+    }
+    if (action === 'edit' && answerText === undefined) {
+      throw codedError('Answer text is required to edit an answer', 'INVALID_REVIEW_ACTION');
+    }
+    if (action === 'reject' && !comment?.trim()) {
+      throw codedError('A comment is required to reject an answer', 'INVALID_REVIEW_ACTION');
+    }
+
+    const answer = await dataService.getAnswer(workflowId, answerId);
+    if (!answer) {
+      throw codedError('Answer not found', 'ANSWER_NOT_FOUND');
+    }
+
+    const current = answer.review_status || 'draft';
+    if (!transition.from.includes(current)) {
+      throw codedError(`Cannot ${action} an answer that is ${current}`, 'INVALID_REVIEW_TRANSITION');
+    }
+
+    const text = answerText?.trim();
+    const status = transition.to ||
+      (current === 'approved' && text !== undefined && text !== answer.answer_text ? 'in_review' : current);
+
+    const updated = await dataService.saveAnswerReview(workflowId, answer, {
+      action,
+      status,
+      answerText: text,
+      comment: comment?.trim() || null,
+      reviewer: reviewer || null
+    });
+
+    logger.info('Answer reviewed', { workflowId, answerId, action, from: current, to: status });
+    return updated;
+  }
+
+  /**
+   * Merge review state from the answers table into extracted answers, so
+   * reviewer edits replace the generated text. Answers are matched by question.
+   * Only an answer a reviewer acted on overrides the extracted text; a review
+   * gone stale gives way to the fresh extraction.
+   */
+  async applyReviews(workflowId, extractedAnswers) {
+    if (!extractedAnswers?.answeredQuestions) {
+      return extractedAnswers;
+    }
+
+    const dataService = require('./workflowDataService');
+    const rows = await dataService.getAnswers(workflowId);
+
+    // Rows come current answer first, the one the Results page shows and reviews
+    const byQuestion = {};
+    rows.forEach(row => {
+      if (row.reviewed_at && !row.is_stale && !byQuestion[row.question_id]) {
+        byQuestion[row.question_id] = row;
+      }
+    });
+
+    return {
+      ...extractedAnswers,
+      answeredQuestions: extractedAnswers.answeredQuestions.map(answer => {
+        const row = byQuestion[answer.questionId];
+        if (!row) return { ...answer, reviewStatus: 'draft' };
+
+        return {
+          ...answer,
+          answer: row.answer_text,
+          reviewStatus: row.review_status || 'draft',
+          reviewedBy: row.reviewed_by
+        };
+      })
+    };
+  }
+
+  /**
+   * Keep only approved answers. The rest become gaps, so the response and
+   * report still show that the question needs an answer.
+   */
+  onlyApproved(extractedAnswers) {
+    if (!extractedAnswers?.answeredQuestions) {
+      return extractedAnswers;
+    }
+
+    const approved = extractedAnswers.answeredQuestions.filter(answer => answer.reviewStatus === 'approved');
+    const pending = extractedAnswers.answeredQuestions
+      .filter(answer => answer.reviewStatus !== 'approved')
+      .map(answer => ({
+        questionId: answer.questionId,
+        question: answer.question,
+        reason: 'Answer not yet approved by a reviewer'
+      }));
+
+    return {
+      ...extractedAnswers,
+      answeredQuestions: approved,
+      unansweredQuestions: [...(extractedAnswers.unansweredQuestions || []), ...pending]
+    };
+  }
+}
+
+module.exports = new AnswerReviewService();
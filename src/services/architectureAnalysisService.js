@@ -1,4 +1,4 @@
-const bedrockService = require('./bedrock');
+const llmService = require('./llmService');
 const mcpClient = require('./mcpClient');
 const logger = require('../utils/logger');
 
@@ -268,12 +268,8 @@ class ArchitectureAnalysisService {
       // Create comprehensive prompt for Bedrock Haiku 3 with component preservation
       const prompt = this.createAnalysisPrompt(architectureDescription, awsDocumentation, awsServices);
 
-      // Use Bedrock Haiku 3 for analysis
-      const analysis = await bedrockService.generateContent(prompt, {
-        modelId: 'anthropic.claude-3-haiku-20240307-v1:0',
-        maxTokens: 4000,
-        temperature: 0.3
-      });
+      // Use Bedrock Haiku 3 for analysis (configurable per agent)
+      const analysis = await llmService.invoke(prompt, { agent: 'ArchitectureAnalysisService' });
 
       // Validate that user-specified components are preserved
       const validationResult = this.validateComponentPreservation(analysis, userSpecifiedComponents);
@@ -1,4 +1,4 @@
-const geminiService = require('./geminiService');
+const llmService = require('./llmService');
 const logger = require('../utils/logger');
 
 class ArchitectureDiagramService {
@@ -46,10 +46,7 @@ class ArchitectureDiagramService {
     const prompt = this.createDiagramPrompt(architectureAnalysis, awsServices, components);
 
     try {
-      const response = await geminiService.generateContent(prompt, {
-        temperature: 0.3,
-        maxOutputTokens: 8000
-      });
+      const response = await llmService.invoke(prompt, { agent: 'ArchitectureDiagramService' });
 
       // Parse the response to extract different diagram formats
       return await this.parseDiagramResponse(response, architectureAnalysis);
@@ -1026,8 +1023,6 @@ CRITICAL SUCCESS FACTORS:
    */
   async generateTechnicalWriteups(awsServices, architectureAnalysis) {
     try {
-      const bedrock = require('./bedrock');
-      
       // Analyze the services and create technical explanations for each connection
       const serviceConnections = this.analyzeServiceConnections(awsServices);
       
@@ -1053,8 +1048,6 @@ CRITICAL SUCCESS FACTORS:
    * Generate connection writeups using AWS Bedrock Claude Haiku 3
    */
   async generateConnectionWriteupsWithClaude(serviceConnections, architectureAnalysis, awsServices) {
-    const bedrock = require('./bedrock');
-    
     const prompt = `You are a Senior AWS Solutions Architect providing detailed technical analysis for an architecture diagram. 
 
 ARCHITECTURE CONTEXT:
@@ -1112,7 +1105,7 @@ Format your response as a JSON array where each object represents a connection:
 Provide detailed, actionable technical guidance that would be valuable for implementation and operations teams. Focus on AWS-specific best practices and real-world implementation considerations.`;
 
     try {
-      const response = await bedrock.generateContent(prompt, 'anthropic.claude-3-haiku-20240307-v1:0');
+      const response = await llmService.invoke(prompt, { agent: 'ArchitectureWriteupService' });
       
       // Parse the JSON response
       const jsonMatch = response.match(/\[[\s\S]*\]/);
@@ -1133,8 +1126,6 @@ Provide detailed, actionable technical guidance that would be valuable for imple
    * Generate architecture summary using AWS Bedrock Claude Haiku 3
    */
   async generateArchitectureSummaryWithClaude(awsServices, architectureAnalysis) {
-    const bedrock = require('./bedrock');
-    
     const prompt = `You are a Senior AWS Solutions Architect providing an executive-level architecture summary.
 
 ARCHITECTURE CONTEXT:
@@ -1182,7 +1173,7 @@ Format your response as JSON:
 Provide detailed, actionable insights that would be valuable for technical leadership and architecture decision-making.`;
 
     try {
-      const response = await bedrock.generateContent(prompt, 'anthropic.claude-3-haiku-20240307-v1:0');
+      const response = await llmService.invoke(prompt, { agent: 'ArchitectureWriteupService' });
       
       // Parse the JSON response
       const jsonMatch = response.match(/\{[\s\S]*\}/);
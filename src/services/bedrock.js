@@ -1,4 +1,4 @@
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { BedrockRuntimeClient, InvokeModelCommand, InvokeModelWithResponseStreamCommand } = require('@aws-sdk/client-bedrock-runtime');
 const config = require('../config');
 const logger = require('../utils/logger');
 
@@ -13,9 +13,25 @@ class BedrockService {
     });
     this.defaultModelId = config.aws.bedrockModelId;
     this.mindmapModelId = config.aws.bedrockMindmapModelId;
+    this.streamIdleTimeout = 60000;
   }
 
   async invokeModel(prompt, maxTokens = 4000, temperature = 0.1, modelId = null) {
+    const result = await this.complete(prompt, { maxTokens, temperature, modelId });
+    return result.text;
+  }
+
+  /**
+   * Invoke a model and return the text together with token usage.
+   * This is the provider interface used by llmService.
+   */
+  async complete(prompt, options = {}) {
+    const {
+      maxTokens = 4000,
+      temperature = 0.1,
+      modelId = null
+    } = options;
+
     try {
       // Use specified model or default to the standard model
       const selectedModelId = modelId || this.defaultModelId;
@@ -69,17 +85,47 @@ class BedrockService {
         outputTokens: responseBody.usage?.output_tokens
       });
 
-      return responseBody.content[0].text;
+      return {
+        text: responseBody.content[0].text,
+        modelId: selectedModelId,
+        usage: {
+          inputTokens: responseBody.usage?.input_tokens || 0,
+          outputTokens: responseBody.usage?.output_tokens || 0
+        }
+      };
     } catch (error) {
       logger.error('Error invoking Bedrock model:', error);
-      throw new Error(`Bedrock invocation failed: ${error.message}`);
+      throw this.wrapError('Bedrock invocation failed', error);
     }
   }
 
   async streamModel(prompt, onChunk, maxTokens = 4000, temperature = 0.1, modelId = null) {
+    const result = await this.stream(prompt, onChunk, { maxTokens, temperature, modelId });
+    return result.text;
+  }
+
+  /**
+   * Stream a completion with the response-stream API, forwarding each text
+   * delta to onChunk as the model produces it.
+   * This is the streaming provider interface used by llmService.
+   */
+  async stream(prompt, onChunk, options = {}) {
+    const {
+      maxTokens = 4000,
+      temperature = 0.1,
+      modelId = null
+    } = options;
+
+    let idleTimer;
+
     try {
       // Use specified model or default to the standard model
       const selectedModelId = modelId || this.defaultModelId;
+
+      logger.info(`Streaming model with ~${Math.ceil(prompt.length / 4)} input tokens`, {
+        modelId: selectedModelId,
+        promptLength: prompt.length
+      });
       
       const body = JSON.stringify({
         anthropic_version: "bedrock-2023-05-31",
@@ -93,34 +139,103 @@ class BedrockService {
         ]
       });
 
-      const command = new InvokeModelCommand({
+      const command = new InvokeModelWithResponseStreamCommand({
         modelId: selectedModelId,
         body: body,
         contentType: 'application/json',
         accept: 'application/json'
       });
 
-      // For streaming, we'll simulate chunks for now
-      // AWS Bedrock streaming would require different setup
-      const response = await this.client.send(command);
-      const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-      const fullText = responseBody.content[0].text;
-      
-      // Simulate streaming by sending chunks
-      const chunkSize = 50;
-      for (let i = 0; i < fullText.length; i += chunkSize) {
-        const chunk = fullText.slice(i, i + chunkSize);
-        onChunk(chunk);
-        await new Promise(resolve => setTimeout(resolve, 50));
+      // Abort only when the stream goes quiet; long compilations may run for minutes
+      const controller = new AbortController();
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => controller.abort(), this.streamIdleTimeout);
+      };
+      resetIdleTimer();
+
+      const response = await this.client.send(command, {
+        abortSignal: controller.signal
+      });
+
+      const decoder = new TextDecoder();
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      let fullText = '';
+
+      for await (const event of response.body) {
+        resetIdleTimer();
+
+        if (!event.chunk?.bytes) {
+          // Stream-level exceptions arrive as events rather than rejections
+          const streamError = event.internalServerException ||
+            event.modelStreamErrorException ||
+            event.modelTimeoutException ||
+            event.throttlingException ||
+            event.validationException ||
+            event.serviceUnavailableException;
+          if (streamError) {
+            const error = new Error(streamError.message || 'Bedrock stream error');
+            if (event.throttlingException) {
+              error.name = 'ThrottlingException';
+            }
+            throw error;
+          }
+          continue;
+        }
+
+        const payload = JSON.parse(decoder.decode(event.chunk.bytes));
+
+        switch (payload.type) {
+          case 'message_start':
+            usage.inputTokens = payload.message?.usage?.input_tokens || 0;
+            break;
+          case 'content_block_delta':
+            if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+              fullText += payload.delta.text;
+              onChunk(payload.delta.text);
+            }
+            break;
+          case 'message_delta':
+            usage.outputTokens = payload.usage?.output_tokens || usage.outputTokens;
+            break;
+          default:
+            break;
+        }
       }
 
-      return fullText;
+      logger.info('Bedrock model streamed successfully', {
+        modelId: selectedModelId,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens
+      });
+
+      return {
+        text: fullText,
+        modelId: selectedModelId,
+        usage
+      };
     } catch (error) {
       logger.error('Error streaming Bedrock model:', error);
-      throw new Error(`Bedrock streaming failed: ${error.message}`);
+      const reason = error.name === 'AbortError'
+        ? `no data received for ${this.streamIdleTimeout / 1000} seconds`
+        : error.message;
+      throw this.wrapError('Bedrock streaming failed', error, reason);
+    } finally {
+      clearTimeout(idleTimer);
     }
   }
 
+  /**
+   * Wrap an SDK error, marking throttling so llmService can back off and retry
+   */
+  wrapError(prefix, error, reason = error.message) {
+    const wrapped = new Error(`${prefix}: ${reason}`);
+    if (error.name === 'ThrottlingException' || error.$metadata?.httpStatusCode === 429) {
+      wrapped.code = 'THROTTLED';
+    }
+    return wrapped;
+  }
+
   /**
    * Invoke the high-performance model specifically for mindmap generation
    */
@@ -146,34 +261,14 @@ class BedrockService {
     try {
       logger.info(`Generating content with model: ${modelId}`);
       
-      const body = JSON.stringify({
-        anthropic_version: "bedrock-2023-05-31",
-        max_tokens: maxTokens,
-        temperature: temperature,
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ]
-      });
-
-      const command = new InvokeModelCommand({
-        modelId: modelId,
-        body: body,
-        contentType: 'application/json',
-        accept: 'application/json'
-      });
-
-      const response = await this.client.send(command);
-      const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+      const result = await this.complete(prompt, { modelId, maxTokens, temperature });
       
       logger.info('Content generation completed successfully', {
         modelId,
-        responseLength: responseBody.content[0].text.length
+        responseLength: result.text.length
       });
 
-      return responseBody.content[0].text;
+      return result.text;
     } catch (error) {
       logger.error('Error generating content with Bedrock:', error);
       throw new Error(`Bedrock content generation failed: ${error.message}`);
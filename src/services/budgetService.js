@@ -0,0 +1,121 @@
+const config = require('../config');
+const llmUsageService = require('./llmUsageService');
+const logger = require('../utils/logger');
+
+/**
+ * Per-workflow and system-wide daily LLM budgets.
+ *
+ * A budget check reports one of three states:
+ * - ok: within limits
+ * - near_limit: at or above the warning threshold of some limit; callers switch to cheaper behaviour
+ * - exceeded: some limit is used up; callers stop before spending more
+ */
+class BudgetService {
+  constructor() {
+    this.defaults = {
+      workflowMaxCost: config.budget.workflowMaxCost,
+      workflowMaxTokens: config.budget.workflowMaxTokens,
+      dailyMaxCost: config.budget.dailyMaxCost,
+      dailyMaxTokens: config.budget.dailyMaxTokens
+    };
+    this.warningThreshold = config.budget.warningThreshold;
+  }
+
+  /**
+   * Effective limits for a workflow: configured defaults overridden by the
+   * limits stored on the workflow (set when resuming with a raised budget)
+   */
+  async getWorkflowLimits(workflowId) {
+    const dataService = require('./workflowDataService');
+    const workflow = await dataService.getWorkflow(workflowId);
+
+    let stored = {};
+    if (workflow?.budget_limits) {
+      try {
+        stored = typeof workflow.budget_limits === 'string'
+          ? JSON.parse(workflow.budget_limits)
+          : workflow.budget_limits;
+      } catch {
+        logger.warn('Ignoring invalid budget limits on workflow', { workflowId });
+      }
+    }
+
+    return {
+      workflowMaxCost: stored.workflowMaxCost ?? this.defaults.workflowMaxCost,
+      workflowMaxTokens: stored.workflowMaxTokens ?? this.defaults.workflowMaxTokens
+    };
+  }
+
+  /**
+   * Check a workflow against its own limits and the daily system ceiling
+   */
+  async checkBudget(workflowId) {
+    const [limits, workflowCosts, daily] = await Promise.all([
+      this.getWorkflowLimits(workflowId),
+      llmUsageService.getWorkflowCosts(workflowId),
+      llmUsageService.getDailyUsage()
+    ]);
+
+    const workflowTokens = workflowCosts.inputTokens + workflowCosts.outputTokens;
+
+    const checks = [
+      { name: 'workflow cost', used: workflowCosts.totalCost, limit: limits.workflowMaxCost, unit: 'USD' },
+      { name: 'workflow tokens', used: workflowTokens, limit: limits.workflowMaxTokens, unit: 'tokens' },
+      { name: 'daily cost', used: daily.cost, limit: this.defaults.dailyMaxCost, unit: 'USD' },
+      { name: 'daily tokens', used: daily.tokens, limit: this.defaults.dailyMaxTokens, unit: 'tokens' }
+    ].filter(check => check.limit);
+
+    const exceeded = checks.filter(check => check.used >= check.limit);
+    const nearLimit = checks.filter(check => check.used < check.limit && check.used >= check.limit * this.warningThreshold);
+
+    let state = 'ok';
+    if (exceeded.length > 0) state = 'exceeded';
+    else if (nearLimit.length > 0) state = 'near_limit';
+
+    return {
+      workflowId,
+      state,
+      reasons: [...exceeded, ...nearLimit].map(check =>
+        `${check.name} ${this.formatAmount(check.used, check.unit)} of ${this.formatAmount(check.limit, check.unit)}`
+      ),
+      workflow: {
+        cost: workflowCosts.totalCost,
+        tokens: workflowTokens,
+        maxCost: limits.workflowMaxCost,
+        maxTokens: limits.workflowMaxTokens
+      },
+      daily: {
+        date: daily.date,
+        cost: daily.cost,
+        tokens: daily.tokens,
+        maxCost: this.defaults.dailyMaxCost,
+        maxTokens: this.defaults.dailyMaxTokens
+      },
+      warningThreshold: this.warningThreshold
+    };
+  }
+
+  /**
+   * Store raised limits on a workflow, e.g. before resuming it
+   */
+  async setWorkflowLimits(workflowId, limits = {}) {
+    const dataService = require('./workflowDataService');
+    const current = await this.getWorkflowLimits(workflowId);
+
+    const updated = {
+      workflowMaxCost: limits.workflowMaxCost ?? current.workflowMaxCost,
+      workflowMaxTokens: limits.workflowMaxTokens ?? current.workflowMaxTokens
+    };
+
+    await dataService.updateWorkflow(workflowId, { budgetLimits: updated });
+    logger.info('Workflow budget limits updated', { workflowId, ...updated });
+
+    return updated;
+  }
+
+  formatAmount(value, unit) {
+    return unit === 'USD' ? `$${value.toFixed(4)}` : `${Math.round(value)} tokens`;
+  }
+}
+
+module.exports = new BudgetService();
@@ -0,0 +1,111 @@
+const config = require('../config');
+
+// Words that carry no claim on their own
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'has', 'have', 'had', 'with', 'that', 'this', 'these', 'those',
+  'from', 'into', 'our', 'your', 'their', 'its', 'they', 'them', 'will', 'can', 'may', 'also', 'any', 'all',
+  'which', 'who', 'what', 'when', 'where', 'how', 'such', 'been', 'being', 'not', 'but', 'than', 'then',
+  'there', 'here', 'each', 'per', 'via', 'about', 'based', 'provided', 'information', 'context', 'document',
+  'documents', 'question', 'answer'
+]);
+
+/**
+ * Ground answers in their sources.
+ *
+ * A source chunk knows its document, file, page (or sheet and rows, for
+ * tables) and character offsets.
+ * Every sentence of an answer is checked against the chunks it cites: a
+ * sentence is supported when enough of its content words appear in one
+ * chunk and every number it states appears there too. Unsupported sentences
+ * are reported as unsupported claims.
+ */
+class CitationService {
+  /**
+   * Citation fields of a search result chunk
+   */
+  describeChunk(chunk) {
+    const metadata = chunk.metadata || {};
+    return {
+      documentId: chunk.documentId || metadata.documentId,
+      documentName: metadata.documentName || metadata.fileName,
+      knowledgeBase: !!metadata.knowledgeBase,
+      knowledgeBaseDocumentId: metadata.knowledgeBaseDocumentId,
+      fileId: metadata.fileId,
+      chunkIndex: metadata.chunkIndex,
+      pageNumber: metadata.pageNumber ?? chunk.pageNumber ?? null,
+      ...(metadata.rowStart ? { sheet: metadata.sheet, rowStart: metadata.rowStart, rowEnd: metadata.rowEnd } : {}),
+      ...(metadata.section ? { section: metadata.section } : {}),
+      startOffset: metadata.startOffset ?? chunk.startOffset ?? null,
+      endOffset: metadata.endOffset ?? chunk.endOffset ?? null
+    };
+  }
+
+  /**
+   * Check each sentence of an answer against the cited chunks (objects with
+   * content, in citation order). sourceIndex points at the supporting chunk.
+   */
+  verifyAnswer(answerText, chunks, minSupport = config.citations.minSupport) {
+    const chunkTokens = (chunks || []).map(chunk => new Set(this.tokenize(chunk.content || '')));
+
+    const sentences = this.splitSentences(answerText || '').map(text => {
+      const tokens = [...new Set(this.tokenize(text))];
+      if (tokens.length < config.citations.minClaimWords) {
+        // Too short to be a claim, e.g. "Yes." or a heading
+        return { text, checked: false, supported: null, score: null, sourceIndex: null };
+      }
+
+      const numbers = tokens.filter(token => /^\d/.test(token));
+      let best = { score: 0, sourceIndex: null };
+
+      chunkTokens.forEach((available, index) => {
+        // A number the source does not state is never supported
+        if (numbers.some(number => !available.has(number))) return;
+
+        const score = tokens.filter(token => available.has(token)).length / tokens.length;
+        if (score > best.score) {
+          best = { score, sourceIndex: index };
+        }
+      });
+
+      const supported = best.score >= minSupport;
+      return {
+        text,
+        checked: true,
+        supported,
+        score: Math.round(best.score * 100) / 100,
+        sourceIndex: supported ? best.sourceIndex : null
+      };
+    });
+
+    const checked = sentences.filter(sentence => sentence.checked);
+    const unsupportedClaims = checked.filter(sentence => !sentence.supported).map(sentence => sentence.text);
+
+    return {
+      verified: unsupportedClaims.length === 0,
+      checkedSentences: checked.length,
+      supportedSentences: checked.length - unsupportedClaims.length,
+      supportRatio: checked.length > 0 ? (checked.length - unsupportedClaims.length) / checked.length : 1,
+      sentences,
+      unsupportedClaims
+    };
+  }
+
+  splitSentences(text) {
+    return text
+      .split(/\n+|(?<=[.!?])\s+(?=["'(A-Z0-9])/)
+      .map(sentence => sentence.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Lowercase content words, with long words cut to a common stem so that
+   * "certified" matches "certification"
+   */
+  tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+      .filter(token => /^\d/.test(token) || (token.length > 2 && !STOP_WORDS.has(token)))
+      .map(token => /^\d/.test(token) || token.length <= 6 ? token : token.slice(0, 6));
+  }
+}
+
+module.exports = new CitationService();
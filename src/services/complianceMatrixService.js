@@ -0,0 +1,326 @@
+const ExcelJS = require('exceljs');
+const citationService = require('./citationService');
+const { codedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const STATUS_LABELS = {
+  complies: 'Complies',
+  partial: 'Partial',
+  exception: 'Exception',
+  not_applicable: 'N/A'
+};
+
+// Row fields an analyst may edit, and their columns
+const EDITABLE_FIELDS = {
+  status: 'status',
+  responseReference: 'response_reference',
+  responseSummary: 'response_summary',
+  owner: 'owner',
+  notes: 'notes',
+  sourceDocument: 'source_document',
+  sourceSection: 'source_section'
+};
+
+// Answers that state the company does not meet the requirement
+const EXCEPTION_TERMS = /\b(?:do(?:es)? not (?:currently )?(?:support|offer|provide|comply|meet|have)|cannot|can't|unable to|not (?:currently )?(?:supported|available|compliant)|no plans? to)\b/i;
+
+// Answers below this confidence only make a requirement partially compliant
+const MIN_COMPLIES_CONFIDENCE = 0.7;
+
+// Share of a requirement's words an answer must contain to be matched without a question link
+const MIN_MATCH_SCORE = 0.5;
+
+/**
+ * Compliance matrix: one row per requirement with where it is stated, whether
+ * the company complies (complies, partial, exception or N/A), the answers
+ * that respond to it and who owns it.
+ *
+ * The matrix is generated from the requirements analysis and the extracted
+ * answers. An answer responds to a requirement when its question lists the
+ * requirement in relatedRequirements, or failing that when it covers most of
+ * the requirement's words. Analysts edit rows through the API; edited rows
+ * keep their assessment when the matrix is rebuilt.
+ */
+class ComplianceMatrixService {
+  constructor() {
+    this.statuses = Object.keys(STATUS_LABELS);
+  }
+
+  /**
+   * Build the matrix rows from the workflow results
+   */
+  buildMatrix(requirementsAnalysis, clarificationQuestions, extractedAnswers) {
+    const answers = extractedAnswers?.answeredQuestions || [];
+    const answersByRequirement = this.linkAnswers(clarificationQuestions, answers);
+
+    const rows = [];
+    Object.entries(requirementsAnalysis?.requirements || {}).forEach(([category, requirements]) => {
+      if (!Array.isArray(requirements)) return;
+
+      requirements.forEach((requirement, index) => {
+        const requirementId = requirement.id || `${category}_req_${index + 1}`;
+        const description = requirement.description || requirement.text || String(requirement);
+        const responses = answersByRequirement[requirementId] || this.matchAnswers(description, answers);
+
+        rows.push({
+          requirementId,
+          category,
+          requirement: description,
+          priority: requirement.priority || null,
+          mandatory: !!requirement.mandatory,
+          standard: requirement.standard || null,
+          sourceDocument: requirement.sourceDocument || null,
+          sourceSection: requirement.section || null,
+          status: this.assessStatus(responses),
+          responseReference: responses.map(answer => answer.questionId).join(', ') || null,
+          responseSummary: responses[0] ? this.summarizeAnswer(responses[0]) : null,
+          owner: responses.find(answer => answer.reviewedBy)?.reviewedBy || null,
+          notes: null
+        });
+      });
+    });
+
+    logger.info('Compliance matrix built', { rows: rows.length, unassessed: rows.filter(row => !row.status).length });
+    return {
+      rows,
+      summary: this.summarize(rows),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Stored matrix of a workflow, in the same shape as buildMatrix
+   */
+  async getMatrix(workflowId) {
+    const dataService = require('./workflowDataService');
+    const rows = (await dataService.getComplianceMatrix(workflowId)).map(row => this.formatRow(row));
+    return { rows, summary: this.summarize(rows) };
+  }
+
+  /**
+   * Rebuild and store the matrix, e.g. after requirements or answers changed.
+   * results are the workflow results with reviewed answers applied.
+   */
+  async rebuildMatrix(workflowId, results) {
+    const dataService = require('./workflowDataService');
+    if (!results?.requirementsAnalysis?.requirements) {
+      throw codedError('Requirements analysis not available', 'REQUIREMENTS_NOT_AVAILABLE');
+    }
+
+    const matrix = this.buildMatrix(results.requirementsAnalysis, results.clarificationQuestions, results.extractedAnswers);
+    await dataService.saveWorkflowResult(workflowId, 'compliance_matrix', matrix, 0.9);
+    await dataService.saveComplianceMatrix(workflowId, matrix.rows);
+
+    return await this.getMatrix(workflowId);
+  }
+
+  /**
+   * Edit a row: status, responseReference, responseSummary, owner, notes,
+   * sourceDocument or sourceSection
+   */
+  async updateRow(workflowId, requirementId, updates, editedBy = null) {
+    const dataService = require('./workflowDataService');
+
+    const columns = {};
+    Object.entries(updates || {}).forEach(([field, value]) => {
+      if (EDITABLE_FIELDS[field] && value !== undefined) {
+        columns[EDITABLE_FIELDS[field]] = typeof value === 'string' ? value.trim() || null : value;
+      }
+    });
+
+    if (Object.keys(columns).length === 0) {
+      throw codedError(
+        `Nothing to update. Editable fields: ${Object.keys(EDITABLE_FIELDS).join(', ')}`,
+        'INVALID_COMPLIANCE_UPDATE'
+      );
+    }
+    if (columns.status !== undefined && columns.status !== null && !this.statuses.includes(columns.status)) {
+      throw codedError(`Invalid status. Must be one of: ${this.statuses.join(', ')}`, 'INVALID_COMPLIANCE_UPDATE');
+    }
+
+    const row = await dataService.updateComplianceMatrixRow(workflowId, requirementId, columns, editedBy);
+    if (!row) {
+      throw codedError('Requirement not found in the compliance matrix', 'COMPLIANCE_ROW_NOT_FOUND');
+    }
+    return this.formatRow(row);
+  }
+
+  /**
+   * Excel workbook with the matrix and a summary sheet
+   */
+  async exportToXlsx(matrix, projectContext = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'RFP Automation';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Compliance Matrix', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = [
+      { header: 'Requirement ID', key: 'requirementId', width: 16 },
+      { header: 'Category', key: 'category', width: 12 },
+      { header: 'Requirement', key: 'requirement', width: 60 },
+      { header: 'Mandatory', key: 'mandatory', width: 11 },
+      { header: 'Standard', key: 'standard', width: 16 },
+      { header: 'Source Document', key: 'sourceDocument', width: 24 },
+      { header: 'Section', key: 'sourceSection', width: 12 },
+      { header: 'Compliance Status', key: 'status', width: 18 },
+      { header: 'Response Reference', key: 'responseReference', width: 20 },
+      { header: 'Response Summary', key: 'responseSummary', width: 60 },
+      { header: 'Owner', key: 'owner', width: 18 },
+      { header: 'Notes', key: 'notes', width: 30 }
+    ];
+
+    matrix.rows.forEach(row => {
+      sheet.addRow({
+        ...row,
+        mandatory: row.mandatory ? 'Yes' : 'No',
+        status: STATUS_LABELS[row.status] || 'Not assessed'
+      });
+    });
+
+    sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E79' } };
+    sheet.autoFilter = { from: 'A1', to: 'L1' };
+
+    const statusFills = { Complies: 'FFC6EFCE', Partial: 'FFFFEB9C', Exception: 'FFFFC7CE', 'N/A': 'FFE7E6E6' };
+    sheet.eachRow((row, rowNumber) => {
+      row.alignment = { vertical: 'top', wrapText: true };
+      if (rowNumber === 1) return;
+
+      const status = row.getCell('status');
+      status.dataValidation = {
+        type: 'list',
+        allowBlank: true,
+        formulae: [`"${Object.values(STATUS_LABELS).join(',')}"`]
+      };
+      if (statusFills[status.value]) {
+        status.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: statusFills[status.value] } };
+      }
+    });
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [
+      { header: 'Compliance Matrix', key: 'label', width: 30 },
+      { header: projectContext.title || '', key: 'value', width: 20 }
+    ];
+    summary.getRow(1).font = { bold: true };
+    summary.addRows([
+      { label: 'Requirements', value: matrix.summary.total },
+      { label: 'Mandatory', value: matrix.summary.mandatory },
+      ...this.statuses.map(status => ({ label: STATUS_LABELS[status], value: matrix.summary.byStatus[status] })),
+      { label: 'Not assessed', value: matrix.summary.notAssessed },
+      { label: 'Mandatory exceptions', value: matrix.summary.mandatoryExceptions },
+      { label: 'Generated', value: new Date().toLocaleString() }
+    ]);
+
+    return await workbook.xlsx.writeBuffer();
+  }
+
+  // Answers per requirement, through the questions' relatedRequirements
+  linkAnswers(clarificationQuestions, answers) {
+    const answersByQuestion = {};
+    answers.forEach(answer => {
+      answersByQuestion[answer.questionId] = answer;
+    });
+
+    const linked = {};
+    Object.values(clarificationQuestions?.questionCategories || {}).forEach(questions => {
+      (questions || []).forEach(question => {
+        const answer = answersByQuestion[question.id];
+        if (!answer) return;
+
+        this.parseList(question.relatedRequirements).forEach(requirementId => {
+          linked[requirementId] = linked[requirementId] || [];
+          linked[requirementId].push(answer);
+        });
+      });
+    });
+    return linked;
+  }
+
+  // The answer covering most of the requirement's words, if it covers enough
+  matchAnswers(description, answers) {
+    const tokens = [...new Set(citationService.tokenize(description))];
+    if (tokens.length === 0) return [];
+
+    let best = { score: 0, answer: null };
+    answers.forEach(answer => {
+      const available = new Set(citationService.tokenize(`${answer.question || ''} ${answer.answer || ''}`));
+      const score = tokens.filter(token => available.has(token)).length / tokens.length;
+      if (score > best.score) {
+        best = { score, answer };
+      }
+    });
+
+    return best.score >= MIN_MATCH_SCORE ? [best.answer] : [];
+  }
+
+  assessStatus(answers) {
+    if (answers.length === 0) {
+      return null;
+    }
+    if (answers.some(answer => EXCEPTION_TERMS.test(answer.answer || ''))) {
+      return 'exception';
+    }
+
+    const complete = answers.every(answer =>
+      answer.completeness !== 'partial' && (answer.confidence ?? answer.confidenceScore ?? 0) >= MIN_COMPLIES_CONFIDENCE
+    );
+    return complete ? 'complies' : 'partial';
+  }
+
+  summarizeAnswer(answer) {
+    const text = (answer.answer || '').trim();
+    return text.length > 300 ? `${text.slice(0, 297)}...` : text;
+  }
+
+  summarize(rows) {
+    const byStatus = {};
+    this.statuses.forEach(status => {
+      byStatus[status] = rows.filter(row => row.status === status).length;
+    });
+
+    return {
+      total: rows.length,
+      mandatory: rows.filter(row => row.mandatory).length,
+      byStatus,
+      notAssessed: rows.filter(row => !row.status).length,
+      mandatoryExceptions: rows.filter(row => row.mandatory && row.status === 'exception').length
+    };
+  }
+
+  parseList(value) {
+    if (Array.isArray(value)) return value;
+    try {
+      return value ? JSON.parse(value) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  formatRow(row) {
+    return {
+      requirementId: row.requirement_id,
+      category: row.category,
+      requirement: row.requirement_text,
+      priority: row.priority,
+      mandatory: !!row.mandatory,
+      standard: row.standard,
+      sourceDocument: row.source_document,
+      sourceSection: row.source_section,
+      status: row.status,
+      responseReference: row.response_reference,
+      responseSummary: row.response_summary,
+      owner: row.owner,
+      notes: row.notes,
+      edited: !!row.is_edited,
+      editedBy: row.edited_by,
+      updatedAt: row.updated_at
+    };
+  }
+
+  statusLabel(status) {
+    return STATUS_LABELS[status] || 'Not assessed';
+  }
+}
+
+module.exports = new ComplianceMatrixService();
@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yauzl = require('yauzl');
+const config = require('../config');
+const { codedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { readEmail } = require('../utils/emailMessage');
+const documentProcessor = require('./documentProcessor');
+
+const BUNDLE_FORMATS = ['zip', 'eml', 'msg'];
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  html: 'text/html',
+  htm: 'text/html',
+  rtf: 'application/rtf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  eml: 'message/rfc822',
+  msg: 'application/vnd.ms-outlook',
+  zip: 'application/zip'
+};
+
+// Entries small enough to compress well without being suspicious
+const RATIO_MIN_SIZE = 1024 * 1024;
+
+const extensionOf = (name) => path.extname(name).toLowerCase().slice(1);
+
+/**
+ * RFP packages that arrive as one file: ZIP archives of addenda and emails
+ * (.eml, .msg) with attachments. Their files are unpacked next to the
+ * upload and become documents of their own, linked to the archive or email
+ * they came from; archives inside archives and attached emails are unpacked
+ * in turn. Limits on nesting depth, file count, total size and compression
+ * ratio stop zip bombs.
+ */
+class DocumentBundleService {
+  isBundle(fileName) {
+    return BUNDLE_FORMATS.includes(extensionOf(fileName));
+  }
+
+  /**
+   * The uploaded documents followed by the files unpacked from them. Each
+   * unpacked file has parentId set to the document it came from; archives
+   * get documentType 'archive', as they hold no text of their own. A bundle
+   * that cannot be unpacked keeps its error and has no files.
+   */
+  async expand(documents) {
+    const expanded = [];
+    for (const document of documents) {
+      const budget = { name: document.originalName, files: 0, bytes: 0 };
+      expanded.push(...await this.expandDocument({ ...document, parentId: document.parentId || null }, 0, budget));
+    }
+    return expanded;
+  }
+
+  async expandDocument(document, depth, budget) {
+    const extension = extensionOf(document.originalName);
+    if (!BUNDLE_FORMATS.includes(extension)) {
+      return [document];
+    }
+
+    const bundle = { ...document, documentType: extension === 'zip' ? 'archive' : document.documentType, files: 0, skipped: [] };
+    const children = [];
+    const written = [];
+    try {
+      const buffer = await fs.readFile(document.path);
+      const files = extension === 'zip'
+        ? await this.readZip(buffer, budget)
+        : await this.readAttachments(buffer, extension, budget);
+
+      const base = path.parse(document.id).name;
+      for (const file of files) {
+        const fileExtension = extensionOf(file.name);
+        const displayName = path.posix.basename(file.name);
+        if (!documentProcessor.supportedFormats.includes(fileExtension) && !BUNDLE_FORMATS.includes(fileExtension)) {
+          bundle.skipped.push({ name: file.name, reason: `unsupported file type${fileExtension ? ` .${fileExtension}` : ''}` });
+          continue;
+        }
+        if (BUNDLE_FORMATS.includes(fileExtension) && depth + 1 >= config.bundles.maxDepth) {
+          bundle.skipped.push({ name: file.name, reason: `nested more than ${config.bundles.maxDepth} levels deep` });
+          continue;
+        }
+
+        // Unpacked files are stored under generated names; names inside the bundle are never used as paths
+        const id = `${base}-${++bundle.files}.${fileExtension}`;
+        const filePath = path.join(path.dirname(document.path), id);
+        await fs.writeFile(filePath, file.content);
+        written.push(filePath);
+
+        const child = {
+          id,
+          originalName: displayName,
+          path: filePath,
+          size: file.content.length,
+          mimetype: MIME_TYPES[fileExtension] || 'application/octet-stream',
+          parentId: document.id,
+          documentType: document.documentType,
+          bundlePath: file.name
+        };
+        children.push(...await this.expandDocument(child, depth + 1, budget));
+      }
+
+      logger.info(`Unpacked ${bundle.files} files from ${document.originalName}`, { skipped: bundle.skipped.length });
+    } catch (error) {
+      // A bundle is unpacked completely or not at all
+      const paths = new Set([...written, ...children.map(child => child.path)]);
+      await Promise.all([...paths].map(filePath => fs.unlink(filePath).catch(() => {})));
+      // Limits apply to the whole upload, so breaking one inside a nested bundle fails the upload
+      if (error.code === 'BUNDLE_LIMIT' && depth > 0) {
+        throw error;
+      }
+      logger.warn(`Could not unpack ${document.originalName}: ${error.message}`);
+      return [{ ...bundle, files: 0, error: error.message }];
+    }
+
+    return [bundle, ...children];
+  }
+
+  // Count a file against the limits of the upload it was unpacked from
+  charge(budget, size) {
+    budget.files++;
+    budget.bytes += size;
+    if (budget.files > config.bundles.maxFiles) {
+      throw codedError(`${budget.name} contains more than ${config.bundles.maxFiles} files`, 'BUNDLE_LIMIT');
+    }
+    if (budget.bytes > config.bundles.maxTotalSize) {
+      throw codedError(`${budget.name} unpacks to more than ${Math.round(config.bundles.maxTotalSize / (1024 * 1024))} MB`, 'BUNDLE_LIMIT');
+    }
+  }
+
+  /**
+   * Files of a ZIP archive: [{ name, content }]. Directories, hidden files
+   * and encrypted entries are left out. Sizes are checked against the
+   * limits before an entry is read and again while it is inflated, so an
+   * archive that lies about its sizes is stopped as well.
+   */
+  readZip(buffer, budget) {
+    return new Promise((resolve, reject) => {
+      yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: true, decodeStrings: true }, (error, zip) => {
+        if (error) {
+          reject(new Error(`Invalid ZIP archive: ${error.message}`));
+          return;
+        }
+
+        const files = [];
+        const fail = (failure) => {
+          zip.close();
+          reject(failure);
+        };
+
+        zip.on('error', fail);
+        zip.on('end', () => resolve(files));
+        zip.on('entry', (entry) => {
+          const name = entry.fileName;
+          const hidden = name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+          if (name.endsWith('/') || hidden || entry.isEncrypted()) {
+            zip.readEntry();
+            return;
+          }
+
+          try {
+            this.charge(budget, entry.uncompressedSize);
+            if (entry.uncompressedSize > RATIO_MIN_SIZE &&
+              entry.uncompressedSize > config.bundles.maxRatio * Math.max(entry.compressedSize, 1)) {
+              throw codedError(`${name} in the archive is compressed more than ${config.bundles.maxRatio} times, which looks like a zip bomb`, 'BUNDLE_LIMIT');
+            }
+          } catch (limitError) {
+            fail(limitError);
+            return;
+          }
+
+          zip.openReadStream(entry, (streamError, stream) => {
+            if (streamError) {
+              fail(streamError);
+              return;
+            }
+            const chunks = [];
+            let size = 0;
+            stream.on('data', (chunk) => {
+              size += chunk.length;
+              if (size > entry.uncompressedSize) {
+                stream.destroy(codedError(`${name} in the archive is larger than it declares`, 'BUNDLE_LIMIT'));
+                return;
+              }
+              chunks.push(chunk);
+            });
+            stream.on('error', fail);
+            stream.on('end', () => {
+              files.push({ name, content: Buffer.concat(chunks) });
+              zip.readEntry();
+            });
+          });
+        });
+        zip.readEntry();
+      });
+    });
+  }
+
+  /**
+   * Attachments of an email: [{ name, content }]
+   */
+  async readAttachments(buffer, extension, budget) {
+    const email = await readEmail(buffer, extension);
+    return email.attachments.map(attachment => {
+      this.charge(budget, attachment.content.length);
+      return { name: attachment.fileName, content: attachment.content };
+    });
+  }
+}
+
+module.exports = new DocumentBundleService();
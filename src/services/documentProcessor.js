@@ -1,18 +1,46 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { Readable } = require('stream');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const ExcelJS = require('exceljs');
+const csv = require('csv-parser');
+const config = require('../config');
 const logger = require('../utils/logger');
+const { chunkWords, chunkRowGroups, chunkSections } = require('../utils/textChunks');
+const { findHeadings, buildSections, textLines, outlineFromText, sectionAt, sectionLabel } = require('../utils/documentOutline');
+const { readDocx } = require('../utils/docxStructure');
+const { readPptx } = require('../utils/pptxStructure');
+const { readHtml, readMarkdown } = require('../utils/markupStructure');
+const { rtfToText } = require('../utils/rtfText');
+const { readEmail } = require('../utils/emailMessage');
 const ragService = require('./ragService');
 const graphRagService = require('./graphRagService');
+const ocrService = require('./ocrService');
+
+// Words per row group of a table; groups are the chunks tables are vectorized in
+const TABLE_GROUP_WORDS = 400;
+// Rows of each table, and words across all tables, shown to the ingestion agent
+const TABLE_SAMPLE_ROWS = 20;
+const TABLE_OVERVIEW_WORDS = 3000;
+// Gap between text items on a PDF line, in font sizes, that separates table cells
+const PDF_CELL_GAP = 1.5;
+// PDF lines set this much larger than the body text are headings
+const PDF_HEADING_SIZE = 1.15;
 
 class DocumentProcessor {
   constructor() {
-    this.supportedFormats = ['pdf', 'docx', 'txt', 'csv', 'xlsx', 'xls'];
+    this.supportedFormats = [
+      'pdf', 'docx', 'pptx', 'txt', 'md', 'markdown', 'html', 'htm', 'rtf', 'eml', 'msg',
+      'csv', 'xlsx', 'png', 'jpg', 'jpeg', 'tif', 'tiff'
+    ];
   }
 
-  async processDocument(filePath, originalName, workflowId = null) {
+  /**
+   * Parse a document and vectorize it for RAG. Pass vectorize: false to only
+   * parse it, e.g. when the caller indexes the content itself.
+   */
+  async processDocument(filePath, originalName, workflowId = null, options = {}) {
     try {
       const extension = path.extname(originalName).toLowerCase().slice(1);
       
@@ -23,8 +51,12 @@ class DocumentProcessor {
       logger.info(`Processing document: ${originalName}`, { extension });
 
       let content = '';
+      let analysisContent = null;
+      let tables;
+      let structure = null;
       let metadata = {
         fileName: originalName,
+        fileId: path.basename(filePath), // name in the upload folder, used to link citations back to the file
         fileType: extension,
         processedAt: new Date().toISOString(),
         size: 0
@@ -34,37 +66,113 @@ class DocumentProcessor {
       metadata.size = fileBuffer.length;
 
       switch (extension) {
-        case 'pdf':
-          content = await this.processPDF(fileBuffer);
+        case 'pdf': {
+          const pdf = await this.processPDF(fileBuffer);
+          content = pdf.text;
+          metadata.pages = pdf.pages;
+          metadata.pageOffsets = pdf.pageOffsets;
+          metadata.pageConfidence = pdf.pageConfidence;
+          structure = pdf;
+          break;
+        }
+        case 'png':
+        case 'jpg':
+        case 'jpeg':
+        case 'tif':
+        case 'tiff': {
+          const image = await this.processImage(fileBuffer);
+          content = image.text;
+          metadata.pages = 1;
+          metadata.pageOffsets = [0];
+          metadata.pageConfidence = image.pageConfidence;
+          structure = { sections: outlineFromText(content, [0]) };
+          break;
+        }
+        case 'docx': {
+          const docx = await this.processDOCX(fileBuffer);
+          content = docx.text;
+          if (docx.pageOffsets) {
+            metadata.pages = docx.pageOffsets.length;
+            metadata.pageOffsets = docx.pageOffsets;
+          }
+          structure = docx;
+          break;
+        }
+        case 'pptx': {
+          const pptx = await this.processPPTX(fileBuffer);
+          content = pptx.text;
+          metadata.pages = pptx.slides;
+          metadata.pageOffsets = pptx.pageOffsets;
+          structure = pptx;
+          break;
+        }
+        case 'html':
+        case 'htm':
+        case 'md':
+        case 'markdown':
+          structure = await this.processMarkup(fileBuffer, extension);
+          content = structure.text;
           break;
-        case 'docx':
-          content = await this.processDOCX(fileBuffer);
+        case 'rtf':
+          content = await this.processRTF(fileBuffer);
+          structure = { sections: outlineFromText(content) };
           break;
+        case 'eml':
+        case 'msg': {
+          const email = await this.processEmail(fileBuffer, extension);
+          content = email.text;
+          metadata.email = email.headers;
+          structure = email;
+          break;
+        }
         case 'txt':
           content = await this.processTXT(fileBuffer);
+          structure = { sections: outlineFromText(content) };
           break;
         case 'csv':
-          content = await this.processCSV(fileBuffer);
-          break;
-        case 'xlsx':
-        case 'xls':
-          content = await this.processExcel(fileBuffer);
+        case 'xlsx': {
+          const table = extension === 'csv'
+            ? await this.processCSV(fileBuffer)
+            : await this.processExcel(fileBuffer);
+          content = table.text;
+          analysisContent = table.overview;
+          tables = table.tables;
+          metadata.tables = table.tables.map(({ records, ...summary }) => summary);
+          metadata.rowGroups = table.rowGroups;
+          if (table.truncated.length > 0) {
+            metadata.truncated = table.truncated;
+          }
           break;
+        }
         default:
           throw new Error(`Handler not implemented for ${extension}`);
       }
 
+      // Headings, numbered clauses and tables of the document
+      if (structure?.sections.length > 0) {
+        metadata.sections = structure.sections;
+      }
+      if (structure?.tables?.length > 0) {
+        tables = structure.tables;
+        metadata.tables = tables.map(({ records, ...summary }) => summary);
+      }
+
       // Extract structured information
-      const structuredData = await this.extractStructuredData(content, extension);
+      const structuredData = await this.extractStructuredData(content, extension, metadata.sections);
 
       // Vectorize the document content for RAG
-      const documentId = path.basename(originalName, path.extname(originalName));
-      await this.vectorizeDocument(documentId, content, metadata, workflowId);
+      if (options.vectorize !== false) {
+        const documentId = path.basename(originalName, path.extname(originalName));
+        await this.vectorizeDocument(documentId, content, metadata, workflowId);
+      }
 
       return {
         content,
         metadata,
-        structuredData
+        structuredData,
+        ...(tables ? { tables } : {}),
+        // Bounded view for the ingestion agent when the full content is too long for a prompt
+        ...(analysisContent ? { analysisContent } : {})
       };
     } catch (error) {
       logger.error('Error processing document:', error);
@@ -82,84 +190,615 @@ class DocumentProcessor {
         logger.warn(`Large PDF detected (${bufferSizeMB.toFixed(2)}MB). Using optimized processing.`);
       }
       
+      const pageTexts = [];
+      const pageLayouts = [];
       const data = await pdfParse(buffer, {
         // Optimize for large files
         max: bufferSizeMB > 10 ? 0 : undefined, // No page limit for large files
-        version: 'v1.10.100' // Use latest version for better performance
+        version: 'v1.10.100', // Use latest version for better performance
+        pagerender: (pageData) => this.renderPDFPage(pageData, pageTexts, pageLayouts)
       });
       
-      const extractedText = data.text;
+      // Scanned pages have little or no text layer; OCR replaces their text
+      const pageConfidence = await this.recognizeScannedPages(buffer, pageTexts);
+      pageConfidence.forEach(page => {
+        if (page.method === 'ocr') {
+          pageLayouts[page.page - 1] = { lines: textLines(pageTexts[page.page - 1]), tables: [] };
+        }
+      });
+      const extractedText = pageConfidence.some(page => page.method === 'ocr')
+        ? pageTexts.map(text => `\n\n${text}`).join('')
+        : data.text;
+
+      // pdf-parse puts "\n\n" before each page's text, in page order
+      const pageOffsets = [];
+      let offset = 0;
+      pageTexts.forEach(text => {
+        offset += 2;
+        pageOffsets.push(offset);
+        offset += text.length;
+      });
       
+      // Only trust the offsets when they add up to the extracted text
+      const offsetsValid = offset === extractedText.length;
+      const { sections, tables } = offsetsValid
+        ? this.pdfOutline(pageLayouts, pageOffsets, extractedText.length)
+        : { sections: outlineFromText(extractedText), tables: [] };
+
       // Log extraction statistics
       logger.info(`PDF processing completed`, {
         pages: data.numpages,
+        ocrPages: pageConfidence.filter(page => page.method === 'ocr').length,
+        sections: sections.length,
+        tables: tables.length,
         textLength: extractedText.length,
         sizeMB: bufferSizeMB.toFixed(2)
       });
       
-      return extractedText;
+      return {
+        text: extractedText,
+        pages: data.numpages,
+        pageOffsets: offsetsValid ? pageOffsets : null,
+        pageConfidence,
+        sections,
+        tables
+      };
     } catch (error) {
       logger.error(`PDF processing failed for ${(buffer.length / (1024 * 1024)).toFixed(2)}MB file:`, error);
       throw new Error(`PDF processing failed: ${error.message}`);
     }
   }
 
+  /**
+   * pdf-parse page renderer that keeps the page layout. Text items on a line
+   * that are far apart are separate cells; runs of two or more such lines
+   * are a table, written as cells separated by " | ". Each page's text and
+   * lines (with font size and offset in the page text) are recorded so
+   * chunks can be mapped to pages and headings and tables found.
+   */
+  async renderPDFPage(pageData, pageTexts, pageLayouts) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    const rows = [];
+    let lastY;
+    for (const item of textContent.items) {
+      const y = item.transform[5];
+      if (rows.length === 0 || y !== lastY) {
+        rows.push({ cells: [''], size: 0, end: null });
+      }
+      lastY = y;
+
+      const row = rows[rows.length - 1];
+      const size = Math.abs(item.transform[3]) || item.height || 0;
+      const x = item.transform[4];
+      const gap = row.end === null ? 0 : x - row.end;
+      const last = row.cells.length - 1;
+      if (row.end !== null && gap > (size || 10) * PDF_CELL_GAP) {
+        row.cells.push(item.str);
+      } else {
+        // pdf.js leaves out some spaces between words
+        const space = row.end !== null && gap > size * 0.15 && !/\s$/.test(row.cells[last]) && !/^\s/.test(item.str);
+        row.cells[last] += (space ? ' ' : '') + item.str;
+      }
+      if (item.str.trim()) row.size = Math.max(row.size, size);
+      row.end = x + (item.width || 0);
+    }
+
+    const lines = rows.map(row => ({ cells: row.cells.map(cell => cell.trim()).filter(Boolean), size: row.size }));
+    // Nearly every line split in two is a page set in columns, not a table
+    const multiCell = lines.filter(line => line.cells.length > 1).length;
+    const columns = lines.length > 15 && multiCell / lines.length > 0.6;
+    lines.forEach((line, index) => {
+      line.inTable = !columns && line.cells.length > 1 &&
+        (lines[index - 1]?.cells.length > 1 || lines[index + 1]?.cells.length > 1);
+    });
+
+    let text = '';
+    const layout = { lines: [], tables: [] };
+    let table = null;
+    lines.forEach((line, index) => {
+      if (index > 0) text += '\n';
+      const lineText = line.cells.join(line.inTable ? ' | ' : ' ');
+      if (line.inTable) {
+        if (!table) {
+          table = { offset: text.length, rows: [] };
+          layout.tables.push(table);
+        }
+        table.rows.push(line.cells);
+      } else {
+        table = null;
+      }
+      layout.lines.push({ text: lineText, offset: text.length, size: line.size, inTable: line.inTable });
+      text += lineText;
+    });
+
+    pageTexts.push(text);
+    pageLayouts.push(layout);
+    return text;
+  }
+
+  /**
+   * Sections and tables of a PDF from its page layouts. Short lines in a
+   * larger font than the body text are headings, the largest size being
+   * level 1; numbered clauses are found at any size.
+   */
+  pdfOutline(pageLayouts, pageOffsets, textLength) {
+    const round = (size) => Math.round(size * 2) / 2;
+    const characters = {};
+    pageLayouts.forEach(layout => layout.lines.forEach(line => {
+      if (line.size) characters[round(line.size)] = (characters[round(line.size)] || 0) + line.text.length;
+    }));
+    const bodySize = Number(Object.keys(characters).sort((a, b) => characters[b] - characters[a])[0]) || null;
+
+    const isHeading = (line) => bodySize && line.size >= bodySize * PDF_HEADING_SIZE && !line.inTable &&
+      /[A-Za-z]/.test(line.text) && line.text.split(/\s+/).length <= 15;
+    const headingSizes = [...new Set(pageLayouts.flatMap(layout => layout.lines.filter(isHeading).map(line => round(line.size))))]
+      .sort((a, b) => b - a);
+
+    const lines = pageLayouts.flatMap((layout, index) => layout.lines.map(line => ({
+      text: line.text,
+      offset: pageOffsets[index] + line.offset,
+      page: index + 1,
+      headingLevel: isHeading(line) ? Math.min(headingSizes.indexOf(round(line.size)) + 1, 4) : null
+    })).filter(line => line.text.trim()));
+    const sections = buildSections(findHeadings(lines), textLength);
+
+    const tables = pageLayouts.flatMap((layout, index) => layout.tables.map(table => ({
+      ...table,
+      offset: pageOffsets[index] + table.offset,
+      page: index + 1
+    })));
+    return { sections, tables: this.documentTables(tables, sections) };
+  }
+
+  /**
+   * Tables found in a PDF or Word document ({ rows, offset, page }), as
+   * records labelled by their header row like spreadsheet rows, with the
+   * section each table is in
+   */
+  documentTables(tables, sections) {
+    return tables.map(({ rows, offset, page }, index) => {
+      const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+      const [headerRow, ...dataRows] = rows.map((values, row) => ({
+        rowNumber: row + 1,
+        values: Array.from({ length: width }, (_, column) => values[column] || '')
+      }));
+      const headers = this.tableHeaders(headerRow.values, dataRows, false);
+      return {
+        table: index + 1,
+        section: sectionLabel(sectionAt(sections, offset)),
+        page: page ?? null,
+        headerRow: 1,
+        headers,
+        rows: dataRows.length,
+        records: dataRows.map(row => ({
+          rowNumber: row.rowNumber,
+          values: Object.fromEntries(row.values.map((value, column) => [headers[column], value]).filter(([, value]) => value))
+        }))
+      };
+    });
+  }
+
+  /**
+   * OCR the pages whose text layer has fewer than config.ocr.minPageChars
+   * characters, replacing their entry in pageTexts when OCR reads more text.
+   * Returns each page's extraction method and confidence (0 to 1); text
+   * layer pages have confidence 1 and empty pages that could not be read 0.
+   */
+  async recognizeScannedPages(buffer, pageTexts) {
+    const { enabled, minPageChars, maxPages } = config.ocr;
+    const pages = pageTexts.map((text, index) => ({
+      page: index + 1,
+      method: 'text',
+      confidence: text.trim() ? 1 : 0
+    }));
+    const scanned = pages
+      .filter(page => pageTexts[page.page - 1].replace(/\s/g, '').length < minPageChars)
+      .map(page => page.page);
+
+    if (scanned.length === 0) {
+      return pages;
+    }
+    if (!enabled) {
+      logger.warn(`${scanned.length} PDF page(s) have little or no text and OCR is disabled`);
+      return pages;
+    }
+    if (scanned.length > maxPages) {
+      logger.warn(`${scanned.length} PDF pages need OCR; only the first ${maxPages} are read (OCR_MAX_PAGES)`);
+    }
+
+    try {
+      const results = await ocrService.recognizePdfPages(buffer, scanned.slice(0, maxPages));
+      results.forEach(({ text, confidence }, pageNumber) => {
+        if (text.length > pageTexts[pageNumber - 1].trim().length) {
+          pageTexts[pageNumber - 1] = text;
+          pages[pageNumber - 1] = { page: pageNumber, method: 'ocr', confidence };
+        }
+      });
+    } catch (error) {
+      logger.warn('OCR of scanned PDF pages failed:', error.message);
+    }
+    return pages;
+  }
+
+  /**
+   * Read a scanned page uploaded as an image (PNG, JPEG or TIFF)
+   */
+  async processImage(buffer) {
+    if (!config.ocr.enabled) {
+      throw new Error('Image processing failed: OCR is disabled (OCR_ENABLED=false)');
+    }
+
+    try {
+      const { text, confidence } = await ocrService.recognize(buffer);
+      return { text, pageConfidence: [{ page: 1, method: 'ocr', confidence }] };
+    } catch (error) {
+      throw new Error(`Image processing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a Word document with its structure. Headings and list items start
+   * with their number as Word shows it (e.g. "3.2.1"), tables become rows of
+   * cells separated by " | ", and heading styles and numbered clauses make up
+   * the outline. Pages are known when Word recorded its page breaks. Files
+   * whose structure cannot be read fall back to plain text.
+   */
   async processDOCX(buffer) {
+    let document;
     try {
-      const result = await mammoth.extractRawText({ buffer });
-      return result.value;
+      document = readDocx(buffer);
     } catch (error) {
-      throw new Error(`DOCX processing failed: ${error.message}`);
+      logger.warn(`Word document structure could not be read, extracting plain text: ${error.message}`);
+      try {
+        const result = await mammoth.extractRawText({ buffer });
+        return { text: result.value, pageOffsets: null, sections: outlineFromText(result.value), tables: [] };
+      } catch (error) {
+        throw new Error(`DOCX processing failed: ${error.message}`);
+      }
     }
+
+    return this.renderBlocks(document.blocks, document.paginated);
+  }
+
+  /**
+   * Text, outline and tables of a document read as blocks (see
+   * utils/docxStructure). Blocks are separated by blank lines, list labels
+   * stay in front of their paragraphs and table rows become cells separated
+   * by " | ". Page offsets are kept when the blocks know their pages.
+   */
+  renderBlocks(blocks, paginated) {
+    let text = '';
+    const lines = [];
+    const tables = [];
+    const pageOffsets = [];
+    const append = (blockText, page) => {
+      if (text) text += '\n\n';
+      while (page && pageOffsets.length < page) pageOffsets.push(text.length);
+      const offset = text.length;
+      text += blockText;
+      return offset;
+    };
+    const addParagraph = (paragraphText, page, heading = {}) => {
+      const offset = append(paragraphText, page);
+      lines.push({ text: heading.title || paragraphText, offset, page, headingLevel: heading.level || null, number: heading.number || null });
+    };
+
+    blocks.forEach(block => {
+      if (block.type === 'table') {
+        const rows = block.rows
+          .map(row => row.map(cell => cell.replace(/\s+/g, ' ').trim()))
+          .filter(row => row.some(Boolean));
+        // One-row or one-column tables are layout boxes, read as paragraphs
+        if (rows.length < 2 || rows.every(row => row.filter(Boolean).length < 2)) {
+          rows.flat().filter(Boolean).forEach(cell => addParagraph(cell, block.page));
+          return;
+        }
+        const offset = append(rows.map(row => row.join(' | ')).join('\n'), block.page);
+        tables.push({ rows, offset, page: block.page });
+        return;
+      }
+
+      if (!block.text) return;
+      const bullet = block.label === '•';
+      const paragraphText = bullet ? `- ${block.text}` : [block.label, block.text].filter(Boolean).join(' ');
+      // Table of contents entries repeat the headings
+      if (block.style?.startsWith('toc')) {
+        append(paragraphText, block.page);
+        return;
+      }
+      const clause = block.label?.replace(/[.)]$/, '');
+      const numbered = /^\d+(?:\.\d+)*$/.test(clause || '');
+      addParagraph(paragraphText, block.page, block.headingLevel ? {
+        level: block.headingLevel,
+        number: numbered ? clause : null,
+        title: numbered ? block.text : null
+      } : {});
+    });
+
+    const sections = buildSections(findHeadings(lines), text.length);
+    return {
+      text,
+      pageOffsets: paginated ? pageOffsets : null,
+      sections,
+      tables: this.documentTables(tables, sections)
+    };
   }
 
   async processTXT(buffer) {
     return buffer.toString('utf-8');
   }
 
+  /**
+   * Read a PowerPoint deck slide by slide: slide titles are headings, and
+   * each slide is a page.
+   */
+  async processPPTX(buffer) {
+    try {
+      const deck = readPptx(buffer);
+      return { ...this.renderBlocks(deck.blocks, true), slides: deck.slides };
+    } catch (error) {
+      throw new Error(`PPTX processing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read an HTML page (e.g. a procurement portal export) or a Markdown file
+   * with its headings, lists and tables
+   */
+  async processMarkup(buffer, extension) {
+    const source = buffer.toString('utf-8');
+    const { blocks } = extension === 'md' || extension === 'markdown' ? readMarkdown(source) : readHtml(source);
+    return this.renderBlocks(blocks, false);
+  }
+
+  async processRTF(buffer) {
+    try {
+      return rtfToText(buffer.toString('latin1'));
+    } catch (error) {
+      throw new Error(`RTF processing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read an email (.eml or .msg): its headers, then its body, with an HTML
+   * body read like an HTML page. Attachments are listed by name; they are
+   * unpacked as documents of their own (see documentBundleService).
+   */
+  async processEmail(buffer, extension) {
+    let email;
+    try {
+      email = await readEmail(buffer, extension);
+    } catch (error) {
+      throw new Error(`Email processing failed: ${error.message}`);
+    }
+
+    const headers = {
+      subject: email.subject,
+      from: email.from,
+      to: email.to,
+      cc: email.cc,
+      date: email.date,
+      attachments: email.attachments.map(attachment => attachment.fileName)
+    };
+    const headerText = [
+      ['Subject', headers.subject],
+      ['From', headers.from],
+      ['To', headers.to],
+      ['Cc', headers.cc],
+      ['Date', headers.date],
+      ['Attachments', headers.attachments.join(', ')]
+    ].filter(([, value]) => value).map(([name, value]) => `${name}: ${value}`).join('\n');
+
+    const body = email.text?.trim()
+      ? { text: email.text.trim(), sections: outlineFromText(email.text.trim()), tables: [] }
+      : this.renderBlocks(email.html ? readHtml(email.html).blocks : [], false);
+
+    // The body follows the headers, so its outline and tables move with it
+    const shift = headerText.length + 2;
+    return {
+      text: `${headerText}\n\n${body.text}`.trim(),
+      headers,
+      sections: body.sections.map(section => ({ ...section, startOffset: section.startOffset + shift, endOffset: section.endOffset + shift })),
+      tables: body.tables
+    };
+  }
+
+  /**
+   * Parse a CSV file in full: quoted fields, embedded separators and line
+   * breaks. Comma, semicolon and tab separated files are recognised.
+   */
   async processCSV(buffer) {
-    const text = buffer.toString('utf-8');
-    const lines = text.split('\n');
-    const headers = lines[0]?.split(',') || [];
-    
-    let formattedContent = `CSV Data with ${lines.length} rows:\n\n`;
-    formattedContent += `Headers: ${headers.join(', ')}\n\n`;
-    
-    // Include first few rows as sample
-    const sampleRows = lines.slice(1, 6);
-    sampleRows.forEach((row, index) => {
-      formattedContent += `Row ${index + 1}: ${row}\n`;
-    });
+    const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const separator = [',', ';', '\t'].reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
 
-    return formattedContent;
+    const rows = [];
+    try {
+      await new Promise((resolve, reject) => {
+        Readable.from([text])
+          .pipe(csv({ separator, headers: false }))
+          .on('data', (data) => rows.push({ rowNumber: rows.length + 1, values: Object.values(data) }))
+          .on('end', resolve)
+          .on('error', reject);
+      });
+    } catch (error) {
+      throw new Error(`CSV processing failed: ${error.message}`);
+    }
+
+    return this.formatTables([{ name: null, rows }]);
   }
 
+  /**
+   * Read every row of every worksheet. Merged cells take the value of their
+   * top-left cell (repeated down a merged column, once across a merged row)
+   * and formulas their last calculated result.
+   */
   async processExcel(buffer) {
     try {
       const workbook = new ExcelJS.Workbook();
       await workbook.xlsx.load(buffer);
-      let content = '';
 
-      workbook.worksheets.forEach(worksheet => {
-        content += `\n=== Sheet: ${worksheet.name} ===\n`;
-        
-        let rowCount = 0;
-        worksheet.eachRow((row, rowNumber) => {
-          if (rowCount >= 10) return; // Limit to first 10 rows
-          
-          const values = row.values.slice(1); // Remove first empty element
-          content += `Row ${rowNumber}: ${values.join(' | ')}\n`;
-          rowCount++;
+      const sheets = workbook.worksheets.map(worksheet => {
+        const rows = [];
+        worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+          const values = [];
+          row.eachCell({ includeEmpty: true }, (cell, column) => {
+            const merged = cell.isMerged && cell.master !== cell && cell.master.row === cell.row;
+            values[column - 1] = merged ? '' : this.excelCellText(cell);
+          });
+          rows.push({ rowNumber, values });
         });
+        return { name: worksheet.name, rows };
       });
 
-      return content;
+      return this.formatTables(sheets);
     } catch (error) {
       throw new Error(`Excel processing failed: ${error.message}`);
     }
   }
 
-  async extractStructuredData(content, fileType) {
+  excelCellText(cell) {
+    const value = cell.value;
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+      if (value.formula || value.sharedFormula) {
+        const result = value.result;
+        if (result === undefined || result === null) return `=${value.formula || value.sharedFormula}`;
+        if (result instanceof Date) return result.toISOString().slice(0, 10);
+        return typeof result === 'object' ? String(result.error ?? '') : String(result);
+      }
+      if (value.richText) return value.richText.map(part => part.text).join('');
+      if (value.text !== undefined) return String(value.text?.richText ? value.text.richText.map(part => part.text).join('') : value.text);
+      if (value.error) return value.error;
+    }
+    return String(value);
+  }
+
+  /**
+   * Turn parsed rows into text with one line per row, each value labelled
+   * with its column header, e.g. "Row 4: Item: Server | Unit Price: 1200".
+   * The first non-empty row of a table is its header row. Rows are grouped
+   * into row groups for vectorization; rows past the configured limit are
+   * left out and recorded as truncated.
+   */
+  formatTables(sheets) {
+    const maxRows = config.processing.maxTableRows;
+    const tables = [];
+    const rowGroups = [];
+    const truncated = [];
+    let text = '';
+    // Headers, row counts and the first rows of each table, within TABLE_OVERVIEW_WORDS
+    let overview = '';
+    let overviewWords = 0;
+
+    sheets.forEach(({ name, rows }) => {
+      const clean = rows
+        .map(row => ({ rowNumber: row.rowNumber, values: Array.from(row.values, value => String(value ?? '').replace(/\s+/g, ' ').trim()) }))
+        .filter(row => row.values.some(Boolean));
+      if (clean.length === 0) return;
+
+      const [headerRow, ...dataRows] = clean;
+      const kept = dataRows.slice(0, maxRows);
+      const headers = this.tableHeaders(headerRow.values, kept, name !== null);
+      // Columns that are blank throughout the ingested rows are left out
+      const usedHeaders = headers.filter((header, index) => headerRow.values[index] || kept.some(row => row.values[index]));
+      if (dataRows.length > kept.length) {
+        truncated.push({
+          sheet: name,
+          reason: `Only the first ${maxRows} rows are ingested`,
+          totalRows: dataRows.length,
+          includedRows: kept.length,
+          firstOmittedRow: dataRows[kept.length].rowNumber
+        });
+      }
+
+      const heading = `=== ${name !== null ? `Sheet: ${name}` : 'CSV Data'} (${dataRows.length} row${dataRows.length !== 1 ? 's' : ''}) ===\n` +
+        `Columns: ${usedHeaders.join(' | ')}\n`;
+      text += `${text ? '\n' : ''}${heading}`;
+      overview += `${overview ? '\n' : ''}${heading}`;
+      overviewWords += heading.split(/\s+/).length;
+      let sampled = 0;
+
+      const records = [];
+      let group = null;
+      kept.forEach(row => {
+        const values = {};
+        const fields = [];
+        row.values.forEach((value, index) => {
+          if (!value) return;
+          values[headers[index]] = value;
+          fields.push(`${headers[index]}: ${value}`);
+        });
+        records.push({ rowNumber: row.rowNumber, values });
+
+        const line = `Row ${row.rowNumber}: ${fields.join(' | ')}`;
+        const words = line.split(/\s+/).length;
+        if (!group || group.words + words > TABLE_GROUP_WORDS) {
+          group = { sheet: name, startRow: row.rowNumber, endRow: row.rowNumber, startOffset: text.length, endOffset: text.length, words: 0 };
+          rowGroups.push(group);
+        }
+        text += `${line}\n`;
+        if (sampled < TABLE_SAMPLE_ROWS && overviewWords + words <= TABLE_OVERVIEW_WORDS) {
+          overview += `${line}\n`;
+          overviewWords += words;
+          sampled++;
+        }
+        group.endRow = row.rowNumber;
+        group.endOffset = text.length - 1;
+        group.words += words;
+      });
+
+      if (sampled < kept.length) {
+        overview += `... ${kept.length - sampled} more row${kept.length - sampled !== 1 ? 's' : ''} not shown\n`;
+      }
+
+      tables.push({
+        sheet: name,
+        headerRow: headerRow.rowNumber,
+        headers: usedHeaders,
+        rows: dataRows.length,
+        records
+      });
+    });
+
+    return {
+      text,
+      overview,
+      tables,
+      rowGroups: rowGroups.map(({ words, ...group }) => group),
+      truncated
+    };
+  }
+
+  // Header names for every column, unique, with letters (or numbers) for blank ones
+  tableHeaders(headerValues, dataRows, excelColumns) {
+    // A loop rather than a spread, which overflows the call stack on large sheets
+    const width = dataRows.reduce((max, row) => Math.max(max, row.values.length), headerValues.length);
+    const seen = {};
+    return Array.from({ length: width }, (_, index) => {
+      let header = headerValues[index] ||
+        `Column ${excelColumns ? this.columnLetter(index + 1) : index + 1}`;
+      seen[header] = (seen[header] || 0) + 1;
+      if (seen[header] > 1) header = `${header} (${seen[header]})`;
+      return header;
+    });
+  }
+
+  columnLetter(column) {
+    let letters = '';
+    for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+      letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+  }
+
+  async extractStructuredData(content, fileType, outline = null) {
     // Extract key information patterns
     const patterns = {
       requirements: /(?:requirement|must|shall|should|need)[s]?[:\s]([^\n]+)/gi,
@@ -177,7 +816,7 @@ class DocumentProcessor {
     }
 
     // Extract sections based on common RFP structure
-    const sections = this.extractSections(content);
+    const sections = this.extractSections(content, outline);
     
     return {
       ...extracted,
@@ -187,7 +826,34 @@ class DocumentProcessor {
     };
   }
 
-  extractSections(content) {
+  /**
+   * Text of the common RFP sections. With a document outline a section is
+   * found by its heading and runs to the next heading at its level;
+   * otherwise the patterns guess where it ends.
+   */
+  extractSections(content, outline = null) {
+    const sectionNames = ['executive_summary', 'scope', 'technical_requirements', 'timeline', 'evaluation'];
+    const headingPatterns = [
+      /executive summary|overview/i,
+      /scope of work|project scope|statement of work/i,
+      /technical requirements|specifications/i,
+      /timeline|schedule|milestones/i,
+      /evaluation|scoring/i
+    ];
+
+    if (outline?.length > 0) {
+      const sections = {};
+      headingPatterns.forEach((pattern, index) => {
+        const section = outline.find(candidate => pattern.test(candidate.title || ''));
+        if (section) {
+          sections[sectionNames[index]] = content.slice(section.startOffset, section.endOffset).trim();
+        }
+      });
+      if (Object.keys(sections).length > 0) {
+        return sections;
+      }
+    }
+
     const sectionPatterns = [
       /(?:executive summary|overview)[:\s]*([^]*?)(?=\n\s*(?:[A-Z][^:\n]*:|$))/gi,
       /(?:scope of work|project scope)[:\s]*([^]*?)(?=\n\s*(?:[A-Z][^:\n]*:|$))/gi,
@@ -200,7 +866,6 @@ class DocumentProcessor {
     sectionPatterns.forEach((pattern, index) => {
       const matches = [...content.matchAll(pattern)];
       if (matches.length > 0) {
-        const sectionNames = ['executive_summary', 'scope', 'technical_requirements', 'timeline', 'evaluation'];
         sections[sectionNames[index]] = matches[0][1]?.trim();
       }
     });
@@ -245,7 +910,7 @@ class DocumentProcessor {
           };
 
           // Create chunks for GraphRAG processing
-          const chunks = this.createChunks(content);
+          const chunks = this.createChunks(content, metadata);
           
           // Generate embeddings for chunks (using existing RAG service embedding function)
           const embeddings = await this.generateEmbeddings(chunks);
@@ -269,26 +934,29 @@ class DocumentProcessor {
     }
   }
 
-  createChunks(content, chunkSize = 1000, overlap = 200) {
-    const chunks = [];
-    const words = content.split(/\s+/);
-    
-    for (let i = 0; i < words.length; i += chunkSize - overlap) {
-      const chunkWords = words.slice(i, i + chunkSize);
-      const chunkContent = chunkWords.join(' ');
-      
-      chunks.push({
-        content: chunkContent,
-        tokenCount: chunkWords.length,
-        startIndex: i,
-        endIndex: Math.min(i + chunkSize, words.length)
-      });
-      
-      // Break if we've reached the end
-      if (i + chunkSize >= words.length) break;
-    }
-    
-    return chunks;
+  /**
+   * Chunks for the knowledge graph, with word positions, character offsets
+   * and page numbers (when the document metadata has page offsets). Tables
+   * are chunked along their row groups and documents with an outline along
+   * their sections.
+   */
+  createChunks(content, metadata = null, chunkSize = 1000, overlap = 200) {
+    const { pageOffsets = null, rowGroups = null, sections = null } = metadata || {};
+    const chunks = rowGroups?.length
+      ? chunkRowGroups(content, rowGroups, chunkSize, overlap)
+      : sections?.length
+        ? chunkSections(content, sections, chunkSize, overlap, pageOffsets)
+        : chunkWords(content, chunkSize, overlap, pageOffsets);
+    return chunks.map(chunk => ({
+      content: chunk.content,
+      tokenCount: chunk.wordEnd - chunk.wordStart,
+      startIndex: chunk.wordStart,
+      endIndex: chunk.wordEnd,
+      startOffset: chunk.startOffset,
+      endOffset: chunk.endOffset,
+      pageNumber: chunk.pageNumber,
+      section: chunk.section || null
+    }));
   }
 
   async generateEmbeddings(chunks) {
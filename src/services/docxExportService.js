@@ -0,0 +1,197 @@
+const PizZip = require('pizzip');
+const Docxtemplater = require('docxtemplater');
+const answerReviewService = require('./answerReviewService');
+const { buildDefaultProposalTemplate } = require('../templates/defaultProposalDocx');
+const { codedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Placeholders use {{...}}; a loop or condition alone in a paragraph leaves no empty line
+const TEMPLATE_OPTIONS = {
+  delimiters: { start: '{{', end: '}}' },
+  paragraphLoop: true,
+  linebreaks: true,
+  errorLogging: false,
+  // Placeholders without a value render empty instead of "undefined"
+  nullGetter: () => ''
+};
+
+/**
+ * Editable Word proposals rendered from a .docx template.
+ *
+ * Templates are ordinary Word documents with the team's styles, cover page,
+ * headers and footers. Placeholders such as {{projectTitle}} are replaced
+ * (in the body, headers and footers), and loops such as
+ * {{#sections}}...{{/sections}} repeat the paragraphs between them once per
+ * item, keeping their styles. See buildTemplateData for the placeholders.
+ */
+class DocxExportService {
+  /**
+   * Render the proposal for workflow results (with reviewed answers applied).
+   * Without a template buffer the built-in template is used. Pass
+   * options.approvedOnly to leave out answers that are not approved.
+   */
+  generateProposal(results, projectContext = {}, templateBuffer = null, options = {}) {
+    const data = this.buildTemplateData(results, projectContext, options);
+    const document = this.compile(templateBuffer || buildDefaultProposalTemplate());
+
+    try {
+      document.render(data);
+    } catch (error) {
+      throw codedError(`Template could not be filled: ${this.describeTemplateError(error)}`, 'TEMPLATE_RENDER_FAILED');
+    }
+
+    logger.info('DOCX proposal generated', {
+      sections: data.sections.length,
+      questionResponses: data.questionResponses.length,
+      customTemplate: !!templateBuffer
+    });
+    return document.getZip().generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  /**
+   * Check an uploaded template and list its placeholders. Throws
+   * INVALID_TEMPLATE when the file is not a Word document or has unclosed
+   * tags or loops.
+   */
+  inspectTemplate(buffer) {
+    const document = this.compile(buffer);
+    const zip = document.getZip();
+
+    // Tags may be split over several runs, so they are read from the text
+    const placeholders = new Set();
+    zip.file(/^word\/(?:document|header\d*|footer\d*)\.xml$/).forEach(file => {
+      const text = file.asText().replace(/<[^>]+>/g, '');
+      for (const match of text.matchAll(/\{\{\s*([#^]?)\s*([^{}/]+?)\s*\}\}/g)) {
+        placeholders.add(`${match[1]}${match[2]}`);
+      }
+    });
+
+    return { placeholders: [...placeholders] };
+  }
+
+  /**
+   * Values for the template placeholders:
+   * - projectTitle, clientName, deadline, projectDescription, date
+   * - executiveSummary, valueProposition, keyStrengths (loop over text, {{.}})
+   * - sections (loop): sectionId, title, content, status, and subsections (loop: title, content)
+   * - section_<sectionId> and section_<sectionId>_title, e.g. {{section_technical_approach}}
+   * - questionResponses (loop): questionId, category, question, response, confidence
+   * - gaps (loop): area, description, recommendedAction
+   * - hasQuestionResponses and hasGaps, to hide headings of empty parts
+   */
+  buildTemplateData(results, projectContext = {}, options = {}) {
+    const compiled = results.compiledResponse || {};
+    const executiveSummary = compiled.executiveSummary || {};
+
+    const sections = [...(compiled.proposalStructure?.sections || [])]
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map(section => ({
+        sectionId: section.sectionId,
+        title: section.title || '',
+        content: section.content || '',
+        status: section.status || '',
+        subsections: (section.subsections || []).map(subsection => ({
+          title: subsection.title || '',
+          content: subsection.content || ''
+        }))
+      }));
+
+    const sectionFields = {};
+    sections.forEach(section => {
+      if (!section.sectionId) return;
+      const key = `section_${section.sectionId.replace(/[^A-Za-z0-9_]/g, '_')}`;
+      sectionFields[key] = section.content;
+      sectionFields[`${key}_title`] = section.title;
+    });
+
+    const extractedAnswers = options.approvedOnly
+      ? answerReviewService.onlyApproved(results.extractedAnswers)
+      : results.extractedAnswers;
+    const questionResponses = this.questionResponses(results.clarificationQuestions, extractedAnswers, compiled);
+
+    const gaps = (compiled.gapsAndActions?.criticalGaps || []).map(gap => ({
+      area: gap.area || '',
+      description: gap.description || '',
+      recommendedAction: gap.recommendedAction || ''
+    }));
+
+    return {
+      projectTitle: projectContext.title || executiveSummary.projectTitle || 'RFP Response',
+      clientName: projectContext.client || '',
+      deadline: projectContext.deadline || '',
+      projectDescription: projectContext.description || '',
+      date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+      executiveSummary: executiveSummary.companyResponse || '',
+      valueProposition: executiveSummary.valueProposition || '',
+      keyStrengths: executiveSummary.keyStrengths || [],
+      sections,
+      ...sectionFields,
+      questionResponses,
+      hasQuestionResponses: questionResponses.length > 0,
+      gaps,
+      hasGaps: gaps.length > 0
+    };
+  }
+
+  /**
+   * Reviewed answers in question order. Workflows without extracted answers
+   * fall back to the compiled question responses.
+   */
+  questionResponses(clarificationQuestions, extractedAnswers, compiled) {
+    const answers = extractedAnswers?.answeredQuestions;
+    if (!answers) {
+      return (compiled.questionResponses || []).map(response => ({
+        questionId: response.questionId,
+        category: '',
+        question: response.originalQuestion || '',
+        response: response.response || '',
+        confidence: this.formatConfidence(response.confidence)
+      }));
+    }
+
+    const categories = {};
+    Object.entries(clarificationQuestions?.questionCategories || {}).forEach(([category, questions]) => {
+      (questions || []).forEach(question => {
+        categories[question.id] = category;
+      });
+    });
+
+    return answers.map(answer => ({
+      questionId: answer.questionId,
+      category: categories[answer.questionId] || '',
+      question: answer.question || '',
+      response: answer.answer || '',
+      confidence: this.formatConfidence(answer.confidence ?? answer.confidenceScore)
+    }));
+  }
+
+  compile(buffer) {
+    let zip;
+    try {
+      zip = new PizZip(buffer);
+    } catch (error) {
+      throw codedError('The template is not a valid .docx file', 'INVALID_TEMPLATE');
+    }
+    if (!zip.file('word/document.xml')) {
+      throw codedError('The template is not a Word document', 'INVALID_TEMPLATE');
+    }
+
+    try {
+      return new Docxtemplater(zip, TEMPLATE_OPTIONS);
+    } catch (error) {
+      throw codedError(`Template has errors: ${this.describeTemplateError(error)}`, 'INVALID_TEMPLATE');
+    }
+  }
+
+  // Docxtemplater reports every broken tag of a template at once
+  describeTemplateError(error) {
+    const errors = error.properties?.errors || [error];
+    return errors.map(e => e.properties?.explanation || e.message).join('; ');
+  }
+
+  formatConfidence(confidence) {
+    return typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : '';
+  }
+}
+
+module.exports = new DocxExportService();
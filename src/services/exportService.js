@@ -0,0 +1,269 @@
+const ExcelJS = require('exceljs');
+const complianceMatrixService = require('./complianceMatrixService');
+const pdfGenerator = require('./pdfGenerator');
+const logger = require('../utils/logger');
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E79' } };
+
+/**
+ * Workflow result exports for tools outside the app: the whole proposal as
+ * Markdown (e.g. for Confluence) and a multi-sheet Excel workbook with the
+ * requirements, questions, answers, gaps and compliance summary. The
+ * standalone HTML export is the PDF report's HTML.
+ */
+class ExportService {
+  constructor() {
+    this.formats = ['json', 'md', 'html', 'xlsx'];
+  }
+
+  /**
+   * The proposal as one Markdown document
+   */
+  toMarkdown(results, projectContext = {}, complianceMatrix = null) {
+    const compiled = results.compiledResponse || {};
+    const executiveSummary = compiled.executiveSummary || {};
+    const lines = [];
+
+    lines.push(`# ${projectContext.title || executiveSummary.projectTitle || 'RFP Response'}`, '');
+    if (projectContext.client) lines.push(`**Client:** ${projectContext.client}  `);
+    if (projectContext.deadline) lines.push(`**Deadline:** ${projectContext.deadline}  `);
+    lines.push(`**Generated:** ${new Date().toLocaleDateString()}`, '');
+
+    if (executiveSummary.companyResponse) {
+      lines.push('## Executive Summary', '', executiveSummary.companyResponse, '');
+      if (executiveSummary.valueProposition) {
+        lines.push(`**Value proposition:** ${executiveSummary.valueProposition}`, '');
+      }
+      if (executiveSummary.keyStrengths?.length) {
+        lines.push('**Key strengths:**', '', ...executiveSummary.keyStrengths.map(strength => `- ${strength}`), '');
+      }
+    }
+
+    [...(compiled.proposalStructure?.sections || [])]
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .forEach(section => {
+        lines.push(`## ${section.title}`, '');
+        if (section.content) lines.push(section.content, '');
+        (section.subsections || []).forEach(subsection => {
+          lines.push(`### ${subsection.title || 'Untitled'}`, '');
+          if (subsection.content) lines.push(subsection.content, '');
+        });
+      });
+
+    const requirements = this.requirementRows(results.requirementsAnalysis);
+    if (requirements.length > 0) {
+      lines.push('## Requirements', '');
+      lines.push(...this.markdownTable(
+        ['ID', 'Category', 'Requirement', 'Priority', 'Mandatory'],
+        requirements.map(r => [r.id, r.category, r.description, r.priority, r.mandatory ? 'Yes' : 'No'])
+      ), '');
+    }
+
+    const answers = results.extractedAnswers?.answeredQuestions || [];
+    if (answers.length > 0) {
+      lines.push('## Responses to RFP Questions', '');
+      answers.forEach(answer => {
+        lines.push(`### ${answer.question || answer.questionId}`, '', answer.answer || '', '');
+        const sources = this.sourceNames(answer.sources);
+        if (sources) lines.push(`*Sources: ${sources}*`, '');
+      });
+    }
+
+    const gaps = this.gapRows(results);
+    if (gaps.length > 0) {
+      lines.push('## Gaps and Actions', '');
+      lines.push(...this.markdownTable(
+        ['Type', 'Area', 'Description', 'Recommended Action'],
+        gaps.map(gap => [gap.type, gap.area, gap.description, gap.recommendedAction])
+      ), '');
+    }
+
+    if (complianceMatrix?.rows.length) {
+      const summary = complianceMatrix.summary;
+      lines.push('## Compliance Summary', '');
+      lines.push(...this.markdownTable(
+        ['Status', 'Requirements'],
+        [
+          ...complianceMatrixService.statuses.map(status => [complianceMatrixService.statusLabel(status), summary.byStatus[status]]),
+          ['Not assessed', summary.notAssessed],
+          ['Mandatory exceptions', summary.mandatoryExceptions]
+        ]
+      ), '');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * The PDF report as a standalone HTML page (styles are inlined)
+   */
+  async toHtml(workflowId, results, projectContext = {}) {
+    let additionalData = {};
+    try {
+      additionalData = await pdfGenerator.fetchAdditionalWorkflowData(workflowId);
+    } catch (error) {
+      logger.warn('Failed to fetch additional workflow data for HTML export:', error.message);
+    }
+
+    return await pdfGenerator.generateHTMLContent(results, projectContext, additionalData);
+  }
+
+  /**
+   * Workbook with Requirements, Questions, Answers, Gaps and Compliance
+   * Summary sheets
+   */
+  async toXlsx(results, projectContext = {}, complianceMatrix = null) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'RFP Automation';
+    workbook.created = new Date();
+    workbook.title = projectContext.title || 'RFP Analysis';
+
+    this.addSheet(workbook, 'Requirements', [
+      { header: 'Requirement ID', key: 'id', width: 16 },
+      { header: 'Category', key: 'category', width: 12 },
+      { header: 'Requirement', key: 'description', width: 70 },
+      { header: 'Priority', key: 'priority', width: 10 },
+      { header: 'Mandatory', key: 'mandatory', width: 11 },
+      { header: 'Standard', key: 'standard', width: 16 },
+      { header: 'Source Document', key: 'sourceDocument', width: 24 },
+      { header: 'Section', key: 'section', width: 12 }
+    ], this.requirementRows(results.requirementsAnalysis).map(r => ({ ...r, mandatory: r.mandatory ? 'Yes' : 'No' })));
+
+    const questions = [];
+    Object.entries(results.clarificationQuestions?.questionCategories || {}).forEach(([category, list]) => {
+      (list || []).forEach(question => {
+        questions.push({
+          id: question.id,
+          category,
+          question: question.question,
+          priority: question.priority,
+          rationale: question.rationale,
+          section: question.section || null,
+          relatedRequirements: (question.relatedRequirements || []).join(', ')
+        });
+      });
+    });
+    this.addSheet(workbook, 'Questions', [
+      { header: 'Question ID', key: 'id', width: 16 },
+      { header: 'Category', key: 'category', width: 14 },
+      { header: 'Question', key: 'question', width: 70 },
+      { header: 'Priority', key: 'priority', width: 10 },
+      { header: 'Rationale', key: 'rationale', width: 40 },
+      { header: 'RFP Section', key: 'section', width: 24 },
+      { header: 'Related Requirements', key: 'relatedRequirements', width: 22 }
+    ], questions);
+
+    this.addSheet(workbook, 'Answers', [
+      { header: 'Question ID', key: 'questionId', width: 16 },
+      { header: 'Question', key: 'question', width: 50 },
+      { header: 'Answer', key: 'answer', width: 80 },
+      { header: 'Confidence', key: 'confidence', width: 12 },
+      { header: 'Review Status', key: 'reviewStatus', width: 14 },
+      { header: 'Sources', key: 'sources', width: 30 }
+    ], (results.extractedAnswers?.answeredQuestions || []).map(answer => ({
+      questionId: answer.questionId,
+      question: answer.question,
+      answer: answer.answer,
+      confidence: typeof (answer.confidence ?? answer.confidenceScore) === 'number'
+        ? Math.round((answer.confidence ?? answer.confidenceScore) * 100) / 100
+        : null,
+      reviewStatus: answer.reviewStatus || null,
+      sources: this.sourceNames(answer.sources)
+    })));
+
+    this.addSheet(workbook, 'Gaps', [
+      { header: 'Type', key: 'type', width: 20 },
+      { header: 'Area', key: 'area', width: 24 },
+      { header: 'Description', key: 'description', width: 70 },
+      { header: 'Impact', key: 'impact', width: 10 },
+      { header: 'Recommended Action', key: 'recommendedAction', width: 50 }
+    ], this.gapRows(results));
+
+    const summary = complianceMatrix?.summary;
+    this.addSheet(workbook, 'Compliance Summary', [
+      { header: 'Compliance', key: 'label', width: 30 },
+      { header: 'Requirements', key: 'value', width: 14 }
+    ], summary ? [
+      { label: 'Requirements', value: summary.total },
+      { label: 'Mandatory', value: summary.mandatory },
+      ...complianceMatrixService.statuses.map(status => ({
+        label: complianceMatrixService.statusLabel(status),
+        value: summary.byStatus[status]
+      })),
+      { label: 'Not assessed', value: summary.notAssessed },
+      { label: 'Mandatory exceptions', value: summary.mandatoryExceptions }
+    ] : [{ label: 'No compliance matrix built', value: null }]);
+
+    logger.info('Workflow XLSX export built', { sheets: workbook.worksheets.length, questions: questions.length });
+    return await workbook.xlsx.writeBuffer();
+  }
+
+  addSheet(workbook, name, columns, rows) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns;
+    sheet.addRows(rows);
+
+    sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    sheet.getRow(1).fill = HEADER_FILL;
+    sheet.eachRow(row => {
+      row.alignment = { vertical: 'top', wrapText: true };
+    });
+    return sheet;
+  }
+
+  requirementRows(requirementsAnalysis) {
+    const rows = [];
+    Object.entries(requirementsAnalysis?.requirements || {}).forEach(([category, requirements]) => {
+      if (!Array.isArray(requirements)) return;
+      requirements.forEach((requirement, index) => {
+        rows.push({
+          id: requirement.id || `${category}_req_${index + 1}`,
+          category,
+          description: requirement.description || requirement.text || String(requirement),
+          priority: requirement.priority || null,
+          mandatory: !!requirement.mandatory,
+          standard: requirement.standard || null,
+          sourceDocument: requirement.sourceDocument || null,
+          section: requirement.section || null
+        });
+      });
+    });
+    return rows;
+  }
+
+  // Unanswered questions and the compiled response's critical gaps
+  gapRows(results) {
+    const unanswered = (results.extractedAnswers?.unansweredQuestions || []).map(question => ({
+      type: 'Unanswered question',
+      area: question.questionId,
+      description: question.question,
+      impact: null,
+      recommendedAction: question.reason || null
+    }));
+    const critical = (results.compiledResponse?.gapsAndActions?.criticalGaps || []).map(gap => ({
+      type: 'Critical gap',
+      area: gap.area,
+      description: gap.description,
+      impact: gap.impact || null,
+      recommendedAction: gap.recommendedAction || null
+    }));
+    return [...critical, ...unanswered];
+  }
+
+  sourceNames(sources) {
+    return [...new Set((sources || [])
+      .map(source => (typeof source === 'string' ? source : source.documentName || source.fileName || source.source))
+      .filter(Boolean))].join(', ');
+  }
+
+  markdownTable(headers, rows) {
+    const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    return [
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ];
+  }
+}
+
+module.exports = new ExportService();
@@ -12,6 +12,12 @@ class GeminiService {
     
     // Use the configured model or fall back to available models
     this.modelName = config.google.geminiModelId;
+    this.fallbackModels = [
+      'models/gemini-2.5-flash',
+      'models/gemini-flash-latest',
+      'models/gemini-2.5-flash-lite',
+      'models/gemini-pro-latest'
+    ];
     
     this.model = this.genAI.getGenerativeModel({ 
       model: this.modelName,
@@ -36,45 +42,7 @@ class GeminiService {
       });
 
       const startTime = Date.now();
-      
-      // Try different models if the current one fails
-      let result;
-      const modelsToTry = [
-        'models/gemini-2.5-flash',
-        'models/gemini-flash-latest',
-        'models/gemini-2.5-flash-lite',
-        'models/gemini-pro-latest'
-      ];
-      
-      for (const modelName of modelsToTry) {
-        try {
-          const model = this.genAI.getGenerativeModel({ 
-            model: modelName,
-            generationConfig: {
-              temperature: 0.1,
-              topK: 40,
-              topP: 0.95,
-              maxOutputTokens: 16384, // Increased for detailed NotebookLM-style output
-            }
-          });
-          
-          result = await model.generateContent(prompt);
-          this.modelName = modelName; // Update successful model
-          logger.info(`Successfully used model: ${modelName}`);
-          break;
-        } catch (modelError) {
-          logger.warn(`Model ${modelName} failed: ${modelError.message}`);
-          continue;
-        }
-      }
-      
-      if (!result) {
-        throw new Error('All Gemini models failed');
-      }
-      
-      const response = await result.response;
-      const text = response.text();
-      
+      const { text } = await this.complete(prompt, { maxTokens: 16384 });
       const endTime = Date.now();
       
       logger.info('Gemini mindmap generation completed', {
@@ -104,27 +72,16 @@ class GeminiService {
 
   async generateContent(prompt, options = {}) {
     try {
-      const generationConfig = {
-        temperature: options.temperature || 0.1,
-        topK: options.topK || 40,
-        topP: options.topP || 0.95,
-        maxOutputTokens: options.maxOutputTokens || 4096,
-      };
-
-      const model = this.genAI.getGenerativeModel({ 
-        model: config.google.geminiModelId,
-        generationConfig
-      });
-
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      
-      logger.info('Gemini content generated successfully', {
+      const { text } = await this.complete(prompt, {
         modelId: config.google.geminiModelId,
-        responseLength: response.text().length
+        maxTokens: options.maxOutputTokens || 4096,
+        temperature: options.temperature,
+        topK: options.topK,
+        topP: options.topP,
+        fallback: false
       });
 
-      return response.text();
+      return text;
       
     } catch (error) {
       logger.error('Error generating content with Gemini:', error);
@@ -132,6 +89,94 @@ class GeminiService {
     }
   }
 
+  /**
+   * Generate content and return the text together with token usage.
+   * This is the provider interface used by llmService. Unless a model is
+   * pinned with `fallback: false`, the known-good Gemini models are tried
+   * in order until one succeeds.
+   */
+  async complete(prompt, options = {}) {
+    const {
+      modelId = null,
+      maxTokens = 4096,
+      temperature = 0.1,
+      topK = 40,
+      topP = 0.95,
+      fallback = true
+    } = options;
+
+    const modelsToTry = [modelId || this.modelName];
+    if (fallback) {
+      this.fallbackModels.forEach(name => {
+        if (!modelsToTry.includes(name)) modelsToTry.push(name);
+      });
+    }
+
+    let result;
+    let usedModel;
+    let lastError;
+    let throttledError;
+
+    for (const modelName of modelsToTry) {
+      try {
+        const model = this.genAI.getGenerativeModel({ 
+          model: modelName,
+          generationConfig: {
+            temperature,
+            topK,
+            topP,
+            maxOutputTokens: maxTokens
+          }
+        });
+        
+        result = await model.generateContent(prompt);
+        usedModel = modelName;
+        break;
+      } catch (modelError) {
+        lastError = modelError;
+        if (modelError.status === 429) {
+          throttledError = modelError;
+        }
+        logger.warn(`Model ${modelName} failed: ${modelError.message}`);
+      }
+    }
+    
+    if (!result) {
+      const error = new Error(modelsToTry.length > 1
+        ? `All Gemini models failed: ${(throttledError || lastError).message}`
+        : lastError.message);
+      // Marked so llmService backs off and retries once the quota allows
+      if (throttledError) {
+        error.code = 'THROTTLED';
+      }
+      throw error;
+    }
+
+    if (!modelId) {
+      this.modelName = usedModel; // Remember the model that worked
+    }
+
+    const response = await result.response;
+    const text = response.text();
+    const usageMetadata = response.usageMetadata || {};
+
+    logger.info('Gemini content generated successfully', {
+      modelId: usedModel,
+      responseLength: text.length,
+      inputTokens: usageMetadata.promptTokenCount,
+      outputTokens: usageMetadata.candidatesTokenCount
+    });
+
+    return {
+      text,
+      modelId: usedModel,
+      usage: {
+        inputTokens: usageMetadata.promptTokenCount || 0,
+        outputTokens: usageMetadata.candidatesTokenCount || 0
+      }
+    };
+  }
+
   getModelInfo() {
     return {
       provider: 'Google',
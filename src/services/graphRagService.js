@@ -86,10 +86,13 @@ class GraphRAGService {
         logger.warn('Vector search failed:', error);
       }
 
-      // 2. Graph search using Neo4j (if enabled)
+      // 2. Graph search using Neo4j (if enabled), including the knowledge base subgraph
       if (this.neo4jEnabled) {
         try {
           graphResults = await neo4jGraphService.hybridSearch(query, workflowId, intLimit);
+          if (config.knowledgeBase.enabled && workflowId !== config.knowledgeBase.id) {
+            graphResults.push(...await neo4jGraphService.hybridSearch(query, config.knowledgeBase.id, intLimit));
+          }
         } catch (error) {
           logger.warn('Graph search failed:', error);
         }
@@ -0,0 +1,419 @@
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const dataService = require('./workflowDataService');
+const { codedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Persistent SQLite job queue for workflow execution.
+ *
+ * Jobs are claimed in priority order by a bounded number of local workers.
+ * Running jobs heartbeat; a job whose heartbeat goes stale (the process died)
+ * is put back in the queue and its handler is told it is resuming, so the
+ * workflow continues from its last completed step instead of staying 'running'.
+ */
+class JobQueue {
+  constructor() {
+    this.db = null;
+    this.handlers = new Map();
+    this.abandonedListener = null;
+    this.active = new Map(); // jobId -> job running in this process
+    this.waiters = new Map(); // jobId -> { resolve, reject }
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.polling = false;
+  }
+
+  async initialize() {
+    if (this.db) return this.db;
+
+    try {
+      const dbPath = path.resolve(config.jobs.dbPath);
+      await fs.mkdir(path.dirname(dbPath), { recursive: true });
+
+      this.db = await open({
+        filename: dbPath,
+        driver: sqlite3.Database
+      });
+      await this.db.exec('PRAGMA journal_mode = WAL');
+
+      const schema = await fs.readFile(path.join(process.cwd(), 'src/database/jobs-schema.sql'), 'utf8');
+      await this.db.exec(schema);
+
+      logger.info('Job queue initialized', { path: dbPath, workerId: this.workerId });
+      return this.db;
+    } catch (error) {
+      logger.error('Failed to initialize job queue:', error);
+      throw new Error(`Job queue initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register the function that executes jobs of a type. It receives the job
+   * ({ id, workflowId, type, payload, attempts, resumed }) and its return value
+   * resolves waitForJob().
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Register the function told about workflows failed because their job was
+   * given up on after its worker died too many times. It receives the job
+   * and the error message.
+   */
+  onJobAbandoned(listener) {
+    this.abandonedListener = listener;
+  }
+
+  /**
+   * Recover jobs left behind by dead workers and start claiming work
+   */
+  async start() {
+    await this.initialize();
+    await this.requeueStaleJobs();
+
+    this.pollTimer = setInterval(() => this.poll(), config.jobs.pollInterval);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), config.jobs.heartbeatInterval);
+
+    logger.info('Job queue started', {
+      concurrency: config.jobs.concurrency,
+      batchConcurrency: config.jobs.batchConcurrency
+    });
+
+    this.poll();
+  }
+
+  /**
+   * Stop claiming work. Jobs still running here are released so the next
+   * worker resumes them immediately rather than waiting for them to go stale.
+   * A release does not count as an attempt.
+   */
+  async stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+
+    if (!this.db) return;
+
+    try {
+      if (this.active.size > 0) {
+        await this.db.run(`
+          UPDATE jobs SET status = 'queued', worker_id = NULL, attempts = MAX(attempts - 1, 0), updated_at = ?
+          WHERE status = 'running' AND worker_id = ?
+        `, [new Date().toISOString(), this.workerId]);
+        logger.info('Released running jobs for resume', { count: this.active.size });
+      }
+
+      await this.db.close();
+      this.db = null;
+    } catch (error) {
+      logger.error('Error stopping job queue:', error);
+    }
+  }
+
+  /**
+   * Add a job. Rejects with code JOB_ACTIVE when the workflow already has a
+   * queued or running job. A running job whose worker died still counts until
+   * requeueStaleJobs has put it back in the queue or failed it.
+   * @param {object} options - { priority: 'interactive' | 'batch' | number, maxAttempts }
+   */
+  async enqueue(type, workflowId, payload = {}, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const job = {
+      id: uuidv4(),
+      workflowId,
+      type,
+      priority: this.resolvePriority(options.priority),
+      maxAttempts: options.maxAttempts || config.jobs.maxAttempts
+    };
+    const now = new Date().toISOString();
+
+    // One statement, so two requests for the same workflow cannot both queue a job
+    const result = await this.db.run(`
+      INSERT INTO jobs (id, workflow_id, type, payload, priority, max_attempts, created_at, updated_at)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE NOT EXISTS (
+        SELECT 1 FROM jobs
+        WHERE workflow_id = ? AND status IN ('queued', 'running')
+      )
+    `, [job.id, workflowId, type, JSON.stringify(payload), job.priority, job.maxAttempts, now, now, workflowId]);
+    if (result.changes === 0) {
+      throw codedError(`Workflow ${workflowId} already has an active job`, 'JOB_ACTIVE');
+    }
+
+    logger.info('Job queued', { jobId: job.id, workflowId, type, priority: job.priority });
+
+    setImmediate(() => this.poll());
+    return job;
+  }
+
+  /**
+   * Resolve with the handler result once a job queued by this process finishes
+   */
+  waitForJob(jobId) {
+    return new Promise((resolve, reject) => {
+      this.waiters.set(jobId, { resolve, reject });
+    });
+  }
+
+  resolvePriority(priority) {
+    if (priority && config.jobs.priorities[priority] !== undefined) {
+      return config.jobs.priorities[priority];
+    }
+    // Form fields arrive as strings
+    if (priority !== undefined && priority !== null && priority !== '' && Number.isFinite(Number(priority))) {
+      return Number(priority);
+    }
+    return config.jobs.priorities.interactive;
+  }
+
+  isBatch(job) {
+    return job.priority < config.jobs.priorities.interactive;
+  }
+
+  /**
+   * Claim and start jobs until the concurrency limits are reached. Batch jobs
+   * never take every slot, so interactive workflows are not stuck behind them.
+   */
+  async poll() {
+    if (this.polling || !this.db || !this.pollTimer) return;
+    this.polling = true;
+
+    try {
+      await this.requeueStaleJobs();
+
+      while (this.active.size < config.jobs.concurrency) {
+        const runningBatch = Array.from(this.active.values()).filter(job => this.isBatch(job)).length;
+        const batchAllowed = runningBatch < Math.min(config.jobs.batchConcurrency, config.jobs.concurrency - 1 || 1);
+
+        const job = await this.claimNext(batchAllowed);
+        if (!job) break;
+
+        this.run(job);
+      }
+    } catch (error) {
+      logger.error('Job queue poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async claimNext(batchAllowed) {
+    const candidate = await this.db.get(`
+      SELECT * FROM jobs
+      WHERE status = 'queued' ${batchAllowed ? '' : 'AND priority >= ?'}
+      ORDER BY priority DESC, created_at ASC
+      LIMIT 1
+    `, batchAllowed ? [] : [config.jobs.priorities.interactive]);
+
+    if (!candidate) return null;
+
+    const now = new Date().toISOString();
+    const result = await this.db.run(`
+      UPDATE jobs
+      SET status = 'running', worker_id = ?, heartbeat_at = ?, attempts = attempts + 1,
+          started_at = COALESCE(started_at, ?), updated_at = ?
+      WHERE id = ? AND status = 'queued'
+    `, [this.workerId, now, now, now, candidate.id]);
+
+    // Another worker claimed it first
+    if (result.changes !== 1) return null;
+
+    return this.toJob({ ...candidate, attempts: candidate.attempts + 1 });
+  }
+
+  async run(job) {
+    this.active.set(job.id, job);
+    logger.info('Job started', { jobId: job.id, workflowId: job.workflowId, type: job.type, attempt: job.attempts, resumed: job.resumed });
+
+    try {
+      const result = await this.handlers.get(job.type)(job);
+      await this.finish(job, 'completed');
+      this.waiters.get(job.id)?.resolve(result);
+    } catch (error) {
+      // Handlers own workflow-level retries; a thrown error fails the job for good
+      logger.error('Job failed', { jobId: job.id, workflowId: job.workflowId, error: error.message });
+      await this.finish(job, 'failed', error.message);
+      this.waiters.get(job.id)?.reject(error);
+    } finally {
+      this.active.delete(job.id);
+      this.waiters.delete(job.id);
+      setImmediate(() => this.poll());
+    }
+  }
+
+  async finish(job, status, errorMessage = null) {
+    if (!this.db) return;
+
+    try {
+      const now = new Date().toISOString();
+      await this.db.run(`
+        UPDATE jobs SET status = ?, last_error = ?, completed_at = ?, updated_at = ?
+        WHERE id = ? AND worker_id = ?
+      `, [status, errorMessage, now, now, job.id, this.workerId]);
+    } catch (error) {
+      logger.error('Failed to record job completion', { jobId: job.id, error: error.message });
+    }
+  }
+
+  async heartbeat() {
+    if (!this.db || this.active.size === 0) return;
+
+    try {
+      const ids = Array.from(this.active.keys());
+      await this.db.run(`
+        UPDATE jobs SET heartbeat_at = ?
+        WHERE worker_id = ? AND status = 'running' AND id IN (${ids.map(() => '?').join(', ')})
+      `, [new Date().toISOString(), this.workerId, ...ids]);
+    } catch (error) {
+      logger.error('Job heartbeat failed:', error);
+    }
+  }
+
+  /**
+   * Put jobs of dead workers back in the queue, or fail them once they have
+   * used up their attempts. Jobs running here are never stale: parsing a large
+   * file can block the event loop past a heartbeat, so they heartbeat first
+   * and are left out of the sweep.
+   */
+  async requeueStaleJobs() {
+    await this.heartbeat();
+
+    const activeIds = Array.from(this.active.keys());
+    const cutoff = new Date(Date.now() - config.jobs.staleAfter).toISOString();
+    const staleJobs = await this.db.all(`
+      SELECT * FROM jobs
+      WHERE status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < ?)
+        AND id NOT IN (${activeIds.map(() => '?').join(', ')})
+    `, [cutoff, ...activeIds]);
+
+    for (const job of staleJobs) {
+      const now = new Date().toISOString();
+
+      if (job.attempts >= job.max_attempts) {
+        const errorMessage = 'Worker stopped responding too many times';
+        const result = await this.db.run(`
+          UPDATE jobs SET status = 'failed', last_error = ?, completed_at = ?, updated_at = ?
+          WHERE id = ? AND status = 'running'
+        `, [errorMessage, now, now, job.id]);
+        // Only the worker that abandons the job fails its workflow
+        if (result.changes === 1) {
+          logger.error('Job abandoned after repeated worker failures', { jobId: job.id, workflowId: job.workflow_id, attempts: job.attempts });
+          await this.failAbandonedWorkflow(this.toJob(job), errorMessage);
+        }
+        continue;
+      }
+
+      logger.warn('Requeueing job from unresponsive worker', { jobId: job.id, workflowId: job.workflow_id, workerId: job.worker_id });
+      await this.db.run(`
+        UPDATE jobs SET status = 'queued', worker_id = NULL, updated_at = ?
+        WHERE id = ? AND status = 'running'
+      `, [now, job.id]);
+    }
+  }
+
+  /**
+   * A workflow left 'running' by an abandoned job would never finish, so it
+   * is marked failed. Jobs that do not run the pipeline, such as addenda,
+   * leave the workflow status as it was.
+   */
+  async failAbandonedWorkflow(job, errorMessage) {
+    try {
+      const workflow = await dataService.getWorkflow(job.workflowId);
+      if (workflow?.status !== 'running') return;
+
+      await dataService.updateWorkflowStatus(job.workflowId, 'failed', errorMessage);
+      this.abandonedListener?.(job, errorMessage);
+    } catch (error) {
+      logger.error('Failed to mark workflow of abandoned job as failed', { jobId: job.id, workflowId: job.workflowId, error: error.message });
+    }
+  }
+
+  /**
+   * The queued job for a workflow, or its running job if the worker is alive
+   */
+  async getActiveJob(workflowId, excludeJobId = null) {
+    if (!this.db) return null;
+
+    const cutoff = new Date(Date.now() - config.jobs.staleAfter).toISOString();
+    const job = await this.db.get(`
+      SELECT * FROM jobs
+      WHERE workflow_id = ? AND id != ?
+        AND (status = 'queued' OR (status = 'running' AND heartbeat_at >= ?))
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [workflowId, excludeJobId || '', cutoff]);
+
+    return job ? this.toJob(job) : null;
+  }
+
+  async getActiveWorkflowIds() {
+    if (!this.db) return [];
+
+    const cutoff = new Date(Date.now() - config.jobs.staleAfter).toISOString();
+    const rows = await this.db.all(`
+      SELECT DISTINCT workflow_id FROM jobs
+      WHERE status = 'queued' OR (status = 'running' AND heartbeat_at >= ?)
+    `, [cutoff]);
+
+    return rows.map(row => row.workflow_id);
+  }
+
+  async getJobs(limit = 50, status = null) {
+    if (!this.db) return [];
+
+    const rows = status
+      ? await this.db.all('SELECT * FROM jobs WHERE status = ? ORDER BY created_at DESC LIMIT ?', [status, limit])
+      : await this.db.all('SELECT * FROM jobs ORDER BY created_at DESC LIMIT ?', [limit]);
+
+    return rows.map(row => this.toJob(row));
+  }
+
+  async getStats() {
+    const counts = this.db
+      ? await this.db.all('SELECT status, COUNT(*) AS count FROM jobs GROUP BY status')
+      : [];
+
+    return {
+      workerId: this.workerId,
+      running: this.active.size,
+      concurrency: config.jobs.concurrency,
+      batchConcurrency: config.jobs.batchConcurrency,
+      byStatus: Object.fromEntries(counts.map(row => [row.status, row.count]))
+    };
+  }
+
+  toJob(row) {
+    return {
+      id: row.id,
+      workflowId: row.workflow_id,
+      type: row.type,
+      payload: JSON.parse(row.payload || '{}'),
+      status: row.status,
+      priority: row.priority,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      // A second attempt means the previous worker died partway through
+      resumed: row.attempts > 1,
+      workerId: row.worker_id,
+      heartbeatAt: row.heartbeat_at,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,355 @@
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { codedError } = require('../utils/errors');
+const { normalizeTags } = require('../utils/tags');
+const logger = require('../utils/logger');
+
+/**
+ * Company knowledge base shared by all workflows.
+ *
+ * Capability statements, certifications and other company documents are
+ * uploaded once and kept in their own vector index (and Neo4j subgraph when
+ * the graph is enabled). Every workflow's vector service searches this index
+ * next to its own documents, so answer extraction uses it automatically.
+ *
+ * Uploading a document with the same file name, or to an existing document's
+ * versions, adds a new version. Only the newest version is indexed; older
+ * versions are kept as files for reference.
+ */
+class KnowledgeBaseService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (this.db) return this.db;
+
+    try {
+      const dbPath = path.resolve(config.knowledgeBase.dbPath);
+      await fs.mkdir(path.dirname(dbPath), { recursive: true });
+      await fs.mkdir(path.resolve(config.knowledgeBase.storageDir), { recursive: true });
+
+      this.db = await open({
+        filename: dbPath,
+        driver: sqlite3.Database
+      });
+      await this.db.exec('PRAGMA journal_mode = WAL');
+
+      const schema = await fs.readFile(path.join(process.cwd(), 'src/database/knowledge-schema.sql'), 'utf8');
+      await this.db.exec(schema);
+
+      logger.info('Knowledge base initialized', { path: dbPath });
+      return this.db;
+    } catch (error) {
+      logger.error('Failed to initialize knowledge base:', error);
+      throw new Error(`Knowledge base initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * List documents, newest first. Filters: search (title, file name or
+   * description), tag, and includeSuperseded for older versions.
+   */
+  async listDocuments({ search, tag, includeSuperseded = false } = {}) {
+    await this.initialize();
+
+    const where = [];
+    const params = [];
+    if (!includeSuperseded) {
+      where.push("status = 'active'");
+    }
+    if (search) {
+      where.push('(title LIKE ? OR file_name LIKE ? OR description LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    const rows = await this.db.all(`
+      SELECT * FROM kb_documents
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, version DESC
+    `, params);
+
+    const documents = rows.map(row => this.formatDocument(row));
+    return tag ? documents.filter(document => document.tags.includes(tag)) : documents;
+  }
+
+  async getDocument(id) {
+    await this.initialize();
+    const row = await this.db.get('SELECT * FROM kb_documents WHERE id = ?', [id]);
+    return row ? this.formatDocument(row) : null;
+  }
+
+  /**
+   * Stored file of one version, for downloads
+   */
+  async getDocumentFile(id) {
+    await this.initialize();
+    const row = await this.db.get('SELECT file_path, file_name FROM kb_documents WHERE id = ?', [id]);
+    return row ? { filePath: path.resolve(row.file_path), fileName: row.file_name } : null;
+  }
+
+  /**
+   * All versions of a document, newest first
+   */
+  async getVersions(documentKey) {
+    await this.initialize();
+    const rows = await this.db.all(
+      'SELECT * FROM kb_documents WHERE document_key = ? ORDER BY version DESC',
+      [documentKey]
+    );
+    return rows.map(row => this.formatDocument(row));
+  }
+
+  /**
+   * Add an uploaded file (a multer file) to the knowledge base. Pass
+   * replaces with a document id to upload a new version of that document;
+   * otherwise a document with the same file name gets a new version.
+   * Uploading the same content as the current version changes nothing.
+   */
+  async addDocument(file, { title, description, tags, uploadedBy, replaces } = {}) {
+    await this.initialize();
+
+    const documentProcessor = require('./documentProcessor');
+    const validation = documentProcessor.validateDocument(file.path, file.originalname);
+    if (!validation.valid) {
+      throw codedError(validation.error, 'INVALID_KB_DOCUMENT');
+    }
+
+    let documentKey = file.originalname.toLowerCase();
+    if (replaces) {
+      const replaced = await this.getDocument(replaces);
+      if (!replaced) {
+        throw codedError('Knowledge base document not found', 'KB_DOCUMENT_NOT_FOUND');
+      }
+      documentKey = replaced.documentKey;
+    }
+
+    const processed = await documentProcessor.processDocument(file.path, file.originalname, null, { vectorize: false });
+    if (!processed.content?.trim()) {
+      throw codedError('No text could be extracted from the document', 'INVALID_KB_DOCUMENT');
+    }
+
+    const contentHash = crypto.createHash('sha256').update(processed.content).digest('hex');
+    const current = await this.db.get(
+      "SELECT * FROM kb_documents WHERE document_key = ? AND status = 'active'",
+      [documentKey]
+    );
+
+    if (current && current.content_hash === contentHash) {
+      await fs.unlink(file.path).catch(() => {});
+      logger.info('Knowledge base document unchanged, keeping current version', { id: current.id });
+      return { document: this.formatDocument(current), unchanged: true };
+    }
+
+    const index = await this.getIndex();
+    const id = uuidv4();
+    const { max } = await this.db.get(
+      'SELECT MAX(version) as max FROM kb_documents WHERE document_key = ?',
+      [documentKey]
+    );
+    const version = (max || 0) + 1;
+    const documentTitle = title?.trim() || current?.title || path.basename(file.originalname, path.extname(file.originalname));
+
+    // Keep the upload with the knowledge base instead of the shared uploads folder
+    const filePath = path.join(config.knowledgeBase.storageDir, `${id}${path.extname(file.originalname).toLowerCase()}`);
+    await fs.copyFile(file.path, filePath);
+    await fs.unlink(file.path).catch(() => {});
+
+    const metadata = {
+      ...processed.metadata,
+      fileId: null, // the upload was moved; knowledge base citations link to the download route
+      documentName: documentTitle,
+      knowledgeBase: true,
+      knowledgeBaseDocumentId: id,
+      version
+    };
+    const vectorized = await index.vectorizeDocument(id, processed.content, metadata);
+    if (!vectorized) {
+      await fs.unlink(filePath).catch(() => {});
+      throw codedError('Failed to index the document', 'KNOWLEDGE_BASE_UNAVAILABLE');
+    }
+
+    const graphDocumentId = await this.addToGraph(documentTitle, processed.content, metadata);
+
+    await this.db.run(`
+      INSERT INTO kb_documents (
+        id, document_key, version, title, file_name, file_path, file_type, file_size,
+        content_hash, description, tags, uploaded_by, chunk_count, graph_document_id, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      documentKey,
+      version,
+      documentTitle,
+      file.originalname,
+      filePath,
+      processed.metadata.fileType,
+      processed.metadata.size,
+      contentHash,
+      description ?? current?.description ?? null,
+      JSON.stringify(tags !== undefined ? normalizeTags(tags) : this.parseTags(current?.tags)),
+      uploadedBy || null,
+      index.documents.get(id)?.chunks.length || 0,
+      graphDocumentId,
+      new Date().toISOString()
+    ]);
+
+    if (current) {
+      await this.db.run(
+        "UPDATE kb_documents SET status = 'superseded', superseded_at = ? WHERE id = ?",
+        [new Date().toISOString(), current.id]
+      );
+      await this.removeFromIndexes(current);
+    }
+
+    logger.info('Knowledge base document added', { id, documentKey, version });
+    return { document: await this.getDocument(id), unchanged: false };
+  }
+
+  /**
+   * Delete a document with all of its versions
+   */
+  async deleteDocument(id) {
+    await this.initialize();
+
+    const document = await this.db.get('SELECT * FROM kb_documents WHERE id = ?', [id]);
+    if (!document) {
+      return null;
+    }
+
+    const versions = await this.db.all('SELECT * FROM kb_documents WHERE document_key = ?', [document.document_key]);
+    for (const version of versions) {
+      await this.removeFromIndexes(version);
+      await fs.unlink(version.file_path).catch(() => {});
+    }
+    await this.db.run('DELETE FROM kb_documents WHERE document_key = ?', [document.document_key]);
+
+    logger.info('Knowledge base document deleted', { id, versions: versions.length });
+    return { deleted: versions.length };
+  }
+
+  /**
+   * Search the knowledge base on its own, e.g. to check what workflows will find
+   */
+  async search(query, limit = 5) {
+    const index = await this.getIndex();
+    return await index.searchSimilarContent(query, limit);
+  }
+
+  async getStats() {
+    await this.initialize();
+    const counts = await this.db.get(`
+      SELECT
+        SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as documents,
+        SUM(CASE WHEN status = 'superseded' THEN 1 ELSE 0 END) as supersededVersions,
+        SUM(CASE WHEN status = 'active' THEN chunk_count ELSE 0 END) as chunks
+      FROM kb_documents
+    `);
+
+    return {
+      enabled: config.knowledgeBase.enabled,
+      documents: counts.documents || 0,
+      supersededVersions: counts.supersededVersions || 0,
+      chunks: counts.chunks || 0
+    };
+  }
+
+  // The knowledge base index is a vector service like a workflow's, under its own id
+  async getIndex() {
+    const dataService = require('./workflowDataService');
+    if (!dataService.vectorManager.initialized) {
+      await dataService.initialize();
+    }
+    if (!dataService.vectorManager.initialized) {
+      throw codedError('Embedding model is not available', 'KNOWLEDGE_BASE_UNAVAILABLE');
+    }
+    return await dataService.vectorManager.getWorkflowVectorService(config.knowledgeBase.id);
+  }
+
+  /**
+   * Add the document to the knowledge base subgraph. Graph failures are
+   * logged and never fail the upload.
+   */
+  async addToGraph(title, content, metadata) {
+    const graphRagService = require('./graphRagService');
+    if (!graphRagService.neo4jEnabled) {
+      return null;
+    }
+
+    try {
+      const neo4jGraphService = require('./neo4jGraphService');
+      const documentProcessor = require('./documentProcessor');
+      await graphRagService.initialize();
+      if (!graphRagService.neo4jEnabled) {
+        return null;
+      }
+
+      const chunks = documentProcessor.createChunks(content, metadata);
+      const embeddings = await documentProcessor.generateEmbeddings(chunks);
+      const documentId = await neo4jGraphService.createDocument(config.knowledgeBase.id, {
+        filename: title,
+        content,
+        metadata
+      });
+      await neo4jGraphService.createChunksWithEmbeddings(documentId, chunks, embeddings);
+      const entities = await neo4jGraphService.extractAndCreateEntities(documentId, content);
+      await neo4jGraphService.createEntityRelationships(entities, config.knowledgeBase.id);
+
+      return documentId;
+    } catch (error) {
+      logger.warn('Knowledge base graph processing failed', { title, error: error.message });
+      return null;
+    }
+  }
+
+  async removeFromIndexes(row) {
+    const index = await this.getIndex().catch(() => null);
+    if (index) {
+      await index.removeDocument(row.id);
+    }
+
+    if (row.graph_document_id) {
+      try {
+        const neo4jGraphService = require('./neo4jGraphService');
+        await neo4jGraphService.deleteDocument(row.graph_document_id);
+      } catch (error) {
+        logger.warn('Failed to remove knowledge base document from the graph', { id: row.id, error: error.message });
+      }
+    }
+  }
+
+  parseTags(value) {
+    try {
+      return value ? JSON.parse(value) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  formatDocument(row) {
+    return {
+      id: row.id,
+      documentKey: row.document_key,
+      version: row.version,
+      title: row.title,
+      fileName: row.file_name,
+      fileType: row.file_type,
+      fileSize: row.file_size,
+      description: row.description,
+      tags: this.parseTags(row.tags),
+      uploadedBy: row.uploaded_by,
+      status: row.status,
+      chunkCount: row.chunk_count,
+      inGraph: !!row.graph_document_id,
+      createdAt: row.created_at,
+      supersededAt: row.superseded_at
+    };
+  }
+}
+
+module.exports = new KnowledgeBaseService();
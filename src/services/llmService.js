@@ -0,0 +1,219 @@
+const config = require('../config');
+const llmUsageService = require('./llmUsageService');
+const logger = require('../utils/logger');
+
+/**
+ * Single entry point for every LLM call in the system.
+ *
+ * Callers identify themselves with an agent name; the provider, model,
+ * max tokens and temperature are resolved from (highest precedence first):
+ * explicit call options, LLM_AGENT_CONFIG, the built-in agent defaults below,
+ * and finally LLM_PROVIDER.
+ */
+class LLMService {
+  constructor() {
+    // Providers are loaded lazily so that an unconfigured provider
+    // (e.g. Gemini without GOOGLE_API_KEY) never breaks the others
+    this.providerModules = {
+      bedrock: './bedrock',
+      gemini: './geminiService',
+      openai: './openaiCompatibleService',
+      mock: './mockLlmService'
+    };
+
+    // Preserve the historical provider choices of the non-agent services
+    this.agentDefaults = {
+      ArchitectureAnalysisService: { provider: 'bedrock', modelId: 'anthropic.claude-3-haiku-20240307-v1:0', maxTokens: 4000, temperature: 0.3 },
+      ArchitectureWriteupService: { provider: 'bedrock', modelId: 'anthropic.claude-3-haiku-20240307-v1:0', maxTokens: 4000, temperature: 0.1 },
+      MindmapService: { provider: 'gemini', maxTokens: 16384, temperature: 0.1 },
+      ArchitectureDiagramService: { provider: 'gemini', maxTokens: 8000, temperature: 0.3 },
+      ProfessionalArchitectureDiagramService: { provider: 'gemini', maxTokens: 12000, temperature: 0.2 }
+    };
+
+    // Per provider: no calls start before this time after a throttling response
+    this.throttledUntil = {};
+  }
+
+  getProvider(name) {
+    const modulePath = this.providerModules[name];
+    if (!modulePath) {
+      throw new Error(`Unknown LLM provider: ${name}. Available providers: ${Object.keys(this.providerModules).join(', ')}`);
+    }
+    return require(modulePath);
+  }
+
+  /**
+   * Resolve the effective settings for an agent
+   */
+  resolveSettings(agent, options = {}) {
+    const agentSettings = {
+      ...(this.agentDefaults[agent] || {}),
+      ...(config.llm.agents[agent] || {})
+    };
+
+    // The mock provider overrides everything so the whole pipeline can run offline
+    const globalMock = config.llm.provider === 'mock';
+
+    const settings = {
+      provider: config.llm.provider,
+      maxTokens: 4000,
+      temperature: 0.1,
+      modelId: null,
+      ...agentSettings,
+      ...this.definedOnly(options)
+    };
+
+    if (globalMock) {
+      settings.provider = 'mock';
+    }
+
+    // Workflows close to their budget drop to the provider's cheaper model
+    const degradedModel = config.budget.degradedModels[settings.provider];
+    if (llmUsageService.getContext().degraded && degradedModel) {
+      settings.modelId = degradedModel;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Invoke the configured provider and return the text with token usage
+   * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}, modelId: string, provider: string, agent: string}>}
+   */
+  async complete(prompt, options = {}) {
+    const { agent = 'default', ...overrides } = options;
+    const settings = this.resolveSettings(agent, overrides);
+    const provider = this.getProvider(settings.provider);
+
+    logger.debug('LLM call', {
+      agent,
+      provider: settings.provider,
+      modelId: settings.modelId || 'provider default'
+    });
+
+    const result = await this.withThrottlingRetry(agent, settings.provider, () =>
+      provider.complete(prompt, { ...settings, agent })
+    );
+    await this.recordUsage(agent, settings.provider, result);
+
+    return {
+      ...result,
+      provider: settings.provider,
+      agent
+    };
+  }
+
+  /**
+   * Invoke the configured provider and return only the generated text
+   */
+  async invoke(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    return result.text;
+  }
+
+  /**
+   * Stream a completion through the configured provider. Providers without
+   * native streaming deliver the whole response as a single chunk.
+   */
+  async stream(prompt, onChunk, options = {}) {
+    const { agent = 'default', ...overrides } = options;
+    const settings = this.resolveSettings(agent, overrides);
+    const provider = this.getProvider(settings.provider);
+
+    logger.debug('LLM streaming call', {
+      agent,
+      provider: settings.provider,
+      modelId: settings.modelId || 'provider default'
+    });
+
+    if (typeof provider.stream === 'function') {
+      // Once text has been forwarded a retry would duplicate it, so only retry before the first chunk
+      let started = false;
+      const forward = (chunk) => {
+        started = true;
+        onChunk(chunk);
+      };
+
+      const result = await this.withThrottlingRetry(agent, settings.provider,
+        () => provider.stream(prompt, forward, { ...settings, agent }),
+        () => !started
+      );
+      await this.recordUsage(agent, settings.provider, result);
+      return result.text;
+    }
+
+    const result = await this.withThrottlingRetry(agent, settings.provider, () =>
+      provider.complete(prompt, { ...settings, agent })
+    );
+    await this.recordUsage(agent, settings.provider, result);
+    onChunk(result.text);
+    return result.text;
+  }
+
+  /**
+   * Run a provider call, retrying throttled calls with exponential backoff and
+   * jitter. The backoff applies to every caller of the provider, so parallel
+   * ingestion and answering slow down together instead of hammering it.
+   */
+  async withThrottlingRetry(agent, provider, call, canRetry = () => true) {
+    const { maxRetries, baseDelay, maxDelay } = config.llm.throttling;
+
+    for (let attempt = 0; ; attempt++) {
+      const wait = (this.throttledUntil[provider] || 0) - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+
+      try {
+        return await call();
+      } catch (error) {
+        if (!this.isThrottlingError(error) || attempt >= maxRetries || !canRetry()) {
+          throw error;
+        }
+
+        const delay = Math.min(maxDelay, baseDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+        this.throttledUntil[provider] = Math.max(this.throttledUntil[provider] || 0, Date.now() + delay);
+
+        logger.warn('LLM provider throttled, backing off', {
+          agent,
+          provider,
+          attempt: attempt + 1,
+          delayMs: Math.round(delay)
+        });
+      }
+    }
+  }
+
+  isThrottlingError(error) {
+    return error.code === 'THROTTLED' ||
+      /throttl|too many requests|rate.?limit|\b429\b|resource.?exhausted/i.test(error.message || '');
+  }
+
+  recordUsage(agent, provider, result) {
+    return llmUsageService.recordUsage({
+      agent,
+      provider,
+      modelId: result.modelId,
+      usage: result.usage
+    });
+  }
+
+  getProviderInfo(agent = 'default') {
+    const settings = this.resolveSettings(agent);
+    return {
+      agent,
+      provider: settings.provider,
+      modelId: settings.modelId,
+      maxTokens: settings.maxTokens,
+      temperature: settings.temperature
+    };
+  }
+
+  definedOnly(options) {
+    return Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+}
+
+module.exports = new LLMService();
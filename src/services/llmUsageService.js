@@ -0,0 +1,240 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// USD per 1M tokens. Keys are matched against model IDs as substrings so that
+// regional prefixes (us.anthropic...) and version suffixes resolve to one entry.
+const DEFAULT_PRICES = {
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4.0 },
+  'claude-3-sonnet': { input: 3.0, output: 15.0 },
+  'claude-3-5-sonnet': { input: 3.0, output: 15.0 },
+  'claude-3-7-sonnet': { input: 3.0, output: 15.0 },
+  'claude-3-opus': { input: 15.0, output: 75.0 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-flash-latest': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.0 },
+  'gemini-pro-latest': { input: 1.25, output: 10.0 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10.0 },
+  'mock-local': { input: 0, output: 0 }
+};
+
+/**
+ * Records token usage and estimated cost for every LLM call.
+ *
+ * The workflow a call belongs to is taken from an async context, so agents and
+ * services do not need to pass workflow IDs down to llmService themselves.
+ * Calls made outside a workflow context are logged but not persisted.
+ */
+class LLMUsageService {
+  constructor() {
+    this.context = new AsyncLocalStorage();
+    this.priceTable = { ...DEFAULT_PRICES, ...config.llm.pricing };
+    // Running total for the current UTC day, seeded from the databases on first use
+    this.daily = null;
+  }
+
+  /**
+   * Run fn with the given usage context ({ workflowId }) attached to every LLM call it makes
+   */
+  runWithContext(context, fn) {
+    return this.context.run({ ...this.getContext(), ...context }, fn);
+  }
+
+  getContext() {
+    return this.context.getStore() || {};
+  }
+
+  /**
+   * Set a value on the active context so later calls in the same run see it.
+   * Returns false when called outside runWithContext.
+   */
+  setContextValue(key, value) {
+    const store = this.context.getStore();
+    if (!store) return false;
+    store[key] = value;
+    return true;
+  }
+
+  /**
+   * Find the price entry for a model, preferring the most specific key
+   */
+  getPrice(modelId) {
+    if (!modelId) return null;
+    if (this.priceTable[modelId]) return this.priceTable[modelId];
+
+    const matches = Object.keys(this.priceTable)
+      .filter(key => modelId.includes(key))
+      .sort((a, b) => b.length - a.length);
+
+    return matches.length > 0 ? this.priceTable[matches[0]] : null;
+  }
+
+  estimateCost(modelId, usage = {}) {
+    const price = this.getPrice(modelId);
+    if (!price) return 0;
+
+    const inputCost = ((usage.inputTokens || 0) / 1000000) * (price.input || 0);
+    const outputCost = ((usage.outputTokens || 0) / 1000000) * (price.output || 0);
+    return inputCost + outputCost;
+  }
+
+  /**
+   * Record one LLM call. Never throws: accounting must not break the call it measures.
+   */
+  async recordUsage({ agent, provider, modelId, usage = {}, workflowId = null }) {
+    const targetWorkflowId = workflowId || this.getContext().workflowId;
+    const cost = this.estimateCost(modelId, usage);
+
+    if (!this.getPrice(modelId)) {
+      logger.warn('No price configured for model, recording zero cost', { modelId });
+    }
+
+    const record = {
+      agent,
+      provider,
+      modelId,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      cost
+    };
+
+    logger.debug('LLM usage', { workflowId: targetWorkflowId, ...record });
+
+    if (this.daily && this.daily.date === this.getToday()) {
+      this.daily.cost += cost;
+      this.daily.tokens += record.inputTokens + record.outputTokens;
+    }
+
+    if (!targetWorkflowId) {
+      return record;
+    }
+
+    try {
+      // Required lazily: the data service depends on services that use llmService
+      const dataService = require('./workflowDataService');
+      await dataService.saveLlmUsage(targetWorkflowId, record);
+    } catch (error) {
+      logger.warn('Failed to record LLM usage', { workflowId: targetWorkflowId, error: error.message });
+    }
+
+    return record;
+  }
+
+  /**
+   * Cost rollup for one workflow
+   */
+  async getWorkflowCosts(workflowId) {
+    const dataService = require('./workflowDataService');
+    const records = await dataService.getLlmUsage(workflowId);
+    return this.summarize(records, { workflowId });
+  }
+
+  /**
+   * Cost rollup across every workflow, with per-workflow totals
+   */
+  async getGlobalCosts() {
+    const dataService = require('./workflowDataService');
+    const workflowIds = await dataService.dbManager.getAllWorkflowIds();
+
+    const allRecords = [];
+    const byWorkflow = [];
+
+    for (const workflowId of workflowIds) {
+      try {
+        const records = await dataService.getLlmUsage(workflowId);
+        if (records.length === 0) continue;
+
+        const summary = this.summarize(records);
+        byWorkflow.push({
+          workflowId,
+          totalCost: summary.totalCost,
+          inputTokens: summary.inputTokens,
+          outputTokens: summary.outputTokens,
+          calls: summary.calls
+        });
+        allRecords.push(...records);
+      } catch (error) {
+        logger.warn('Error reading LLM usage for workflow', { workflowId, error: error.message });
+      }
+    }
+
+    return {
+      ...this.summarize(allRecords),
+      byWorkflow: byWorkflow.sort((a, b) => b.totalCost - a.totalCost)
+    };
+  }
+
+  /**
+   * Tokens and cost spent across all workflows today (UTC)
+   */
+  async getDailyUsage() {
+    const today = this.getToday();
+
+    if (!this.daily || this.daily.date !== today) {
+      this.daily = { date: today, cost: 0, tokens: 0 };
+
+      try {
+        const dataService = require('./workflowDataService');
+        const workflowIds = await dataService.dbManager.getAllWorkflowIds();
+
+        for (const workflowId of workflowIds) {
+          const records = await dataService.getLlmUsage(workflowId);
+          records
+            .filter(record => record.createdAt && record.createdAt.startsWith(today))
+            .forEach(record => {
+              this.daily.cost += record.cost;
+              this.daily.tokens += record.inputTokens + record.outputTokens;
+            });
+        }
+      } catch (error) {
+        logger.warn('Failed to load daily LLM usage', { error: error.message });
+      }
+    }
+
+    return { ...this.daily };
+  }
+
+  getToday() {
+    // SQLite CURRENT_TIMESTAMP is UTC "YYYY-MM-DD HH:MM:SS"
+    return new Date().toISOString().substring(0, 10);
+  }
+
+  summarize(records, extra = {}) {
+    const summary = {
+      ...extra,
+      totalCost: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      calls: records.length,
+      byAgent: {},
+      byModel: {}
+    };
+
+    const addTo = (group, key, record) => {
+      const entry = group[key] || (group[key] = { cost: 0, inputTokens: 0, outputTokens: 0, calls: 0 });
+      entry.cost += record.cost;
+      entry.inputTokens += record.inputTokens;
+      entry.outputTokens += record.outputTokens;
+      entry.calls++;
+    };
+
+    records.forEach(record => {
+      summary.totalCost += record.cost;
+      summary.inputTokens += record.inputTokens;
+      summary.outputTokens += record.outputTokens;
+      addTo(summary.byAgent, record.agent || 'unknown', record);
+      addTo(summary.byModel, record.modelId || 'unknown', record);
+    });
+
+    return summary;
+  }
+
+  getPriceTable() {
+    return this.priceTable;
+  }
+}
+
+module.exports = new LLMUsageService();
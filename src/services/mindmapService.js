@@ -1,5 +1,4 @@
-const bedrockService = require('./bedrock');
-const geminiService = require('./geminiService');
+const llmService = require('./llmService');
 const logger = require('../utils/logger');
 
 class MindmapService {
@@ -123,7 +122,7 @@ Return ONLY this JSON structure:
 
 IMPORTANT: Return ONLY valid JSON. No markdown, no explanations, just the JSON object.`;
 
-      const response = await geminiService.generateMindmap(prompt);
+      const response = await llmService.invoke(prompt, { agent: 'MindmapService' });
       
       if (response && response.trim()) {
         try {
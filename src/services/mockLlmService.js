@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Deterministic local LLM used for offline runs and tests.
+ *
+ * Responses are resolved in this order:
+ * 1. A fixture file named after the calling agent (<fixturesDir>/<agent>.json or .txt)
+ * 2. For agents that pass their output schema, JSON built from that schema,
+ *    reusing the values of the prompt's JSON example where they satisfy it
+ * 3. The first JSON example embedded in the prompt, as is. The examples carry
+ *    placeholders such as "high|medium|low", so this output usually fails validation
+ * 4. A plain-text answer derived from a hash of the prompt
+ */
+class MockLlmService {
+  constructor() {
+    this.fixturesDir = config.llm.mock.fixturesDir;
+    this.defaultModelId = 'mock-local';
+  }
+
+  async complete(prompt, options = {}) {
+    const { modelId = null, agent = null, outputSchema = null } = options;
+
+    const text = this.loadFixture(agent) ||
+      this.buildSchemaOutput(outputSchema, prompt) ||
+      this.extractJsonTemplate(prompt) ||
+      this.generateText(prompt);
+
+    logger.debug('Mock LLM response generated', {
+      agent,
+      promptLength: prompt.length,
+      responseLength: text.length
+    });
+
+    return {
+      text,
+      modelId: modelId || this.defaultModelId,
+      usage: {
+        inputTokens: Math.ceil(prompt.length / 4),
+        outputTokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  loadFixture(agent) {
+    if (!this.fixturesDir || !agent) return null;
+
+    for (const extension of ['json', 'txt']) {
+      const fixturePath = path.join(this.fixturesDir, `${agent}.${extension}`);
+      if (fs.existsSync(fixturePath)) {
+        return fs.readFileSync(fixturePath, 'utf8');
+      }
+    }
+
+    return null;
+  }
+
+  extractJsonTemplate(prompt) {
+    const template = this.findJsonTemplate(prompt);
+    return template ? JSON.stringify(template, null, 2) : null;
+  }
+
+  buildSchemaOutput(schema, prompt) {
+    if (!schema) return null;
+    return JSON.stringify(this.conformToSchema(schema, this.findJsonTemplate(prompt)), null, 2);
+  }
+
+  /**
+   * Build a value that satisfies the schema, keeping the example's value
+   * wherever it already fits. Placeholders such as "update|supersede" resolve
+   * to the first listed option the schema allows.
+   */
+  conformToSchema(schema, example) {
+    if (schema.enum) {
+      if (schema.enum.includes(example)) return example;
+      const options = typeof example === 'string' ? example.split('|').map(option => option.trim()) : [];
+      return options.find(option => schema.enum.includes(option)) ?? schema.enum[0];
+    }
+
+    const types = [].concat(schema.type || []);
+    const exampleType = Array.isArray(example) ? 'array' : typeof example;
+    const type = types.includes(exampleType) ? exampleType
+      : (types.find(t => t !== 'null') || (schema.properties ? 'object' : 'string'));
+
+    switch (type) {
+      case 'object': {
+        const source = example && typeof example === 'object' && !Array.isArray(example) ? example : {};
+        const properties = schema.properties || {};
+        // Schemas that leave an object open accept the example as is
+        const result = Object.keys(properties).length === 0 && !schema.additionalProperties ? { ...source } : {};
+        for (const [key, propertySchema] of Object.entries(properties)) {
+          if (key in source || (schema.required || []).includes(key)) {
+            result[key] = this.conformToSchema(propertySchema, source[key]);
+          }
+        }
+        if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          for (const key of Object.keys(source).filter(key => !(key in properties))) {
+            result[key] = this.conformToSchema(schema.additionalProperties, source[key]);
+          }
+        }
+        return result;
+      }
+      case 'array': {
+        const itemSchema = schema.items || {};
+        const items = (Array.isArray(example) ? example : []).map(item => this.conformToSchema(itemSchema, item));
+        while (items.length < (schema.minItems || 0)) {
+          items.push(this.conformToSchema(itemSchema, undefined));
+        }
+        return items;
+      }
+      case 'number':
+      case 'integer': {
+        const min = schema.minimum ?? -Infinity;
+        const max = schema.maximum ?? Infinity;
+        const fallback = Number.isFinite(min) && Number.isFinite(max) ? (min + max) / 2 : Math.max(min, Math.min(max, 1));
+        const value = typeof example === 'number' ? Math.min(Math.max(example, min), max) : fallback;
+        return type === 'integer' ? Math.round(value) : value;
+      }
+      case 'boolean':
+        return typeof example === 'boolean' ? example : false;
+      case 'null':
+        return null;
+      default:
+        return typeof example === 'string' && example.length >= (schema.minLength || 0)
+          ? example
+          : 'Mock value';
+    }
+  }
+
+  findJsonTemplate(prompt) {
+    for (let start = 0; start < prompt.length; start++) {
+      const char = prompt[start];
+      if (char !== '{' && char !== '[') continue;
+
+      const end = this.findClosingBracket(prompt, start);
+      if (end === -1) continue;
+
+      const candidate = prompt.substring(start, end + 1);
+      try {
+        const parsed = JSON.parse(candidate);
+        // Skip trivial matches such as "[]" or "{}" inside instructions
+        if (Object.keys(parsed).length > 0) {
+          return parsed;
+        }
+      } catch {
+        // Not valid JSON, keep scanning
+      }
+    }
+
+    return null;
+  }
+
+  findClosingBracket(text, start) {
+    const open = text[start];
+    const close = open === '{' ? '}' : ']';
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === open) depth++;
+      else if (char === close && --depth === 0) return i;
+    }
+
+    return -1;
+  }
+
+  generateText(prompt) {
+    const digest = crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 12);
+    return `Mock response ${digest}: the requested information is covered by the provided context.`;
+  }
+
+  getModelInfo() {
+    return {
+      provider: 'Mock',
+      modelId: this.defaultModelId,
+      fixturesDir: this.fixturesDir || 'not configured'
+    };
+  }
+}
+
+module.exports = new MockLlmService();
@@ -127,10 +127,15 @@ class Neo4jGraphService {
           MATCH (d:Document {id: $documentId})
           CREATE (c:Chunk {
             id: $chunkId,
+            documentId: $documentId,
             content: $content,
             embedding: $embedding,
             chunkIndex: $chunkIndex,
             tokenCount: $tokenCount,
+            pageNumber: $pageNumber,
+            section: $section,
+            startOffset: $startOffset,
+            endOffset: $endOffset,
             createdAt: datetime()
           })
           CREATE (d)-[:CONTAINS]->(c)
@@ -141,7 +146,12 @@ class Neo4jGraphService {
           content: chunk.content,
           embedding: embedding,
           chunkIndex: i,
-          tokenCount: chunk.tokenCount || 0
+          tokenCount: chunk.tokenCount || 0,
+          // Where the chunk sits in the source file, for citations
+          pageNumber: chunk.pageNumber ?? null,
+          section: chunk.section ?? null,
+          startOffset: chunk.startOffset ?? null,
+          endOffset: chunk.endOffset ?? null
         });
 
         chunkNodes.push({ id: chunkId, content: chunk.content, index: i });
@@ -264,7 +274,9 @@ class Neo4jGraphService {
         MATCH (e)-[:RELATED_TO*1..2]-(related:Entity)
         MATCH (d2:Document)-[:MENTIONS]->(related)
         MATCH (d2)-[:CONTAINS]->(c:Chunk)
-        RETURN DISTINCT c.id as chunkId, c.content as content, 
+        RETURN DISTINCT c.id as chunkId, c.content as content,
+               d2.filename as documentName, d2.metadata as documentMetadata,
+               c.pageNumber as pageNumber, c.section as section, c.startOffset as startOffset, c.endOffset as endOffset,
                collect(DISTINCT e.name) as entities,
                collect(DISTINCT related.name) as relatedEntities,
                count(related) as relationshipScore
@@ -319,6 +331,7 @@ class Neo4jGraphService {
         combined.push({
           chunkId,
           content: record.get('content'),
+          metadata: this.chunkCitation(record),
           entities: record.get('entities'),
           relatedEntities: record.get('relatedEntities'),
           source: 'graph',
@@ -346,9 +359,33 @@ class Neo4jGraphService {
     }).slice(0, 20);
   }
 
+  /**
+   * Citation metadata of a chunk returned by a graph query
+   */
+  chunkCitation(record) {
+    let documentMetadata = {};
+    try {
+      documentMetadata = JSON.parse(record.get('documentMetadata') || '{}');
+    } catch {
+      documentMetadata = {};
+    }
+
+    const toNumber = (value) => (value === null || value === undefined) ? null : neo4j.integer.toNumber(value);
+    return {
+      documentName: documentMetadata.documentName || record.get('documentName'),
+      fileId: documentMetadata.fileId,
+      knowledgeBase: !!documentMetadata.knowledgeBase,
+      knowledgeBaseDocumentId: documentMetadata.knowledgeBaseDocumentId,
+      pageNumber: toNumber(record.get('pageNumber')),
+      section: record.get('section') || null,
+      startOffset: toNumber(record.get('startOffset')),
+      endOffset: toNumber(record.get('endOffset'))
+    };
+  }
+
   async extractEntitiesWithAI(content) {
-    // Integration with your existing AI services (Bedrock/Gemini)
-    const bedrock = require('./bedrock');
+    // Integration with the configured LLM provider
+    const llmService = require('./llmService');
     
     // Use more content for better extraction
     const contentToAnalyze = content.substring(0, 8000);
@@ -375,7 +412,7 @@ Extract COMPREHENSIVE entities including:
 Be thorough and extract 15-30 entities. Return only the JSON array, no other text.`;
 
     try {
-      const response = await bedrock.generateContent(prompt);
+      const response = await llmService.invoke(prompt, { agent: 'GraphEntityExtractionService' });
       logger.info(`Entity extraction AI response: ${response.substring(0, 500)}`);
       
       // Try multiple parsing strategies
@@ -494,7 +531,7 @@ Be thorough and extract 15-30 entities. Return only the JSON array, no other tex
   }
 
   async extractRelationshipsWithAI(entities) {
-    const bedrock = require('./bedrock');
+    const llmService = require('./llmService');
     
     const entityNames = entities.map(e => e.name).join(', ');
     const prompt = `Identify relationships between these entities: ${entityNames}
@@ -503,7 +540,7 @@ Return as JSON array:
 [{"source": "entity1", "target": "entity2", "type": "WORKS_WITH|PART_OF|USES|RELATED_TO", "confidence": 0.8}]`;
 
     try {
-      const response = await bedrock.generateContent(prompt);
+      const response = await llmService.invoke(prompt, { agent: 'GraphEntityExtractionService' });
       const jsonMatch = response.match(/\[[\s\S]*\]/);
       if (jsonMatch) {
         return JSON.parse(jsonMatch[0]);
@@ -557,6 +594,28 @@ Return as JSON array:
     }
   }
 
+  /**
+   * Delete one document node with its chunks. Entities stay, as other
+   * documents in the same subgraph may mention them.
+   */
+  async deleteDocument(documentId) {
+    const session = this.driver.session();
+    try {
+      await session.run(`
+        MATCH (d:Document {id: $documentId})
+        OPTIONAL MATCH (d)-[:CONTAINS]->(c:Chunk)
+        DETACH DELETE c, d
+      `, { documentId });
+
+      logger.info(`Deleted Neo4j document: ${documentId}`);
+    } catch (error) {
+      logger.error('Error deleting document from Neo4j:', error);
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
+
   async deleteWorkflowData(workflowId) {
     const session = this.driver.session();
     try {
@@ -0,0 +1,89 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Local OCR for scanned documents: image uploads and PDF pages without a
+ * text layer. Pages are rendered with pdf.js and read by a tesseract.js
+ * worker, which is started on first use and kept for later documents.
+ */
+class OcrService {
+  constructor() {
+    this.worker = null;
+  }
+
+  async initialize() {
+    if (!this.worker) {
+      const { createWorker } = require('tesseract.js');
+      const { language, langPath } = config.ocr;
+
+      // English language data ships with the app; other languages are downloaded once and cached
+      this.worker = createWorker(language, 1, {
+        langPath: langPath || (language === 'eng' ? require('@tesseract.js-data/eng').langPath : undefined),
+        cachePath: path.join(config.storage.dataDir, 'ocr'),
+        gzip: true
+      }).catch(error => {
+        this.worker = null;
+        throw new Error(`OCR engine failed to start: ${error.message}`);
+      });
+      logger.info('OCR worker started', { language });
+    }
+    return this.worker;
+  }
+
+  /**
+   * Recognize the text of an image (PNG, JPEG or TIFF). Confidence is
+   * tesseract's mean word confidence, from 0 to 1.
+   */
+  async recognize(image) {
+    const worker = await this.initialize();
+    const { data } = await worker.recognize(image);
+    return {
+      text: data.text.trim(),
+      confidence: Math.round(data.confidence) / 100
+    };
+  }
+
+  /**
+   * OCR the given pages (1-based) of a PDF. Returns a map of page number to
+   * { text, confidence }; pages that fail to render or read are left out.
+   */
+  async recognizePdfPages(buffer, pageNumbers) {
+    const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const { createCanvas } = require('@napi-rs/canvas');
+    const document = await getDocument({ data: new Uint8Array(buffer), verbosity: 0 }).promise;
+    const results = new Map();
+
+    try {
+      for (const pageNumber of pageNumbers) {
+        try {
+          const page = await document.getPage(pageNumber);
+          const viewport = page.getViewport({ scale: config.ocr.renderScale });
+          const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+          await page.render({ canvasContext: canvas.getContext('2d'), viewport, canvas }).promise;
+          page.cleanup();
+
+          results.set(pageNumber, await this.recognize(canvas.toBuffer('image/png')));
+        } catch (error) {
+          logger.warn(`OCR failed for PDF page ${pageNumber}:`, error.message);
+        }
+      }
+    } finally {
+      await document.destroy();
+    }
+    return results;
+  }
+
+  async close() {
+    if (this.worker) {
+      const worker = await this.worker.catch(() => null);
+      this.worker = null;
+      if (worker) {
+        await worker.terminate();
+        logger.info('OCR worker stopped');
+      }
+    }
+  }
+}
+
+module.exports = new OcrService();
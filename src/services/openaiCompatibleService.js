@@ -0,0 +1,96 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Client for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, Azure OpenAI proxies, vLLM, Ollama, LM Studio, ...)
+ */
+class OpenAICompatibleService {
+  constructor() {
+    this.baseUrl = config.llm.openai.baseUrl.replace(/\/+$/, '');
+    this.apiKey = config.llm.openai.apiKey;
+    this.defaultModelId = config.llm.openai.modelId;
+    this.timeout = config.llm.openai.timeout;
+  }
+
+  /**
+   * Generate a chat completion and return the text together with token usage.
+   * This is the provider interface used by llmService.
+   */
+  async complete(prompt, options = {}) {
+    const {
+      modelId = null,
+      maxTokens = 4000,
+      temperature = 0.1
+    } = options;
+
+    const selectedModelId = modelId || this.defaultModelId;
+
+    try {
+      logger.info('Invoking OpenAI-compatible model', {
+        modelId: selectedModelId,
+        baseUrl: this.baseUrl,
+        promptLength: prompt.length
+      });
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
+
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: selectedModelId,
+          max_tokens: maxTokens,
+          temperature,
+          messages: [
+            {
+              role: 'user',
+              content: prompt
+            }
+          ]
+        }),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`HTTP ${response.status}: ${errorText.substring(0, 500)}`);
+      }
+
+      const responseBody = await response.json();
+      const text = responseBody.choices?.[0]?.message?.content || '';
+
+      logger.info('OpenAI-compatible model invoked successfully', {
+        modelId: selectedModelId,
+        inputTokens: responseBody.usage?.prompt_tokens,
+        outputTokens: responseBody.usage?.completion_tokens
+      });
+
+      return {
+        text,
+        modelId: selectedModelId,
+        usage: {
+          inputTokens: responseBody.usage?.prompt_tokens || 0,
+          outputTokens: responseBody.usage?.completion_tokens || 0
+        }
+      };
+    } catch (error) {
+      logger.error('Error invoking OpenAI-compatible model:', error);
+      throw new Error(`OpenAI-compatible invocation failed: ${error.message}`);
+    }
+  }
+
+  getModelInfo() {
+    return {
+      provider: 'OpenAI-compatible',
+      baseUrl: this.baseUrl,
+      modelId: this.defaultModelId,
+      apiKey: this.apiKey ? 'configured' : 'not configured'
+    };
+  }
+}
+
+module.exports = new OpenAICompatibleService();
@@ -1,12 +1,13 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const answerReviewService = require('./answerReviewService');
+const { DEFAULT_REPORT_TEMPLATE } = require('../templates/reportTemplate');
 const logger = require('../utils/logger');
 
 class PDFGenerator {
   constructor() {
     this.browser = null;
-    this.templatePath = './src/templates';
   }
 
   async initialize() {
@@ -19,7 +20,13 @@ class PDFGenerator {
     }
   }
 
-  async generateRFPReport(workflowResults, projectContext) {
+  /**
+   * Render the workflow results as a PDF. Pass options.approvedOnly to
+   * report only answers a reviewer has approved, and options.reportTemplate
+   * (normalized report template settings, see templates/reportTemplate) for
+   * a branded report with a running header and footer.
+   */
+  async generateRFPReport(workflowResults, projectContext, options = {}) {
     try {
       await this.initialize();
       
@@ -53,7 +60,11 @@ class PDFGenerator {
       }
 
       // Generate HTML content with error handling
-      const htmlContent = await this.generateHTMLContent(workflowResults, projectContext, additionalData);
+      const reportResults = options.approvedOnly
+        ? { ...workflowResults, extractedAnswers: answerReviewService.onlyApproved(workflowResults.extractedAnswers) }
+        : workflowResults;
+      const reportTemplate = options.reportTemplate || null;
+      const htmlContent = await this.generateHTMLContent(reportResults, projectContext, additionalData, reportTemplate || undefined);
       
       if (!htmlContent || htmlContent.length < 100) {
         throw new Error('Generated HTML content is too short or empty');
@@ -67,44 +78,11 @@ class PDFGenerator {
         hasClosingTags: htmlContent.includes('</body>') && htmlContent.includes('</html>')
       });
       
-      // Create PDF with better error handling
-      const page = await this.browser.newPage();
-      
-      try {
-        // Set content with timeout
-        await page.setContent(htmlContent, { 
-          waitUntil: 'networkidle0',
-          timeout: 30000
-        });
-        
-        // Generate PDF with proper options
-        const pdfBuffer = await page.pdf({
-          format: 'A4',
-          printBackground: true,
-          margin: {
-            top: '20mm',
-            right: '15mm',
-            bottom: '20mm',
-            left: '15mm'
-          },
-          displayHeaderFooter: false, // Disable header/footer to avoid issues
-          preferCSSPageSize: false,
-          timeout: 30000
-        });
-
-        if (!pdfBuffer || pdfBuffer.length === 0) {
-          throw new Error('Generated PDF buffer is empty');
-        }
-
-        logger.info('PDF report generated successfully', {
-          bufferSize: pdfBuffer.length
-        });
-        
-        return pdfBuffer;
-        
-      } finally {
-        await page.close();
-      }
+      return await this.renderPDF(htmlContent, reportTemplate ? {
+        displayHeaderFooter: true,
+        headerTemplate: this.getHeaderTemplate(projectContext, reportTemplate),
+        footerTemplate: this.getFooterTemplate(reportTemplate)
+      } : {});
       
     } catch (error) {
       logger.error('Error generating PDF report:', {
@@ -117,6 +95,125 @@ class PDFGenerator {
     }
   }
 
+  /**
+   * Print an HTML document to an A4 PDF buffer
+   */
+  async renderPDF(htmlContent, pdfOptions = {}) {
+    await this.initialize();
+    const page = await this.browser.newPage();
+    
+    try {
+      // Set content with timeout
+      await page.setContent(htmlContent, { 
+        waitUntil: 'networkidle0',
+        timeout: 30000
+      });
+      
+      // Generate PDF with proper options
+      const pdfBuffer = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: {
+          top: '20mm',
+          right: '15mm',
+          bottom: '20mm',
+          left: '15mm'
+        },
+        displayHeaderFooter: false, // Disable header/footer to avoid issues
+        preferCSSPageSize: false,
+        timeout: 30000,
+        ...pdfOptions
+      });
+
+      if (!pdfBuffer || pdfBuffer.length === 0) {
+        throw new Error('Generated PDF buffer is empty');
+      }
+
+      logger.info('PDF report generated successfully', {
+        bufferSize: pdfBuffer.length
+      });
+      
+      return pdfBuffer;
+      
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Render a compliance matrix (see complianceMatrixService) as a landscape PDF
+   */
+  async generateComplianceMatrixReport(matrix, projectContext = {}) {
+    try {
+      const complianceMatrixService = require('./complianceMatrixService');
+      const { summary } = matrix;
+
+      const htmlContent = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Compliance Matrix</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 10px; color: #333; }
+        h1 { color: #1f4e79; font-size: 20px; margin-bottom: 0.25rem; }
+        .summary { margin: 0.5rem 0 1rem; color: #555; }
+        table { width: 100%; border-collapse: collapse; }
+        th { background-color: #1f4e79; color: #fff; text-align: left; padding: 4px; }
+        td { border-bottom: 1px solid #ddd; padding: 4px; vertical-align: top; }
+        tr { page-break-inside: avoid; }
+        .status-complies { background-color: #c6efce; }
+        .status-partial { background-color: #ffeb9c; }
+        .status-exception { background-color: #ffc7ce; }
+        .status-not_applicable { background-color: #e7e6e6; }
+    </style>
+</head>
+<body>
+    <h1>Compliance Matrix${projectContext.title ? ` – ${projectContext.title}` : ''}</h1>
+    <p class="summary">
+        ${summary.total} requirements (${summary.mandatory} mandatory):
+        ${complianceMatrixService.statuses.map(status => `${summary.byStatus[status]} ${complianceMatrixService.statusLabel(status)}`).join(', ')},
+        ${summary.notAssessed} not assessed.
+        ${summary.mandatoryExceptions > 0 ? `<strong>${summary.mandatoryExceptions} mandatory requirement${summary.mandatoryExceptions !== 1 ? 's' : ''} with exceptions.</strong>` : ''}
+    </p>
+    <table>
+        <thead>
+            <tr>
+                <th>ID</th>
+                <th>Requirement</th>
+                <th>M</th>
+                <th>Source</th>
+                <th>Status</th>
+                <th>Response</th>
+                <th>Owner</th>
+                <th>Notes</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${matrix.rows.map(row => `
+                <tr>
+                    <td>${row.requirementId}</td>
+                    <td>${row.requirement}${row.standard ? `<br><em>${row.standard}</em>` : ''}</td>
+                    <td>${row.mandatory ? 'Yes' : ''}</td>
+                    <td>${[row.sourceDocument, row.sourceSection].filter(Boolean).join(', ')}</td>
+                    <td class="status-${row.status}">${complianceMatrixService.statusLabel(row.status)}</td>
+                    <td>${row.responseReference ? `<strong>${row.responseReference}</strong><br>` : ''}${row.responseSummary || ''}</td>
+                    <td>${row.owner || ''}</td>
+                    <td>${row.notes || ''}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    </table>
+    <p class="summary">Generated ${new Date().toLocaleString()}</p>
+</body>
+</html>`;
+
+      return await this.renderPDF(htmlContent, { landscape: true });
+    } catch (error) {
+      logger.error('Error generating compliance matrix PDF:', error);
+      throw new Error(`PDF generation failed: ${error.message}`);
+    }
+  }
+
   /**
    * Fetch additional workflow data (mindmap, knowledge graph, architecture analysis)
    */
@@ -146,25 +243,31 @@ class PDFGenerator {
     } catch (error) {
       logger.warn('Failed to fetch architecture analysis:', error.message);
     }
+
+    try {
+      // Fetch addenda and the changes they made
+      const workflowDataService = require('./workflowDataService');
+      additionalData.addenda = await workflowDataService.getAddenda(workflowId);
+    } catch (error) {
+      logger.warn('Failed to fetch addenda:', error.message);
+    }
     
     return additionalData;
   }
 
-  async generateHTMLContent(workflowResults, projectContext, additionalData = {}) {
+  async generateHTMLContent(workflowResults, projectContext, additionalData = {}, reportTemplate = DEFAULT_REPORT_TEMPLATE) {
     try {
       // Safely extract results with defaults
       const ingestedDocuments = workflowResults?.ingestedDocuments || [];
       const requirementsAnalysis = workflowResults?.requirementsAnalysis || {};
       const clarificationQuestions = workflowResults?.clarificationQuestions || {};
-      const extractedAnswers = workflowResults?.extractedAnswers || {};
       const compiledResponse = workflowResults?.compiledResponse || {};
-      
-      // Validate data
-      const hasDocuments = ingestedDocuments.length > 0;
-      const hasRequirements = requirementsAnalysis && Object.keys(requirementsAnalysis).length > 0;
-      const hasQuestions = clarificationQuestions && clarificationQuestions.questionCategories;
-      const hasAnswers = extractedAnswers && extractedAnswers.answeredQuestions;
-      const hasResponse = compiledResponse && Object.keys(compiledResponse).length > 0;
+
+      // Shown sections in template order, numbered as they appear
+      const sections = reportTemplate.sections
+        .filter(section => section.show)
+        .map((section, index) => ({ ...section, number: index + 1 }));
+      const coverPage = reportTemplate.coverPage;
 
     const html = `
 <!DOCTYPE html>
@@ -172,16 +275,19 @@ class PDFGenerator {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>RFP Analysis Report - ${projectContext?.title || 'Untitled Project'}</title>
+    <title>${this.escapeHTML(coverPage.title)} - ${projectContext?.title || 'Untitled Project'}</title>
     <style>
         ${await this.getCSS()}
+        ${this.getTemplateCSS(reportTemplate)}
     </style>
 </head>
 <body>
+${coverPage.show ? `
     <!-- Cover Page -->
     <div class="cover-page">
+        ${reportTemplate.logo ? `<img class="cover-logo" src="${reportTemplate.logo}" alt="Logo">` : ''}
         <div class="cover-header">
-            <h1>RFP Analysis Report</h1>
+            <h1>${this.escapeHTML(coverPage.title)}</h1>
             <h2>${projectContext?.title || 'Project Title Not Specified'}</h2>
         </div>
         <div class="cover-details">
@@ -189,6 +295,7 @@ class PDFGenerator {
             <p><strong>Generated:</strong> ${new Date().toLocaleDateString()}</p>
             <p><strong>Analysis Date:</strong> ${new Date().toLocaleDateString()}</p>
         </div>
+        ${coverPage.showStats ? `
         <div class="cover-summary">
             <div class="summary-stats">
                 <div class="stat">
@@ -208,116 +315,28 @@ class PDFGenerator {
                     <span class="stat-label">Completeness Score</span>
                 </div>
             </div>
-        </div>
+        </div>` : ''}
     </div>
-
+` : ''}
+${reportTemplate.tableOfContents ? `
     <!-- Table of Contents -->
     <div class="page-break">
         <div class="toc">
             <h2>Table of Contents</h2>
             <ul>
-                <li><a href="#executive-summary">1. Executive Summary</a></li>
-                <li><a href="#requirements-overview">2. Requirements Overview</a></li>
-                <li><a href="#questions-answers">3. Questions & Answers</a></li>
-                <li><a href="#unanswered-questions">4. Unanswered Questions</a></li>
-                <li><a href="#clarification-questions">5. Clarification Questions</a></li>
-                <li><a href="#architecture-analysis">6. Architecture Analysis</a></li>
-                <li><a href="#mindmap">7. Project Mindmap</a></li>
-                <li><a href="#knowledge-graph">8. Knowledge Graph</a></li>
-                <li><a href="#gap-analysis">9. Gap Analysis</a></li>
-                <li><a href="#recommendations">10. Next Steps & Recommendations</a></li>
-                <li><a href="#appendices">11. Appendices</a></li>
+                ${sections.map(section => `<li><a href="#${section.id}">${section.number}. ${this.escapeHTML(section.title)}</a></li>`).join('\n                ')}
             </ul>
         </div>
     </div>
-
-    <!-- Executive Summary -->
+` : ''}
+${sections.map(section => `
     <div class="page-break">
-        <section id="executive-summary">
-            <h2>1. Executive Summary</h2>
-            ${this.generateExecutiveSummaryHTML(compiledResponse, requirementsAnalysis)}
-        </section>
-    </div>
-
-    <!-- Requirements Overview -->
-    <div class="page-break">
-        <section id="requirements-overview">
-            <h2>2. Requirements Overview</h2>
-            ${this.generateRequirementsOverviewHTML(requirementsAnalysis)}
-        </section>
-    </div>
-
-    <!-- Questions & Answers -->
-    <div class="page-break">
-        <section id="questions-answers">
-            <h2>3. Questions & Answers</h2>
-            ${this.generateQuestionsAnswersHTML(extractedAnswers)}
-        </section>
-    </div>
-
-    <!-- Unanswered Questions -->
-    <div class="page-break">
-        <section id="unanswered-questions">
-            <h2>4. Unanswered Questions</h2>
-            ${this.generateUnansweredQuestionsHTML(extractedAnswers)}
-        </section>
-    </div>
-
-    <!-- Clarification Questions -->
-    <div class="page-break">
-        <section id="clarification-questions">
-            <h2>5. Clarification Questions</h2>
-            ${this.generateClarificationQuestionsHTML(clarificationQuestions)}
-        </section>
-    </div>
-
-    <!-- Architecture Analysis -->
-    <div class="page-break">
-        <section id="architecture-analysis">
-            <h2>6. Architecture Analysis</h2>
-            ${this.generateArchitectureAnalysisHTML(additionalData.architectureAnalysis)}
-        </section>
-    </div>
-
-    <!-- Mindmap -->
-    <div class="page-break">
-        <section id="mindmap">
-            <h2>7. Project Mindmap</h2>
-            ${this.generateMindmapHTML(additionalData.mindmap)}
-        </section>
-    </div>
-
-    <!-- Knowledge Graph -->
-    <div class="page-break">
-        <section id="knowledge-graph">
-            <h2>8. Knowledge Graph</h2>
-            ${this.generateKnowledgeGraphHTML(additionalData.knowledgeGraph)}
-        </section>
-    </div>
-
-    <!-- Gap Analysis -->
-    <div class="page-break">
-        <section id="gap-analysis">
-            <h2>9. Gap Analysis</h2>
-            ${this.generateGapAnalysisHTML(compiledResponse)}
-        </section>
-    </div>
-
-    <!-- Recommendations -->
-    <div class="page-break">
-        <section id="recommendations">
-            <h2>10. Next Steps & Recommendations</h2>
-            ${this.generateRecommendationsHTML(compiledResponse)}
-        </section>
-    </div>
-
-    <!-- Appendices -->
-    <div class="page-break">
-        <section id="appendices">
-            <h2>11. Appendices</h2>
-            ${this.generateAppendicesHTML(workflowResults)}
+        <section id="${section.id}">
+            <h2>${section.number}. ${this.escapeHTML(section.title)}</h2>
+            ${this.generateSectionHTML(section.id, workflowResults, additionalData)}
         </section>
     </div>
+`).join('')}
 </body>
 </html>`;
 
@@ -331,6 +350,42 @@ class PDFGenerator {
     }
   }
 
+  /**
+   * Body of one report section, by its id in templates/reportTemplate
+   */
+  generateSectionHTML(sectionId, workflowResults, additionalData = {}) {
+    const requirementsAnalysis = workflowResults?.requirementsAnalysis || {};
+    const extractedAnswers = workflowResults?.extractedAnswers || {};
+    const compiledResponse = workflowResults?.compiledResponse || {};
+
+    switch (sectionId) {
+      case 'executive-summary':
+        return this.generateExecutiveSummaryHTML(compiledResponse, requirementsAnalysis);
+      case 'requirements-overview':
+        return this.generateRequirementsOverviewHTML(requirementsAnalysis);
+      case 'questions-answers':
+        return this.generateQuestionsAnswersHTML(extractedAnswers);
+      case 'unanswered-questions':
+        return this.generateUnansweredQuestionsHTML(extractedAnswers);
+      case 'clarification-questions':
+        return this.generateClarificationQuestionsHTML(workflowResults?.clarificationQuestions || {});
+      case 'architecture-analysis':
+        return this.generateArchitectureAnalysisHTML(additionalData.architectureAnalysis);
+      case 'mindmap':
+        return this.generateMindmapHTML(additionalData.mindmap);
+      case 'knowledge-graph':
+        return this.generateKnowledgeGraphHTML(additionalData.knowledgeGraph);
+      case 'gap-analysis':
+        return this.generateGapAnalysisHTML(compiledResponse);
+      case 'recommendations':
+        return this.generateRecommendationsHTML(compiledResponse);
+      case 'appendices':
+        return this.generateAppendicesHTML(workflowResults, additionalData.addenda);
+      default:
+        return '';
+    }
+  }
+
   generateFallbackHTML(projectContext, workflowResults) {
     return `
 <!DOCTYPE html>
@@ -534,6 +589,15 @@ class PDFGenerator {
         }
 
         /* Priority indicators */
+        .priority-blocking {
+            background-color: #c62828;
+            color: #ffffff;
+            padding: 0.2rem 0.5rem;
+            border-radius: 3px;
+            font-size: 0.9rem;
+            font-weight: 600;
+        }
+
         .priority-high {
             background-color: #ffebee;
             color: #c62828;
@@ -671,6 +735,23 @@ class PDFGenerator {
     `;
   }
 
+  /**
+   * Colours and fonts of a report template, layered over getCSS
+   */
+  getTemplateCSS(reportTemplate) {
+    const { colors, fonts } = reportTemplate;
+    return `
+        body { font-family: ${fonts.body}; color: ${colors.text}; }
+        h1, h2, h3, h4 { font-family: ${fonts.heading}; }
+        .cover-page { background: linear-gradient(135deg, ${colors.primary} 0%, ${colors.secondary} 100%); }
+        .cover-logo { max-width: 240px; max-height: 120px; margin-bottom: 2rem; }
+        .toc h2, h2 { color: ${colors.primary}; }
+        h2 { border-bottom-color: ${colors.primary}; }
+        .toc a { color: ${colors.text}; }
+        .progress-fill { background: linear-gradient(90deg, ${colors.primary} 0%, ${colors.secondary} 100%); }
+    `;
+  }
+
   generateExecutiveSummaryHTML(compiledResponse, requirementsAnalysis) {
     const executiveSummary = compiledResponse?.executiveSummary || {};
     const projectOverview = requirementsAnalysis?.projectOverview || {};
@@ -888,6 +969,8 @@ class PDFGenerator {
     const reviewItems = gapsAndActions.reviewItems || [];
 
     return `
+        ${this.generateVerificationHTML(compiledResponse?.verification)}
+
         <h3>Critical Gaps</h3>
         ${criticalGaps.length > 0 ? `
             <table>
@@ -925,6 +1008,56 @@ class PDFGenerator {
     `;
   }
 
+  /**
+   * Findings of the proposal verification, blocking ones first
+   */
+  generateVerificationHTML(verification) {
+    if (!verification) {
+      return '';
+    }
+
+    const findings = verification.findings || [];
+    const blocking = findings.filter(finding => finding.blocking);
+    const describe = (finding) => (finding.type === 'contradiction'
+      ? `${finding.message}<ul>${finding.occurrences.map(occurrence =>
+          `<li>${occurrence.value} in ${occurrence.location.title}: "${occurrence.text}"</li>`
+        ).join('')}</ul>`
+      : `${finding.message}: "${finding.claim}" (${finding.location?.title || 'Proposal'})`) +
+      (finding.reason ? `<br><em>${finding.reason}</em>` : '');
+
+    return `
+        <h3>Verification Findings</h3>
+        ${blocking.length > 0 ? `
+            <div class="error-box">
+                <p><strong>${blocking.length} blocking finding${blocking.length !== 1 ? 's' : ''} must be resolved before this proposal is sent to the customer.</strong></p>
+            </div>
+        ` : ''}
+        ${findings.length > 0 ? `
+            <table>
+                <thead>
+                    <tr>
+                        <th>ID</th>
+                        <th>Severity</th>
+                        <th>Finding</th>
+                        <th>Recommended Action</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${findings.map(finding => `
+                        <tr>
+                            <td>${finding.id}</td>
+                            <td><span class="priority-${finding.severity}">${finding.severity.toUpperCase()}</span></td>
+                            <td>${describe(finding)}</td>
+                            <td>${finding.recommendedAction}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<div class="success-box"><p>Every claim is supported and no contradictions were found.</p></div>'}
+        <p><em>${verification.summary?.claimsChecked || 0} claims checked on ${new Date(verification.verifiedAt).toLocaleString()}.</em></p>
+    `;
+  }
+
   generateRecommendationsHTML(compiledResponse) {
     const nextSteps = compiledResponse?.nextSteps || {};
     const qualityAssurance = compiledResponse?.qualityAssurance || {};
@@ -956,7 +1089,7 @@ class PDFGenerator {
     `;
   }
 
-  generateAppendicesHTML(workflowResults) {
+  generateAppendicesHTML(workflowResults, addenda = []) {
     const { ingestedDocuments } = workflowResults;
 
     return `
@@ -982,6 +1115,8 @@ class PDFGenerator {
             </tbody>
         </table>
 
+        ${this.generateAddendaHTML(addenda)}
+
         <h3>Processing Information</h3>
         <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
         <p><strong>Processing Time:</strong> ${workflowResults.duration || 'Not available'}</p>
@@ -989,6 +1124,58 @@ class PDFGenerator {
     `;
   }
 
+  /**
+   * Change history of the addenda applied to the workflow
+   */
+  generateAddendaHTML(addenda) {
+    if (!addenda || addenda.length === 0) {
+      return '';
+    }
+
+    const clip = (text) => (text && text.length > 300 ? `${text.slice(0, 300)}…` : text || '');
+    const changeLabels = {
+      added: 'Added',
+      updated: 'Updated',
+      superseded: 'Superseded',
+      affected: 'Section changed',
+      deadline: 'Deadline'
+    };
+
+    return `
+        <h3>Addenda and Changes</h3>
+        ${addenda.map(addendum => `
+            <p><strong>${this.escapeHTML(addendum.fileNames.join(', '))}</strong> (${new Date(addendum.createdAt).toLocaleDateString()})</p>
+            ${addendum.summary ? `<p>${this.escapeHTML(addendum.summary)}</p>` : ''}
+            ${addendum.changes.length > 0 ? `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Change</th>
+                        <th>Requirement</th>
+                        <th>Section</th>
+                        <th>Before</th>
+                        <th>After</th>
+                        <th>Stale Questions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${addendum.changes.map(change => `
+                        <tr>
+                            <td>${changeLabels[change.type] || change.type}</td>
+                            <td>${this.escapeHTML(change.requirementId || '')}</td>
+                            <td>${this.escapeHTML(change.section || '')}</td>
+                            <td>${this.escapeHTML(clip(change.previousText))}</td>
+                            <td>${this.escapeHTML(clip(change.newText || change.reason))}</td>
+                            <td>${change.staleQuestions.length}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ` : '<p>No requirement or deadline changes.</p>'}
+        `).join('')}
+    `;
+  }
+
   /**
    * Generate Architecture Analysis section HTML
    */
@@ -1227,22 +1414,34 @@ class PDFGenerator {
       .join(', ');
   }
 
-  getHeaderTemplate(projectContext) {
+  getHeaderTemplate(projectContext, reportTemplate = DEFAULT_REPORT_TEMPLATE) {
     return `
         <div style="font-size: 10px; color: #666; width: 100%; text-align: center; margin-top: 10px;">
-            RFP Analysis Report - ${projectContext?.title || 'Untitled Project'}
+            ${reportTemplate.logo ? `<img src="${reportTemplate.logo}" style="height: 14px; vertical-align: middle; margin-right: 6px;">` : ''}
+            ${this.escapeHTML(reportTemplate.coverPage.title)} - ${this.escapeHTML(projectContext?.title || 'Untitled Project')}
         </div>
     `;
   }
 
-  getFooterTemplate() {
+  getFooterTemplate(reportTemplate = DEFAULT_REPORT_TEMPLATE) {
+    const { confidentiality, pageNumbers } = reportTemplate.footer;
     return `
         <div style="font-size: 10px; color: #666; width: 100%; text-align: center; margin-bottom: 10px;">
-            <span class="pageNumber"></span> of <span class="totalPages"></span>
+            ${confidentiality ? `<span>${this.escapeHTML(confidentiality)}</span>` : ''}
+            ${confidentiality && pageNumbers ? ' | ' : ''}
+            ${pageNumbers ? '<span class="pageNumber"></span> of <span class="totalPages"></span>' : ''}
         </div>
     `;
   }
 
+  escapeHTML(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   getConfidenceLevel(confidence) {
     if (confidence >= 0.8) return 'high';
     if (confidence >= 0.6) return 'medium';
@@ -1,4 +1,4 @@
-const geminiService = require('./geminiService');
+const llmService = require('./llmService');
 const logger = require('../utils/logger');
 
 class ProfessionalArchitectureDiagramService {
@@ -342,10 +342,7 @@ Return response in this exact JSON format:
 }`;
 
     try {
-      const response = await geminiService.generateContent(prompt, {
-        temperature: 0.2,
-        maxOutputTokens: 12000
-      });
+      const response = await llmService.invoke(prompt, { agent: 'ProfessionalArchitectureDiagramService' });
 
       return await this.parseProfessionalDiagramResponse(response);
 
@@ -664,8 +661,6 @@ Return response in this exact JSON format:
    */
   async generateTechnicalWriteups(awsServices, architectureAnalysis) {
     try {
-      const bedrock = require('./bedrock');
-      
       // Analyze the services and create technical explanations for each connection
       const serviceConnections = this.analyzeServiceConnections(awsServices);
       
@@ -691,8 +686,6 @@ Return response in this exact JSON format:
    * Generate connection writeups using AWS Bedrock Claude Haiku 3
    */
   async generateConnectionWriteupsWithClaude(serviceConnections, architectureAnalysis, awsServices) {
-    const bedrock = require('./bedrock');
-    
     const prompt = `You are a Senior AWS Solutions Architect providing detailed technical analysis for an architecture diagram. 
 
 ARCHITECTURE CONTEXT:
@@ -750,7 +743,7 @@ Format your response as a JSON array where each object represents a connection:
 Provide detailed, actionable technical guidance that would be valuable for implementation and operations teams. Focus on AWS-specific best practices and real-world implementation considerations.`;
 
     try {
-      const response = await bedrock.generateContent(prompt, 'anthropic.claude-3-haiku-20240307-v1:0');
+      const response = await llmService.invoke(prompt, { agent: 'ArchitectureWriteupService' });
       
       // Parse the JSON response
       const jsonMatch = response.match(/\[[\s\S]*\]/);
@@ -771,8 +764,6 @@ Provide detailed, actionable technical guidance that would be valuable for imple
    * Generate architecture summary using AWS Bedrock Claude Haiku 3
    */
   async generateArchitectureSummaryWithClaude(awsServices, architectureAnalysis) {
-    const bedrock = require('./bedrock');
-    
     const prompt = `You are a Senior AWS Solutions Architect providing an executive-level architecture summary.
 
 ARCHITECTURE CONTEXT:
@@ -820,7 +811,7 @@ Format your response as JSON:
 Provide detailed, actionable insights that would be valuable for technical leadership and architecture decision-making.`;
 
     try {
-      const response = await bedrock.generateContent(prompt, 'anthropic.claude-3-haiku-20240307-v1:0');
+      const response = await llmService.invoke(prompt, { agent: 'ArchitectureWriteupService' });
       
       // Parse the JSON response
       const jsonMatch = response.match(/\{[\s\S]*\}/);
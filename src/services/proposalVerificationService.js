@@ -0,0 +1,435 @@
+const citationService = require('./citationService');
+const claimVerificationAgent = require('../agents/claimVerificationAgent');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const SEVERITY_ORDER = ['blocking', 'high', 'medium', 'low'];
+
+// Claims that commit the company to something a customer can hold it to
+const COMMITMENT_TERMS = /\b(?:guarantee[sd]?|certified|certification|accredited|compliant|compliance|warrant(?:y|ies)?|sla|contractual(?:ly)?)\b/i;
+
+// Response times are usually tiered by priority, so those sentences state several on purpose
+const TIERED_TERMS = /\b(?:p[1-5]|priority|severity|sev\s?\d|critical|urgent|tier\s?\d)\b/i;
+
+// Numbers that point into the RFP or the calendar rather than state a figure
+const REFERENCE_NUMBERS = new RegExp([
+  /\b(?:section|clause|paragraph|article|appendix|annex|item|question|page|table|figure|step|phase)\s+[\dA-Z]+(?:\.\d+)*/.source,
+  /\b\d{4}-\d{2}-\d{2}\b|\b\d{1,2}[/.]\d{1,2}[/.]\d{2,4}\b|\b(?:19|20)\d{2}\b/.source,
+  /\b\d{1,2}(?:st|nd|rd|th)?\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*/.source,
+  /\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b/.source
+].join('|'), 'gi');
+
+const statesFigure = text => /\d/.test(text.replace(REFERENCE_NUMBERS, ''));
+
+// Severity of a claim the LLM judged unsupported, by what it claims
+const JUDGED_SEVERITY = { figure: 'blocking', commitment: 'high', capability: 'medium', general: 'low' };
+
+const UNIT_MINUTES = { minute: 1, min: 1, hour: 60, hr: 60, day: 1440, 'business day': 1440 };
+
+/**
+ * Quantities a proposal must state the same way everywhere. Each extractor
+ * returns { value, display } for every mention in a sentence; value is
+ * normalized so mentions compare across units.
+ */
+const FACTS = [
+  {
+    attribute: 'uptime',
+    label: 'Uptime / availability SLA',
+    patterns: [
+      /(\d{2,3}(?:\.\d+)?)\s*%[^.]{0,30}?\b(?:uptime|availability|available)\b/gi,
+      /\b(?:uptime|availability)\b[^.%]{0,40}?(\d{2,3}(?:\.\d+)?)\s*%/gi
+    ],
+    read: match => ({ value: parseFloat(match[1]), display: `${match[1]}%` })
+  },
+  {
+    attribute: 'teamSize',
+    label: 'Team size',
+    patterns: [
+      /\bteam of (\d+)\b/gi,
+      /\b(\d+)[-\s](?:person|member|strong)\s+(?:project\s+|delivery\s+|dedicated\s+)?team\b/gi,
+      /\b(\d+)\s+(?:dedicated\s+)?(?:team members|FTEs?|full-time equivalents)\b/gi
+    ],
+    read: match => ({ value: parseInt(match[1], 10), display: match[1] })
+  },
+  {
+    attribute: 'responseTime',
+    label: 'Support response time',
+    skip: sentence => TIERED_TERMS.test(sentence),
+    patterns: [
+      /\brespon\w*(?:\s+time)?\s+(?:of|within|in)\s+(\d+(?:\.\d+)?)\s*(minutes?|mins?|hours?|hrs?|business days?|days?)\b/gi
+    ],
+    read: match => readDuration(match[1], match[2])
+  },
+  {
+    attribute: 'rto',
+    label: 'Recovery time objective (RTO)',
+    patterns: [/\b(?:RTO|recovery time objective)\b[^.\d]{0,30}(\d+(?:\.\d+)?)\s*(minutes?|mins?|hours?|hrs?|days?)\b/gi],
+    read: match => readDuration(match[1], match[2])
+  },
+  {
+    attribute: 'rpo',
+    label: 'Recovery point objective (RPO)',
+    patterns: [/\b(?:RPO|recovery point objective)\b[^.\d]{0,30}(\d+(?:\.\d+)?)\s*(minutes?|mins?|hours?|hrs?|days?)\b/gi],
+    read: match => readDuration(match[1], match[2])
+  },
+  {
+    attribute: 'experience',
+    label: 'Years of experience',
+    patterns: [/\b(\d+)\+?\s+years?\s+(?:of\s+)?(?:experience|expertise)\b/gi],
+    read: match => ({ value: parseInt(match[1], 10), display: `${match[1]} years` })
+  }
+];
+
+function readDuration(amount, unit) {
+  const normalized = unit.toLowerCase().replace(/s$/, '');
+  const minutes = UNIT_MINUTES[normalized] ?? UNIT_MINUTES[normalized.replace(/^business /, '')];
+  return { value: parseFloat(amount) * minutes, display: `${amount} ${unit}` };
+}
+
+/**
+ * Verify a compiled proposal before it goes to a customer.
+ *
+ * Every sentence of the proposal is a claim. Quick checks come first: a claim
+ * whose words and figures appear in the extracted answers (and their cited
+ * excerpts) or in the workflow's documents and the company knowledge base is
+ * supported, and quantities such as uptime SLAs and team sizes stated with
+ * different values in different sections are possible contradictions. The
+ * claims still unsupported are then judged by the claim verification agent
+ * against the evidence retrieved for them, and it checks the figures and
+ * commitments across sections for contradictions, confirming or rejecting
+ * what the quick checks flagged. Without the agent the quick checks decide.
+ *
+ * Findings carry a severity; blocking findings (contradictions and
+ * unsupported figures) must be resolved before the proposal is sent.
+ */
+class ProposalVerificationService {
+  /**
+   * Verify the compiled response against the extracted answers. Pass
+   * workflowId to also check claims against the workflow's vector index.
+   */
+  async verifyProposal(response, extractedAnswers, { workflowId = null } = {}) {
+    const claims = this.collectClaims(response);
+    const evidence = this.collectEvidence(extractedAnswers);
+
+    const sentences = [];
+    claims.forEach(claim => {
+      citationService.verifyAnswer(claim.text, evidence).sentences.forEach(sentence => {
+        sentences.push({ ...claim, ...sentence, id: `S${sentences.length + 1}` });
+      });
+    });
+
+    const unsupported = await this.checkAgainstSources(
+      sentences.filter(sentence => sentence.checked && !sentence.supported),
+      workflowId
+    );
+    const candidates = this.findContradictions(sentences);
+    const judgement = await this.judgeClaims(unsupported, sentences, candidates, evidence);
+
+    const contradictions = judgement
+      ? [
+        ...judgement.contradictions.map(contradiction => this.judgedContradictionFinding(contradiction, judgement.statements)),
+        // Output that failed validation cannot reject what the quick checks found
+        ...(judgement.valid ? [] : candidates
+          .filter(candidate => !judgement.contradictions.some(contradiction =>
+            contradiction.statements.some(({ statementId }) => candidate.occurrences.some(mention => mention.statementId === statementId))))
+          .map(candidate => this.contradictionFinding(candidate)))
+      ]
+      : candidates.map(candidate => this.contradictionFinding(candidate));
+    const unsupportedFindings = unsupported
+      .map(claim => this.unsupportedFinding(claim, judgement?.verdicts.get(claim.id)))
+      .filter(Boolean);
+
+    const findings = [...contradictions, ...unsupportedFindings]
+      .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+      .map((finding, index) => ({ id: `F${index + 1}`, ...finding }));
+
+    const counts = {};
+    SEVERITY_ORDER.forEach(severity => {
+      counts[severity] = findings.filter(finding => finding.severity === severity).length;
+    });
+
+    const result = {
+      status: counts.blocking > 0 ? 'blocked' : findings.length > 0 ? 'warnings' : 'passed',
+      summary: {
+        claimsChecked: sentences.filter(sentence => sentence.checked).length,
+        unsupportedClaims: unsupportedFindings.length,
+        contradictions: contradictions.length,
+        judgedClaims: judgement ? judgement.verdicts.size : 0,
+        ...counts
+      },
+      findings,
+      verifiedAt: new Date().toISOString()
+    };
+
+    logger.info('Proposal verification completed', { workflowId, status: result.status, judged: !!judgement, ...result.summary });
+    return result;
+  }
+
+  /**
+   * Text blocks of the proposal, each with where it appears
+   */
+  collectClaims(response) {
+    const claims = [];
+    const add = (text, location) => {
+      if (typeof text === 'string' && text.trim()) {
+        claims.push({ text: text.trim(), location });
+      }
+    };
+
+    const summary = response?.executiveSummary || {};
+    add(summary.companyResponse, { area: 'executiveSummary', title: 'Executive Summary' });
+    add(summary.valueProposition, { area: 'executiveSummary', title: 'Value Proposition' });
+    (summary.keyStrengths || []).forEach(strength => add(strength, { area: 'executiveSummary', title: 'Key Strengths' }));
+
+    (response?.proposalStructure?.sections || []).forEach(section => {
+      const location = { area: 'section', sectionId: section.sectionId, title: section.title };
+      add(section.content, location);
+      (section.subsections || []).forEach(subsection => {
+        add(subsection.content, { ...location, title: `${section.title} / ${subsection.title || 'Subsection'}` });
+      });
+    });
+
+    (response?.questionResponses || []).forEach(answer => {
+      add(answer.response, {
+        area: 'questionResponse',
+        questionId: answer.questionId,
+        title: answer.originalQuestion || answer.questionId
+      });
+    });
+
+    return claims;
+  }
+
+  /**
+   * Extracted answers and the excerpts they cite, as chunks to verify against
+   */
+  collectEvidence(extractedAnswers) {
+    const evidence = [];
+    (extractedAnswers?.answeredQuestions || []).forEach(answer => {
+      const text = answer.answer || answer.answerText;
+      if (text) {
+        evidence.push({ content: `${answer.question || ''} ${text}` });
+      }
+      (answer.sources || []).forEach(source => {
+        if (source.excerpt || source.content) {
+          evidence.push({ content: source.excerpt || source.content });
+        }
+      });
+    });
+    return evidence;
+  }
+
+  /**
+   * Search the workflow's documents and the knowledge base for claims the
+   * answers do not support. Returns the claims that are still unsupported,
+   * with the chunks found for them as sources.
+   */
+  async checkAgainstSources(claims, workflowId) {
+    if (!workflowId || claims.length === 0) {
+      return claims;
+    }
+
+    let vectorService;
+    try {
+      const dataService = require('./workflowDataService');
+      if (!dataService.vectorManager?.initialized) {
+        return claims;
+      }
+      vectorService = await dataService.vectorManager.getWorkflowVectorService(workflowId);
+    } catch (error) {
+      logger.warn('Proposal verification could not open the vector index', { workflowId, error: error.message });
+      return claims;
+    }
+
+    const limit = config.verification.maxSourceSearches;
+    const remaining = [];
+    for (const [index, claim] of claims.entries()) {
+      if (index >= limit) {
+        remaining.push(claim);
+        continue;
+      }
+
+      try {
+        const chunks = await vectorService.searchSimilarContent(claim.text, 3);
+        const grounding = citationService.verifyAnswer(claim.text, chunks);
+        if (!grounding.verified) {
+          remaining.push({ ...claim, sources: chunks });
+        }
+      } catch (error) {
+        logger.warn('Proposal verification source search failed', { workflowId, error: error.message });
+        remaining.push(claim);
+      }
+    }
+    return remaining;
+  }
+
+  /**
+   * Quantities stated with different values in different places. These are
+   * candidates: the claim verification agent confirms or rejects them.
+   */
+  findContradictions(sentences) {
+    const mentions = {};
+
+    sentences.forEach(sentence => {
+      FACTS.forEach(fact => {
+        if (fact.skip?.(sentence.text)) return;
+
+        const found = fact.patterns.flatMap(pattern => [...sentence.text.matchAll(pattern)].map(match => fact.read(match)));
+        const values = new Set(found.map(mention => mention.value));
+        // Several values in one sentence is a tiered statement, not a contradiction
+        if (values.size !== 1) return;
+
+        mentions[fact.attribute] = mentions[fact.attribute] || [];
+        mentions[fact.attribute].push({ ...found[0], text: sentence.text, location: sentence.location, statementId: sentence.id });
+      });
+    });
+
+    return FACTS
+      .filter(fact => new Set((mentions[fact.attribute] || []).map(mention => mention.value)).size > 1)
+      .map(fact => ({ fact, occurrences: mentions[fact.attribute] }));
+  }
+
+  /**
+   * Ask the claim verification agent about the claims still unsupported and
+   * the figures and commitments stated across the proposal. Returns null when
+   * it is turned off, has nothing to judge or fails, so the quick checks stand.
+   */
+  async judgeClaims(unsupported, sentences, candidates, evidence) {
+    if (!config.verification.llmJudge) {
+      return null;
+    }
+
+    const claims = unsupported.slice(0, config.verification.maxJudgedClaims).map(claim => ({
+      id: claim.id,
+      text: claim.text,
+      location: claim.location,
+      evidence: [...this.rankEvidence(claim.text, evidence, 3), ...(claim.sources || [])]
+        .map((chunk, index) => ({ id: `${claim.id}-E${index + 1}`, content: chunk.content }))
+    }));
+
+    // Statements with numbers or dates can disagree with each other. Those the
+    // quick checks flagged come first, so they are never cut off.
+    const flagged = new Set(candidates.flatMap(candidate => candidate.occurrences.map(mention => mention.statementId)));
+    const statements = [
+      ...sentences.filter(sentence => flagged.has(sentence.id)),
+      ...sentences.filter(sentence => !flagged.has(sentence.id) && sentence.checked &&
+        (/\d/.test(sentence.text) || COMMITMENT_TERMS.test(sentence.text)))
+    ].slice(0, config.verification.maxJudgedStatements);
+
+    if (claims.length === 0 && statements.length < 2) {
+      return null;
+    }
+
+    try {
+      const result = await claimVerificationAgent.verifyClaims({
+        claims,
+        statements: statements.map(({ id, text, location }) => ({ id, text, location })),
+        candidates: candidates.map(candidate => ({
+          attribute: candidate.fact.label,
+          statementIds: candidate.occurrences.map(mention => mention.statementId)
+        }))
+      });
+      if (result.fallbackExtraction) {
+        return null;
+      }
+
+      return {
+        valid: result.schemaValidation?.valid !== false,
+        verdicts: new Map(result.verdicts.map(verdict => [verdict.claimId, verdict])),
+        contradictions: result.contradictions,
+        statements: new Map(statements.map(statement => [statement.id, statement]))
+      };
+    } catch (error) {
+      logger.warn('Claim verification failed, using the quick checks alone', { error: error.message });
+      return null;
+    }
+  }
+
+  // The chunks sharing the most words with a claim
+  rankEvidence(text, chunks, limit) {
+    const tokens = new Set(citationService.tokenize(text));
+    return chunks
+      .map(chunk => ({ chunk, score: citationService.tokenize(chunk.content).filter(token => tokens.has(token)).length }))
+      .filter(ranked => ranked.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(ranked => ranked.chunk);
+  }
+
+  contradictionFinding({ fact, occurrences }) {
+    const values = [...new Set(occurrences.map(mention => mention.display))];
+    return {
+      type: 'contradiction',
+      attribute: fact.attribute,
+      severity: 'blocking',
+      blocking: true,
+      message: `${fact.label} is stated as ${values.join(' and ')} in different places`,
+      occurrences: occurrences.map(({ display, text, location }) => ({ value: display, text, location })),
+      recommendedAction: `Agree on one ${fact.label.toLowerCase()} and use it throughout the proposal`
+    };
+  }
+
+  judgedContradictionFinding(contradiction, statements) {
+    const occurrences = contradiction.statements.map(({ statementId, value }) => {
+      const statement = statements.get(statementId);
+      return { value, text: statement.text, location: statement.location };
+    });
+    const values = [...new Set(occurrences.map(occurrence => occurrence.value).filter(Boolean))];
+    return {
+      type: 'contradiction',
+      attribute: contradiction.attribute,
+      severity: 'blocking',
+      blocking: true,
+      message: values.length > 1
+        ? `${contradiction.attribute} is stated as ${values.join(' and ')} in different places`
+        : `${contradiction.attribute} is stated differently in different places`,
+      reason: contradiction.reason,
+      occurrences,
+      recommendedAction: `Agree on one ${contradiction.attribute.toLowerCase()} and use it throughout the proposal`
+    };
+  }
+
+  /**
+   * Finding for a claim the quick checks could not support. With a verdict
+   * the agent decides; supported claims and text that claims nothing get no
+   * finding. Without one, figures other than clause references and dates
+   * are blocking.
+   */
+  unsupportedFinding(claim, verdict = null) {
+    if (verdict && ['supported', 'not_a_claim'].includes(verdict.verdict)) {
+      return null;
+    }
+
+    const contradicted = verdict?.verdict === 'contradicted';
+    const severity = contradicted
+      ? 'blocking'
+      : verdict
+        ? JUDGED_SEVERITY[verdict.claimType]
+        : statesFigure(claim.text) ? 'blocking' : COMMITMENT_TERMS.test(claim.text) ? 'high' : 'medium';
+
+    let message = 'Not supported by the extracted answers or company sources';
+    let recommendedAction = 'Add a supporting source or rephrase the claim';
+    if (contradicted) {
+      message = 'Contradicted by the extracted answers or company sources';
+      recommendedAction = 'Correct the claim to match the sources, or confirm it with the responsible SME';
+    } else if (severity === 'blocking') {
+      message = 'States a figure that no answer or company source supports';
+      recommendedAction = 'Confirm the figure with the responsible SME or remove it';
+    }
+
+    return {
+      type: 'unsupported_claim',
+      severity,
+      blocking: severity === 'blocking',
+      message,
+      claim: claim.text,
+      score: claim.score,
+      location: claim.location,
+      judged: !!verdict,
+      reason: verdict?.reason,
+      recommendedAction
+    };
+  }
+}
+
+module.exports = new ProposalVerificationService();
@@ -0,0 +1,287 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { codedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Header text that marks the question column, strongest match first
+const QUESTION_HEADERS = [/\bquestions?\b/i, /\brequirements?\b/i, /\b(?:description|query|criteri(?:on|a)|control)\b/i];
+
+// Header text that marks the answer column, strongest match first
+const ANSWER_HEADERS = [/\b(?:answers?|responses?|reply)\b/i, /\b(?:comments?|remarks?|explanation|vendor|supplier|bidder|proposer)\b/i];
+
+// Question-like headers that label an identifier column, e.g. "Question ID"
+const ID_HEADER = /^(?:#|no\.?|nr\.?|id|ref(?:erence)?\.?|item)$|\b(?:id|no\.?|number|ref(?:erence)?)$/i;
+
+// Rows scanned for the header row
+const MAX_HEADER_ROWS = 15;
+
+// Shorter rows without a question mark are section headings, e.g. "Security"
+const MIN_QUESTION_WORDS = 3;
+
+// Excel's limit on the text of one cell
+const MAX_CELL_LENGTH = 32767;
+
+/**
+ * Customer questionnaires in Excel, filled in place.
+ *
+ * In each sheet the header row is found by its labels ("Question",
+ * "Requirement", ... and "Answer", "Response", "Vendor Comments", ...). Every
+ * row below it with question text and an empty answer cell becomes a
+ * question, and the address of its answer cell is kept. Once the pipeline has
+ * answered the questions, the answers are written into those cells of the
+ * customer's original workbook; everything else in the file, including cell
+ * formatting, is left as it was.
+ */
+class QuestionnaireService {
+  /**
+   * Questions of every questionnaire workbook among the uploaded RFP
+   * documents, in the clarificationQuestions format. The cell of each
+   * question is kept in questionnaireCell.
+   */
+  async importQuestionnaires(documents) {
+    const questions = [];
+    const files = [];
+
+    for (const [fileIndex, document] of documents.entries()) {
+      const extension = path.extname(document.originalName || '').toLowerCase();
+      if (extension !== '.xlsx') {
+        if (extension === '.xls') {
+          files.push({ documentId: document.id, fileName: document.originalName, sheets: [], skipped: 'Legacy .xls workbooks cannot be filled in place; save the file as .xlsx' });
+        }
+        continue;
+      }
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(document.path);
+
+      const sheets = workbook.worksheets.map((worksheet, sheetIndex) => {
+        const layout = this.detectColumns(worksheet);
+        if (!layout) {
+          return { name: worksheet.name, questions: 0, skipped: 'No question and answer columns detected' };
+        }
+
+        const rows = this.readQuestions(worksheet, layout);
+        if (rows.length === 0) {
+          return { name: worksheet.name, questions: 0, skipped: 'No unanswered questions below the header row' };
+        }
+
+        rows.forEach(row => {
+          questions.push({
+            id: `questionnaire_${fileIndex + 1}_${sheetIndex + 1}_${row.row}`,
+            question: row.reference ? `${row.reference}: ${row.question}` : row.question,
+            rationale: `${document.originalName}, sheet "${worksheet.name}", cell ${row.questionCell}${row.section ? ` (${row.section})` : ''}`,
+            priority: 'high',
+            impact: 'Asked by the customer in the questionnaire',
+            relatedRequirements: [],
+            questionnaireCell: {
+              documentId: document.id,
+              fileName: document.originalName,
+              sheet: worksheet.name,
+              questionCell: row.questionCell,
+              answerCell: row.answerCell
+            }
+          });
+        });
+
+        return {
+          name: worksheet.name,
+          headerRow: layout.headerRow,
+          questionColumn: worksheet.getColumn(layout.questionColumn).letter,
+          answerColumn: worksheet.getColumn(layout.answerColumn).letter,
+          questions: rows.length
+        };
+      });
+
+      files.push({ documentId: document.id, fileName: document.originalName, sheets });
+    }
+
+    logger.info('Questionnaires imported', { files: files.length, questions: questions.length });
+    return {
+      questionCategories: { questionnaire: questions },
+      questionSummary: {
+        totalQuestions: questions.length,
+        highPriority: questions.length,
+        mediumPriority: 0,
+        lowPriority: 0
+      },
+      questionnaire: { files }
+    };
+  }
+
+  /**
+   * Header row and question, answer and (optional) reference columns of a
+   * sheet, or null when the sheet is not a questionnaire
+   */
+  detectColumns(worksheet) {
+    const lastRow = Math.min(worksheet.rowCount, MAX_HEADER_ROWS);
+
+    for (let rowNumber = 1; rowNumber <= lastRow; rowNumber++) {
+      const headers = [];
+      worksheet.getRow(rowNumber).eachCell((cell, column) => {
+        const text = this.cellText(cell);
+        if (text) headers.push({ column, text });
+      });
+
+      const questionColumn = this.bestHeader(headers.filter(h => !ID_HEADER.test(h.text)), QUESTION_HEADERS);
+      if (!questionColumn) continue;
+
+      // "Requirement Response" is an answer header, not a second question column
+      const answerColumn = this.bestHeader(headers.filter(h => h.column !== questionColumn), ANSWER_HEADERS) ||
+        this.blankHeaderAfter(worksheet, rowNumber, questionColumn);
+      if (!answerColumn) continue;
+
+      const reference = headers.find(h => h.column < questionColumn && ID_HEADER.test(h.text));
+      return { headerRow: rowNumber, questionColumn, answerColumn, referenceColumn: reference?.column || null };
+    }
+
+    return null;
+  }
+
+  // Column of the header matching the strongest pattern, leftmost first
+  bestHeader(headers, patterns) {
+    for (const pattern of patterns) {
+      const match = headers.find(h => pattern.test(h.text));
+      if (match) return match.column;
+    }
+    return null;
+  }
+
+  // Unlabelled answer column right of the questions
+  blankHeaderAfter(worksheet, headerRow, questionColumn) {
+    const cell = worksheet.getRow(headerRow).getCell(questionColumn + 1);
+    return this.cellText(cell) ? null : questionColumn + 1;
+  }
+
+  /**
+   * Question rows below the header. Rows whose answer cell is already
+   * filled are left to the customer; short rows are section headings.
+   */
+  readQuestions(worksheet, layout) {
+    const rows = [];
+    let section = null;
+
+    for (let rowNumber = layout.headerRow + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+      const row = worksheet.getRow(rowNumber);
+      const questionCell = row.getCell(layout.questionColumn);
+      const answerCell = row.getCell(layout.answerColumn);
+      const text = this.cellText(questionCell);
+      if (!text) continue;
+
+      // Headings merged across the question or answer column have no cell of their own to fill
+      const mergedHeading = (questionCell.isMerged && questionCell.master.address !== questionCell.address) ||
+        (answerCell.isMerged && answerCell.master.address === questionCell.address);
+      if (mergedHeading || (text.split(/\s+/).length < MIN_QUESTION_WORDS && !text.includes('?'))) {
+        section = text;
+        continue;
+      }
+      if (this.cellText(answerCell)) continue;
+
+      rows.push({
+        row: rowNumber,
+        question: text,
+        reference: layout.referenceColumn ? this.cellText(row.getCell(layout.referenceColumn)) || null : null,
+        section,
+        questionCell: questionCell.address,
+        answerCell: answerCell.address
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Imported questionnaires of a workflow, per workbook, with how many of
+   * their questions have an answer
+   */
+  async getQuestionnaires(workflowId, extractedAnswers) {
+    const dataService = require('./workflowDataService');
+    return this.summarize(await dataService.getQuestionnaireCells(workflowId), extractedAnswers);
+  }
+
+  /**
+   * A workflow's questionnaire workbook filled with its (reviewed) answers
+   */
+  async fillQuestionnaire(workflowId, documentId, extractedAnswers) {
+    const dataService = require('./workflowDataService');
+
+    const cells = (await dataService.getQuestionnaireCells(workflowId)).filter(cell => cell.documentId === documentId);
+    const document = (await dataService.getDocumentsByWorkflow(workflowId)).find(doc => doc.document_id === documentId);
+    if (cells.length === 0 || !document) {
+      throw codedError('No questionnaire was imported from this document', 'QUESTIONNAIRE_NOT_FOUND');
+    }
+
+    try {
+      const filled = await this.fillWorkbook(document.file_path, cells, extractedAnswers);
+      return { ...filled, fileName: document.original_name };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw codedError('The uploaded questionnaire file is no longer available', 'QUESTIONNAIRE_FILE_MISSING');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The original workbook with each answer written into its answer cell.
+   * Questions without an answer keep an empty cell.
+   */
+  async fillWorkbook(filePath, cells, extractedAnswers) {
+    const answers = {};
+    (extractedAnswers?.answeredQuestions || []).forEach(answer => {
+      answers[answer.questionId] = answer.answer;
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    let filled = 0;
+    cells.forEach(cell => {
+      const text = (answers[cell.questionId] || '').trim();
+      const worksheet = workbook.getWorksheet(cell.sheet);
+      if (!text || !worksheet) return;
+
+      // Assigning the value keeps the cell's style
+      worksheet.getCell(cell.answerCell).value = text.slice(0, MAX_CELL_LENGTH);
+      filled++;
+    });
+
+    logger.info('Questionnaire filled', { filePath, filled, unanswered: cells.length - filled });
+    return {
+      buffer: await workbook.xlsx.writeBuffer(),
+      filled,
+      unanswered: cells.length - filled
+    };
+  }
+
+  // Questionnaire cells of a workflow per document, with answer counts
+  summarize(cells, extractedAnswers) {
+    const answered = new Set((extractedAnswers?.answeredQuestions || [])
+      .filter(answer => (answer.answer || '').trim())
+      .map(answer => answer.questionId));
+
+    const files = {};
+    cells.forEach(cell => {
+      const file = files[cell.documentId] = files[cell.documentId] ||
+        { documentId: cell.documentId, fileName: cell.fileName, sheets: {}, questions: 0, answered: 0 };
+      file.questions++;
+      file.sheets[cell.sheet] = (file.sheets[cell.sheet] || 0) + 1;
+      if (answered.has(cell.questionId)) file.answered++;
+    });
+
+    return Object.values(files).map(file => ({
+      ...file,
+      sheets: Object.entries(file.sheets).map(([name, questions]) => ({ name, questions }))
+    }));
+  }
+
+  // Text of a cell, whatever its value type (rich text, formula, hyperlink, ...)
+  cellText(cell) {
+    try {
+      return String(cell.text ?? '').trim();
+    } catch {
+      return '';
+    }
+  }
+}
+
+module.exports = new QuestionnaireService();
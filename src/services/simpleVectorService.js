@@ -144,8 +144,8 @@ class SimpleVectorService {
       // Combine relevant chunks as context
       const context = relevantChunks.map(chunk => chunk.content).join('\n\n');
       
-      // Use AWS Bedrock to generate answer based on context
-      const bedrock = require('./bedrock');
+      // Use the configured LLM provider to generate answer based on context
+      const llmService = require('./llmService');
       
       const prompt = `Based on the following context from the RFP document, please answer the question. If the information is not available in the context, say so clearly.
 
@@ -156,7 +156,7 @@ Question: ${question}
 
 Please provide a clear, concise answer based only on the information provided in the context above.`;
 
-      const response = await bedrock.invokeModel(prompt);
+      const response = await llmService.invoke(prompt, { agent: 'RAGAnswerService' });
       
       // Calculate confidence based on similarity scores
       const avgSimilarity = relevantChunks.reduce((sum, chunk) => sum + chunk.similarity, 0) / relevantChunks.length;
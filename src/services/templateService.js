@@ -0,0 +1,262 @@
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { normalizeReportTemplate, parseReportTemplate } = require('../templates/reportTemplate');
+const { codedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Template types and the file extension each accepts
+const TEMPLATE_TYPES = {
+  docx: '.docx',
+  pdf: '.json'
+};
+
+// Logo images a PDF report template may embed
+const LOGO_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+const MAX_LOGO_SIZE = 1024 * 1024;
+
+/**
+ * Document templates uploaded by proposal teams, e.g. Word templates with
+ * the company's styles, cover page and headers, or PDF report templates with
+ * a business unit's branding (see templates/reportTemplate). Templates are
+ * shared by all workflows; one template per type can be the default that
+ * exports use when they name none.
+ */
+class TemplateService {
+  constructor() {
+    this.db = null;
+    this.types = Object.keys(TEMPLATE_TYPES);
+    this.uploadExtensions = [...new Set(Object.values(TEMPLATE_TYPES)), ...Object.keys(LOGO_TYPES)];
+  }
+
+  async initialize() {
+    if (this.db) return this.db;
+
+    try {
+      const dbPath = path.resolve(config.templates.dbPath);
+      await fs.mkdir(path.dirname(dbPath), { recursive: true });
+      await fs.mkdir(path.resolve(config.templates.storageDir), { recursive: true });
+
+      this.db = await open({
+        filename: dbPath,
+        driver: sqlite3.Database
+      });
+      await this.db.exec('PRAGMA journal_mode = WAL');
+
+      const schema = await fs.readFile(path.join(process.cwd(), 'src/database/template-schema.sql'), 'utf8');
+      await this.db.exec(schema);
+
+      logger.info('Template store initialized', { path: dbPath });
+      return this.db;
+    } catch (error) {
+      logger.error('Failed to initialize template store:', error);
+      throw new Error(`Template store initialization failed: ${error.message}`);
+    }
+  }
+
+  async listTemplates({ type } = {}) {
+    await this.initialize();
+
+    const rows = type
+      ? await this.db.all('SELECT * FROM templates WHERE type = ? ORDER BY is_default DESC, name ASC', [type])
+      : await this.db.all('SELECT * FROM templates ORDER BY type ASC, is_default DESC, name ASC');
+    return rows.map(row => this.formatTemplate(row));
+  }
+
+  async getTemplate(id) {
+    await this.initialize();
+    const row = await this.db.get('SELECT * FROM templates WHERE id = ?', [id]);
+    return row ? this.formatTemplate(row) : null;
+  }
+
+  /**
+   * Template file contents. Without an id the default template of the type
+   * is used; null when there is none.
+   */
+  async getTemplateFile(id, type) {
+    await this.initialize();
+
+    const row = id
+      ? await this.db.get('SELECT * FROM templates WHERE id = ?', [id])
+      : await this.db.get('SELECT * FROM templates WHERE type = ? AND is_default = 1', [type]);
+    if (!row) {
+      if (id) throw codedError('Template not found', 'TEMPLATE_NOT_FOUND');
+      return null;
+    }
+    if (type && row.type !== type) {
+      throw codedError(`Template ${row.name} is a ${row.type} template, not ${type}`, 'INVALID_TEMPLATE');
+    }
+
+    return {
+      template: this.formatTemplate(row),
+      filePath: path.resolve(row.file_path),
+      buffer: await fs.readFile(row.file_path)
+    };
+  }
+
+  /**
+   * Normalized settings of a PDF report template. Without an id the default
+   * report template is used; null when there is none.
+   */
+  async getReportTemplate(id) {
+    const template = await this.getTemplateFile(id, 'pdf');
+    return template ? parseReportTemplate(template.buffer) : null;
+  }
+
+  /**
+   * Store an uploaded template (a multer file). The file is checked before
+   * it is kept; a template with syntax errors is rejected with the errors.
+   * A PDF report template may instead be given as settings (an object or a
+   * JSON string), with an uploaded logo image that is embedded in it.
+   */
+  async addTemplate(file, { type = 'docx', name, description, isDefault, uploadedBy, settings, logo } = {}) {
+    await this.initialize();
+
+    try {
+      if (!TEMPLATE_TYPES[type]) {
+        throw codedError(`Invalid template type. Must be one of: ${this.types.join(', ')}`, 'INVALID_TEMPLATE');
+      }
+      if (file && path.extname(file.originalname).toLowerCase() !== TEMPLATE_TYPES[type]) {
+        throw codedError(`A ${type} template must be a ${TEMPLATE_TYPES[type]} file`, 'INVALID_TEMPLATE');
+      }
+      if (!file && !(type === 'pdf' && settings)) {
+        throw codedError(type === 'pdf' ? 'Upload a template file or give its settings' : 'No file uploaded', 'INVALID_TEMPLATE');
+      }
+
+      const id = uuidv4();
+      const filePath = path.join(config.templates.storageDir, `${id}${TEMPLATE_TYPES[type]}`);
+      let placeholders = [];
+      let fileName = file?.originalname;
+
+      if (type === 'pdf') {
+        const reportTemplate = file
+          ? parseReportTemplate(await fs.readFile(file.path))
+          : normalizeReportTemplate(this.parseSettings(settings));
+        if (logo) {
+          reportTemplate.logo = await this.readLogo(logo);
+        }
+        await fs.writeFile(filePath, JSON.stringify(reportTemplate, null, 2));
+        fileName = fileName || `${(name?.trim() || 'report-template').replace(/[^\w.-]+/g, '-')}.json`;
+      } else {
+        const docxExportService = require('./docxExportService');
+        ({ placeholders } = docxExportService.inspectTemplate(await fs.readFile(file.path)));
+        await fs.copyFile(file.path, filePath);
+      }
+      const { size } = await fs.stat(filePath);
+
+      // The first template of a type becomes its default
+      const { count } = await this.db.get('SELECT COUNT(*) as count FROM templates WHERE type = ?', [type]);
+      const makeDefault = count === 0 || isDefault === true || isDefault === 'true';
+      if (makeDefault) {
+        await this.db.run('UPDATE templates SET is_default = 0 WHERE type = ?', [type]);
+      }
+
+      await this.db.run(`
+        INSERT INTO templates (
+          id, type, name, description, file_name, file_path, file_size, placeholders, is_default, uploaded_by, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        id,
+        type,
+        name?.trim() || path.basename(fileName, path.extname(fileName)),
+        description || null,
+        fileName,
+        filePath,
+        size,
+        JSON.stringify(placeholders),
+        makeDefault ? 1 : 0,
+        uploadedBy || null,
+        new Date().toISOString()
+      ]);
+
+      logger.info('Template added', { id, type, placeholders: placeholders.length, isDefault: makeDefault });
+      return await this.getTemplate(id);
+    } finally {
+      await Promise.all([file, logo].filter(Boolean).map(upload => fs.unlink(upload.path).catch(() => {})));
+    }
+  }
+
+  parseSettings(settings) {
+    if (typeof settings !== 'string') return settings;
+    try {
+      return JSON.parse(settings);
+    } catch (error) {
+      throw codedError(`Template settings are not valid JSON: ${error.message}`, 'INVALID_TEMPLATE');
+    }
+  }
+
+  // An uploaded logo image as a data URL
+  async readLogo(logo) {
+    const mimeType = LOGO_TYPES[path.extname(logo.originalname).toLowerCase()];
+    if (!mimeType) {
+      throw codedError(`The logo must be one of: ${Object.keys(LOGO_TYPES).join(', ')}`, 'INVALID_TEMPLATE');
+    }
+    if (logo.size > MAX_LOGO_SIZE) {
+      throw codedError('The logo must be at most 1 MB', 'INVALID_TEMPLATE');
+    }
+    const data = await fs.readFile(logo.path);
+    return `data:${mimeType};base64,${data.toString('base64')}`;
+  }
+
+  async setDefault(id) {
+    await this.initialize();
+
+    const template = await this.getTemplate(id);
+    if (!template) {
+      throw codedError('Template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    await this.db.run('UPDATE templates SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE type = ?', [id, template.type]);
+    logger.info('Default template changed', { id, type: template.type });
+    return await this.getTemplate(id);
+  }
+
+  async deleteTemplate(id) {
+    await this.initialize();
+
+    const row = await this.db.get('SELECT * FROM templates WHERE id = ?', [id]);
+    if (!row) {
+      return null;
+    }
+
+    await this.db.run('DELETE FROM templates WHERE id = ?', [id]);
+    await fs.unlink(row.file_path).catch(() => {});
+
+    logger.info('Template deleted', { id, type: row.type });
+    return { deleted: true };
+  }
+
+  parseList(value) {
+    try {
+      return value ? JSON.parse(value) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  formatTemplate(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      name: row.name,
+      description: row.description,
+      fileName: row.file_name,
+      fileSize: row.file_size,
+      placeholders: this.parseList(row.placeholders),
+      isDefault: !!row.is_default,
+      uploadedBy: row.uploaded_by,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new TemplateService();
@@ -165,19 +165,20 @@ class WorkflowDataService {
       const db = await this.dbManager.getWorkflowDatabase(workflowId);
       
       const {
-        id, originalName, filePath, fileSize, mimeType,
-        documentType, processingStatus, processedContent, metadata, structuredData
+        id, originalName, filePath, fileSize, mimeType, documentType, processingStatus,
+        processedContent, metadata, structuredData, parentDocumentId = null
       } = documentData;
 
       const result = await db.run(`
         INSERT INTO documents (
           id, workflow_id, original_name, file_path, file_size, mime_type,
-          document_type, processing_status, processed_content, metadata, structured_data
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          document_type, processing_status, processed_content, metadata, structured_data,
+          parent_document_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         id, workflowId, originalName, filePath, fileSize, mimeType,
         documentType, processingStatus, processedContent,
-        JSON.stringify(metadata), JSON.stringify(structuredData)
+        JSON.stringify(metadata), JSON.stringify(structuredData), parentDocumentId
       ]);
 
       // Clear cache
@@ -191,6 +192,31 @@ class WorkflowDataService {
     }
   }
 
+  /**
+   * Store the extracted text of ingested documents on their rows. Citation
+   * offsets point into this text.
+   */
+  async saveProcessedContent(workflowId, ingestedDocuments) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      for (const doc of ingestedDocuments) {
+        if (!doc?.documentId) continue;
+        await db.run(`
+          UPDATE documents
+          SET processed_content = ?, processing_status = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE workflow_id = ? AND id = ?
+        `, [doc.processedContent || null, doc.processedContent ? 'processed' : 'failed', workflowId, doc.documentId]);
+      }
+
+      // Clear cache
+      await this.cache.del(`workflow:${workflowId}:documents`);
+    } catch (error) {
+      logger.error('Error saving processed document content', { workflowId, error: error.message });
+      throw error;
+    }
+  }
+
   async getDocumentsByWorkflow(workflowId) {
     try {
       const cacheKey = `workflow:${workflowId}:documents`;
@@ -262,14 +288,15 @@ class WorkflowDataService {
       const stmt = await db.prepare(`
         INSERT INTO requirements (
           workflow_id, requirement_id, category, description, priority, 
-          complexity, mandatory, source_document_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          complexity, mandatory, standard, source_document_id, source_document, source_section
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       for (const req of requirements) {
         await stmt.run([
           workflowId, req.id, req.category, req.description,
-          req.priority, req.complexity, req.mandatory, req.sourceDocumentId
+          req.priority, req.complexity, req.mandatory, req.standard,
+          req.sourceDocumentId, req.sourceDocument, req.section
         ]);
       }
 
@@ -286,6 +313,21 @@ class WorkflowDataService {
     }
   }
 
+  /**
+   * Replace the generated requirements, e.g. after an analyst edited them at a review gate
+   */
+  async replaceRequirements(workflowId, requirements) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      await db.run('DELETE FROM requirements WHERE workflow_id = ?', [workflowId]);
+
+      return await this.saveRequirements(workflowId, requirements);
+    } catch (error) {
+      logger.error('Error replacing requirements', { workflowId, error: error.message });
+      throw error;
+    }
+  }
+
   async getRequirements(workflowId) {
     try {
       const cacheKey = `workflow:${workflowId}:requirements`;
@@ -309,6 +351,329 @@ class WorkflowDataService {
     }
   }
 
+  async addRequirement(workflowId, requirementData) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      const result = await db.run(`
+        INSERT INTO requirements (
+          workflow_id, requirement_id, category, description, priority,
+          complexity, mandatory, created_by, source_document, source_section, amended_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        workflowId,
+        requirementData.requirement_id,
+        requirementData.category,
+        requirementData.description,
+        requirementData.priority,
+        requirementData.complexity,
+        requirementData.mandatory,
+        requirementData.created_by,
+        requirementData.source_document || null,
+        requirementData.source_section || null,
+        requirementData.amended_by || null
+      ]);
+
+      // Clear cache
+      await this.cache.del(`workflow:${workflowId}:requirements`);
+
+      const requirement = await db.get('SELECT * FROM requirements WHERE id = ?', [result.lastID]);
+
+      logger.info('Requirement added', { workflowId, requirementId: requirementData.requirement_id });
+      return requirement;
+    } catch (error) {
+      logger.error('Error adding requirement', { workflowId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a requirement. Returns the updated row, or null if it does not exist.
+   */
+  async updateRequirement(workflowId, requirementId, updates) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      const existingRequirement = await db.get(`
+        SELECT * FROM requirements
+        WHERE workflow_id = ? AND requirement_id = ?
+      `, [workflowId, requirementId]);
+
+      if (!existingRequirement) {
+        return null;
+      }
+
+      const fields = [];
+      const values = [];
+
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value !== undefined) {
+          fields.push(`${key} = ?`);
+          values.push(value);
+        }
+      });
+
+      if (fields.length === 0) {
+        return existingRequirement;
+      }
+
+      values.push(workflowId, requirementId);
+
+      await db.run(`
+        UPDATE requirements
+        SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE workflow_id = ? AND requirement_id = ?
+      `, values);
+
+      // Clear cache
+      await this.cache.del(`workflow:${workflowId}:requirements`);
+
+      logger.info('Requirement updated', { workflowId, requirementId });
+      return await db.get(`
+        SELECT * FROM requirements
+        WHERE workflow_id = ? AND requirement_id = ?
+      `, [workflowId, requirementId]);
+    } catch (error) {
+      logger.error('Error updating requirement', { workflowId, requirementId, error: error.message });
+      throw error;
+    }
+  }
+
+  async deleteRequirement(workflowId, requirementId) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      const result = await db.run(`
+        DELETE FROM requirements
+        WHERE workflow_id = ? AND requirement_id = ?
+      `, [workflowId, requirementId]);
+
+      if (result.changes === 0) {
+        return null;
+      }
+
+      // Clear cache
+      await this.cache.del(`workflow:${workflowId}:requirements`);
+
+      logger.info('Requirement deleted', { workflowId, requirementId });
+      return true;
+    } catch (error) {
+      logger.error('Error deleting requirement', { workflowId, requirementId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Flag the questions linked to a requirement through related_requirements,
+   * and their answers, as stale. Returns the affected question ids.
+   */
+  async markRequirementDependentsStale(workflowId, requirementId, reason) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      const rows = await db.all(`
+        SELECT question_id, related_requirements FROM questions
+        WHERE workflow_id = ? AND related_requirements IS NOT NULL
+      `, [workflowId]);
+
+      // related_requirements is a JSON array, so match it here rather than with LIKE
+      const questionIds = rows
+        .filter(row => {
+          try {
+            const related = JSON.parse(row.related_requirements);
+            return Array.isArray(related) && related.includes(requirementId);
+          } catch {
+            return false;
+          }
+        })
+        .map(row => row.question_id);
+
+      if (questionIds.length === 0) {
+        return { questions: [], answers: 0 };
+      }
+
+      const placeholders = questionIds.map(() => '?').join(', ');
+
+      await db.run(`
+        UPDATE questions
+        SET is_stale = 1, stale_reason = ?
+        WHERE workflow_id = ? AND question_id IN (${placeholders})
+      `, [reason, workflowId, ...questionIds]);
+
+      const answers = await db.run(`
+        UPDATE answers
+        SET is_stale = 1, stale_reason = ?
+        WHERE workflow_id = ? AND question_id IN (${placeholders})
+      `, [reason, workflowId, ...questionIds]);
+
+      // Clear cache
+      await this.cache.del(`workflow:${workflowId}:questions`);
+      await this.cache.del(`workflow:${workflowId}:answers`);
+
+      logger.info('Requirement dependents marked stale', {
+        workflowId,
+        requirementId,
+        questions: questionIds.length,
+        answers: answers.changes
+      });
+      return { questions: questionIds, answers: answers.changes };
+    } catch (error) {
+      logger.error('Error marking requirement dependents stale', { workflowId, requirementId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Compliance matrix operations
+
+  /**
+   * Replace the generated compliance matrix. Rows edited through the API keep
+   * their assessment (status, references, owner, notes); rows of requirements
+   * that no longer exist are removed.
+   */
+  async saveComplianceMatrix(workflowId, rows) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      const edited = new Set((await db.all(
+        'SELECT requirement_id FROM compliance_matrix WHERE workflow_id = ? AND is_edited = 1',
+        [workflowId]
+      )).map(row => row.requirement_id));
+
+      await db.run('DELETE FROM compliance_matrix WHERE workflow_id = ? AND is_edited = 0', [workflowId]);
+      const requirementIds = rows.map(row => row.requirementId);
+      await db.run(`
+        DELETE FROM compliance_matrix
+        WHERE workflow_id = ? AND requirement_id NOT IN (${requirementIds.map(() => '?').join(', ') || 'NULL'})
+      `, [workflowId, ...requirementIds]);
+
+      for (const row of rows) {
+        if (edited.has(row.requirementId)) {
+          // Only the requirement itself is refreshed
+          await db.run(`
+            UPDATE compliance_matrix
+            SET category = ?, requirement_text = ?, priority = ?, mandatory = ?, standard = ?
+            WHERE workflow_id = ? AND requirement_id = ?
+          `, [row.category, row.requirement, row.priority, row.mandatory ? 1 : 0, row.standard, workflowId, row.requirementId]);
+          continue;
+        }
+
+        await db.run(`
+          INSERT INTO compliance_matrix (
+            workflow_id, requirement_id, category, requirement_text, priority, mandatory, standard,
+            source_document, source_section, status, response_reference, response_summary, owner, notes
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          workflowId, row.requirementId, row.category, row.requirement, row.priority, row.mandatory ? 1 : 0,
+          row.standard, row.sourceDocument, row.sourceSection, row.status, row.responseReference,
+          row.responseSummary, row.owner, row.notes
+        ]);
+      }
+
+      logger.debug('Compliance matrix saved', { workflowId, rows: rows.length, keptEdits: edited.size });
+      return await this.getComplianceMatrix(workflowId);
+    } catch (error) {
+      logger.error('Error saving compliance matrix', { workflowId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getComplianceMatrix(workflowId) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      return await db.all(`
+        SELECT * FROM compliance_matrix
+        WHERE workflow_id = ?
+        ORDER BY id ASC
+      `, [workflowId]);
+    } catch (error) {
+      logger.error('Error getting compliance matrix', { workflowId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Update one matrix row with column values. Returns the updated row, or
+   * null if the requirement has no row.
+   */
+  async updateComplianceMatrixRow(workflowId, requirementId, updates, editedBy = null) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      const fields = [];
+      const values = [];
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value !== undefined) {
+          fields.push(`${key} = ?`);
+          values.push(value);
+        }
+      });
+
+      const result = await db.run(`
+        UPDATE compliance_matrix
+        SET ${[...fields, 'is_edited = 1', 'edited_by = ?', 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+        WHERE workflow_id = ? AND requirement_id = ?
+      `, [...values, editedBy, workflowId, requirementId]);
+
+      if (result.changes === 0) {
+        return null;
+      }
+
+      logger.info('Compliance matrix row updated', { workflowId, requirementId });
+      return await db.get(`
+        SELECT * FROM compliance_matrix
+        WHERE workflow_id = ? AND requirement_id = ?
+      `, [workflowId, requirementId]);
+    } catch (error) {
+      logger.error('Error updating compliance matrix row', { workflowId, requirementId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Questionnaire operations
+  async saveQuestionnaireCells(workflowId, cells) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      // The import re-runs on retries, so its cells are replaced
+      await db.run('DELETE FROM questionnaire_cells WHERE workflow_id = ?', [workflowId]);
+
+      for (const cell of cells) {
+        await db.run(`
+          INSERT INTO questionnaire_cells (
+            workflow_id, question_id, document_id, file_name, sheet_name, question_cell, answer_cell
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [workflowId, cell.questionId, cell.documentId, cell.fileName, cell.sheet, cell.questionCell, cell.answerCell]);
+      }
+
+      logger.debug('Questionnaire cells saved', { workflowId, count: cells.length });
+      return { success: true };
+    } catch (error) {
+      logger.error('Error saving questionnaire cells', { workflowId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getQuestionnaireCells(workflowId) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      const rows = await db.all(`
+        SELECT * FROM questionnaire_cells
+        WHERE workflow_id = ?
+        ORDER BY id ASC
+      `, [workflowId]);
+
+      return rows.map(row => ({
+        questionId: row.question_id,
+        documentId: row.document_id,
+        fileName: row.file_name,
+        sheet: row.sheet_name,
+        questionCell: row.question_cell,
+        answerCell: row.answer_cell
+      }));
+    } catch (error) {
+      logger.error('Error getting questionnaire cells', { workflowId, error: error.message });
+      return [];
+    }
+  }
+
   // Questions operations
   async saveQuestions(workflowId, questions) {
     try {
@@ -317,15 +682,16 @@ class WorkflowDataService {
       const stmt = await db.prepare(`
         INSERT INTO questions (
           workflow_id, question_id, category, question_text, rationale,
-          priority, impact, related_requirements
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          priority, impact, related_requirements, source_document, source_section
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       for (const question of questions) {
         await stmt.run([
           workflowId, question.id, question.category, question.questionText || question.question,
           question.rationale, question.priority, question.impact,
-          question.relatedRequirements || JSON.stringify(question.relatedRequirements || [])
+          question.relatedRequirements || JSON.stringify(question.relatedRequirements || []),
+          question.sourceDocument || null, question.section || null
         ]);
       }
 
@@ -342,6 +708,21 @@ class WorkflowDataService {
     }
   }
 
+  /**
+   * Replace the generated questions. Custom questions added by users are kept.
+   */
+  async replaceQuestions(workflowId, questions) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      await db.run('DELETE FROM questions WHERE workflow_id = ? AND (is_custom IS NULL OR is_custom = 0)', [workflowId]);
+
+      return await this.saveQuestions(workflowId, questions);
+    } catch (error) {
+      logger.error('Error replacing questions', { workflowId, error: error.message });
+      throw error;
+    }
+  }
+
   async getQuestions(workflowId) {
     try {
       const cacheKey = `workflow:${workflowId}:questions`;
@@ -380,8 +761,8 @@ class WorkflowDataService {
       const stmt = await db.prepare(`
         INSERT INTO answers (
           workflow_id, question_id, answer_text, confidence_score,
-          answer_type, completeness, sources
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+          answer_type, completeness, sources, grounding
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       for (const answer of answers) {
@@ -389,7 +770,8 @@ class WorkflowDataService {
           workflowId, answer.questionId, answer.answerText || answer.answer, 
           answer.confidenceScore || answer.confidence,
           answer.answerType, answer.completeness, 
-          answer.sources || JSON.stringify(answer.sources || [])
+          answer.sources || JSON.stringify(answer.sources || []),
+          answer.grounding || null
         ]);
       }
 
@@ -406,6 +788,22 @@ class WorkflowDataService {
     }
   }
 
+  /**
+   * Replace the generated answers. Answers a reviewer acted on are kept with
+   * their revision history; untouched drafts from earlier runs are dropped.
+   */
+  async replaceAnswers(workflowId, answers) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      await db.run('DELETE FROM answers WHERE workflow_id = ? AND reviewed_at IS NULL', [workflowId]);
+
+      return await this.saveAnswers(workflowId, answers);
+    } catch (error) {
+      logger.error('Error replacing answers', { workflowId, error: error.message });
+      throw error;
+    }
+  }
+
   async saveAnswer(workflowId, answerData) {
     try {
       const db = await this.dbManager.getWorkflowDatabase(workflowId);
@@ -413,8 +811,8 @@ class WorkflowDataService {
       const result = await db.run(`
         INSERT OR REPLACE INTO answers (
           workflow_id, question_id, answer_text, confidence_score,
-          answer_type, completeness, sources
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+          answer_type, completeness, sources, grounding
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         answerData.workflow_id || workflowId,
         answerData.question_id,
@@ -422,7 +820,8 @@ class WorkflowDataService {
         answerData.confidence_score,
         answerData.answer_type || 'inferred',
         answerData.completeness || 'partial',
-        answerData.sources || '[]'
+        answerData.sources || '[]',
+        answerData.grounding || null
       ]);
 
       // Clear cache
@@ -443,10 +842,12 @@ class WorkflowDataService {
       
       if (!answers) {
         const db = await this.dbManager.getWorkflowDatabase(workflowId);
+        // The first row per question is the current answer: the newest one a
+        // reviewer acted on and that is not stale, otherwise the newest one
         answers = await db.all(`
           SELECT * FROM answers 
           WHERE workflow_id = ? 
-          ORDER BY confidence_score DESC, created_at ASC
+          ORDER BY (reviewed_at IS NOT NULL AND COALESCE(is_stale, 0) = 0) DESC, id DESC
         `, [workflowId]);
 
         answers = answers.map(a => {
@@ -466,6 +867,182 @@ class WorkflowDataService {
     }
   }
 
+  async getAnswer(workflowId, answerId) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      const answer = await db.get(`
+        SELECT * FROM answers
+        WHERE workflow_id = ? AND id = ?
+      `, [workflowId, answerId]);
+
+      if (answer && answer.sources) {
+        answer.sources = JSON.parse(answer.sources);
+      }
+
+      return answer || null;
+    } catch (error) {
+      logger.error('Error getting answer', { workflowId, answerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a review action to an answer and record it in answer_revisions.
+   * The generated text is kept in original_answer_text the first time it changes.
+   */
+  async saveAnswerReview(workflowId, answer, { action, status, answerText, comment = null, reviewer = null }) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      const textChanged = answerText !== undefined && answerText !== answer.answer_text;
+      const newText = textChanged ? answerText : answer.answer_text;
+
+      await db.run(`
+        UPDATE answers
+        SET answer_text = ?,
+            original_answer_text = COALESCE(original_answer_text, ?),
+            review_status = ?,
+            reviewer_comment = ?,
+            reviewed_by = ?,
+            reviewed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP,
+            is_stale = CASE WHEN ? THEN 0 ELSE is_stale END,
+            grounding = CASE WHEN ? THEN NULL ELSE grounding END
+        WHERE workflow_id = ? AND id = ?
+      `, [
+        newText,
+        textChanged ? answer.answer_text : null,
+        status,
+        comment,
+        reviewer,
+        // An edited or approved answer has been checked against the current requirements
+        textChanged || status === 'approved' ? 1 : 0,
+        // The source check was for the generated text; a reviewer's text is their own
+        textChanged ? 1 : 0,
+        workflowId,
+        answer.id
+      ]);
+
+      await db.run(`
+        INSERT INTO answer_revisions (
+          workflow_id, answer_id, question_id, action, from_status, to_status,
+          previous_text, answer_text, comment, reviewer
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        workflowId,
+        answer.id,
+        answer.question_id,
+        action,
+        answer.review_status || 'draft',
+        status,
+        textChanged ? answer.answer_text : null,
+        newText,
+        comment,
+        reviewer
+      ]);
+
+      // Clear cache
+      await this.cache.del(`workflow:${workflowId}:answers`);
+
+      logger.info('Answer review saved', { workflowId, answerId: answer.id, action, status });
+      return await this.getAnswer(workflowId, answer.id);
+    } catch (error) {
+      logger.error('Error saving answer review', { workflowId, answerId: answer.id, error: error.message });
+      throw error;
+    }
+  }
+
+  async getAnswerRevisions(workflowId, answerId) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      return await db.all(`
+        SELECT * FROM answer_revisions
+        WHERE workflow_id = ? AND answer_id = ?
+        ORDER BY created_at ASC, id ASC
+      `, [workflowId, answerId]);
+    } catch (error) {
+      logger.error('Error getting answer revisions', { workflowId, answerId, error: error.message });
+      return [];
+    }
+  }
+
+  // Addendum operations
+  async createAddendum(workflowId, { id, documentIds, fileNames, summary }) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      await db.run(`
+        INSERT INTO addenda (id, workflow_id, document_ids, file_names, summary)
+        VALUES (?, ?, ?, ?, ?)
+      `, [id, workflowId, JSON.stringify(documentIds), JSON.stringify(fileNames), summary]);
+
+      logger.debug('Addendum created', { workflowId, addendumId: id });
+      return { id };
+    } catch (error) {
+      logger.error('Error creating addendum', { workflowId, addendumId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  async saveAddendumChanges(workflowId, addendumId, changes) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      for (const change of changes) {
+        await db.run(`
+          INSERT INTO addendum_changes (
+            workflow_id, addendum_id, change_type, requirement_id, section,
+            previous_text, new_text, reason, stale_questions
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          workflowId, addendumId, change.type, change.requirementId || null, change.section || null,
+          change.previousText || null, change.newText || null, change.reason || null,
+          JSON.stringify(change.staleQuestions || [])
+        ]);
+      }
+
+      logger.debug('Addendum changes saved', { workflowId, addendumId, count: changes.length });
+      return { success: true };
+    } catch (error) {
+      logger.error('Error saving addendum changes', { workflowId, addendumId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Addenda of a workflow in upload order, each with the changes it made
+   */
+  async getAddenda(workflowId) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      const [addenda, changes] = await Promise.all([
+        db.all('SELECT * FROM addenda WHERE workflow_id = ? ORDER BY created_at ASC', [workflowId]),
+        db.all('SELECT * FROM addendum_changes WHERE workflow_id = ? ORDER BY id ASC', [workflowId])
+      ]);
+
+      return addenda.map(addendum => ({
+        id: addendum.id,
+        documentIds: JSON.parse(addendum.document_ids || '[]'),
+        fileNames: JSON.parse(addendum.file_names || '[]'),
+        summary: addendum.summary,
+        createdAt: addendum.created_at,
+        changes: changes
+          .filter(change => change.addendum_id === addendum.id)
+          .map(change => ({
+            type: change.change_type,
+            requirementId: change.requirement_id,
+            section: change.section,
+            previousText: change.previous_text,
+            newText: change.new_text,
+            reason: change.reason,
+            staleQuestions: JSON.parse(change.stale_questions || '[]')
+          }))
+      }));
+    } catch (error) {
+      logger.error('Error getting addenda', { workflowId, error: error.message });
+      return [];
+    }
+  }
+
   // Workflow results operations
   async saveWorkflowResult(workflowId, stepName, resultData, confidenceScore = null, processingTime = null) {
     try {
@@ -497,7 +1074,7 @@ class WorkflowDataService {
         const resultRows = await db.all(`
           SELECT * FROM workflow_results 
           WHERE workflow_id = ? 
-          ORDER BY created_at ASC
+          ORDER BY created_at ASC, id ASC
         `, [workflowId]);
 
         results = {};
@@ -520,6 +1097,125 @@ class WorkflowDataService {
     }
   }
 
+  // Review gate operations
+  async createReviewGate(workflowId, stepName) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      const result = await db.run(`
+        INSERT INTO review_gates (workflow_id, step_name, status)
+        VALUES (?, ?, 'pending')
+      `, [workflowId, stepName]);
+
+      logger.debug('Review gate created', { workflowId, stepName });
+      return this.formatReviewGate(await db.get('SELECT * FROM review_gates WHERE id = ?', [result.lastID]));
+    } catch (error) {
+      logger.error('Error creating review gate', { workflowId, stepName, error: error.message });
+      throw error;
+    }
+  }
+
+  async getReviewGates(workflowId) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      const rows = await db.all(`
+        SELECT * FROM review_gates
+        WHERE workflow_id = ?
+        ORDER BY created_at ASC, id ASC
+      `, [workflowId]);
+
+      return rows.map(row => this.formatReviewGate(row));
+    } catch (error) {
+      logger.error('Error getting review gates', { workflowId, error: error.message });
+      return [];
+    }
+  }
+
+  async resolveReviewGate(workflowId, gateId, { status, feedback = null, edits = null, reviewedBy = null }) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      const result = await db.run(`
+        UPDATE review_gates
+        SET status = ?, feedback = ?, edits = ?, reviewed_by = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE workflow_id = ? AND id = ? AND status = 'pending'
+      `, [status, feedback, edits ? JSON.stringify(edits) : null, reviewedBy, workflowId, gateId]);
+
+      if (result.changes === 0) {
+        return null;
+      }
+
+      logger.debug('Review gate resolved', { workflowId, gateId, status });
+      return this.formatReviewGate(await db.get('SELECT * FROM review_gates WHERE id = ?', [gateId]));
+    } catch (error) {
+      logger.error('Error resolving review gate', { workflowId, gateId, error: error.message });
+      throw error;
+    }
+  }
+
+  formatReviewGate(row) {
+    return {
+      id: row.id,
+      step: row.step_name,
+      status: row.status,
+      feedback: row.feedback,
+      edits: row.edits ? JSON.parse(row.edits) : null,
+      reviewedBy: row.reviewed_by,
+      createdAt: row.created_at,
+      decidedAt: row.decided_at
+    };
+  }
+
+  // LLM usage operations
+  async saveLlmUsage(workflowId, usage) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+
+      const result = await db.run(`
+        INSERT INTO performance_metrics
+          (workflow_id, metric_name, metric_value, unit, agent, provider, model_id, input_tokens, output_tokens)
+        VALUES (?, 'llm_call', ?, 'USD', ?, ?, ?, ?, ?)
+      `, [
+        workflowId,
+        usage.cost,
+        usage.agent,
+        usage.provider,
+        usage.modelId,
+        usage.inputTokens,
+        usage.outputTokens
+      ]);
+
+      return result;
+    } catch (error) {
+      logger.error('Error saving LLM usage', { workflowId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getLlmUsage(workflowId) {
+    try {
+      const db = await this.dbManager.getWorkflowDatabase(workflowId);
+      const rows = await db.all(`
+        SELECT * FROM performance_metrics
+        WHERE workflow_id = ? AND metric_name = 'llm_call'
+        ORDER BY created_at ASC
+      `, [workflowId]);
+
+      return rows.map(row => ({
+        agent: row.agent,
+        provider: row.provider,
+        modelId: row.model_id,
+        inputTokens: row.input_tokens || 0,
+        outputTokens: row.output_tokens || 0,
+        cost: row.metric_value,
+        createdAt: row.created_at
+      }));
+    } catch (error) {
+      logger.error('Error getting LLM usage', { workflowId, error: error.message });
+      return [];
+    }
+  }
+
   // Status operations
   async updateWorkflowStatus(workflowId, status, errorMessage = null) {
     try {
@@ -108,11 +108,94 @@ class WorkflowDatabaseManager {
         logger.info('Added created_by column to questions table');
       }
       
-      // Add updated_at column if it doesn't exist
+      // Add updated_at column if it doesn't exist. SQLite rejects a
+      // CURRENT_TIMESTAMP default on ADD COLUMN, which would stop every
+      // migration below from running.
       if (!columnNames.includes('updated_at')) {
-        await db.exec('ALTER TABLE questions ADD COLUMN updated_at DATETIME DEFAULT CURRENT_TIMESTAMP');
+        await db.exec('ALTER TABLE questions ADD COLUMN updated_at DATETIME');
         logger.info('Added updated_at column to questions table');
       }
+
+      // Requirement edits, the staleness they cause downstream, and answer reviews
+      const addedColumns = {
+        documents: {
+          // The ZIP archive or email a file was unpacked from
+          parent_document_id: 'TEXT'
+        },
+        requirements: {
+          created_by: "TEXT DEFAULT 'system'",
+          updated_at: 'DATETIME',
+          standard: 'TEXT',
+          source_document: 'TEXT',
+          source_section: 'TEXT',
+          // Changes made by RFP addenda
+          status: "TEXT DEFAULT 'active'",
+          superseded_by: 'TEXT',
+          amended_by: 'TEXT'
+        },
+        questions: {
+          is_stale: 'BOOLEAN DEFAULT 0',
+          stale_reason: 'TEXT',
+          // The RFP section of the requirement a question clarifies
+          source_document: 'TEXT',
+          source_section: 'TEXT'
+        },
+        answers: {
+          is_stale: 'BOOLEAN DEFAULT 0',
+          stale_reason: 'TEXT',
+          // Answer review states and reviewer edits
+          review_status: "TEXT DEFAULT 'draft'",
+          reviewer_comment: 'TEXT',
+          reviewed_by: 'TEXT',
+          reviewed_at: 'DATETIME',
+          original_answer_text: 'TEXT',
+          updated_at: 'DATETIME',
+          grounding: 'TEXT'
+        }
+      };
+
+      for (const [table, columns] of Object.entries(addedColumns)) {
+        const info = await db.all(`PRAGMA table_info(${table})`);
+        for (const [column, definition] of Object.entries(columns)) {
+          if (!info.some(col => col.name === column)) {
+            await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            logger.info(`Added ${column} column to ${table} table`);
+          }
+        }
+      }
+
+      // Per-workflow budget overrides
+      const workflowsInfo = await db.all("PRAGMA table_info(workflows)");
+      if (!workflowsInfo.some(col => col.name === 'budget_limits')) {
+        await db.exec('ALTER TABLE workflows ADD COLUMN budget_limits TEXT');
+        logger.info('Added budget_limits column to workflows table');
+      }
+      if (!workflowsInfo.some(col => col.name === 'pipeline_template')) {
+        await db.exec('ALTER TABLE workflows ADD COLUMN pipeline_template TEXT');
+        logger.info('Added pipeline_template column to workflows table');
+      }
+      if (!workflowsInfo.some(col => col.name === 'review_enabled')) {
+        await db.exec('ALTER TABLE workflows ADD COLUMN review_enabled BOOLEAN DEFAULT 0');
+        logger.info('Added review_enabled column to workflows table');
+      }
+
+      // LLM usage columns on performance_metrics
+      const metricsInfo = await db.all("PRAGMA table_info(performance_metrics)");
+      const metricColumns = metricsInfo.map(col => col.name);
+      const usageColumns = {
+        agent: 'TEXT',
+        provider: 'TEXT',
+        model_id: 'TEXT',
+        input_tokens: 'INTEGER DEFAULT 0',
+        output_tokens: 'INTEGER DEFAULT 0'
+      };
+
+      for (const [column, definition] of Object.entries(usageColumns)) {
+        if (!metricColumns.includes(column)) {
+          await db.exec(`ALTER TABLE performance_metrics ADD COLUMN ${column} ${definition}`);
+          logger.info(`Added ${column} column to performance_metrics table`);
+        }
+      }
       
     } catch (error) {
       logger.warn('Migration warning (non-critical):', error.message);
@@ -127,12 +210,12 @@ class WorkflowDatabaseManager {
     const db = await this.getWorkflowDatabase(workflowId);
     
     // Create initial workflow record
-    const { status, currentStep, progress, projectContext } = workflowData;
+    const { status, currentStep, progress, projectContext, pipelineTemplate = null, reviewEnabled = false } = workflowData;
     
     await db.run(`
-      INSERT INTO workflows (id, status, current_step, progress, project_context)
-      VALUES (?, ?, ?, ?, ?)
-    `, [workflowId, status, currentStep, progress, JSON.stringify(projectContext)]);
+      INSERT INTO workflows (id, status, current_step, progress, project_context, pipeline_template, review_enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [workflowId, status, currentStep, progress, JSON.stringify(projectContext), pipelineTemplate, reviewEnabled ? 1 : 0]);
 
     logger.info('Workflow database created and initialized', { workflowId });
     return db;
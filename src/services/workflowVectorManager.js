@@ -1,6 +1,9 @@
 const fs = require('fs').promises;
 const path = require('path');
+const config = require('../config');
 const logger = require('../utils/logger');
+const citationService = require('./citationService');
+const { chunkWords, chunkRowGroups, chunkSections } = require('../utils/textChunks');
 
 class WorkflowVectorManager {
   constructor() {
@@ -29,6 +32,18 @@ class WorkflowVectorManager {
     }
   }
 
+  /**
+   * Embed text with the shared model, e.g. for stores that live outside a workflow
+   */
+  async embed(text) {
+    if (!this.initialized) {
+      throw new Error('Workflow vector manager not initialized');
+    }
+
+    const output = await this.embedder(text, { pooling: 'mean', normalize: true });
+    return Array.from(output.data);
+  }
+
   /**
    * Get vector storage path for a specific workflow
    */
@@ -52,6 +67,11 @@ class WorkflowVectorManager {
     try {
       const vectorService = new WorkflowVectorService(workflowId, this.embedder, this.baseVectorDir);
       await vectorService.initialize();
+
+      // Every workflow also searches the shared company knowledge base
+      if (config.knowledgeBase.enabled && workflowId !== config.knowledgeBase.id) {
+        vectorService.sharedServices = [await this.getWorkflowVectorService(config.knowledgeBase.id)];
+      }
       
       // Cache the service
       this.vectorServices.set(workflowId, vectorService);
@@ -226,6 +246,7 @@ class WorkflowVectorService {
     this.documents = new Map();
     this.vectorDir = path.join(baseVectorDir, workflowId);
     this.vectorsPath = path.join(this.vectorDir, 'vectors.json');
+    this.sharedServices = []; // indexes searched together with this one, e.g. the knowledge base
     this.initialized = false;
   }
 
@@ -330,8 +351,15 @@ class WorkflowVectorService {
         return true;
       }
 
-      // Split document into chunks
-      const chunks = this.splitIntoChunks(content, 500, 50);
+      // Page offsets, row groups and the outline are only needed to chunk the document
+      const { pageOffsets, rowGroups, sections, ...documentMetadata } = metadata;
+
+      // Split document into chunks that remember where they came from; tables by row groups, outlined documents by section
+      const chunks = rowGroups?.length
+        ? chunkRowGroups(content, rowGroups, 500, 50)
+        : sections?.length
+          ? chunkSections(content, sections, 500, 50, pageOffsets)
+          : chunkWords(content, 500, 50, pageOffsets);
       
       const chunkData = [];
 
@@ -340,19 +368,24 @@ class WorkflowVectorService {
         const chunkId = `${documentId}_chunk_${i}`;
         
         // Generate embedding
-        const embedding = await this.generateEmbedding(chunk);
+        const embedding = await this.generateEmbedding(chunk.content);
         
         chunkData.push({
           id: chunkId,
           documentId,
           chunkIndex: i,
-          content: chunk,
+          content: chunk.content,
           embedding: embedding,
           metadata: {
-            ...metadata,
+            ...documentMetadata,
             workflowId: this.workflowId,
             documentId,
-            chunkIndex: i
+            chunkIndex: i,
+            pageNumber: chunk.pageNumber,
+            startOffset: chunk.startOffset,
+            endOffset: chunk.endOffset,
+            ...(chunk.rowStart ? { sheet: chunk.sheet, rowStart: chunk.rowStart, rowEnd: chunk.rowEnd } : {}),
+            ...(chunk.section ? { section: chunk.section } : {})
           }
         });
       }
@@ -362,7 +395,7 @@ class WorkflowVectorService {
         id: documentId,
         workflowId: this.workflowId,
         chunks: chunkData,
-        metadata,
+        metadata: documentMetadata,
         vectorized: true,
         createdAt: new Date().toISOString()
       });
@@ -387,7 +420,15 @@ class WorkflowVectorService {
   }
 
   async searchSimilarContent(query, limit = 5) {
-    if (!this.initialized || this.documents.size === 0) {
+    // Get all chunks from all documents in this workflow and its shared indexes
+    const allChunks = [];
+    for (const service of [this, ...this.sharedServices]) {
+      for (const doc of service.documents.values()) {
+        allChunks.push(...doc.chunks);
+      }
+    }
+
+    if (!this.initialized || allChunks.length === 0) {
       logger.warn('Workflow vector service not initialized or empty', { workflowId: this.workflowId });
       return [];
     }
@@ -395,12 +436,6 @@ class WorkflowVectorService {
     try {
       // Generate query embedding
       const queryEmbedding = await this.generateEmbedding(query);
-      
-      // Get all chunks from all documents in this workflow
-      const allChunks = [];
-      for (const doc of this.documents.values()) {
-        allChunks.push(...doc.chunks);
-      }
 
       // Calculate similarities
       const similarities = allChunks.map(chunk => ({
@@ -416,7 +451,7 @@ class WorkflowVectorService {
         metadata: chunk.metadata,
         similarity: chunk.similarity,
         documentId: chunk.documentId,
-        workflowId: this.workflowId
+        workflowId: chunk.metadata?.workflowId || this.workflowId
       }));
     } catch (error) {
       logger.error('Error searching similar content for workflow', { 
@@ -444,20 +479,6 @@ class WorkflowVectorService {
     return dotProduct / (magnitudeA * magnitudeB);
   }
 
-  splitIntoChunks(text, chunkSize = 500, overlap = 50) {
-    const words = text.split(/\s+/);
-    const chunks = [];
-    
-    for (let i = 0; i < words.length; i += chunkSize - overlap) {
-      const chunk = words.slice(i, i + chunkSize).join(' ');
-      if (chunk.trim().length > 0) {
-        chunks.push(chunk.trim());
-      }
-    }
-    
-    return chunks;
-  }
-
   async answerQuestion(question) {
     try {
       // Search for relevant content within this workflow
@@ -474,10 +495,10 @@ class WorkflowVectorService {
       // Combine relevant chunks as context
       const context = relevantChunks.map(chunk => chunk.content).join('\n\n');
       
-      // Use AWS Bedrock to generate answer based on context
-      const bedrock = require('./bedrock');
+      // Use the configured LLM provider to generate answer based on context
+      const llmService = require('./llmService');
       
-      const prompt = `Based on the following context from the RFP document, please answer the question. If the information is not available in the context, say so clearly.
+      const prompt = `Based on the following context from the RFP and company documents, please answer the question. If the information is not available in the context, say so clearly.
 
 Context:
 ${context}
@@ -486,7 +507,7 @@ Question: ${question}
 
 Please provide a clear, concise answer based only on the information provided in the context above.`;
 
-      const response = await bedrock.invokeModel(prompt);
+      const response = await llmService.invoke(prompt, { agent: 'RAGAnswerService' });
       
       // Calculate confidence based on similarity scores
       const avgSimilarity = relevantChunks.reduce((sum, chunk) => sum + chunk.similarity, 0) / relevantChunks.length;
@@ -495,10 +516,12 @@ Please provide a clear, concise answer based only on the information provided in
         answer: response,
         confidence: Math.min(avgSimilarity * 1.2, 1.0),
         sources: relevantChunks.map(chunk => ({
-          documentId: chunk.documentId,
+          ...citationService.describeChunk(chunk),
           content: chunk.content.substring(0, 200) + '...',
           similarity: chunk.similarity
-        }))
+        })),
+        // Check every answer sentence against the chunks it was generated from
+        grounding: citationService.verifyAnswer(response, relevantChunks)
       };
     } catch (error) {
       logger.error('Error answering question for workflow', { 
@@ -514,6 +537,19 @@ Please provide a clear, concise answer based only on the information provided in
     }
   }
 
+  /**
+   * Remove one document and its chunks from the index
+   */
+  async removeDocument(documentId) {
+    if (!this.documents.delete(documentId)) {
+      return false;
+    }
+
+    await this.saveVectors();
+    logger.info('Removed document from workflow vectors', { workflowId: this.workflowId, documentId });
+    return true;
+  }
+
   async clearIndex() {
     try {
       this.documents.clear();
@@ -0,0 +1,138 @@
+const PizZip = require('pizzip');
+
+/**
+ * Built-in Word proposal template, used when no team template is uploaded
+ * and offered as a starting point for new ones. It only uses the
+ * placeholders docxExportService documents: a cover page, the proposal
+ * sections with their subsections, the question responses and open gaps.
+ */
+
+const NAMESPACE = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const paragraph = (text, style) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+
+const pageBreak = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+const body = [
+  // Cover page
+  paragraph('{{projectTitle}}', 'Title'),
+  paragraph('{{#clientName}}Proposal for {{clientName}}{{/clientName}}', 'Subtitle'),
+  paragraph('{{date}}'),
+  pageBreak,
+
+  paragraph('{{#sections}}'),
+  paragraph('{{title}}', 'Heading1'),
+  paragraph('{{content}}'),
+  paragraph('{{#subsections}}'),
+  paragraph('{{title}}', 'Heading2'),
+  paragraph('{{content}}'),
+  paragraph('{{/subsections}}'),
+  paragraph('{{/sections}}'),
+
+  paragraph('{{#hasQuestionResponses}}'),
+  paragraph('Responses to RFP Questions', 'Heading1'),
+  paragraph('{{#questionResponses}}'),
+  paragraph('{{question}}', 'Heading2'),
+  paragraph('{{response}}'),
+  paragraph('{{/questionResponses}}'),
+  paragraph('{{/hasQuestionResponses}}'),
+
+  paragraph('{{#hasGaps}}'),
+  paragraph('Open Items', 'Heading1'),
+  paragraph('{{#gaps}}'),
+  paragraph('{{area}}: {{description}} {{recommendedAction}}'),
+  paragraph('{{/gaps}}'),
+  paragraph('{{/hasGaps}}')
+].join('');
+
+// The cover page (titlePg) has no header or footer
+const sectionProperties = `
+  <w:sectPr>
+    <w:headerReference w:type="default" r:id="rIdHeader"/>
+    <w:footerReference w:type="default" r:id="rIdFooter"/>
+    <w:pgSz w:w="11906" w:h="16838"/>
+    <w:pgMar w:top="1440" w:right="1247" w:bottom="1440" w:left="1247" w:header="708" w:footer="708" w:gutter="0"/>
+    <w:titlePg/>
+  </w:sectPr>`;
+
+const heading = (id, name, size, color, spacingBefore) => `
+  <w:style w:type="paragraph" w:styleId="${id}">
+    <w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:before="${spacingBefore}" w:after="120"/>${id === 'Heading1' ? '<w:outlineLvl w:val="0"/>' : '<w:outlineLvl w:val="1"/>'}</w:pPr>
+    <w:rPr><w:b/><w:color w:val="${color}"/><w:sz w:val="${size}"/></w:rPr>
+  </w:style>`;
+
+const styles = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NAMESPACE}>
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:before="4000" w:after="240"/></w:pPr>
+    <w:rPr><w:b/><w:color w:val="1F4E79"/><w:sz w:val="56"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Subtitle">
+    <w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:rPr><w:color w:val="595959"/><w:sz w:val="32"/></w:rPr>
+  </w:style>
+  ${heading('Heading1', 'heading 1', 32, '1F4E79', 360)}
+  ${heading('Heading2', 'heading 2', 26, '2E74B5', 240)}
+  <w:style w:type="paragraph" w:styleId="Header"><w:name w:val="header"/><w:basedOn w:val="Normal"/><w:rPr><w:color w:val="7F7F7F"/><w:sz w:val="18"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/><w:rPr><w:color w:val="7F7F7F"/><w:sz w:val="18"/></w:rPr></w:style>
+</w:styles>`;
+
+const header = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:hdr ${NAMESPACE}>${paragraph('{{projectTitle}}', 'Header')}</w:hdr>`;
+
+const footer = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:ftr ${NAMESPACE}>
+  <w:p><w:pPr><w:pStyle w:val="Footer"/><w:jc w:val="right"/></w:pPr>
+    <w:r><w:t xml:space="preserve">Confidential | Page </w:t></w:r>
+    <w:fldSimple w:instr="PAGE"><w:r><w:t>1</w:t></w:r></w:fldSimple>
+  </w:p>
+</w:ftr>`;
+
+const files = {
+  '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>
+  <Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>
+</Types>`,
+  '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`,
+  'word/_rels/document.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+  <Relationship Id="rIdHeader" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>
+  <Relationship Id="rIdFooter" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>
+</Relationships>`,
+  'word/document.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACE}><w:body>${body}${sectionProperties}</w:body></w:document>`,
+  'word/styles.xml': styles,
+  'word/header1.xml': header,
+  'word/footer1.xml': footer
+};
+
+/**
+ * The template as a .docx file
+ */
+const buildDefaultProposalTemplate = () => {
+  const zip = new PizZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = { buildDefaultProposalTemplate };
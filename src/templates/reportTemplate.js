@@ -0,0 +1,162 @@
+const { codedError } = require('../utils/errors');
+
+/**
+ * PDF report templates: the branding and layout of the RFP analysis report.
+ * A template is a JSON document with a logo, colours and fonts, the cover
+ * page and table of contents, the order of the sections and which of them
+ * are shown, and the confidentiality footer. Settings a template leaves out
+ * take the built-in report's values.
+ */
+
+// Report sections in their default order
+const REPORT_SECTIONS = [
+  { id: 'executive-summary', title: 'Executive Summary' },
+  { id: 'requirements-overview', title: 'Requirements Overview' },
+  { id: 'questions-answers', title: 'Questions & Answers' },
+  { id: 'unanswered-questions', title: 'Unanswered Questions' },
+  { id: 'clarification-questions', title: 'Clarification Questions' },
+  { id: 'architecture-analysis', title: 'Architecture Analysis' },
+  { id: 'mindmap', title: 'Project Mindmap' },
+  { id: 'knowledge-graph', title: 'Knowledge Graph' },
+  { id: 'gap-analysis', title: 'Gap Analysis' },
+  { id: 'recommendations', title: 'Next Steps & Recommendations' },
+  { id: 'appendices', title: 'Appendices' }
+];
+
+const DEFAULT_REPORT_TEMPLATE = {
+  logo: null,
+  colors: {
+    primary: '#667eea',
+    secondary: '#764ba2',
+    text: '#333333'
+  },
+  fonts: {
+    body: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+    heading: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif"
+  },
+  coverPage: {
+    show: true,
+    title: 'RFP Analysis Report',
+    showStats: true
+  },
+  tableOfContents: true,
+  sections: REPORT_SECTIONS.map(section => ({ ...section, show: true })),
+  footer: {
+    confidentiality: null,
+    pageNumbers: true
+  }
+};
+
+const COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const FONT = /^[\w\s,'"-]+$/;
+const LOGO = /^data:image\/(?:png|jpeg|gif|svg\+xml);base64,[A-Za-z0-9+/=]+$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const optionalText = (value, field, problems) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') {
+    problems.push(`${field} must be text`);
+    return null;
+  }
+  return value.trim().slice(0, 200);
+};
+
+/**
+ * Validate template settings and fill in the defaults. Sections the template
+ * does not list follow the listed ones in their default order and are shown.
+ */
+const normalizeReportTemplate = (settings) => {
+  if (!isObject(settings)) {
+    throw codedError('A report template must be a JSON object', 'INVALID_TEMPLATE');
+  }
+
+  const problems = [];
+  const defaults = DEFAULT_REPORT_TEMPLATE;
+  const colors = { ...defaults.colors };
+  const fonts = { ...defaults.fonts };
+
+  Object.entries(settings.colors || {}).forEach(([name, value]) => {
+    if (!(name in colors)) problems.push(`Unknown colour ${name}; use ${Object.keys(colors).join(', ')}`);
+    else if (!COLOR.test(value)) problems.push(`colors.${name} must be a hex colour such as #1f4e79`);
+    else colors[name] = value;
+  });
+  Object.entries(settings.fonts || {}).forEach(([name, value]) => {
+    if (!(name in fonts)) problems.push(`Unknown font ${name}; use ${Object.keys(fonts).join(', ')}`);
+    else if (typeof value !== 'string' || !FONT.test(value)) problems.push(`fonts.${name} must be a font list such as "Arial, sans-serif"`);
+    else fonts[name] = value;
+  });
+
+  if (settings.logo && (typeof settings.logo !== 'string' || !LOGO.test(settings.logo))) {
+    problems.push('logo must be a base64 PNG, JPEG, GIF or SVG data URL');
+  }
+
+  const coverPage = isObject(settings.coverPage) ? settings.coverPage : {};
+  const footer = isObject(settings.footer) ? settings.footer : {};
+
+  const known = new Set(REPORT_SECTIONS.map(section => section.id));
+  const listed = [];
+  (Array.isArray(settings.sections) ? settings.sections : []).forEach(entry => {
+    const section = typeof entry === 'string' ? { id: entry } : entry;
+    if (!isObject(section) || !known.has(section.id)) {
+      problems.push(`Unknown report section ${JSON.stringify(section?.id ?? section)}; use ${[...known].join(', ')}`);
+      return;
+    }
+    if (listed.some(other => other.id === section.id)) {
+      problems.push(`Report section ${section.id} is listed twice`);
+      return;
+    }
+    listed.push({
+      id: section.id,
+      title: optionalText(section.title, `sections.${section.id}.title`, problems) ||
+        REPORT_SECTIONS.find(s => s.id === section.id).title,
+      show: section.show !== false
+    });
+  });
+  const unlisted = defaults.sections.filter(section => !listed.some(other => other.id === section.id));
+
+  const normalized = {
+    logo: settings.logo || null,
+    colors,
+    fonts,
+    coverPage: {
+      show: coverPage.show !== false,
+      title: optionalText(coverPage.title, 'coverPage.title', problems) || defaults.coverPage.title,
+      showStats: coverPage.showStats !== false
+    },
+    tableOfContents: settings.tableOfContents !== false,
+    sections: [...listed, ...unlisted],
+    footer: {
+      confidentiality: optionalText(footer.confidentiality, 'footer.confidentiality', problems),
+      pageNumbers: footer.pageNumbers !== false
+    }
+  };
+
+  if (problems.length > 0) {
+    throw codedError(`Invalid report template: ${problems.join('; ')}`, 'INVALID_TEMPLATE');
+  }
+  if (!normalized.sections.some(section => section.show)) {
+    throw codedError('Invalid report template: at least one section must be shown', 'INVALID_TEMPLATE');
+  }
+  return normalized;
+};
+
+/**
+ * Template settings from a stored template file
+ */
+const parseReportTemplate = (buffer) => {
+  let settings;
+  try {
+    settings = JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw codedError(`The report template is not valid JSON: ${error.message}`, 'INVALID_TEMPLATE');
+  }
+  return normalizeReportTemplate(settings);
+};
+
+module.exports = {
+  REPORT_SECTIONS,
+  DEFAULT_REPORT_TEMPLATE,
+  normalizeReportTemplate,
+  parseReportTemplate
+};
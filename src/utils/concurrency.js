@@ -0,0 +1,23 @@
+/**
+ * Map items through an async function with at most `limit` calls in flight.
+ * Results keep the order of the input; a rejection rejects the whole map,
+ * so callers that want per-item failures should catch inside fn.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit || 1, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
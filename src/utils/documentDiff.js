@@ -0,0 +1,140 @@
+const { sectionLabel } = require('./documentOutline');
+
+/**
+ * Section-by-section comparison of an addendum with the RFP documents it
+ * amends. Sections are matched within one document, by clause number and
+ * title, or by title alone when they have no number. An addendum that
+ * reissues most of a document's sections is a revised version of it, so its
+ * sections are compared with that document's and sections it drops count as
+ * removed. Other addenda only state their changes ("Section
+ * 3.2 is replaced by ..."), so the original sections they refer to are
+ * returned with them.
+ */
+
+// Share of an original document's sections an addendum must repeat to be a revision of it
+const REVISION_SHARE = 0.5;
+const MAX_CHANGES = 40;
+
+const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+const titleKey = (section) => normalize(section.title).toLowerCase();
+
+const sentences = (text) => (text || '')
+  .split(/\n+|(?<=[.!?;])\s+/)
+  .map(normalize)
+  .filter(sentence => sentence.length > 2);
+
+/**
+ * Each section's own text, up to its first subsection, with the heading
+ * line left out. A document without an outline is one unnumbered section.
+ */
+function sectionTexts(doc) {
+  const text = doc.processedContent || '';
+  const sections = doc.metadata?.sections || [];
+  if (sections.length === 0) {
+    return [{ number: null, title: null, label: null, level: 1, fileName: doc.fileName, text: normalize(text) }];
+  }
+
+  return sections.map((section, index) => {
+    const own = text.slice(section.startOffset, sections[index + 1]?.startOffset ?? section.endOffset);
+    return {
+      number: section.number,
+      title: section.title,
+      label: sectionLabel(section),
+      level: section.level,
+      fileName: doc.fileName,
+      text: normalize(own.replace(/^[^\n]*\n?/, ''))
+    };
+  });
+}
+
+const sectionKey = (section) => section.number || (section.title ? `title:${titleKey(section)}` : null);
+
+// A reissued clause keeps its number and its title, give or take a qualifier
+function sameClause(section, original) {
+  if (section.number || original.number) {
+    if (section.number !== original.number) return false;
+    const title = titleKey(section);
+    const originalTitle = titleKey(original);
+    return !title || !originalTitle || title.includes(originalTitle) || originalTitle.includes(title);
+  }
+  return Boolean(titleKey(section)) && titleKey(section) === titleKey(original);
+}
+
+// Original sections named in instruction text: "Section 3.2", "clause 4.1.2", "3.2.1"
+function referencedSections(text, originals) {
+  const numbers = new Set();
+  for (const match of (text || '').matchAll(/(?:section|clause|paragraph|article|item|§)\s*(\d{1,3}(?:\.\d{1,3}){0,6})/gi)) {
+    numbers.add(match[1]);
+  }
+  for (const match of (text || '').matchAll(/(?:^|\s)(\d{1,3}(?:\.\d{1,3}){1,6})(?=[\s,;:)]|$)/g)) {
+    numbers.add(match[1]);
+  }
+  return originals.filter(section => section.number && numbers.has(section.number));
+}
+
+/**
+ * Changes an addendum makes to the original documents:
+ * [{ type: 'modified' | 'added' | 'removed' | 'referenced', section, fileName,
+ *    previousText, text, addedSentences, removedSentences }].
+ * section is the clause label, e.g. "3.2 Security".
+ */
+function diffDocuments(originals, addendum) {
+  const originalSections = originals.flatMap(sectionTexts);
+  const addendumSections = sectionTexts(addendum);
+  const findMatch = (sections, section) => sections.find(original => sameClause(section, original));
+
+  // The document the addendum reissues, if any: the one with the largest share of its sections repeated
+  const revised = originals
+    .map(doc => {
+      const sections = originalSections.filter(section => section.fileName === doc.fileName && sectionKey(section));
+      const repeated = sections.filter(original => addendumSections.some(section => sameClause(section, original)));
+      return { sections, share: sections.length > 0 ? repeated.length / sections.length : 0 };
+    })
+    .filter(candidate => candidate.share >= REVISION_SHARE)
+    .sort((a, b) => b.share - a.share)[0];
+
+  const changes = [];
+  if (revised) {
+    addendumSections.forEach(section => {
+      const original = findMatch(revised.sections, section);
+      if (!original) {
+        if (section.text || section.label) {
+          changes.push({ type: 'added', section: section.label, fileName: null, previousText: null, text: section.text });
+        }
+        return;
+      }
+      if (original.text.toLowerCase() === section.text.toLowerCase()) return;
+
+      const before = new Set(sentences(original.text).map(sentence => sentence.toLowerCase()));
+      const after = new Set(sentences(section.text).map(sentence => sentence.toLowerCase()));
+      changes.push({
+        type: 'modified',
+        section: section.label || original.label,
+        fileName: original.fileName,
+        previousText: original.text,
+        text: section.text,
+        addedSentences: sentences(section.text).filter(sentence => !before.has(sentence.toLowerCase())),
+        removedSentences: sentences(original.text).filter(sentence => !after.has(sentence.toLowerCase()))
+      });
+    });
+
+    revised.sections
+      .filter(original => !findMatch(addendumSections, original))
+      .forEach(section => changes.push({ type: 'removed', section: section.label, fileName: section.fileName, previousText: section.text, text: null }));
+  } else {
+    referencedSections(addendum.processedContent, originalSections).forEach(section => {
+      changes.push({ type: 'referenced', section: section.label, fileName: section.fileName, previousText: section.text, text: null });
+    });
+  }
+
+  return changes.slice(0, MAX_CHANGES);
+}
+
+/**
+ * The clause number at the start of a section label, e.g. "3.2" of "3.2 Security"
+ */
+function clauseNumber(label) {
+  return (label || '').match(/^\s*(\d{1,3}(?:\.\d{1,3})*)\b/)?.[1] || null;
+}
+
+module.exports = { diffDocuments, clauseNumber };
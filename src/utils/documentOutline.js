@@ -0,0 +1,259 @@
+/**
+ * Section outline of a document: its headings and numbered clauses, each
+ * with a level, clause number (e.g. 3.2.1), page and the span of text it
+ * covers. Parsers pass the document's lines; Word heading styles and large
+ * PDF fonts mark headings, and lines starting with a clause number that
+ * continues the document's numbering become clauses.
+ */
+
+const MAX_TITLE = 80;
+// Single-number headings ("4 Scope of Work") are short; longer lines are list items
+const MAX_HEADING_WORDS = 12;
+// How far a clause number may jump, e.g. 3.2 -> 3.7
+const MAX_STEP = 5;
+
+const NUMBERED = /^(\d{1,3}(?:\.\d{1,3}){0,6})(?:\.|\))?\s+(\S.*)$/;
+const NAMED = /^(section|article|part|chapter|appendix|annex|schedule|exhibit|attachment)\s+(\d{1,3}(?:\.\d{1,3})*|[A-Z]|[IVX]{1,5})(?:\s*[.:)–—-]\s*|\s+|$)(.*)$/i;
+// Table of contents entries: dot leaders or a page number after a gap
+const TOC_LINE = /(?:\.{3,}|…|\s{3,}|\t)\s*\d+\s*$/;
+
+const words = (text) => (text.match(/\S+/g) || []).length;
+
+const shortTitle = (text) => {
+  const title = text.replace(/\s+/g, ' ').trim();
+  return title.length > MAX_TITLE ? `${title.slice(0, MAX_TITLE - 1).trimEnd()}…` : title;
+};
+
+/**
+ * Clause number, title and level of a line that looks like a heading or a
+ * numbered clause, or null
+ */
+function parseHeading(line) {
+  const text = (line || '').replace(/\s+/g, ' ').trim();
+  if (!text || text.length > 1000 || TOC_LINE.test(line)) {
+    return null;
+  }
+
+  const named = text.match(NAMED);
+  if (named && (words(named[3]) <= MAX_HEADING_WORDS)) {
+    const [, kind, id, rest] = named;
+    const numeric = /^\d/.test(id);
+    return {
+      number: numeric ? id : `${kind[0].toUpperCase()}${kind.slice(1).toLowerCase()} ${id}`,
+      title: shortTitle(rest) || null,
+      level: numeric ? id.split('.').length : 1,
+      numeric
+    };
+  }
+
+  const numbered = text.match(NUMBERED);
+  if (!numbered) {
+    return null;
+  }
+  const [, number, rest] = numbered;
+  // "1.5 million users" is not a clause
+  if (!/^[A-Z(“"']/.test(rest)) {
+    return null;
+  }
+  // A single number only starts a heading, not a numbered list item
+  if (!number.includes('.') && (words(rest) > MAX_HEADING_WORDS || /[.;,:]$/.test(rest))) {
+    return null;
+  }
+  return { number, title: shortTitle(rest), level: number.split('.').length, numeric: true };
+}
+
+/**
+ * Whether a clause number can follow the previous one, e.g. 3.2 -> 3.2.1,
+ * 3.3, 4 or 4.1 but not 2.5 or 3.2.4
+ */
+function continuesNumbering(previous, number) {
+  if (!previous) {
+    return true;
+  }
+  const prev = previous.split('.').map(Number);
+  const next = number.split('.').map(Number);
+
+  if (next.length === prev.length + 1 && number.startsWith(`${previous}.`)) {
+    return next[next.length - 1] <= 1;
+  }
+  for (let i = 0; i < Math.min(prev.length, next.length); i++) {
+    if (next[i] !== prev[i]) {
+      // The first part that differs goes up a little and any later parts start over
+      return next[i] > prev[i] && next[i] - prev[i] <= MAX_STEP && next.slice(i + 1).every(part => part <= 1);
+    }
+  }
+  return false;
+}
+
+/**
+ * Pick the headings among a document's lines ({ text, offset, page,
+ * headingLevel, number }). Lines with a headingLevel are headings; a number
+ * given with the line (e.g. from Word list numbering) is used as is. Other
+ * lines are clauses when they start with a clause number that continues
+ * the numbering seen so far.
+ */
+function findHeadings(lines) {
+  const headings = [];
+  let previous = null;
+
+  lines.forEach(line => {
+    const parsed = line.number
+      ? { number: line.number, title: shortTitle(line.text), level: line.number.split('.').length, numeric: /^\d+(?:\.\d+)*$/.test(line.number) }
+      : parseHeading(line.text);
+
+    if (line.headingLevel) {
+      const title = parsed?.title || shortTitle(line.text);
+      if (!title) return;
+      headings.push({
+        offset: line.offset,
+        page: line.page ?? null,
+        number: parsed?.number || null,
+        title,
+        level: parsed?.numeric ? parsed.level : line.headingLevel
+      });
+      if (parsed?.numeric) previous = parsed.number;
+      return;
+    }
+
+    if (!parsed || (parsed.numeric && !continuesNumbering(previous, parsed.number))) {
+      return;
+    }
+    headings.push({ offset: line.offset, page: line.page ?? null, number: parsed.number, title: parsed.title, level: parsed.level });
+    if (parsed.numeric) previous = parsed.number;
+  });
+
+  return headings;
+}
+
+/**
+ * Sections from headings in text order. A section runs until the next
+ * heading at its level or above, so it contains its subsections.
+ */
+function buildSections(headings, textLength) {
+  const sections = [];
+  const open = [];
+
+  headings.forEach((heading, index) => {
+    while (open.length > 0 && open[open.length - 1].level >= heading.level) {
+      open.pop().endOffset = heading.offset;
+    }
+    const section = {
+      id: `sec_${index + 1}`,
+      number: heading.number || null,
+      title: heading.title,
+      level: heading.level,
+      parentId: open.length > 0 ? open[open.length - 1].id : null,
+      page: heading.page ?? null,
+      startOffset: heading.offset,
+      endOffset: textLength
+    };
+    sections.push(section);
+    open.push(section);
+  });
+
+  return sections;
+}
+
+/**
+ * The lines of plain text with their offsets and, when page offsets are
+ * known, pages
+ */
+function textLines(text, pageOffsets = null) {
+  const lines = [];
+  let page = 0;
+  for (const match of text.matchAll(/[^\n]+/g)) {
+    while (pageOffsets && page < pageOffsets.length && pageOffsets[page] <= match.index) page++;
+    lines.push({ text: match[0], offset: match.index, page: pageOffsets ? Math.max(page, 1) : null });
+  }
+  return lines;
+}
+
+/**
+ * Outline of plain text (text files, OCR output) from its numbered lines
+ */
+function outlineFromText(text, pageOffsets = null) {
+  return buildSections(findHeadings(textLines(text, pageOffsets)), text.length);
+}
+
+/**
+ * The deepest section containing a character offset
+ */
+function sectionAt(sections, offset) {
+  let found = null;
+  (sections || []).forEach(section => {
+    if (section.startOffset <= offset && offset < section.endOffset) found = section;
+  });
+  return found;
+}
+
+/**
+ * "3.2.1 Security Requirements"
+ */
+function sectionLabel(section) {
+  if (!section) return null;
+  return [section.number, section.title].filter(Boolean).join(' ');
+}
+
+/**
+ * The section a reference such as "Section 3.2.1", "3.2.1 Security" or
+ * "Security Requirements" names
+ */
+function findSectionByReference(sections, reference) {
+  if (!reference || !sections?.length) return null;
+  const text = String(reference).trim();
+  const number = text.match(/\d{1,3}(?:\.\d{1,3})*/)?.[0];
+  if (number) {
+    const byNumber = sections.find(section => section.number === number);
+    if (byNumber) return byNumber;
+  }
+  const lower = text.toLowerCase();
+  return sections.find(section => section.number && lower === section.number.toLowerCase()) ||
+    sections.find(section => section.title && lower.includes(section.title.toLowerCase()) && section.title.length >= 4) ||
+    null;
+}
+
+const tokenize = (text) => new Set((text.toLowerCase().match(/[a-z0-9]{3,}/g) || []));
+
+/**
+ * Index each section's own text (up to its first subsection) for
+ * matchSection
+ */
+function indexSections(sections, text) {
+  return (sections || []).map((section, index) => ({
+    section,
+    tokens: tokenize(text.slice(section.startOffset, sections[index + 1]?.startOffset ?? section.endOffset))
+  }));
+}
+
+/**
+ * The section whose text contains most of a passage's words, e.g. where a
+ * requirement is stated; null when no section holds at least minShare of them
+ */
+function matchSection(index, passage, minShare = 0.6) {
+  const tokens = [...tokenize(passage || '')];
+  if (tokens.length < 3) return null;
+
+  let best = null;
+  let bestShare = minShare;
+  index.forEach(({ section, tokens: sectionTokens }) => {
+    const share = tokens.filter(token => sectionTokens.has(token)).length / tokens.length;
+    if (share > bestShare) {
+      best = section;
+      bestShare = share;
+    }
+  });
+  return best;
+}
+
+module.exports = {
+  parseHeading,
+  findHeadings,
+  buildSections,
+  textLines,
+  outlineFromText,
+  sectionAt,
+  sectionLabel,
+  findSectionByReference,
+  indexSections,
+  matchSection
+};
@@ -0,0 +1,295 @@
+const PizZip = require('pizzip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+/**
+ * Read a Word document as blocks in reading order: paragraphs with their
+ * heading level (from heading styles or outline levels) and list number as
+ * Word displays it (e.g. "3.2.1"), and tables as rows of cell text. Pages
+ * come from the page breaks Word recorded when the file was last saved.
+ */
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const MC = 'http://schemas.openxmlformats.org/markup-compatibility/2006';
+
+const isW = (node, name) => node.nodeType === 1 && node.namespaceURI === W && node.localName === name;
+const children = (node, name) => Array.from(node.childNodes || []).filter(child => isW(child, name));
+const child = (node, name) => (node ? children(node, name)[0] || null : null);
+const attr = (node, name) => (node ? node.getAttributeNS(W, name) || node.getAttribute(`w:${name}`) || null : null);
+const intAttr = (node, name) => {
+  const value = parseInt(attr(node, name), 10);
+  return Number.isNaN(value) ? null : value;
+};
+
+function parseXml(zip, name) {
+  const file = zip.file(name);
+  if (!file) return null;
+  return new DOMParser({ onError: () => {} }).parseFromString(file.asText(), 'text/xml');
+}
+
+// Paragraph styles with their heading level and list numbering, following basedOn
+function readStyles(xml) {
+  const raw = {};
+  Array.from(xml?.getElementsByTagNameNS(W, 'style') || []).forEach(style => {
+    if (attr(style, 'type') !== 'paragraph') return;
+    const pPr = child(style, 'pPr');
+    const numPr = child(pPr, 'numPr');
+    raw[attr(style, 'styleId')] = {
+      name: (attr(child(style, 'name'), 'val') || '').toLowerCase(),
+      basedOn: attr(child(style, 'basedOn'), 'val'),
+      outlineLevel: intAttr(child(pPr, 'outlineLvl'), 'val'),
+      numId: intAttr(child(numPr, 'numId'), 'val'),
+      ilvl: intAttr(child(numPr, 'ilvl'), 'val'),
+      isDefault: attr(style, 'default') === '1'
+    };
+  });
+
+  const resolve = (id, seen = new Set()) => {
+    const style = raw[id];
+    if (!style || seen.has(id)) return {};
+    seen.add(id);
+    const parent = resolve(style.basedOn, seen);
+    const heading = style.name.match(/^heading (\d)$/);
+    return {
+      name: style.name,
+      headingLevel: heading ? Number(heading[1])
+        : style.outlineLevel !== null && style.outlineLevel < 9 ? style.outlineLevel + 1
+          : parent.headingLevel || null,
+      numId: style.numId ?? parent.numId ?? null,
+      ilvl: style.ilvl ?? parent.ilvl ?? null
+    };
+  };
+
+  const styles = {};
+  Object.keys(raw).forEach(id => {
+    styles[id] = resolve(id);
+  });
+  const defaultId = Object.keys(raw).find(id => raw[id].isDefault);
+  return { styles, defaultStyle: defaultId ? styles[defaultId] : {} };
+}
+
+// List definitions: per numId the abstract list's levels and start overrides
+function readNumbering(xml) {
+  const abstracts = {};
+  Array.from(xml?.getElementsByTagNameNS(W, 'abstractNum') || []).forEach(abstract => {
+    const levels = {};
+    children(abstract, 'lvl').forEach(lvl => {
+      levels[intAttr(lvl, 'ilvl')] = {
+        start: intAttr(child(lvl, 'start'), 'val') ?? 1,
+        format: attr(child(lvl, 'numFmt'), 'val') || 'decimal',
+        text: attr(child(lvl, 'lvlText'), 'val') ?? '',
+        legal: !!child(lvl, 'isLgl')
+      };
+    });
+    abstracts[attr(abstract, 'abstractNumId')] = levels;
+  });
+
+  const lists = {};
+  Array.from(xml?.getElementsByTagNameNS(W, 'num') || []).forEach(num => {
+    const overrides = {};
+    children(num, 'lvlOverride').forEach(override => {
+      const start = intAttr(child(override, 'startOverride'), 'val');
+      if (start !== null) overrides[intAttr(override, 'ilvl')] = start;
+    });
+    const abstractId = attr(child(num, 'abstractNumId'), 'val');
+    lists[attr(num, 'numId')] = {
+      // Lists sharing an abstract definition continue each other's numbering unless restarted
+      key: Object.keys(overrides).length > 0 ? `num_${attr(num, 'numId')}` : `abstract_${abstractId}`,
+      levels: abstracts[abstractId] || {},
+      overrides
+    };
+  });
+  return lists;
+}
+
+const ROMAN = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+
+function formatNumber(value, format) {
+  switch (format) {
+    case 'lowerLetter':
+    case 'upperLetter': {
+      const letter = String.fromCharCode(97 + ((value - 1) % 26)).repeat(Math.floor((value - 1) / 26) + 1);
+      return format === 'upperLetter' ? letter.toUpperCase() : letter;
+    }
+    case 'lowerRoman':
+    case 'upperRoman': {
+      let rest = value;
+      let roman = '';
+      ROMAN.forEach(([amount, numeral]) => {
+        while (rest >= amount) {
+          roman += numeral;
+          rest -= amount;
+        }
+      });
+      return format === 'upperRoman' ? roman.toUpperCase() : roman;
+    }
+    case 'decimalZero':
+      return String(value).padStart(2, '0');
+    default:
+      return String(value);
+  }
+}
+
+class ListCounter {
+  constructor(lists) {
+    this.lists = lists;
+    this.counters = {};
+  }
+
+  // The label Word shows for the next paragraph of a list level, e.g. "3.2.1." or "•"
+  next(numId, ilvl) {
+    const list = this.lists[numId];
+    const level = list?.levels[ilvl];
+    if (!level) return null;
+
+    const counters = this.counters[list.key] || (this.counters[list.key] = []);
+    const startOf = (index) => list.overrides[index] ?? list.levels[index]?.start ?? 1;
+    counters[ilvl] = counters[ilvl] === undefined ? startOf(ilvl) : counters[ilvl] + 1;
+    counters.length = ilvl + 1;
+
+    if (level.format === 'bullet') return '•';
+    if (level.format === 'none') return null;
+    return level.text.replace(/%(\d)/g, (_, n) => {
+      const index = Number(n) - 1;
+      const format = level.legal ? 'decimal' : list.levels[index]?.format;
+      return formatNumber(counters[index] ?? startOf(index), format);
+    }).trim() || null;
+  }
+}
+
+/**
+ * Blocks of a .docx file: { type: 'paragraph', text, label, headingLevel,
+ * style, page } and { type: 'table', rows, page }. page is null when the file
+ * has no page break information.
+ */
+function readDocx(buffer) {
+  const zip = new PizZip(buffer);
+  const document = parseXml(zip, 'word/document.xml');
+  const body = document && Array.from(document.getElementsByTagNameNS(W, 'body'))[0];
+  if (!body) {
+    throw new Error('The file has no Word document body');
+  }
+
+  const { styles, defaultStyle } = readStyles(parseXml(zip, 'word/styles.xml'));
+  const counter = new ListCounter(readNumbering(parseXml(zip, 'word/numbering.xml')));
+
+  // Word records where pages ended when it last laid the document out
+  const renderedBreaks = document.getElementsByTagNameNS(W, 'lastRenderedPageBreak').length > 0;
+  const explicitBreaks = !renderedBreaks && Array.from(document.getElementsByTagNameNS(W, 'br'))
+    .some(br => attr(br, 'type') === 'page');
+  const paginated = renderedBreaks || explicitBreaks;
+  let page = 1;
+
+  const isPageBreak = (node) => (renderedBreaks
+    ? isW(node, 'lastRenderedPageBreak')
+    : isW(node, 'br') && attr(node, 'type') === 'page');
+
+  const paragraphText = (paragraph) => {
+    let text = '';
+    let breaksBefore = 0;
+    let breaksAfter = 0;
+    const walk = (node) => {
+      Array.from(node.childNodes || []).forEach(item => {
+        if (item.nodeType !== 1) return;
+        if (item.namespaceURI === MC && item.localName === 'Fallback') return;
+        if (isPageBreak(item)) {
+          if (text.trim()) breaksAfter++;
+          else breaksBefore++;
+          return;
+        }
+        if (item.namespaceURI === W) {
+          switch (item.localName) {
+            case 't':
+              text += item.textContent;
+              return;
+            case 'tab':
+              text += '\t';
+              return;
+            case 'br':
+            case 'cr':
+              text += '\n';
+              return;
+            case 'noBreakHyphen':
+              text += '-';
+              return;
+            case 'pPr':
+            case 'rPr':
+            case 'del':
+            case 'moveFrom':
+            case 'instrText':
+              return;
+            case 'p':
+              // Paragraphs inside text boxes
+              text += text && !/\s$/.test(text) ? ' ' : '';
+              break;
+            default:
+              break;
+          }
+        }
+        walk(item);
+      });
+    };
+    walk(paragraph);
+    return { text, breaksBefore, breaksAfter };
+  };
+
+  const readParagraph = (paragraph) => {
+    const pPr = child(paragraph, 'pPr');
+    const style = styles[attr(child(pPr, 'pStyle'), 'val')] || defaultStyle;
+    const numPr = child(pPr, 'numPr');
+    const numId = intAttr(child(numPr, 'numId'), 'val') ?? style.numId;
+    const ilvl = intAttr(child(numPr, 'ilvl'), 'val') ?? style.ilvl ?? 0;
+    const outlineLevel = intAttr(child(pPr, 'outlineLvl'), 'val');
+    const { text, breaksBefore, breaksAfter } = paragraphText(paragraph);
+
+    if (explicitBreaks && child(pPr, 'pageBreakBefore')) page++;
+    page += breaksBefore;
+    const block = {
+      type: 'paragraph',
+      text: text.replace(/[ \t]+/g, ' ').trim(),
+      // Numbering 0 switches off the style's list
+      label: numId && text.trim() ? counter.next(numId, ilvl) : null,
+      headingLevel: outlineLevel !== null && outlineLevel < 9 ? outlineLevel + 1 : style.headingLevel || null,
+      style: style.name || null,
+      page: paginated ? page : null
+    };
+    page += breaksAfter;
+    return block;
+  };
+
+  const readTable = (table) => {
+    const startPage = page;
+    const rows = [];
+    children(table, 'tr').forEach(tr => {
+      const row = [];
+      children(tr, 'tc').forEach(tc => {
+        const tcPr = child(tc, 'tcPr');
+        const span = intAttr(child(tcPr, 'gridSpan'), 'val') || 1;
+        const vMerge = child(tcPr, 'vMerge');
+        const column = row.length;
+        const text = blocksOf(tc).map(block => (block.type === 'table'
+          ? block.rows.map(cells => cells.join(' ')).join(' ')
+          : [block.label, block.text].filter(Boolean).join(' '))).filter(Boolean).join(' ');
+        // Cells merged down a column repeat the value of the first one
+        row.push(vMerge && attr(vMerge, 'val') !== 'restart' ? rows[rows.length - 1]?.[column] ?? '' : text);
+        for (let i = 1; i < span; i++) row.push('');
+      });
+      rows.push(row);
+    });
+    return { type: 'table', rows, page: paginated ? startPage : null };
+  };
+
+  const blocksOf = (container) => {
+    const blocks = [];
+    Array.from(container.childNodes || []).forEach(node => {
+      if (isW(node, 'p')) blocks.push(readParagraph(node));
+      else if (isW(node, 'tbl')) blocks.push(readTable(node));
+      else if (isW(node, 'sdt')) blocks.push(...blocksOf(child(node, 'sdtContent') || node));
+      else if (isW(node, 'customXml') || isW(node, 'ins') || isW(node, 'smartTag')) blocks.push(...blocksOf(node));
+    });
+    return blocks;
+  };
+
+  return { blocks: blocksOf(body), paginated };
+}
+
+module.exports = { readDocx };
@@ -0,0 +1,107 @@
+const { simpleParser } = require('mailparser');
+const MsgReader = require('@kenjiuno/msgreader').default;
+
+/**
+ * Read an email saved as .eml (MIME) or .msg (Outlook) into its headers,
+ * body and attachments: { subject, from, to, cc, date, text, html,
+ * attachments: [{ fileName, contentType, content }] }. Inline images of the
+ * body (signatures, logos) are not attachments.
+ */
+
+const EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  'application/zip': '.zip',
+  'message/rfc822': '.eml',
+  'text/plain': '.txt',
+  'text/html': '.html',
+  'text/csv': '.csv'
+};
+
+const safeName = (name) => (name || '').replace(/[\\/:*?"<>|\x00-\x1f]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Attachments without a file name get a numbered name and the extension of their type
+const attachmentName = (name, contentType, fallback) => {
+  const extension = EXTENSIONS[(contentType || '').toLowerCase()] || '';
+  const base = safeName(name) || safeName(fallback) || 'attachment';
+  return !name && extension && !base.toLowerCase().endsWith(extension) ? `${base}${extension}` : base;
+};
+
+const addressText = (address) => {
+  if (!address) return null;
+  return (Array.isArray(address) ? address : [address]).map(item => item.text).filter(Boolean).join(', ') || null;
+};
+
+async function readEml(buffer) {
+  const mail = await simpleParser(buffer, { skipImageLinks: true, skipTextLinks: true, skipTextToHtml: true });
+  return {
+    subject: mail.subject || null,
+    from: addressText(mail.from),
+    to: addressText(mail.to),
+    cc: addressText(mail.cc),
+    date: mail.date ? mail.date.toISOString() : null,
+    text: mail.text || null,
+    html: typeof mail.html === 'string' ? mail.html : null,
+    attachments: (mail.attachments || [])
+      .filter(attachment => !attachment.related)
+      .map((attachment, index) => ({
+        fileName: attachmentName(attachment.filename, attachment.contentType, attachment.contentType === 'message/rfc822'
+          ? `Forwarded message ${index + 1}` : `attachment ${index + 1}`),
+        contentType: attachment.contentType || null,
+        content: attachment.content
+      }))
+  };
+}
+
+function readMsg(buffer) {
+  const reader = new MsgReader(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+  const data = reader.getFileData();
+  if (data.error) {
+    throw new Error(`The Outlook message could not be read: ${data.error}`);
+  }
+
+  const recipients = (type) => (data.recipients || [])
+    .filter(recipient => (recipient.recipType || 'to') === type)
+    .map(recipient => (recipient.email && recipient.name && recipient.name !== recipient.email
+      ? `${recipient.name} <${recipient.email}>` : recipient.email || recipient.name))
+    .filter(Boolean)
+    .join(', ') || null;
+  const senderEmail = [data.senderSmtpAddress, data.senderEmail].find(address => address?.includes('@'));
+  const sent = data.messageDeliveryTime || data.clientSubmitTime;
+  const html = data.bodyHtml || (data.html ? Buffer.from(data.html).toString('utf8') : null);
+
+  return {
+    subject: data.subject || null,
+    from: [data.senderName, senderEmail && `<${senderEmail}>`].filter(Boolean).join(' ') || null,
+    to: recipients('to'),
+    cc: recipients('cc'),
+    date: sent && !Number.isNaN(new Date(sent).getTime()) ? new Date(sent).toISOString() : null,
+    text: data.body || null,
+    html,
+    attachments: (data.attachments || [])
+      .filter(attachment => !attachment.attachmentHidden)
+      .map((attachment, index) => {
+        const file = reader.getAttachment(attachment);
+        // Attached Outlook items come back as .msg files of their own
+        const fileName = attachment.innerMsgContent
+          ? `${safeName(attachment.name || attachment.innerMsgContentFields?.subject) || `Attached message ${index + 1}`}.msg`.replace(/(\.msg)+$/i, '.msg')
+          : attachmentName(file.fileName || attachment.fileName || attachment.name, attachment.attachMimeTag, `attachment ${index + 1}`);
+        return {
+          fileName,
+          contentType: attachment.attachMimeTag || null,
+          content: Buffer.from(file.content)
+        };
+      })
+  };
+}
+
+/**
+ * Headers, body and attachments of an .eml or .msg file
+ */
+async function readEmail(buffer, extension) {
+  return extension === 'msg' ? readMsg(buffer) : readEml(buffer);
+}
+
+module.exports = { readEmail };
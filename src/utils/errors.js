@@ -0,0 +1,11 @@
+/**
+ * An Error carrying a code, e.g. 'WORKFLOW_NOT_FOUND'. Routes map codes to
+ * HTTP statuses, so services throw these for failures the caller can act on.
+ */
+function codedError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = { codedError };
@@ -0,0 +1,267 @@
+const { parseDocument } = require('htmlparser2');
+
+/**
+ * Read HTML pages and Markdown files as blocks in reading order, in the
+ * shape utils/docxStructure gives Word documents: paragraphs with their
+ * heading level and list label, and tables as rows of cell text.
+ */
+
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'select', 'nav']);
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'blockquote', 'pre', 'address',
+  'figure', 'figcaption', 'form', 'fieldset', 'legend', 'details', 'summary', 'dl', 'dt', 'dd', 'ul', 'ol',
+  'li', 'hr', 'caption', 'body', 'html', 'center'
+]);
+const HEADING = /^h([1-6])$/;
+
+const isHidden = (node) => node.attribs && (node.attribs.hidden !== undefined ||
+  /display\s*:\s*none|visibility\s*:\s*hidden/i.test(node.attribs.style || ''));
+
+const cleanText = (text) => text.split('\n')
+  .map(line => line.replace(/[ \t\r\f\u00a0]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{2,}/g, '\n')
+  .trim();
+
+/**
+ * Blocks of an HTML page: { type: 'paragraph', text, label, headingLevel,
+ * style, page } and { type: 'table', rows, page }. Scripts, styles,
+ * navigation menus and hidden elements are left out.
+ */
+function readHtml(html) {
+  const document = parseDocument(html, { decodeEntities: true });
+  const blocks = [];
+  let text = '';
+  let pending = {};
+
+  const flush = () => {
+    const paragraph = cleanText(text);
+    if (paragraph) {
+      blocks.push({ type: 'paragraph', text: paragraph, label: pending.label || null, headingLevel: pending.headingLevel || null, style: null, page: null });
+    }
+    text = '';
+    pending = {};
+  };
+
+  // All text under a node on one line, e.g. a table cell
+  const inlineText = (node) => {
+    if (node.type === 'text') return node.data;
+    if (node.type !== 'tag' || SKIPPED_TAGS.has(node.name) || isHidden(node)) return '';
+    if (node.name === 'br') return ' ';
+    const inner = (node.children || []).map(inlineText).join('');
+    return BLOCK_TAGS.has(node.name) || HEADING.test(node.name) ? ` ${inner} ` : inner;
+  };
+
+  // Preformatted text keeps its line breaks
+  const inlineTextRaw = (node) => {
+    if (node.type === 'text') return node.data;
+    if (node.type !== 'tag') return '';
+    if (node.name === 'br') return '\n';
+    return (node.children || []).map(inlineTextRaw).join('');
+  };
+
+  const readTable = (table) => {
+    const rows = [];
+    const spans = [];
+    const rowsOf = (node) => (node.children || []).flatMap(child => {
+      if (child.type !== 'tag') return [];
+      if (child.name === 'tr') return [child];
+      return ['thead', 'tbody', 'tfoot'].includes(child.name) ? rowsOf(child) : [];
+    });
+
+    rowsOf(table).forEach(tr => {
+      const row = [];
+      const cells = (tr.children || []).filter(cell => cell.type === 'tag' && (cell.name === 'td' || cell.name === 'th'));
+      const takeSpans = () => {
+        // Cells spanning rows from above repeat their value, as merged Word cells do
+        while (spans[row.length]?.rows > 0) {
+          row.push(spans[row.length].text);
+          spans[row.length - 1].rows--;
+        }
+      };
+      cells.forEach(cell => {
+        takeSpans();
+        const cellText = cleanText(inlineText(cell).replace(/\n/g, ' '));
+        const colspan = Math.min(parseInt(cell.attribs.colspan, 10) || 1, 50);
+        const rowspan = Math.min(parseInt(cell.attribs.rowspan, 10) || 1, 500);
+        for (let i = 0; i < colspan; i++) {
+          if (rowspan > 1) spans[row.length] = { text: i === 0 ? cellText : '', rows: rowspan - 1 };
+          row.push(i === 0 ? cellText : '');
+        }
+      });
+      takeSpans();
+      rows.push(row);
+    });
+    blocks.push({ type: 'table', rows, page: null });
+  };
+
+  const walk = (node, list = null) => {
+    if (node.type === 'text') {
+      text += node.data.replace(/\s+/g, ' ');
+      return;
+    }
+    if ((node.type !== 'tag' && node.type !== 'root') || SKIPPED_TAGS.has(node.name) || isHidden(node)) {
+      return;
+    }
+
+    const heading = HEADING.exec(node.name || '');
+    switch (true) {
+      case node.name === 'br':
+        text += '\n';
+        return;
+      case node.name === 'table':
+        flush();
+        readTable(node);
+        return;
+      case !!heading:
+        flush();
+        pending = { headingLevel: Number(heading[1]) };
+        (node.children || []).forEach(child => walk(child, list));
+        flush();
+        return;
+      case node.name === 'pre':
+        flush();
+        text = (node.children || []).map(inlineTextRaw).join('');
+        flush();
+        return;
+      case node.name === 'ul':
+      case node.name === 'ol': {
+        flush();
+        const ordered = node.name === 'ol';
+        const nested = { ordered, next: ordered ? parseInt(node.attribs.start, 10) || 1 : null };
+        (node.children || []).forEach(child => walk(child, nested));
+        flush();
+        return;
+      }
+      case node.name === 'li':
+        flush();
+        pending = { label: list?.ordered ? `${list.next++}.` : '•' };
+        (node.children || []).forEach(child => walk(child, list));
+        flush();
+        return;
+      case BLOCK_TAGS.has(node.name):
+        flush();
+        (node.children || []).forEach(child => walk(child, list));
+        flush();
+        return;
+      default:
+        (node.children || []).forEach(child => walk(child, list));
+    }
+  };
+
+  walk(document);
+  flush();
+  return { blocks, paginated: false };
+}
+
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^\s*([-*+]|\d{1,3}[.)])\s+(.*)$/;
+const ATX_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+
+// Markdown inline markup reduced to its text
+const plainMarkdown = (text) => text
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+  .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+  .replace(/<\/?[a-z][^>]*>/gi, '')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+  .replace(/(^|[^\w*])\*(?=\S)([^*]+?)(?<=\S)\*/g, '$1$2')
+  .replace(/(^|\W)_(?=\S)([^_]+?)(?<=\S)_(?=\W|$)/g, '$1$2')
+  .replace(/~~(.+?)~~/g, '$1')
+  .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1');
+
+const tableCells = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => plainMarkdown(cell.trim()));
+
+/**
+ * Blocks of a Markdown file, as readHtml returns them. Headings are ATX
+ * ("## Scope") or underlined; pipe tables become table blocks.
+ */
+function readMarkdown(markdown) {
+  const lines = markdown.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const blocks = [];
+  let paragraph = [];
+  let label = null;
+  let index = 0;
+
+  const flush = () => {
+    const text = paragraph.map(line => plainMarkdown(line.trim())).join('\n').trim();
+    if (text) blocks.push({ type: 'paragraph', text, label, headingLevel: null, style: null, page: null });
+    paragraph = [];
+    label = null;
+  };
+  const heading = (level, text) => {
+    flush();
+    blocks.push({ type: 'paragraph', text: plainMarkdown(text.trim()), label: null, headingLevel: level, style: null, page: null });
+  };
+
+  // YAML front matter
+  if (lines[0]?.trim() === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) index = end + 1;
+  }
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const next = lines[index + 1] ?? '';
+
+    const fence = line.match(/^\s{0,3}(```|~~~)/);
+    if (fence) {
+      flush();
+      const code = [];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith(fence[1])) code.push(lines[index++]);
+      if (code.join('').trim()) blocks.push({ type: 'paragraph', text: code.join('\n').trim(), label: null, headingLevel: null, style: 'code', page: null });
+      index++;
+      continue;
+    }
+
+    const atx = line.match(ATX_HEADING);
+    if (atx) {
+      heading(atx[1].length, atx[2]);
+      index++;
+      continue;
+    }
+    // Setext headings: a single line underlined with === or ---
+    if (paragraph.length === 1 && !label && /^\s{0,3}(=+|-+)\s*$/.test(line)) {
+      const text = paragraph[0];
+      paragraph = [];
+      heading(line.trim().startsWith('=') ? 1 : 2, text);
+      index++;
+      continue;
+    }
+    if (line.includes('|') && TABLE_DIVIDER.test(next)) {
+      flush();
+      const rows = [tableCells(line)];
+      index += 2;
+      while (index < lines.length && lines[index].includes('|') && lines[index].trim()) {
+        rows.push(tableCells(lines[index++]));
+      }
+      blocks.push({ type: 'table', rows, page: null });
+      continue;
+    }
+    if (!line.trim() || RULE.test(line)) {
+      flush();
+      index++;
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      flush();
+      label = /\d/.test(item[1]) ? `${parseInt(item[1], 10)}.` : '•';
+      paragraph.push(item[2]);
+    } else {
+      paragraph.push(line.replace(/^\s{0,3}>\s?/, ''));
+    }
+    index++;
+  }
+  flush();
+  return { blocks, paginated: false };
+}
+
+module.exports = { readHtml, readMarkdown };
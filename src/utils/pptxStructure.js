@@ -0,0 +1,140 @@
+const path = require('path');
+const PizZip = require('pizzip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+/**
+ * Read a PowerPoint deck as blocks in slide order, in the shape
+ * utils/docxStructure gives Word documents. Each slide's title is a heading,
+ * its text boxes and tables follow in the order they were added, then its
+ * speaker notes. The page of a block is its slide number.
+ */
+
+const P = 'http://schemas.openxmlformats.org/presentationml/2006/main';
+const A = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const is = (node, ns, name) => node.nodeType === 1 && node.namespaceURI === ns && node.localName === name;
+const childrenOf = (node, ns, name) => Array.from(node?.childNodes || []).filter(child => is(child, ns, name));
+const childOf = (node, ns, name) => childrenOf(node, ns, name)[0] || null;
+const descendants = (node, ns, name) => Array.from(node?.getElementsByTagNameNS(ns, name) || []);
+
+// Placeholders repeated on every slide
+const SKIPPED_PLACEHOLDERS = new Set(['sldNum', 'dt', 'ftr', 'hdr', 'sldImg']);
+
+function parseXml(zip, name) {
+  const file = zip.file(name);
+  if (!file) return null;
+  return new DOMParser({ onError: () => {} }).parseFromString(file.asText(), 'text/xml');
+}
+
+// Targets of a part's relationships by id, as paths inside the package
+function readRelationships(zip, part) {
+  const rels = parseXml(zip, path.posix.join(path.posix.dirname(part), '_rels', `${path.posix.basename(part)}.rels`));
+  const targets = {};
+  descendants(rels, REL, 'Relationship').forEach(rel => {
+    const target = rel.getAttribute('Target');
+    targets[rel.getAttribute('Id')] = {
+      type: rel.getAttribute('Type').split('/').pop(),
+      part: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(path.posix.dirname(part), target))
+    };
+  });
+  return targets;
+}
+
+const paragraphText = (paragraph) => {
+  let text = '';
+  Array.from(paragraph.childNodes || []).forEach(node => {
+    if (is(node, A, 'r') || is(node, A, 'fld')) text += childOf(node, A, 't')?.textContent || '';
+    else if (is(node, A, 'br')) text += '\n';
+  });
+  return text.replace(/[ \t]+/g, ' ').trim();
+};
+
+const textBodyParagraphs = (txBody) => childrenOf(txBody, A, 'p').map(paragraphText).filter(Boolean);
+
+const readTable = (table) => {
+  const rows = [];
+  childrenOf(table, A, 'tr').forEach(tr => {
+    const row = [];
+    childrenOf(tr, A, 'tc').forEach(tc => {
+      const column = row.length;
+      const text = textBodyParagraphs(childOf(tc, A, 'txBody')).join(' ');
+      // Merged cells repeat the value of the cell they continue
+      if (tc.getAttribute('vMerge') === '1') row.push(rows[rows.length - 1]?.[column] ?? '');
+      else if (tc.getAttribute('hMerge') === '1') row.push('');
+      else row.push(text);
+    });
+    rows.push(row);
+  });
+  return rows;
+};
+
+/**
+ * Blocks of a .pptx file: { type: 'paragraph', text, label, headingLevel,
+ * style, page } and { type: 'table', rows, page }. Hidden slides are left out.
+ */
+function readPptx(buffer) {
+  const zip = new PizZip(buffer);
+  const presentationPart = 'ppt/presentation.xml';
+  const presentation = parseXml(zip, presentationPart);
+  if (!presentation) {
+    throw new Error('The file has no PowerPoint presentation');
+  }
+
+  const rels = readRelationships(zip, presentationPart);
+  const slideParts = descendants(presentation, P, 'sldId')
+    .map(slideId => rels[slideId.getAttributeNS(R, 'id') || slideId.getAttribute('r:id')]?.part)
+    .filter(Boolean);
+
+  const blocks = [];
+  slideParts.forEach((part, index) => {
+    const slide = parseXml(zip, part);
+    const root = slide?.documentElement;
+    if (!root || root.getAttribute('show') === '0') return;
+    const page = index + 1;
+    const paragraph = (text, headingLevel = null, style = null) => ({ type: 'paragraph', text, label: null, headingLevel, style, page });
+
+    let title = null;
+    const body = [];
+    const walkShapes = (tree) => {
+      Array.from(tree?.childNodes || []).forEach(shape => {
+        if (is(shape, P, 'grpSp')) {
+          walkShapes(shape);
+        } else if (is(shape, P, 'sp')) {
+          const placeholder = descendants(childOf(shape, P, 'nvSpPr'), P, 'ph')[0];
+          const type = placeholder ? placeholder.getAttribute('type') || 'body' : null;
+          if (SKIPPED_PLACEHOLDERS.has(type)) return;
+          const texts = textBodyParagraphs(childOf(shape, P, 'txBody'));
+          if ((type === 'title' || type === 'ctrTitle') && !title && texts.length > 0) {
+            title = texts.join(' ');
+          } else {
+            texts.forEach(text => body.push(paragraph(text)));
+          }
+        } else if (is(shape, P, 'graphicFrame')) {
+          descendants(shape, A, 'tbl').slice(0, 1).forEach(table => {
+            body.push({ type: 'table', rows: readTable(table), page });
+          });
+        }
+      });
+    };
+    walkShapes(descendants(root, P, 'spTree')[0]);
+
+    if (title) blocks.push(paragraph(title, 1));
+    blocks.push(...body);
+
+    const notesPart = Object.values(readRelationships(zip, part)).find(rel => rel.type === 'notesSlide')?.part;
+    const notes = notesPart && parseXml(zip, notesPart);
+    if (notes) {
+      const text = descendants(notes, P, 'sp')
+        .filter(shape => descendants(shape, P, 'ph')[0]?.getAttribute('type') === 'body')
+        .flatMap(shape => textBodyParagraphs(childOf(shape, P, 'txBody')))
+        .join('\n');
+      if (text) blocks.push(paragraph(`Speaker notes: ${text}`, null, 'notes'));
+    }
+  });
+
+  return { blocks, paginated: true, slides: slideParts.length };
+}
+
+module.exports = { readPptx };
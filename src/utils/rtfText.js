@@ -0,0 +1,146 @@
+/**
+ * Plain text of an RTF document. Paragraphs and line breaks are kept, table
+ * cells are separated by " | " with one row per line, and list numbers stay
+ * in front of their paragraphs. Fonts, styles, pictures, headers and
+ * footers and other document data are left out.
+ */
+
+// Groups that hold document data rather than text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'objdata', 'themedata', 'colorschememapping',
+  'datastore', 'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'mmathPr', 'fldinst', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr',
+  'footerf', 'filetbl', 'revtbl', 'pgdsctbl', 'bkmkstart', 'bkmkend', 'xe', 'tc', 'userprops', 'docvar',
+  'template', 'wgrffmtfilter', 'nonshppict', 'shppict', 'blipuid', 'passwordhash'
+]);
+
+const SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  row: '\n',
+  tab: '\t',
+  cell: ' | ',
+  nestcell: ' | ',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' '
+};
+
+const decoderFor = (codePage) => {
+  try {
+    return new TextDecoder(`windows-${codePage}`);
+  } catch {
+    return new TextDecoder('windows-1252');
+  }
+};
+
+function rtfToText(rtf) {
+  if (!/^\s*{\\rtf/.test(rtf)) {
+    throw new Error('The file is not an RTF document');
+  }
+
+  let decoder = decoderFor(1252);
+  let text = '';
+  let bytes = [];
+  let state = { skip: false, uc: 1 };
+  const stack = [];
+  let fallback = 0; // characters to skip after a \u character
+  let i = 0;
+
+  const flushBytes = () => {
+    if (bytes.length > 0) {
+      text += decoder.decode(Uint8Array.from(bytes));
+      bytes = [];
+    }
+  };
+  const emit = (value) => {
+    if (state.skip) return;
+    if (fallback > 0) {
+      fallback--;
+      return;
+    }
+    flushBytes();
+    text += value;
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+    } else if (char === '}') {
+      flushBytes();
+      state = stack.pop() || state;
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+      if (next === '\'') {
+        // A byte in the document's code page
+        if (!state.skip) {
+          if (fallback > 0) fallback--;
+          else bytes.push(parseInt(rtf.substr(i + 2, 2), 16) || 0x3f);
+        }
+        i += 4;
+        continue;
+      }
+      if (!/[a-zA-Z]/.test(next || '')) {
+        // Control symbols
+        if (next === '*') {
+          // Destinations readers may ignore
+          state.skip = true;
+        } else if (next === '~') emit(' ');
+        else if (next === '_') emit('-');
+        else if (next === '\\' || next === '{' || next === '}') emit(next);
+        else if (next === '\n' || next === '\r') emit('\n');
+        i += 2;
+        continue;
+      }
+
+      const match = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(rtf.slice(i + 1, i + 48));
+      const [token, word, param] = match;
+      i += 1 + token.length;
+
+      if (SKIPPED_DESTINATIONS.has(word)) {
+        state.skip = true;
+      } else if (word === 'ansicpg' && param) {
+        decoder = decoderFor(Number(param));
+      } else if (word === 'uc') {
+        state.uc = Number(param) || 0;
+      } else if (word === 'u' && param) {
+        const code = Number(param) < 0 ? Number(param) + 65536 : Number(param);
+        emit(String.fromCharCode(code));
+        if (!state.skip) fallback = state.uc;
+      } else if (word === 'bin' && param) {
+        i += Number(param);
+      } else if (SYMBOLS[word] !== undefined) {
+        if (word === 'row' && !state.skip) text = text.replace(/ \| $/, '');
+        emit(SYMBOLS[word]);
+      }
+    } else if (char === '\r' || char === '\n') {
+      i++;
+    } else {
+      emit(char);
+      i++;
+    }
+  }
+  flushBytes();
+
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { rtfToText };
@@ -0,0 +1,10 @@
+/**
+ * Tags as a list of unique lowercase names. Accepts an array or a
+ * comma-separated string, as sent by JSON bodies and form fields.
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+module.exports = { normalizeTags };
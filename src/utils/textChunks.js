@@ -0,0 +1,128 @@
+const { sectionAt, sectionLabel } = require('./documentOutline');
+
+/**
+ * Split text into overlapping windows of words. Each chunk keeps its
+ * character offsets in the original text, and its page when the page start
+ * offsets are known, so citations can point back to the source.
+ */
+function chunkWords(text, chunkSize, overlap, pageOffsets = null) {
+  const words = [...text.matchAll(/\S+/g)];
+  const chunks = [];
+
+  for (let i = 0; i < words.length; i += chunkSize - overlap) {
+    const window = words.slice(i, i + chunkSize);
+    const last = window[window.length - 1];
+    const startOffset = window[0].index;
+    const endOffset = last.index + last[0].length;
+
+    chunks.push({
+      content: text.slice(startOffset, endOffset),
+      startOffset,
+      endOffset,
+      wordStart: i,
+      wordEnd: i + window.length,
+      pageNumber: pageForOffset(pageOffsets, startOffset)
+    });
+
+    if (i + chunkSize >= words.length) break;
+  }
+
+  return chunks;
+}
+
+/**
+ * Chunks of tabular text along its row groups (see documentProcessor), so no
+ * row is split between chunks. Each chunk keeps its sheet and row range; a
+ * group too long for one chunk is split into word windows.
+ */
+function chunkRowGroups(text, rowGroups, chunkSize, overlap) {
+  const chunks = [];
+  let wordStart = 0;
+
+  rowGroups.forEach(group => {
+    const groupText = text.slice(group.startOffset, group.endOffset);
+    const rows = { sheet: group.sheet || null, rowStart: group.startRow, rowEnd: group.endRow };
+
+    chunkWords(groupText, chunkSize, overlap).forEach(chunk => {
+      chunks.push({
+        ...chunk,
+        startOffset: group.startOffset + chunk.startOffset,
+        endOffset: group.startOffset + chunk.endOffset,
+        wordStart: wordStart + chunk.wordStart,
+        wordEnd: wordStart + chunk.wordEnd,
+        pageNumber: null,
+        ...rows
+      });
+    });
+    wordStart += (groupText.match(/\S+/g) || []).length;
+  });
+
+  return chunks;
+}
+
+/**
+ * Chunks that follow a document's sections (see utils/documentOutline): a
+ * chunk never spans two headings and keeps the label of its section. A
+ * heading with fewer than minWords words of its own text (e.g. "3 Scope"
+ * directly followed by "3.1 General") is joined to the text that follows,
+ * and the chunk takes the label of the section holding all of it.
+ */
+function chunkSections(text, sections, chunkSize, overlap, pageOffsets = null, minWords = 25) {
+  const starts = [...new Set([0, ...sections.map(section => section.startOffset)])].sort((a, b) => a - b);
+  const chunks = [];
+  let wordStart = 0;
+  let spanStart = 0;
+
+  starts.forEach((start, index) => {
+    const end = starts[index + 1] ?? text.length;
+    const spanText = text.slice(spanStart, end);
+    const words = (spanText.match(/\S+/g) || []).length;
+    if (words < minWords && index < starts.length - 1) {
+      return;
+    }
+
+    chunkWords(spanText, chunkSize, overlap).forEach(chunk => {
+      const section = enclosingSection(sections, spanStart + chunk.startOffset, spanStart + chunk.endOffset);
+      chunks.push({
+        ...chunk,
+        startOffset: spanStart + chunk.startOffset,
+        endOffset: spanStart + chunk.endOffset,
+        wordStart: wordStart + chunk.wordStart,
+        wordEnd: wordStart + chunk.wordEnd,
+        pageNumber: pageForOffset(pageOffsets, spanStart + chunk.startOffset),
+        section: sectionLabel(section)
+      });
+    });
+    wordStart += words;
+    spanStart = end;
+  });
+
+  return chunks;
+}
+
+// The deepest section containing both ends of a span, else the one it starts in
+function enclosingSection(sections, startOffset, endOffset) {
+  const first = sectionAt(sections, startOffset);
+  let section = first;
+  while (section && section.endOffset < endOffset) {
+    section = sections.find(parent => parent.id === section.parentId);
+  }
+  return section || first;
+}
+
+/**
+ * 1-based page containing a character offset, given each page's start offset
+ */
+function pageForOffset(pageOffsets, offset) {
+  if (!Array.isArray(pageOffsets) || pageOffsets.length === 0) {
+    return null;
+  }
+
+  let page = 1;
+  pageOffsets.forEach((start, index) => {
+    if (start <= offset) page = index + 1;
+  });
+  return page;
+}
+
+module.exports = { chunkWords, chunkRowGroups, chunkSections, pageForOffset };